@@ -0,0 +1,430 @@
+// Money and seats for bookings: escrow holds and refunds, payments between wallets,
+// cancellations under the cancellation policy, and seats taken and given back on a ride.
+// Everything here works on plain objects so it can be tested without Firestore
+// (src/bookings.test.js). A function reads the wallets it touches into a settlement, the
+// helpers move money between them and collect one ledger entry per movement, and the
+// function writes the wallets and entries back in the same transaction (see index.js).
+
+// Same as src/money.js
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// --- Route segments (same as src/segments.js) ---
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const hasCoordinates = (place) => Boolean(place) && Number.isFinite(place.lat) && Number.isFinite(place.lng);
+const haversineKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+const rideStops = (ride) =>
+  (Array.isArray(ride.route) && ride.route.length >= 2 ? ride.route : [ride.from, ride.to]);
+const segmentCount = (ride) => rideStops(ride).length - 1;
+const segmentSeatsOf = (ride) =>
+  (Array.isArray(ride.segmentSeats) && ride.segmentSeats.length === segmentCount(ride)
+    ? ride.segmentSeats
+    : Array(segmentCount(ride)).fill(ride.availableSeats));
+const wholeRoute = (ride) => ({ boardStop: 0, alightStop: segmentCount(ride) });
+const bookingStops = (request, ride) =>
+  (Number.isInteger(request.boardStop) && Number.isInteger(request.alightStop)
+    ? { boardStop: request.boardStop, alightStop: request.alightStop }
+    : wholeRoute(ride));
+const isValidStopRange = (ride, { boardStop, alightStop }) =>
+  Number.isInteger(boardStop) && Number.isInteger(alightStop) && boardStop >= 0 && alightStop <= segmentCount(ride) && boardStop < alightStop;
+const seatsAvailableBetween = (ride, { boardStop, alightStop }) =>
+  Math.min(...segmentSeatsOf(ride).slice(boardStop, alightStop));
+const adjustSegmentSeats = (ride, { boardStop, alightStop }, seats) => {
+  const segmentSeats = segmentSeatsOf(ride).map((free, index) =>
+    (index >= boardStop && index < alightStop ? free - seats : free));
+  return { segmentSeats, availableSeats: Math.min(...segmentSeats) };
+};
+const routeShare = (ride, { boardStop, alightStop }) => {
+  const places = ride.routePlaces;
+  if (Array.isArray(places) && places.length === segmentCount(ride) + 1 && places.every(hasCoordinates)) {
+    const lengths = places.slice(1).map((place, index) => haversineKm(places[index], place));
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+    if (total > 0) return lengths.slice(boardStop, alightStop).reduce((sum, length) => sum + length, 0) / total;
+  }
+  return (alightStop - boardStop) / segmentCount(ride);
+};
+const segmentFarePerSeat = (ride, stops) => roundMoney(ride.pricePerSeat * routeShare(ride, stops));
+
+// --- Bookings ---
+// A rider and up to six companions (the most CompanionFields in src/App.js allows)
+const MAX_BOOKED_SEATS = 7;
+const isValidSeatCount = (seats) => Number.isInteger(seats) && seats >= 1 && seats <= MAX_BOOKED_SEATS;
+
+// Requests from before multi-seat booking hold a single seat
+const bookedSeats = (request) => request.seats || 1;
+
+// What the ride charges for a request's seats between its stops
+const requestFare = (ride, request) => roundMoney(segmentFarePerSeat(ride, bookingStops(request, ride)) * bookedSeats(request));
+
+// The ride's seat counts after giving back the seats of each accepted booking between its
+// own stops
+const releaseSeats = (ride, requests) => requests
+  .filter(request => request.status === 'accepted')
+  .reduce((seats, request) => adjustSegmentSeats({ ...ride, ...seats }, bookingStops(request, ride), -bookedSeats(request)),
+    { segmentSeats: segmentSeatsOf(ride), availableSeats: ride.availableSeats });
+
+// --- Cancellation policy (same as src/cancellationPolicy.js) ---
+const DEFAULT_CANCELLATION_POLICY = {
+  rider: [
+    { minHoursBeforeDeparture: 24, refundRate: 1 },
+    { minHoursBeforeDeparture: 2, refundRate: 0.5 },
+    { minHoursBeforeDeparture: 0, refundRate: 0 }
+  ],
+  driver: [
+    { minHoursBeforeDeparture: 24, penaltyRate: 0 },
+    { minHoursBeforeDeparture: 2, penaltyRate: 0.25 },
+    { minHoursBeforeDeparture: 0, penaltyRate: 0.5 }
+  ]
+};
+
+// Ride start times are datetime-local strings ('YYYY-MM-DDTHH:mm') on the wall clock of the
+// app's time zone, which the browser previewing a cancellation reads as its own local time.
+// The server reads them in timeZone so it charges what the preview showed. Times with a
+// zone of their own are read as they are.
+const dateInTimeZone = (dateTime, timeZone) => {
+  if (/(Z|[+-]\d{2}:\d{2})$/.test(dateTime)) return new Date(dateTime);
+  const [date, time = '00:00'] = dateTime.split('T');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute, second = 0] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The zone's offset from UTC at a moment, in ms
+  const offsetAt = (moment) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(moment)).map(part => [part.type, Number(part.value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - moment;
+  };
+  // Checked twice so a time next to a daylight-saving change gets that side's offset
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+};
+
+const evaluateCancellation = ({
+  cancelledBy,
+  fare,
+  departureTime,
+  status = 'accepted',
+  now = new Date(),
+  policy = DEFAULT_CANCELLATION_POLICY,
+  timeZone = 'UTC'
+}) => {
+  const hoursBeforeDeparture = (dateInTimeZone(departureTime, timeZone) - new Date(now)) / 36e5;
+
+  if (status !== 'accepted' || cancelledBy === 'admin') {
+    return { refund: roundMoney(fare), penalty: 0, hoursBeforeDeparture, tier: null };
+  }
+
+  const tiers = policy[cancelledBy];
+  if (!tiers || tiers.length === 0) {
+    throw new Error(`No cancellation policy for "${cancelledBy}"`);
+  }
+  const tier = tiers.find(t => hoursBeforeDeparture >= t.minHoursBeforeDeparture) || tiers[tiers.length - 1];
+
+  if (cancelledBy === 'rider') {
+    const refund = roundMoney(fare * tier.refundRate);
+    return { refund, penalty: roundMoney(fare - refund), hoursBeforeDeparture, tier };
+  }
+  return { refund: roundMoney(fare), penalty: roundMoney(fare * tier.penaltyRate), hoursBeforeDeparture, tier };
+};
+
+// --- Wallets ---
+// A rider's fare moves from `balance` into `escrowBalance` on the same wallet when the
+// request is made, and leaves escrow either to the driver on completion or back to the
+// rider on rejection or cancellation. `wallets` maps uid -> { balance, escrowBalance } for
+// every wallet the transaction read.
+//
+// Each hold is also recorded in an escrow record keyed by request id, which only the
+// functions write, and the amount leaving escrow is always the recorded one, never a field
+// of the request. `holds` collects the records to create or close.
+const createSettlement = (wallets) => ({ wallets, entries: [], holds: {} });
+
+// The amount held for a request: its escrow record's while that is still held. Requests held
+// before escrow records existed are worth what the ride charges for them. Null when
+// nothing is held.
+const heldAmount = (hold, request, ride) => {
+  if (hold) return hold.status === 'held' ? hold.amount : null;
+  return request.escrowStatus === 'held' && ride ? requestFare(ride, request) : null;
+};
+
+// Amounts are rounded to cents, so comparisons allow half a cent of float error
+const covers = (available, amount) => available + 0.005 >= amount;
+
+// Money only ever moves in positive amounts; a zero or negative one would run the
+// movement backwards
+const isPayable = (amount) => Number.isFinite(amount) && amount > 0;
+
+// Ledger amounts are signed (credits positive, debits negative), so a wallet's entries sum
+// to its balance. An entryId derived from the request makes the write idempotent.
+const addLedgerEntry = (settlement, uid, entry, entryId = null) => {
+  settlement.entries.push({
+    uid,
+    entryId,
+    entry: {
+      counterpartyId: null,
+      counterpartyName: null,
+      rideId: null,
+      requestId: null,
+      ...entry,
+      amount: roundMoney(entry.amount)
+    }
+  });
+};
+
+// Returns false (and changes nothing) when the rider cannot cover the fare or it is not a
+// positive amount
+const holdEscrow = (settlement, riderId, amount, details) => {
+  const wallet = settlement.wallets[riderId];
+  if (!isPayable(amount) || !covers(wallet.balance, amount)) return false;
+  wallet.balance = roundMoney(wallet.balance - amount);
+  wallet.escrowBalance = roundMoney(wallet.escrowBalance + amount);
+  addLedgerEntry(settlement, riderId, { type: 'escrowHold', amount: -amount, balanceAfter: wallet.balance, ...details }, `hold-${details.requestId}`);
+  settlement.holds[details.requestId] = {
+    requestId: details.requestId,
+    rideId: details.rideId || null,
+    riderId,
+    driverId: details.counterpartyId || null,
+    amount: roundMoney(amount),
+    status: 'held'
+  };
+  return true;
+};
+
+// Marks a request's escrow record released (paid to the driver) or refunded
+const closeHold = (settlement, requestId, status) => {
+  settlement.holds[requestId] = { ...settlement.holds[requestId], status };
+};
+
+// Returns false (and changes nothing) when the rider's escrow no longer covers the amount or
+// it is not a positive amount
+const refundEscrow = (settlement, riderId, amount, details) => {
+  const wallet = settlement.wallets[riderId];
+  if (!isPayable(amount) || !covers(wallet.escrowBalance, amount)) return false;
+  wallet.balance = roundMoney(wallet.balance + amount);
+  wallet.escrowBalance = roundMoney(wallet.escrowBalance - amount);
+  addLedgerEntry(settlement, riderId, { type: 'escrowRefund', amount, balanceAfter: wallet.balance, ...details }, `refund-${details.requestId}`);
+  return true;
+};
+
+// Pays `amount` from one wallet to another with a ledger entry on each side. When the money
+// comes out of escrow the payer's available balance already dropped at hold time, so their
+// entry records the released amount as escrowAmount and a zero amount.
+// Returns false (and changes nothing) when the payer's escrow or balance cannot cover it or
+// it is not a positive amount.
+const transferFunds = (settlement, { payerId, payerName, payeeId, payeeName, amount, fromEscrow = false, payerType, payeeType, entryId, details }) => {
+  const payer = settlement.wallets[payerId];
+  const payee = settlement.wallets[payeeId];
+  if (!isPayable(amount) || !covers(fromEscrow ? payer.escrowBalance : payer.balance, amount)) return false;
+  if (fromEscrow) {
+    payer.escrowBalance = roundMoney(payer.escrowBalance - amount);
+  } else {
+    payer.balance = roundMoney(payer.balance - amount);
+  }
+  payee.balance = roundMoney(payee.balance + amount);
+  addLedgerEntry(settlement, payerId, {
+    type: payerType,
+    amount: fromEscrow ? 0 : -amount,
+    ...(fromEscrow && { escrowAmount: amount }),
+    counterpartyId: payeeId,
+    counterpartyName: payeeName,
+    balanceAfter: payer.balance,
+    ...details
+  }, entryId);
+  addLedgerEntry(settlement, payeeId, {
+    type: payeeType,
+    amount,
+    counterpartyId: payerId,
+    counterpartyName: payerName,
+    balanceAfter: payee.balance,
+    ...details
+  }, entryId);
+  return true;
+};
+
+// Pays a completed ride's fare from the rider (out of escrow when it was held) to the driver.
+// Returns false (and changes nothing) when the rider cannot cover it.
+const payFare = (settlement, { request, ride, amount, fromEscrow, details }) => {
+  const paid = transferFunds(settlement, {
+    payerId: request.riderId,
+    payerName: request.riderName,
+    payeeId: ride.driverId,
+    payeeName: ride.driverName,
+    amount,
+    fromEscrow,
+    payerType: 'ridePayment',
+    payeeType: 'rideEarning',
+    entryId: `ride-${details.requestId}`,
+    details
+  });
+  if (paid && fromEscrow) closeHold(settlement, details.requestId, 'released');
+  return paid;
+};
+
+// Cancels one booking: applies the policy and settles the money, with `held` the amount held
+// for it (see heldAmount) and timeZone the one ride times are in (see dateInTimeZone). Returns the changes for the request document and the outcome for
+// the ride's cancellation log, or null (changing nothing) when the rider's escrow no longer
+// covers the held amount.
+const settleCancellation = (settlement, {
+  requestId, request, ride, held: heldFare, cancelledBy, reason, cancelledAt, policy = DEFAULT_CANCELLATION_POLICY, timeZone
+}) => {
+  const held = heldFare !== null && heldFare !== undefined;
+  if (held && !covers(settlement.wallets[request.riderId].escrowBalance, heldFare)) return null;
+  const outcome = evaluateCancellation({
+    cancelledBy,
+    fare: held ? heldFare : (ride.pricePerSeat !== undefined ? requestFare(ride, request) : 0),
+    departureTime: request.rideStartTime || request.preferredTime,
+    status: request.status,
+    now: cancelledAt,
+    policy,
+    timeZone
+  });
+  const details = { rideId: request.rideId || null, requestId };
+
+  if (held && outcome.refund > 0) {
+    refundEscrow(settlement, request.riderId, outcome.refund, {
+      counterpartyId: request.driverId || null,
+      counterpartyName: request.driverName || null,
+      ...details
+    });
+  }
+
+  // Rider's late-cancellation fee comes out of the held fare; a driver's penalty out of their balance
+  let penaltyCharged = 0;
+  if (outcome.penalty > 0 && cancelledBy === 'rider' && held) {
+    penaltyCharged = outcome.penalty;
+    transferFunds(settlement, {
+      payerId: request.riderId,
+      payerName: request.riderName,
+      payeeId: ride.driverId,
+      payeeName: ride.driverName,
+      amount: penaltyCharged,
+      fromEscrow: true,
+      payerType: 'cancellationFee',
+      payeeType: 'cancellationCompensation',
+      entryId: `cancel-${requestId}`,
+      details
+    });
+  } else if (outcome.penalty > 0 && cancelledBy === 'driver') {
+    penaltyCharged = roundMoney(Math.min(outcome.penalty, Math.max(0, settlement.wallets[ride.driverId].balance)));
+    if (penaltyCharged > 0) {
+      transferFunds(settlement, {
+        payerId: ride.driverId,
+        payerName: ride.driverName,
+        payeeId: request.riderId,
+        payeeName: request.riderName,
+        amount: penaltyCharged,
+        payerType: 'cancellationPenalty',
+        payeeType: 'cancellationCompensation',
+        entryId: `cancel-${requestId}`,
+        details
+      });
+    }
+  }
+
+  const cancellationOutcome = {
+    refund: held ? outcome.refund : 0,
+    penalty: outcome.penalty,
+    penaltyCharged,
+    hoursBeforeDeparture: Math.round(outcome.hoursBeforeDeparture * 10) / 10
+  };
+  if (held) closeHold(settlement, requestId, 'refunded');
+  return {
+    update: {
+      status: 'cancelled',
+      cancelledBy,
+      cancellationReason: reason,
+      cancelledAt,
+      cancellationOutcome,
+      ...(held && { escrowStatus: 'refunded' })
+    },
+    result: { requestId, riderId: request.riderId, wasAccepted: request.status === 'accepted', seats: bookedSeats(request), ...cancellationOutcome }
+  };
+};
+
+// --- Standing seats ---
+// A standing rider's booking on one occurrence of a weekly ride: the whole route, one seat,
+// accepted as soon as it is made. Its id is `${rideId}_${riderId}`, so a rider is never
+// booked twice onto the same occurrence.
+const standingRequestId = (rideId, riderId) => `${rideId}_${riderId}`;
+
+// Only a weekly seat the rider asked for themselves (requestStandingSeat records the caller
+// as requestedBy) and the driver approved is ever charged
+const isBookableStandingRider = (rider) => rider.status === 'approved' && rider.requestedBy === rider.riderId;
+
+// Books a standing rider onto an occurrence with its fare held. Returns the new request, or
+// null (changing nothing) when the seat is not bookable, the ride has no seat left or the
+// rider cannot cover the fare.
+const bookStandingSeat = (settlement, { rideId, ride, rider, now }) => {
+  if (!isBookableStandingRider(rider) || seatsAvailableBetween(ride, wholeRoute(ride)) <= 0) return null;
+  const requestId = standingRequestId(rideId, rider.riderId);
+  const held = holdEscrow(settlement, rider.riderId, ride.pricePerSeat, {
+    counterpartyId: ride.driverId,
+    counterpartyName: ride.driverName,
+    rideId,
+    requestId
+  });
+  if (!held) return null;
+  return {
+    id: requestId,
+    seats: adjustSegmentSeats(ride, wholeRoute(ride), 1),
+    request: {
+      rideId,
+      seriesId: ride.seriesId,
+      riderId: rider.riderId,
+      riderName: rider.riderName,
+      driverId: ride.driverId,
+      driverName: ride.driverName,
+      from: ride.from,
+      to: ride.to,
+      rideStartTime: ride.startTime,
+      seats: 1,
+      passengers: [rider.riderName],
+      pricePerSeat: ride.pricePerSeat,
+      price: ride.pricePerSeat,
+      status: 'accepted',
+      escrowAmount: ride.pricePerSeat,
+      escrowStatus: 'held',
+      standing: true,
+      requestedAt: now,
+      acceptedAt: now
+    }
+  };
+};
+
+module.exports = {
+  roundMoney,
+  hasCoordinates,
+  haversineKm,
+  rideStops,
+  segmentSeatsOf,
+  wholeRoute,
+  bookingStops,
+  isValidStopRange,
+  seatsAvailableBetween,
+  adjustSegmentSeats,
+  segmentFarePerSeat,
+  MAX_BOOKED_SEATS,
+  isValidSeatCount,
+  bookedSeats,
+  requestFare,
+  releaseSeats,
+  standingRequestId,
+  isBookableStandingRider,
+  bookStandingSeat,
+  DEFAULT_CANCELLATION_POLICY,
+  dateInTimeZone,
+  evaluateCancellation,
+  createSettlement,
+  heldAmount,
+  holdEscrow,
+  closeHold,
+  refundEscrow,
+  transferFunds,
+  payFare,
+  settleCancellation
+};
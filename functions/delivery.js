@@ -0,0 +1,93 @@
+// Delivery of notifications outside the app. Each channel has a transport with one method:
+//   push:  send({ appId, uid, tokens, title, body, link }) -> Promise<{ invalidTokens }>
+//   email: send({ appId, uid, to, subject, text }) -> Promise<void>
+// The FCM and SMTP transports reach real devices and inboxes (point SMTP_HOST at a local
+// sink such as Mailpit during development). The outbox transports only record each message
+// in artifacts/{appId}/deliveryOutbox; they are the default under the emulators, so tests
+// can read what would have been sent.
+const nodemailer = require('nodemailer');
+
+// Tokens FCM reports as gone for good; they are removed from the user's pushTokens
+const STALE_TOKEN_ERRORS = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+
+const createFcmPushTransport = (messaging) => ({
+  send: async ({ tokens, title, body, link }) => {
+    const response = await messaging.sendEachForMulticast({
+      tokens,
+      notification: { title, body },
+      webpush: { fcmOptions: { link } }
+    });
+    const invalidTokens = tokens.filter((token, index) => {
+      const result = response.responses[index];
+      return !result.success && STALE_TOKEN_ERRORS.includes(result.error?.code);
+    });
+    return { invalidTokens };
+  }
+});
+
+const createSmtpEmailTransport = ({ host, port = 587, secure = false, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({ host, port, secure, ...(user && { auth: { user, pass } }) });
+  return {
+    send: async ({ to, subject, text }) => {
+      await transporter.sendMail({ from, to, subject, text });
+    }
+  };
+};
+
+const createOutboxTransport = (db, channel) => ({
+  send: async ({ appId, ...message }) => {
+    await db.collection('artifacts').doc(appId).collection('deliveryOutbox').add({
+      channel,
+      ...message,
+      sentAt: new Date().toISOString()
+    });
+    return { invalidTokens: [] };
+  }
+});
+
+// Picks each channel's transport from PUSH_TRANSPORT ('fcm' or 'outbox') and EMAIL_TRANSPORT
+// ('smtp' or 'outbox'). Without them the emulators use the outbox and deployments use FCM
+// and SMTP.
+const createTransports = (env, { db, messaging }) => {
+  const fallback = env.FUNCTIONS_EMULATOR === 'true' ? 'outbox' : null;
+  const pushKind = env.PUSH_TRANSPORT || fallback || 'fcm';
+  const emailKind = env.EMAIL_TRANSPORT || fallback || 'smtp';
+  return {
+    push: pushKind === 'fcm' ? createFcmPushTransport(messaging()) : createOutboxTransport(db, 'push'),
+    email: emailKind === 'smtp'
+      ? createSmtpEmailTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || undefined,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from: env.EMAIL_FROM || 'RideShare <no-reply@rideshare.example>'
+      })
+      : createOutboxTransport(db, 'email')
+  };
+};
+
+// Channels a notification goes out on. Like the bell, every type is on until the user turns
+// it off; push and email are off until the user opts in, and email needs an address.
+const deliveryChannels = (notification, profile = {}) => {
+  if (profile.notificationPreferences?.[notification.type] === false) return [];
+  const channels = profile.notificationChannels || {};
+  return [
+    ...(channels.push === true ? ['push'] : []),
+    ...(channels.email === true && profile.email ? ['email'] : [])
+  ];
+};
+
+// Only new notifications are delivered: a created document, or a chat's message
+// notification replaced by a newer message. Marking one read is not news.
+const isNewNotification = (before, after) =>
+  Boolean(after && !after.read && (!before || before.createdAt !== after.createdAt));
+
+module.exports = {
+  createFcmPushTransport,
+  createSmtpEmailTransport,
+  createOutboxTransport,
+  createTransports,
+  deliveryChannels,
+  isNewNotification
+};
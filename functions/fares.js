@@ -0,0 +1,44 @@
+// The cost-sharing cap on what a driver may charge per seat, worked out the same way as the
+// fare estimate in src/fares.js (src/fares.test.js checks they agree). The app shows the
+// cap, and the functions refuse to post a ride priced above it.
+const { roundMoney, hasCoordinates, haversineKm } = require('./bookings');
+
+// Same as src/fares.js
+const ROAD_DISTANCE_FACTOR = 1.3;
+const AVERAGE_SPEED_KMH = 40;
+const VEHICLE_COST_FACTORS = { Hatchback: 0.9, Sedan: 1, SUV: 1.25, Minivan: 1.3 };
+
+// Set FARE_COST_PER_KM, FARE_COST_PER_MINUTE and FARE_COST_SHARING_CAP to the same values as
+// the app's REACT_APP_FARE_* settings, so the cap the app shows is the one enforced
+const FARE_CONFIG = {
+  costPerKm: Number(process.env.FARE_COST_PER_KM) || 0.25,
+  costPerMinute: Number(process.env.FARE_COST_PER_MINUTE) || 0.05,
+  costSharingCap: process.env.FARE_COST_SHARING_CAP !== 'false'
+};
+
+// { distanceKm, durationMinutes } by road through the places, or null unless every one has
+// coordinates
+const estimateRoadTrip = (places) => {
+  if (places.length < 2 || !places.every(hasCoordinates)) return null;
+  let straightKm = 0;
+  for (let i = 0; i < places.length - 1; i++) straightKm += haversineKm(places[i], places[i + 1]);
+  const distanceKm = straightKm * ROAD_DISTANCE_FACTOR;
+  return { distanceKm, durationMinutes: Math.round(distanceKm / AVERAGE_SPEED_KMH * 60) };
+};
+
+// The most a seat may cost: the trip's running cost and tolls shared by the seats offered,
+// or null with the cap turned off
+const fareCapPerSeat = ({ distanceKm, durationMinutes, vehicleType, seats, tolls = 0 }, config = FARE_CONFIG) => {
+  if (!config.costSharingCap) return null;
+  const vehicleFactor = VEHICLE_COST_FACTORS[vehicleType] ?? 1;
+  const distanceCost = roundMoney(distanceKm * config.costPerKm * vehicleFactor);
+  const timeCost = roundMoney(durationMinutes * config.costPerMinute);
+  const tollCost = roundMoney(Math.max(0, Number(tolls) || 0));
+  return roundMoney(roundMoney(distanceCost + timeCost + tollCost) / Math.max(1, seats));
+};
+
+module.exports = {
+  FARE_CONFIG,
+  estimateRoadTrip,
+  fareCapPerSeat
+};
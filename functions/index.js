@@ -0,0 +1,1139 @@
+// Callable Cloud Functions for the operations a client cannot be trusted with: posting rides
+// within the cost-sharing cap (fares.js), and every change to a wallet or to a ride's seats
+// (requesting, accepting, rejecting and cancelling bookings, weekly seats, settling a
+// completed ride, topping up, withdrawing and admin adjustments). The money and seat
+// arithmetic lives in bookings.js.
+// They run with admin access, so firestore.rules does not apply; each one checks the caller
+// and the current state itself before writing. The client calls them through
+// src/cloudFunctions.js and gets back the same { status, ... } outcome objects the browser
+// transactions used to return. Invalid calls throw an HttpsError instead.
+//
+// Notifications are also delivered from here: every new notification document goes out by
+// push and email to users who opted in (see delivery.js), and riders get a reminder shortly
+// before an accepted ride departs. Reviews are recorded and revealed here too.
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getMessaging } = require('firebase-admin/messaging');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { createTransports, deliveryChannels, isNewNotification } = require('./delivery');
+const { describeNotification } = require('./notifications');
+const { reviewDeadlineFrom, reviewId, otherRole, isValidRating, isRevealDue, addToSummary } = require('./ratings');
+const { addDays, occurrenceDates, occurrenceStartTime, occurrenceRideId } = require('./recurrence');
+const {
+  roundMoney, rideStops, wholeRoute, bookingStops, isValidStopRange, seatsAvailableBetween, adjustSegmentSeats, segmentFarePerSeat,
+  MAX_BOOKED_SEATS, isValidSeatCount, bookedSeats, requestFare, releaseSeats, standingRequestId, isBookableStandingRider, bookStandingSeat,
+  DEFAULT_CANCELLATION_POLICY, createSettlement, heldAmount, holdEscrow, closeHold, refundEscrow, payFare, settleCancellation
+} = require('./bookings');
+const { estimateRoadTrip, fareCapPerSeat } = require('./fares');
+
+initializeApp();
+const db = getFirestore();
+const transports = createTransports(process.env, { db, messaging: () => getMessaging() });
+
+// Where push notifications and emails send the user back to
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Riders are reminded this long before an accepted ride departs
+const DEPARTURE_REMINDER_MINUTES = 30;
+
+// Ride start times are datetime-local strings on the wall clock of the app's region (see
+// src/recurrence.js); reminders, weekly rides and cancellation tiers are worked out in this
+// zone. Set APP_TIME_ZONE when the app serves somewhere other than Toronto.
+const APP_TIME_ZONE = process.env.APP_TIME_ZONE || 'America/Toronto';
+
+// The refund and penalty tiers for cancellations; set CANCELLATION_POLICY to the same JSON as
+// the app's REACT_APP_CANCELLATION_POLICY so the preview riders and drivers see matches
+const CANCELLATION_POLICY = process.env.CANCELLATION_POLICY
+  ? JSON.parse(process.env.CANCELLATION_POLICY)
+  : DEFAULT_CANCELLATION_POLICY;
+
+// Weekly rides are scheduled this many days ahead (same as SERIES_HORIZON_DAYS in src/App.js)
+const SERIES_HORIZON_DAYS = 14;
+
+// Largest single top-up, so a typo cannot put an absurd balance on a wallet
+const MAX_DEPOSIT = 1000;
+
+// --- Paths (mirroring the client under artifacts/{appId}) ---
+const appDoc = (appId) => db.collection('artifacts').doc(appId);
+const publicCollection = (appId, name) => appDoc(appId).collection('public').doc('data').collection(name);
+const walletDocRef = (appId, uid) => appDoc(appId).collection('users').doc(uid).collection('walletData').doc('balance');
+const walletLedgerCollection = (appId, uid) => appDoc(appId).collection('users').doc(uid).collection('walletLedger');
+const notificationsCollection = (appId, uid) => appDoc(appId).collection('users').doc(uid).collection('notifications');
+const profileDocRef = (appId, uid) => appDoc(appId).collection('users').doc(uid).collection('userProfile').doc('data');
+const pushTokensCollection = (appId, uid) => appDoc(appId).collection('users').doc(uid).collection('pushTokens');
+const adminAuditLogCollection = (appId) => appDoc(appId).collection('adminAuditLog');
+const ratingSummaryRef = (appId, uid) => publicCollection(appId, 'ratingSummaries').doc(uid);
+// The fare held for a request, written only by these functions (see holdEscrow in bookings.js)
+const escrowHoldRef = (appId, requestId) => appDoc(appId).collection('escrowHolds').doc(requestId);
+
+// --- Caller checks ---
+// Every call names the app it acts on and must come from a signed-in, unsuspended user.
+// Admins carry the custom claim `admin: true`.
+const requireCaller = async (request) => {
+  if (!request.auth) throw new HttpsError('unauthenticated', 'Please sign in first.');
+  const { appId } = request.data || {};
+  if (typeof appId !== 'string' || !/^[\w-]+$/.test(appId)) {
+    throw new HttpsError('invalid-argument', 'A valid appId is required.');
+  }
+  const suspension = await appDoc(appId).collection('suspendedUsers').doc(request.auth.uid).get();
+  if (suspension.exists) throw new HttpsError('permission-denied', 'This account is suspended.');
+  return { appId, uid: request.auth.uid, isAdmin: request.auth.token.admin === true };
+};
+
+const requireId = (value, name) => {
+  if (typeof value !== 'string' || value === '') throw new HttpsError('invalid-argument', `${name} is required.`);
+  return value;
+};
+
+const requireText = (value, message) => {
+  if (typeof value !== 'string' || value.trim() === '') throw new HttpsError('invalid-argument', message);
+  return value.trim();
+};
+
+// The ride details a driver posts, checked and completed from their profile: the stops in
+// order with coordinates, the seats offered, the tolls on the way and the fare for the whole
+// route, which may not exceed the cost-sharing cap. Only verified drivers post rides.
+const requireRideDetails = async (appId, uid, ride) => {
+  const verifiedSnap = await publicCollection(appId, 'verifiedUsers').doc(uid).get();
+  if (!verifiedSnap.exists) throw new HttpsError('permission-denied', 'Your documents must be verified before you can post rides.');
+  const { routePlaces, availableSeats, pricePerSeat, tolls = 0 } = ride;
+  const validPlace = (place) => typeof place?.name === 'string' && place.name.trim() !== '' && Number.isFinite(place.lat) && Number.isFinite(place.lng);
+  if (!Array.isArray(routePlaces) || routePlaces.length < 2 || !routePlaces.every(validPlace)) {
+    throw new HttpsError('invalid-argument', 'Please choose every stop from the suggestions.');
+  }
+  // A car offers no more seats than a booking may take
+  if (!isValidSeatCount(availableSeats)) throw new HttpsError('invalid-argument', `Please offer 1 to ${MAX_BOOKED_SEATS} seats.`);
+  if (!Number.isFinite(pricePerSeat) || pricePerSeat <= 0) throw new HttpsError('invalid-argument', 'Please enter a price per seat.');
+  if (!Number.isFinite(tolls) || tolls < 0) throw new HttpsError('invalid-argument', 'Tolls cannot be negative.');
+
+  const profileSnap = await profileDocRef(appId, uid).get();
+  const profile = profileSnap.exists ? profileSnap.data() : {};
+  const places = routePlaces.map(({ name, lat, lng }) => ({ name: name.trim(), lat, lng }));
+  const car = profile.vehicle || { type: 'Unknown', color: 'Unknown', plate: 'N/A' };
+  const cap = fareCapPerSeat({ ...estimateRoadTrip(places), vehicleType: car.type, seats: availableSeats, tolls });
+  if (cap !== null && pricePerSeat > cap) {
+    throw new HttpsError('invalid-argument', `Fares may only share the cost of the trip, so the most you can charge is $${cap.toFixed(2)} per seat.`);
+  }
+  return {
+    driverId: uid,
+    driverName: profile.name || null,
+    from: places[0].name,
+    to: places[places.length - 1].name,
+    availableSeats,
+    pricePerSeat: roundMoney(pricePerSeat),
+    tolls: roundMoney(tolls),
+    route: places.map(place => place.name),
+    routePlaces: places,
+    car
+  };
+};
+
+// A weekly schedule as PostRide sends it (see src/recurrence.js)
+const requireSchedule = (schedule) => {
+  const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const { daysOfWeek, time, startDate, endDate = null, skipDates = [] } = schedule;
+  if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 || !daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6) ||
+    typeof time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(time) || !isDate(startDate)) {
+    throw new HttpsError('invalid-argument', 'Please choose the days, time and start date for your recurring ride.');
+  }
+  if (endDate !== null && (!isDate(endDate) || endDate < startDate)) throw new HttpsError('invalid-argument', 'The end date must be after the start date.');
+  if (!Array.isArray(skipDates) || !skipDates.every(isDate)) throw new HttpsError('invalid-argument', 'Skipped dates must be valid dates.');
+  return { daysOfWeek: [...new Set(daysOfWeek)].sort(), time, startDate, endDate, skipDates: [...new Set(skipDates)].sort() };
+};
+
+// The caller's name as on their profile, for the documents written on their behalf
+const callerName = async (appId, uid) => {
+  const profileSnap = await profileDocRef(appId, uid).get();
+  return (profileSnap.exists && profileSnap.data().name) || null;
+};
+
+// --- Wallets ---
+const recordLedgerEntry = (transaction, appId, uid, entry, entryId) => {
+  const collection = walletLedgerCollection(appId, uid);
+  transaction.set(entryId ? collection.doc(entryId) : collection.doc(), {
+    counterpartyId: null,
+    counterpartyName: null,
+    rideId: null,
+    requestId: null,
+    ...entry,
+    amount: roundMoney(entry.amount),
+    createdAt: new Date().toISOString()
+  });
+};
+
+const readWallets = async (transaction, appId, uids) => {
+  const wallets = {};
+  for (const uid of uids) {
+    if (!uid || wallets[uid]) continue;
+    const walletSnap = await transaction.get(walletDocRef(appId, uid));
+    wallets[uid] = {
+      balance: walletSnap.exists ? walletSnap.data().balance || 0 : 0,
+      escrowBalance: walletSnap.exists ? walletSnap.data().escrowBalance || 0 : 0
+    };
+  }
+  return wallets;
+};
+
+const writeWallets = (transaction, appId, wallets) => {
+  Object.entries(wallets).forEach(([uid, wallet]) => {
+    transaction.set(walletDocRef(appId, uid), wallet, { merge: true });
+  });
+};
+
+// Writes back the wallets, ledger entries and escrow holds of a settlement (see bookings.js)
+const writeSettlement = (transaction, appId, settlement) => {
+  const now = new Date().toISOString();
+  writeWallets(transaction, appId, settlement.wallets);
+  settlement.entries.forEach(({ uid, entry, entryId }) => recordLedgerEntry(transaction, appId, uid, entry, entryId));
+  Object.entries(settlement.holds).forEach(([requestId, hold]) => {
+    transaction.set(escrowHoldRef(appId, requestId), { ...hold, [hold.status === 'held' ? 'heldAt' : 'closedAt']: now }, { merge: true });
+  });
+};
+
+// The amount held in escrow for a request, or null when nothing is held (see heldAmount)
+const readHeldAmount = async (transaction, appId, requestId, rideRequest, ride) => {
+  const holdSnap = await transaction.get(escrowHoldRef(appId, requestId));
+  return heldAmount(holdSnap.exists ? holdSnap.data() : null, rideRequest, ride);
+};
+
+// --- Notifications (same documents as src/notifications.js) ---
+const queueNotification = (transaction, appId, recipientId, actor, type, details) => {
+  if (!recipientId || recipientId === actor.id) return;
+  transaction.set(notificationsCollection(appId, recipientId).doc(), {
+    type,
+    ...describeNotification(type, details),
+    chat: null,
+    actorId: actor.id,
+    actorName: actor.name,
+    read: false,
+    createdAt: new Date().toISOString()
+  });
+};
+
+// Drops a notice into the ride chat between driver and rider (same documents as
+// queueChatMessage in src/App.js), counted as unread for everyone but the sender
+const postRideChatNotice = (transaction, appId, { rideId, driverId, riderId, senderId, senderName, text }) => {
+  const chatRef = publicCollection(appId, 'messages').doc(`ride-${rideId}-rider-${riderId}`);
+  const participants = [...new Set([driverId, riderId])].sort();
+  const sentAt = FieldValue.serverTimestamp();
+  transaction.set(chatRef.collection('items').doc(), { senderId, senderName, text, sentAt });
+  transaction.set(chatRef, {
+    participants,
+    lastMessage: { senderId, senderName, text, sentAt },
+    unreadCounts: Object.fromEntries(participants.filter(uid => uid !== senderId).map(uid => [uid, FieldValue.increment(1)])),
+    updatedAt: sentAt
+  }, { merge: true });
+};
+
+// Same entries as recordAdminAction in src/App.js
+const recordAdminAction = (transaction, appId, admin, { action, targetType, targetId, reason = null, details = {} }) => {
+  transaction.set(adminAuditLogCollection(appId).doc(), {
+    adminId: admin.id,
+    adminName: admin.name || null,
+    action,
+    targetType,
+    targetId,
+    reason,
+    details,
+    createdAt: new Date().toISOString()
+  });
+};
+
+// --- Dates ---
+// Ride start times are datetime-local strings in the driver's time zone, so the server
+// compares them as 'YYYY-MM-DDTHH:mm' in APP_TIME_ZONE
+const localDateTime = (date) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: APP_TIME_ZONE, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
+
+// --- Functions ---
+
+// A rider asks for seats between two stops of a ride. The fare (the stops' share of the
+// ride's price, for every seat) is worked out here and held in escrow in the same
+// transaction that creates the request, so a request never exists unfunded.
+exports.requestRide = onCall(async (request) => {
+  const { appId, uid } = await requireCaller(request);
+  const rideId = requireId(request.data.rideId, 'rideId');
+  const companions = request.data.companions ?? [];
+  if (!Array.isArray(companions) || companions.some(name => typeof name !== 'string' || name.trim() === '')) {
+    throw new HttpsError('invalid-argument', 'Please enter a name for every passenger.');
+  }
+  if (!isValidSeatCount(1 + companions.length)) {
+    throw new HttpsError('invalid-argument', `A booking can have at most ${MAX_BOOKED_SEATS} passengers.`);
+  }
+  const stops = { boardStop: request.data.boardStop, alightStop: request.data.alightStop };
+  const riderName = await callerName(appId, uid);
+  const rideRef = publicCollection(appId, 'rides').doc(rideId);
+  const requestRef = publicCollection(appId, 'rideRequests').doc();
+
+  return db.runTransaction(async (transaction) => {
+    const rideSnap = await transaction.get(rideRef);
+    if (!rideSnap.exists || rideSnap.data().status !== 'active') return { status: 'notFound' };
+    const ride = rideSnap.data();
+    if (ride.driverId === uid) throw new HttpsError('permission-denied', 'Drivers cannot book their own rides.');
+    if (!isValidStopRange(ride, stops)) throw new HttpsError('invalid-argument', 'Please choose a pickup stop before your dropoff stop.');
+
+    const existing = await transaction.get(publicCollection(appId, 'rideRequests')
+      .where('rideId', '==', rideId).where('riderId', '==', uid).where('status', 'in', ['pending', 'accepted']));
+    if (!existing.empty) return { status: 'alreadyRequested' };
+
+    const seats = 1 + companions.length;
+    const seatsLeft = seatsAvailableBetween(ride, stops);
+    if (seatsLeft < seats) return { status: 'full', seats, seatsLeft };
+
+    const stopNames = rideStops(ride);
+    const pricePerSeat = segmentFarePerSeat(ride, stops);
+    const fare = roundMoney(pricePerSeat * seats);
+    const settlement = createSettlement(await readWallets(transaction, appId, [uid]));
+    const held = holdEscrow(settlement, uid, fare, {
+      counterpartyId: ride.driverId,
+      counterpartyName: ride.driverName,
+      rideId,
+      requestId: requestRef.id
+    });
+    if (!held) return { status: 'insufficientFunds', fare, seats };
+    writeSettlement(transaction, appId, settlement);
+
+    const newRequest = {
+      rideId,
+      riderId: uid,
+      riderName,
+      driverId: ride.driverId,
+      driverName: ride.driverName,
+      from: stopNames[stops.boardStop],
+      to: stopNames[stops.alightStop],
+      boardStop: stops.boardStop,
+      alightStop: stops.alightStop,
+      ...(ride.routePlaces?.length === stopNames.length && {
+        fromPlace: ride.routePlaces[stops.boardStop],
+        toPlace: ride.routePlaces[stops.alightStop]
+      }),
+      rideStartTime: ride.startTime,
+      seats,
+      passengers: [riderName, ...companions.map(name => name.trim())],
+      pricePerSeat,
+      price: fare,
+      status: 'pending',
+      escrowAmount: fare,
+      escrowStatus: 'held',
+      requestedAt: new Date().toISOString()
+    };
+    transaction.set(requestRef, newRequest);
+    queueNotification(transaction, appId, ride.driverId, { id: uid, name: riderName }, 'rideRequested', {
+      riderName,
+      seats,
+      from: newRequest.from,
+      to: newRequest.to
+    });
+    return { status: 'requested', requestId: requestRef.id, fare, seats };
+  });
+});
+
+// The ride's driver accepts a pending request. Its seats are reserved on every segment
+// between the rider's stops in the same transaction, so two concurrent accepts can never
+// push a segment below zero.
+exports.acceptRequest = onCall(async (request) => {
+  const { appId, uid } = await requireCaller(request);
+  const requestId = requireId(request.data.requestId, 'requestId');
+  const requestRef = publicCollection(appId, 'rideRequests').doc(requestId);
+
+  return db.runTransaction(async (transaction) => {
+    const requestSnap = await transaction.get(requestRef);
+    if (!requestSnap.exists || !requestSnap.data().rideId) return { status: 'notFound' };
+    const rideRef = publicCollection(appId, 'rides').doc(requestSnap.data().rideId);
+    const rideSnap = await transaction.get(rideRef);
+    if (!rideSnap.exists) return { status: 'notFound' };
+    if (rideSnap.data().driverId !== uid) throw new HttpsError('permission-denied', 'Only the driver of this ride can accept requests.');
+    if (requestSnap.data().status !== 'pending') return { status: 'notPending' };
+
+    const rideRequest = requestSnap.data();
+    const seats = bookedSeats(rideRequest);
+    const stops = bookingStops(rideRequest, rideSnap.data());
+    const availableSeats = seatsAvailableBetween(rideSnap.data(), stops);
+    if (availableSeats < seats) return { status: 'full', seats, availableSeats };
+
+    transaction.update(rideRef, adjustSegmentSeats(rideSnap.data(), stops, seats));
+    transaction.update(requestRef, { status: 'accepted', acceptedAt: new Date().toISOString() });
+    queueNotification(transaction, appId, rideRequest.riderId, { id: uid, name: rideSnap.data().driverName }, 'requestAccepted', {
+      driverName: rideSnap.data().driverName,
+      from: rideRequest.from,
+      to: rideRequest.to
+    });
+    return { status: 'accepted', seats };
+  });
+});
+
+// The ride's driver completes one accepted request: the request is marked completed (and the
+// ride too once no accepted booking is left on it) and the amount on the request's escrow
+// hold is released to the driver. Nothing is paid if the rider's escrow no longer covers it.
+// Requests made before escrow existed are charged the ride's fare from the rider's balance
+// instead. A request that is already
+// completed is left untouched, so retrying after a network failure never pays twice.
+exports.completeRide = onCall(async (request) => {
+  const { appId, uid } = await requireCaller(request);
+  const requestId = requireId(request.data.requestId, 'requestId');
+  const requestRef = publicCollection(appId, 'rideRequests').doc(requestId);
+
+  return db.runTransaction(async (transaction) => {
+    const requestSnap = await transaction.get(requestRef);
+    if (!requestSnap.exists || !requestSnap.data().rideId) return { status: 'notFound' };
+    const rideId = requestSnap.data().rideId;
+    const rideRef = publicCollection(appId, 'rides').doc(rideId);
+    const rideSnap = await transaction.get(rideRef);
+    if (!rideSnap.exists) return { status: 'notFound' };
+
+    const rideRequest = requestSnap.data();
+    const ride = rideSnap.data();
+    if (ride.driverId !== uid) throw new HttpsError('permission-denied', 'Only the driver of this ride can complete it.');
+    if (rideRequest.status === 'completed') return { status: 'alreadySettled' };
+    if (rideRequest.status !== 'accepted') return { status: 'notAccepted' };
+
+    const held = await readHeldAmount(transaction, appId, requestId, rideRequest, ride);
+    const settlement = createSettlement(await readWallets(transaction, appId, [ride.driverId, rideRequest.riderId]));
+    // The ride stays live, with its trip state and location sharing, until its last booking is dropped off
+    const othersAccepted = (await transaction.get(publicCollection(appId, 'rideRequests')
+      .where('rideId', '==', rideId).where('status', '==', 'accepted'))).docs.some(otherSnap => otherSnap.id !== requestId);
+    const completedAt = new Date().toISOString();
+    const fromEscrow = held !== null;
+    const price = fromEscrow ? held : requestFare(ride, rideRequest);
+    const rider = settlement.wallets[rideRequest.riderId];
+    const paid = payFare(settlement, {
+      request: rideRequest,
+      ride,
+      amount: price,
+      fromEscrow,
+      details: { rideId, requestId }
+    });
+    if (!paid) {
+      return fromEscrow
+        ? { status: 'escrowShort', price, riderEscrow: rider.escrowBalance }
+        : { status: 'insufficientFunds', price, riderBalance: rider.balance };
+    }
+    writeSettlement(transaction, appId, settlement);
+
+    transaction.update(requestRef, {
+      status: 'completed',
+      completedAt,
+      reviewDeadline: reviewDeadlineFrom(completedAt),
+      ...(fromEscrow && { escrowStatus: 'released' })
+    });
+    if (!othersAccepted) transaction.update(rideRef, { status: 'completed' });
+    queueNotification(transaction, appId, rideRequest.riderId, { id: uid, name: ride.driverName }, 'rideCompleted', {
+      driverName: ride.driverName,
+      from: rideRequest.from,
+      to: rideRequest.to,
+      price
+    });
+    return { status: 'settled', price };
+  });
+});
+
+// The ride's driver declines a pending request and the fare held for it goes back to the rider
+exports.rejectRequest = onCall(async (request) => {
+  const { appId, uid } = await requireCaller(request);
+  const requestId = requireId(request.data.requestId, 'requestId');
+  const requestRef = publicCollection(appId, 'rideRequests').doc(requestId);
+
+  return db.runTransaction(async (transaction) => {
+    const requestSnap = await transaction.get(requestRef);
+    if (!requestSnap.exists || !requestSnap.data().rideId) return { status: 'notFound' };
+    const rideSnap = await transaction.get(publicCollection(appId, 'rides').doc(requestSnap.data().rideId));
+    if (!rideSnap.exists) return { status: 'notFound' };
+    if (rideSnap.data().driverId !== uid) throw new HttpsError('permission-denied', 'Only the driver of this ride can reject requests.');
+    const rideRequest = requestSnap.data();
+    if (rideRequest.status !== 'pending') return { status: 'notPending' };
+
+    const held = await readHeldAmount(transaction, appId, requestId, rideRequest, rideSnap.data());
+    const settlement = createSettlement(await readWallets(transaction, appId, [rideRequest.riderId]));
+    if (held !== null) {
+      const refunded = refundEscrow(settlement, rideRequest.riderId, held, {
+        counterpartyId: uid,
+        counterpartyName: rideSnap.data().driverName,
+        rideId: rideRequest.rideId,
+        requestId
+      });
+      if (!refunded) return { status: 'escrowShort' };
+      closeHold(settlement, requestId, 'refunded');
+      writeSettlement(transaction, appId, settlement);
+    }
+    transaction.update(requestRef, { status: 'rejected', ...(held !== null && { escrowStatus: 'refunded' }) });
+    queueNotification(transaction, appId, rideRequest.riderId, { id: uid, name: rideSnap.data().driverName }, 'requestRejected', {
+      driverName: rideSnap.data().driverName,
+      from: rideRequest.from,
+      to: rideRequest.to
+    });
+    return { status: 'rejected', refund: held ?? 0 };
+  });
+});
+
+// A rider accepts a driver's offer on their searching request. The driver already agreed by
+// offering, so the fare is held, the seats reserved for the whole route and the request
+// accepted together. The fare is the ride's current price, whatever the offer said.
+exports.acceptOffer = onCall(async (request) => {
+  const { appId, uid } = await requireCaller(request);
+  const requestId = requireId(request.data.requestId, 'requestId');
+  const rideId = requireId(request.data.rideId, 'rideId');
+  const requestRef = publicCollection(appId, 'rideRequests').doc(requestId);
+  const rideRef = publicCollection(appId, 'rides').doc(rideId);
+
+  return db.runTransaction(async (transaction) => {
+    const requestSnap = await transaction.get(requestRef);
+    const rideSnap = await transaction.get(rideRef);
+    if (!requestSnap.exists) return { status: 'notSearching' };
+    const rideRequest = requestSnap.data();
+    if (rideRequest.riderId !== uid) throw new HttpsError('permission-denied', 'Only the rider can accept offers on this request.');
+    if (rideRequest.status !== 'searching') return { status: 'notSearching' };
+
+    const offers = rideRequest.offers || [];
+    const ride = rideSnap.exists ? rideSnap.data() : null;
+    const seats = bookedSeats(rideRequest);
+    if (!isValidSeatCount(seats)) throw new HttpsError('failed-precondition', `A booking must be for 1 to ${MAX_BOOKED_SEATS} seats.`);
+    const offered = ride && offers.some(offer => offer.rideId === rideId && offer.driverId === ride.driverId);
+    if (!offered || ride.status !== 'active' || seatsAvailableBetween(ride, wholeRoute(ride)) < seats) {
+      // Drop the stale offer so it is not shown again
+      transaction.update(requestRef, { offers: offers.filter(offer => offer.rideId !== rideId) });
+      return { status: 'unavailable' };
+    }
+
+    const fare = roundMoney(ride.pricePerSeat * seats);
+    const settlement = createSettlement(await readWallets(transaction, appId, [uid]));
+    const held = holdEscrow(settlement, uid, fare, {
+      counterpartyId: ride.driverId,
+      counterpartyName: ride.driverName,
+      rideId,
+      requestId
+    });
+    if (!held) return { status: 'insufficientFunds', fare };
+    writeSettlement(transaction, appId, settlement);
+
+    const now = new Date().toISOString();
+    transaction.update(rideRef, adjustSegmentSeats(ride, wholeRoute(ride), seats));
+    transaction.update(requestRef, {
+      rideId,
+      driverId: ride.driverId,
+      driverName: ride.driverName,
+      rideStartTime: ride.startTime,
+      pricePerSeat: ride.pricePerSeat,
+      price: fare,
+      escrowAmount: fare,
+      escrowStatus: 'held',
+      offers: [],
+      status: 'accepted',
+      requestedAt: now,
+      acceptedAt: now
+    });
+    return { status: 'accepted', fare };
+  });
+});
+
+// Cancels bookings under the cancellation policy and settles each one in a single
+// transaction. A rider cancels their own request (requestId); a driver one booking on their
+// ride (requestId) or, with cancelRide, the whole ride (rideId) and every open booking on it.
+// Admins cancel a whole ride with everyone refunded in full, recorded in the audit log.
+exports.cancelBookings = onCall(async (request) => {
+  const { appId, uid, isAdmin } = await requireCaller(request);
+  const { cancelledBy, cancelRide = false } = request.data;
+  if (!['rider', 'driver', 'admin'].includes(cancelledBy)) throw new HttpsError('invalid-argument', 'cancelledBy must be rider, driver or admin.');
+  if (cancelledBy === 'admin' && !isAdmin) throw new HttpsError('permission-denied', 'Only admins can cancel as support.');
+  if (cancelRide && cancelledBy === 'rider') throw new HttpsError('permission-denied', 'Only the driver can cancel a ride.');
+  const reason = requireText(request.data.reason, 'Please give a reason for cancelling.');
+  const requestsCollection = publicCollection(appId, 'rideRequests');
+  const name = await callerName(appId, uid);
+
+  return db.runTransaction(async (transaction) => {
+    let rideId;
+    let requestSnaps;
+    if (cancelRide) {
+      rideId = requireId(request.data.rideId, 'rideId');
+    } else {
+      const requestSnap = await transaction.get(requestsCollection.doc(requireId(request.data.requestId, 'requestId')));
+      if (!requestSnap.exists) return { status: 'notCancellable' };
+      rideId = requestSnap.data().rideId || null;
+      requestSnaps = [requestSnap];
+    }
+    const rideRef = rideId ? publicCollection(appId, 'rides').doc(rideId) : null;
+    const rideSnap = rideRef ? await transaction.get(rideRef) : null;
+    const ride = rideSnap && rideSnap.exists ? rideSnap.data() : null;
+    if (cancelRide) {
+      if (!ride || ride.status !== 'active') return { status: 'notCancellable' };
+      requestSnaps = (await transaction.get(requestsCollection.where('rideId', '==', rideId).where('status', 'in', ['pending', 'accepted']))).docs;
+    }
+
+    const cancellable = requestSnaps.filter(snap => ['searching', 'pending', 'accepted'].includes(snap.data().status));
+    if (cancelledBy === 'rider' && cancellable.some(snap => snap.data().riderId !== uid)) {
+      throw new HttpsError('permission-denied', 'Riders can only cancel their own requests.');
+    }
+    if (cancelledBy === 'driver' && ride?.driverId !== uid) {
+      throw new HttpsError('permission-denied', 'Only the driver of this ride can cancel its bookings.');
+    }
+    if (!cancelRide && cancellable.length === 0) return { status: 'notCancellable' };
+
+    const held = [];
+    for (const snap of cancellable) {
+      held.push(await readHeldAmount(transaction, appId, snap.id, snap.data(), ride));
+    }
+    const settlement = createSettlement(await readWallets(transaction, appId, [
+      ride?.driverId,
+      ...cancellable.flatMap(snap => [snap.data().riderId, snap.data().driverId])
+    ]));
+    const cancelledAt = new Date().toISOString();
+    const actor = { id: uid, name };
+    const cancelledByName = cancelledBy === 'admin' ? 'Support' : name;
+
+    const results = cancellable.map((snap, index) => {
+      const rideRequest = snap.data();
+      const settled = settleCancellation(settlement, {
+        requestId: snap.id,
+        request: rideRequest,
+        ride: ride || { driverId: rideRequest.driverId, driverName: rideRequest.driverName },
+        held: held[index],
+        cancelledBy,
+        reason,
+        cancelledAt,
+        policy: CANCELLATION_POLICY,
+        timeZone: APP_TIME_ZONE
+      });
+      // Throwing abandons the transaction, so no booking is cancelled
+      if (!settled) throw new HttpsError('failed-precondition', 'The fare held for this booking is no longer in escrow. Please contact support.');
+      const { update, result } = settled;
+      transaction.update(snap.ref, update);
+
+      const notice = { from: rideRequest.from, to: rideRequest.to, cancelledByName, reason };
+      if (cancelledBy !== 'rider') {
+        queueNotification(transaction, appId, rideRequest.riderId, actor, 'rideCancelled', { ...notice, view: 'myRequests' });
+      }
+      if (cancelledBy !== 'driver' && rideRequest.driverId) {
+        queueNotification(transaction, appId, rideRequest.driverId, actor, 'rideCancelled', { ...notice, view: 'myRides' });
+      }
+      if (ride && result.wasAccepted) {
+        const text = cancelledBy === 'rider'
+          ? `${rideRequest.riderName} cancelled their booking: "${reason}".`
+          : `${cancelRide ? 'This ride' : 'Your booking'} was cancelled by ${cancelledBy === 'admin' ? 'support' : 'the driver'}: "${reason}". Your fare of $${result.refund.toFixed(2)} has been refunded${result.penaltyCharged > 0 ? ` plus $${result.penaltyCharged.toFixed(2)} compensation` : ''}.`;
+        postRideChatNotice(transaction, appId, {
+          rideId,
+          driverId: ride.driverId,
+          riderId: rideRequest.riderId,
+          senderId: uid,
+          senderName: name,
+          text
+        });
+      }
+      return result;
+    });
+    writeSettlement(transaction, appId, settlement);
+
+    if (ride) {
+      transaction.update(rideRef, {
+        // Each accepted booking frees its seats between its own stops
+        ...(cancelRide
+          ? { status: 'cancelled', cancelledBy, cancellationReason: reason, cancelledAt }
+          : releaseSeats(ride, cancellable.map(snap => snap.data()))),
+        ...(results.length > 0 && {
+          cancellations: FieldValue.arrayUnion(...results.map(result => ({
+            requestId: result.requestId,
+            riderId: result.riderId,
+            cancelledBy,
+            reason,
+            cancelledAt,
+            refund: result.refund,
+            penalty: result.penaltyCharged
+          })))
+        })
+      });
+    }
+    if (cancelledBy === 'admin') {
+      recordAdminAction(transaction, appId, actor, {
+        action: 'forceCancelRide',
+        targetType: 'ride',
+        targetId: rideId,
+        reason,
+        details: { requestIds: results.map(result => result.requestId), refunded: roundMoney(results.reduce((total, result) => total + result.refund, 0)) }
+      });
+    }
+    return { status: 'cancelled', results };
+  });
+});
+
+// --- Weekly rides ---
+// A ride series (public/data/rideSeries/{seriesId}) holds a weekly schedule and the ride
+// details shared by every occurrence. Only postRideSeries creates one. Occurrences are ordinary rides, created
+// SERIES_HORIZON_DAYS ahead. Riders with a standing weekly seat (approved entries in
+// standingRiders) are booked onto each new occurrence as it is created, with its fare held.
+
+// The schedule's dates within the horizon whose departure is still ahead
+const upcomingOccurrenceDates = (schedule) => {
+  const now = localDateTime(new Date());
+  const today = now.slice(0, 10);
+  return occurrenceDates(schedule, { from: today, until: addDays(today, SERIES_HORIZON_DAYS) })
+    .filter(date => occurrenceStartTime(schedule, date) > now);
+};
+
+// The ride document for one occurrence, before any standing rider is booked onto it
+const occurrenceRide = (seriesId, series, date, createdAt) => ({
+  ...series.rideTemplate,
+  seriesId,
+  occurrenceDate: date,
+  startTime: occurrenceStartTime(series.schedule, date),
+  createdAt,
+  status: 'active'
+});
+
+// Creates the series' missing occurrences up to the horizon. Each date is checked inside its
+// own transaction, so two runs at once cannot create an occurrence twice. Returns how many
+// rides were created.
+const generateSeriesRides = async (appId, seriesId) => {
+  const seriesRef = publicCollection(appId, 'rideSeries').doc(seriesId);
+  const seriesSnap = await seriesRef.get();
+  if (!seriesSnap.exists || seriesSnap.data().status !== 'active') return 0;
+
+  const dates = upcomingOccurrenceDates(seriesSnap.data().schedule);
+
+  let created = 0;
+  for (const date of dates) {
+    const rideId = occurrenceRideId(seriesId, date);
+    const rideRef = publicCollection(appId, 'rides').doc(rideId);
+    const wasCreated = await db.runTransaction(async (transaction) => {
+      const rideSnap = await transaction.get(rideRef);
+      const series = (await transaction.get(seriesRef)).data();
+      if (rideSnap.exists || series.status !== 'active' || (series.schedule.skipDates || []).includes(date)) return false;
+
+      const standingRiders = (series.standingRiders || []).filter(isBookableStandingRider);
+      const settlement = createSettlement(await readWallets(transaction, appId, standingRiders.map(rider => rider.riderId)));
+      const createdAt = new Date().toISOString();
+      const ride = occurrenceRide(seriesId, series, date, createdAt);
+      // Standing riders fill seats in the order they were approved
+      for (const rider of standingRiders) {
+        const booking = bookStandingSeat(settlement, { rideId, ride, rider, now: createdAt });
+        if (booking) {
+          Object.assign(ride, booking.seats);
+          transaction.set(publicCollection(appId, 'rideRequests').doc(booking.id), booking.request);
+        }
+      }
+      writeSettlement(transaction, appId, settlement);
+      transaction.set(rideRef, ride);
+      return true;
+    });
+    if (wasCreated) created += 1;
+  }
+  return created;
+};
+
+// Once a day, every active series gets the occurrences that have come within the horizon
+exports.extendRideSeries = onSchedule('every 24 hours', async () => {
+  const active = await db.collectionGroup('rideSeries').where('status', '==', 'active').get();
+  for (const seriesSnap of active.docs) {
+    // artifacts/{appId}/public/data/rideSeries/{seriesId}
+    const appId = seriesSnap.ref.path.split('/')[1];
+    try {
+      await generateSeriesRides(appId, seriesSnap.id);
+    } catch (error) {
+      console.error(`Error extending ride series ${seriesSnap.ref.path}:`, error);
+    }
+  }
+});
+
+// A verified driver posts a single ride, starting at a datetime-local time in APP_TIME_ZONE
+exports.postRide = onCall(async (request) => {
+  const { appId, uid } = await requireCaller(request);
+  const ride = await requireRideDetails(appId, uid, request.data.ride || {});
+  const { startTime } = request.data.ride;
+  if (typeof startTime !== 'string' || !/^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d$/.test(startTime)) {
+    throw new HttpsError('invalid-argument', 'Please choose when the ride starts.');
+  }
+  const rideRef = publicCollection(appId, 'rides').doc();
+  await rideRef.set({ ...ride, startTime, createdAt: new Date().toISOString(), status: 'active' });
+  return { status: 'posted', rideId: rideRef.id };
+});
+
+// A verified driver posts a weekly series. The series and its occurrences within the horizon
+// are written in one batch, so a failed post leaves nothing behind to retry into a duplicate.
+// A new series has no standing riders, so its first occurrences are plain rides.
+exports.postRideSeries = onCall(async (request) => {
+  const { appId, uid } = await requireCaller(request);
+  const rideTemplate = await requireRideDetails(appId, uid, request.data.ride || {});
+  const schedule = requireSchedule(request.data.schedule || {});
+  const seriesRef = publicCollection(appId, 'rideSeries').doc();
+  const createdAt = new Date().toISOString();
+  const series = {
+    driverId: uid,
+    driverName: rideTemplate.driverName,
+    rideTemplate,
+    schedule,
+    standingRiders: [],
+    standingRiderIds: [],
+    status: 'active',
+    createdAt
+  };
+
+  const dates = upcomingOccurrenceDates(schedule);
+  const batch = db.batch();
+  batch.set(seriesRef, series);
+  for (const date of dates) {
+    batch.set(publicCollection(appId, 'rides').doc(occurrenceRideId(seriesRef.id, date)), occurrenceRide(seriesRef.id, series, date, createdAt));
+  }
+  await batch.commit();
+  return { status: 'posted', seriesId: seriesRef.id, created: dates.length };
+});
+
+// The series' driver approves a rider's weekly seat. The rider is booked onto every upcoming
+// occurrence that still has a seat and that they have not booked already; occurrences
+// created later pick them up automatically.
+exports.approveStandingRider = onCall(async (request) => {
+  const { appId, uid } = await requireCaller(request);
+  const seriesId = requireId(request.data.seriesId, 'seriesId');
+  const riderId = requireId(request.data.riderId, 'riderId');
+  const seriesRef = publicCollection(appId, 'rideSeries').doc(seriesId);
+
+  return db.runTransaction(async (transaction) => {
+    const seriesSnap = await transaction.get(seriesRef);
+    if (!seriesSnap.exists) return { status: 'notFound' };
+    if (seriesSnap.data().driverId !== uid) throw new HttpsError('permission-denied', 'Only the driver of this ride can approve weekly seats.');
+    const standingRiders = seriesSnap.data().standingRiders || [];
+    const requested = standingRiders.find(entry => entry.riderId === riderId && entry.requestedBy === riderId);
+    if (!requested) return { status: 'notFound' };
+
+    const upcoming = (await transaction.get(publicCollection(appId, 'rides').where('seriesId', '==', seriesId).where('status', '==', 'active'))).docs
+      .filter(rideSnap => rideSnap.data().startTime > localDateTime(new Date()));
+    const booked = new Set((await transaction.get(publicCollection(appId, 'rideRequests')
+      .where('riderId', '==', riderId).where('status', 'in', ['pending', 'accepted']))).docs.map(requestSnap => requestSnap.data().rideId));
+    // A standing booking the rider cancelled keeps its id, so that occurrence is not rebooked
+    const standingRefs = upcoming.map(rideSnap => publicCollection(appId, 'rideRequests').doc(standingRequestId(rideSnap.id, riderId)));
+    const standingSnaps = standingRefs.length > 0 ? await transaction.getAll(...standingRefs) : [];
+    const settlement = createSettlement(await readWallets(transaction, appId, [riderId]));
+    const now = new Date().toISOString();
+    const rider = { ...requested, status: 'approved', approvedAt: now };
+
+    transaction.update(seriesRef, {
+      standingRiders: standingRiders.map(entry => (entry.riderId === riderId ? rider : entry))
+    });
+    let bookedCount = 0;
+    let unfunded = 0;
+    for (const [index, rideSnap] of upcoming.entries()) {
+      const ride = rideSnap.data();
+      if (booked.has(rideSnap.id) || standingSnaps[index].exists || seatsAvailableBetween(ride, wholeRoute(ride)) <= 0) continue;
+      const booking = bookStandingSeat(settlement, { rideId: rideSnap.id, ride, rider, now });
+      if (!booking) {
+        unfunded += 1;
+        continue;
+      }
+      transaction.update(rideSnap.ref, booking.seats);
+      transaction.set(publicCollection(appId, 'rideRequests').doc(booking.id), booking.request);
+      bookedCount += 1;
+    }
+    writeSettlement(transaction, appId, settlement);
+    return { status: 'approved', booked: bookedCount, unfunded };
+  });
+});
+
+// A rider asks for a standing seat on an active series. Nothing is charged until the driver
+// approves it. Only the rider can ask, so nobody is booked onto a series they did not choose.
+exports.requestStandingSeat = onCall(async (request) => {
+  const { appId, uid } = await requireCaller(request);
+  const seriesId = requireId(request.data.seriesId, 'seriesId');
+  const seriesRef = publicCollection(appId, 'rideSeries').doc(seriesId);
+  const riderName = await callerName(appId, uid);
+
+  return db.runTransaction(async (transaction) => {
+    const seriesSnap = await transaction.get(seriesRef);
+    if (!seriesSnap.exists || seriesSnap.data().status !== 'active') return { status: 'ended' };
+    const { driverId, standingRiders = [], standingRiderIds = [] } = seriesSnap.data();
+    if (driverId === uid) throw new HttpsError('permission-denied', 'Drivers cannot book their own rides.');
+    if (standingRiderIds.includes(uid)) return { status: 'alreadyRequested' };
+    transaction.update(seriesRef, {
+      standingRiders: [...standingRiders, { riderId: uid, riderName, requestedBy: uid, status: 'pending', requestedAt: new Date().toISOString() }],
+      standingRiderIds: [...standingRiderIds, uid]
+    });
+    return { status: 'requested' };
+  });
+});
+
+// Drops a standing seat: the driver declining or removing it, or the rider leaving.
+// Occurrences they are already booked on are kept and can be cancelled one by one.
+exports.removeStandingRider = onCall(async (request) => {
+  const { appId, uid } = await requireCaller(request);
+  const seriesId = requireId(request.data.seriesId, 'seriesId');
+  const riderId = requireId(request.data.riderId, 'riderId');
+  const seriesRef = publicCollection(appId, 'rideSeries').doc(seriesId);
+
+  return db.runTransaction(async (transaction) => {
+    const seriesSnap = await transaction.get(seriesRef);
+    if (!seriesSnap.exists) return { status: 'notFound' };
+    const { driverId, standingRiders = [], standingRiderIds = [] } = seriesSnap.data();
+    if (uid !== riderId && uid !== driverId) throw new HttpsError('permission-denied', 'Only the rider or the driver can remove a weekly seat.');
+    transaction.update(seriesRef, {
+      standingRiders: standingRiders.filter(entry => entry.riderId !== riderId),
+      standingRiderIds: standingRiderIds.filter(id => id !== riderId)
+    });
+    return { status: 'removed' };
+  });
+});
+
+// Tops up the caller's own wallet. A real deployment would confirm the charge with a
+// payment provider here before crediting the balance.
+exports.addFunds = onCall(async (request) => {
+  const { appId, uid } = await requireCaller(request);
+  const amount = roundMoney(Number(request.data.amount));
+  if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_DEPOSIT) {
+    throw new HttpsError('invalid-argument', `Deposits must be between $0.01 and $${MAX_DEPOSIT}.`);
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const wallets = await readWallets(transaction, appId, [uid]);
+    wallets[uid].balance = roundMoney(wallets[uid].balance + amount);
+    recordLedgerEntry(transaction, appId, uid, { type: 'deposit', amount, balanceAfter: wallets[uid].balance });
+    writeWallets(transaction, appId, wallets);
+    return { status: 'deposited', amount, balance: wallets[uid].balance };
+  });
+});
+
+// Withdraws from the caller's available balance; money held in escrow stays there
+exports.withdrawFunds = onCall(async (request) => {
+  const { appId, uid } = await requireCaller(request);
+  const amount = roundMoney(Number(request.data.amount));
+  if (!Number.isFinite(amount) || amount <= 0) throw new HttpsError('invalid-argument', 'Please enter a valid amount.');
+
+  return db.runTransaction(async (transaction) => {
+    const wallets = await readWallets(transaction, appId, [uid]);
+    if (wallets[uid].balance < amount) return { status: 'insufficientFunds', balance: wallets[uid].balance };
+    wallets[uid].balance = roundMoney(wallets[uid].balance - amount);
+    recordLedgerEntry(transaction, appId, uid, { type: 'withdrawal', amount: -amount, balanceAfter: wallets[uid].balance });
+    writeWallets(transaction, appId, wallets);
+    return { status: 'withdrawn', amount, balance: wallets[uid].balance };
+  });
+});
+
+// An admin credits (positive) or debits (negative) a wallet outside any ride, with a ledger
+// entry carrying the reason and an entry in the audit log. Debits may not take the balance
+// below zero.
+exports.adjustWallet = onCall(async (request) => {
+  const { appId, uid, isAdmin } = await requireCaller(request);
+  if (!isAdmin) throw new HttpsError('permission-denied', 'Only admins can adjust wallets.');
+  const targetId = requireId(request.data.uid, 'uid');
+  const amount = roundMoney(Number(request.data.amount));
+  if (!Number.isFinite(amount) || amount === 0) throw new HttpsError('invalid-argument', 'Please enter a non-zero amount.');
+  const reason = requireText(request.data.reason, 'Please give a reason. It is recorded in the audit log.');
+  const admin = { id: uid, name: await callerName(appId, uid) };
+  const targetName = (await profileDocRef(appId, targetId).get()).data()?.name || null;
+
+  return db.runTransaction(async (transaction) => {
+    const wallets = await readWallets(transaction, appId, [targetId]);
+    const wallet = wallets[targetId];
+    if (wallet.balance + amount < 0) return { status: 'insufficientFunds', balance: wallet.balance };
+    wallet.balance = roundMoney(wallet.balance + amount);
+    recordLedgerEntry(transaction, appId, targetId, { type: 'adjustment', amount, balanceAfter: wallet.balance, reason, adminId: uid });
+    writeWallets(transaction, appId, wallets);
+    recordAdminAction(transaction, appId, admin, {
+      action: 'walletAdjustment',
+      targetType: 'user',
+      targetId,
+      reason,
+      details: { name: targetName, amount, balanceAfter: wallet.balance }
+    });
+    return { status: 'adjusted', balance: wallet.balance };
+  });
+});
+
+// --- Reviews ---
+// Blind two-sided reviews (see src/ratings.js). Reviews and rating summaries are written only
+// here, so every review comes from a participant in the completed request it rates and a
+// summary only ever counts revealed reviews.
+
+// One side rates the other on a completed request before the review deadline. The second
+// review reveals both and adds each to the other party's rating summary.
+exports.submitReview = onCall(async (request) => {
+  const { appId, uid } = await requireCaller(request);
+  const requestId = requireId(request.data.requestId, 'requestId');
+  const { role, rating } = request.data;
+  if (!['rider', 'driver'].includes(role)) throw new HttpsError('invalid-argument', 'role must be rider or driver.');
+  if (!isValidRating(rating)) throw new HttpsError('invalid-argument', 'Please choose between 1 and 5 stars.');
+  const comment = typeof request.data.comment === 'string' ? request.data.comment.trim() : '';
+  const raterName = await callerName(appId, uid);
+  const ownRef = publicCollection(appId, 'reviews').doc(reviewId(requestId, role));
+  const otherRef = publicCollection(appId, 'reviews').doc(reviewId(requestId, otherRole(role)));
+
+  return db.runTransaction(async (transaction) => {
+    const requestSnap = await transaction.get(publicCollection(appId, 'rideRequests').doc(requestId));
+    const ownSnap = await transaction.get(ownRef);
+    const otherSnap = await transaction.get(otherRef);
+    if (!requestSnap.exists || requestSnap.data().status !== 'completed') return { status: 'notCompleted' };
+
+    const completed = requestSnap.data();
+    const raterId = role === 'rider' ? completed.riderId : completed.driverId;
+    const rateeId = role === 'rider' ? completed.driverId : completed.riderId;
+    if (raterId !== uid) return { status: 'notParticipant' };
+    if (ownSnap.exists) return { status: 'alreadyRated' };
+    const revealAt = completed.reviewDeadline || reviewDeadlineFrom(completed.completedAt);
+    if (new Date(revealAt) <= new Date()) return { status: 'closed' };
+
+    const bothRated = otherSnap.exists;
+    const [raterSummarySnap, rateeSummarySnap] = bothRated
+      ? await transaction.getAll(ratingSummaryRef(appId, raterId), ratingSummaryRef(appId, rateeId))
+      : [];
+    const now = new Date().toISOString();
+
+    transaction.set(ownRef, {
+      requestId,
+      rideId: completed.rideId,
+      raterRole: role,
+      raterId,
+      raterName,
+      rateeId,
+      rateeName: role === 'rider' ? completed.driverName : completed.riderName,
+      rating,
+      comment,
+      createdAt: now,
+      revealAt,
+      revealed: bothRated,
+      ...(bothRated && { revealedAt: now })
+    });
+    if (bothRated) {
+      transaction.update(otherRef, { revealed: true, revealedAt: now });
+      transaction.set(raterSummarySnap.ref, addToSummary(raterSummarySnap.data(), otherSnap.data().rating));
+      transaction.set(rateeSummarySnap.ref, addToSummary(rateeSummarySnap.data(), rating));
+    }
+    return { status: bothRated ? 'revealed' : 'hidden' };
+  });
+});
+
+// Reveals one-sided reviews whose deadline has passed and counts each in the summary of the
+// user it is about
+exports.revealOverdueReviews = onSchedule('every 60 minutes', async () => {
+  const now = new Date().toISOString();
+  const due = await db.collectionGroup('reviews')
+    .where('revealed', '==', false)
+    .where('revealAt', '<=', now)
+    .get();
+
+  for (const dueSnap of due.docs) {
+    // artifacts/{appId}/public/data/reviews/{reviewId}
+    const appId = dueSnap.ref.path.split('/')[1];
+    await db.runTransaction(async (transaction) => {
+      const reviewSnap = await transaction.get(dueSnap.ref);
+      if (!reviewSnap.exists || !isRevealDue(reviewSnap.data(), new Date(now))) return;
+      const review = reviewSnap.data();
+      const summarySnap = await transaction.get(ratingSummaryRef(appId, review.rateeId));
+      transaction.update(reviewSnap.ref, { revealed: true, revealedAt: now });
+      transaction.set(summarySnap.ref, addToSummary(summarySnap.data(), review.rating));
+    });
+  }
+});
+
+// --- Delivery ---
+
+// What a chat's header shows about the ride or request it is for (same as MessagingView in
+// src/App.js), or null when the chat is about neither
+const chatRideInfo = async (appId, chatId) => {
+  const rideChat = /^ride-(.+)-rider-[^-]+$/.exec(chatId);
+  if (rideChat) {
+    const rideSnap = await publicCollection(appId, 'rides').doc(rideChat[1]).get();
+    return rideSnap.exists ? `Ride: ${rideSnap.data().from} to ${rideSnap.data().to}` : null;
+  }
+  const contactChat = /^initial-contact-driver-(.+)-rider-(.+)$/.exec(chatId);
+  if (contactChat) {
+    const requestSnaps = await publicCollection(appId, 'rideRequests')
+      .where('riderId', '==', contactChat[2])
+      .where('contactInitiatedBy', '==', contactChat[1])
+      .limit(1)
+      .get();
+    return requestSnaps.empty ? null : `Request: ${requestSnaps.docs[0].data().from} to ${requestSnaps.docs[0].data().to}`;
+  }
+  return null;
+};
+
+// A chat message notification comes from the sender's client as a type and ids only (see
+// firestore.rules). Its text is built here from the chat's last message, provided the
+// sender shares the chat with the recipient and wrote that message. Null otherwise.
+const describeMessageNotification = async (appId, uid, notification) => {
+  const chatSnap = await publicCollection(appId, 'messages').doc(notification.chatId).get();
+  const chat = chatSnap.exists ? chatSnap.data() : null;
+  const { actorId } = notification;
+  if (!chat || actorId === uid || !chat.participants?.includes(uid) || !chat.participants.includes(actorId)) return null;
+  if (chat.lastMessage?.senderId !== actorId || typeof chat.lastMessage.text !== 'string') return null;
+
+  const senderName = (await callerName(appId, actorId)) || chat.lastMessage.senderName || 'Someone';
+  return {
+    ...describeNotification('newMessage', { senderName, text: chat.lastMessage.text }),
+    chat: { id: notification.chatId, name: senderName, rideInfo: await chatRideInfo(appId, notification.chatId), partnerId: actorId },
+    actorName: senderName
+  };
+};
+
+// Sends each new notification on the channels its recipient opted into. Chat message
+// notifications get their text first; one that fails the checks is deleted unsent.
+exports.deliverNotification = onDocumentWritten('artifacts/{appId}/users/{uid}/notifications/{notificationId}', async (event) => {
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  let after = event.data.after.exists ? event.data.after.data() : null;
+  if (!isNewNotification(before, after)) return;
+
+  const { appId, uid } = event.params;
+  if (after.title === undefined) {
+    const notificationRef = event.data.after.ref;
+    const described = after.type === 'newMessage' ? await describeMessageNotification(appId, uid, after) : null;
+    // Filling in the text is not news, so the update does not trigger a second delivery. A
+    // newer message may have replaced the notification meanwhile; its own trigger handles it.
+    const filled = await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(notificationRef);
+      if (!current.exists || current.data().createdAt !== after.createdAt) return false;
+      if (described) transaction.update(notificationRef, described);
+      else transaction.delete(notificationRef);
+      return Boolean(described);
+    });
+    if (!filled) return;
+    after = { ...after, ...described };
+  }
+  const profileSnap = await profileDocRef(appId, uid).get();
+  const profile = profileSnap.exists ? profileSnap.data() : {};
+  const channels = deliveryChannels(after, profile);
+
+  if (channels.includes('push')) {
+    const tokenSnaps = await pushTokensCollection(appId, uid).get();
+    const tokens = tokenSnaps.docs.map(tokenSnap => tokenSnap.id);
+    if (tokens.length > 0) {
+      const { invalidTokens } = await transports.push.send({ appId, uid, tokens, title: after.title, body: after.body, link: APP_URL });
+      await Promise.all(invalidTokens.map(token => pushTokensCollection(appId, uid).doc(token).delete()));
+    }
+  }
+  if (channels.includes('email')) {
+    await transports.email.send({
+      appId,
+      uid,
+      to: profile.email,
+      subject: after.title,
+      text: `${after.body}\n\nOpen RideShare: ${APP_URL}\n\nYou can change which emails you get under Notifications on your profile.`
+    });
+  }
+});
+
+// Reminds riders of accepted rides that leave within DEPARTURE_REMINDER_MINUTES. The reminder
+// is an ordinary notification, so deliverNotification sends it out. Each request is
+// reminded once.
+exports.sendDepartureReminders = onSchedule('every 5 minutes', async () => {
+  const now = new Date();
+  const due = await db.collectionGroup('rideRequests')
+    .where('status', '==', 'accepted')
+    .where('rideStartTime', '>=', localDateTime(now))
+    .where('rideStartTime', '<=', localDateTime(new Date(now.getTime() + DEPARTURE_REMINDER_MINUTES * 60000)))
+    .get();
+
+  for (const requestSnap of due.docs) {
+    // artifacts/{appId}/public/data/rideRequests/{requestId}
+    const appId = requestSnap.ref.path.split('/')[1];
+    await db.runTransaction(async (transaction) => {
+      const fresh = await transaction.get(requestSnap.ref);
+      if (!fresh.exists || fresh.data().departureReminderSentAt) return;
+      const rideRequest = fresh.data();
+      transaction.update(requestSnap.ref, { departureReminderSentAt: now.toISOString() });
+      queueNotification(transaction, appId, rideRequest.riderId, { id: rideRequest.driverId, name: rideRequest.driverName }, 'rideDeparting', {
+        driverName: rideRequest.driverName,
+        from: rideRequest.from,
+        to: rideRequest.to,
+        minutes: Math.max(1, Math.round((new Date(rideRequest.rideStartTime) - new Date(localDateTime(now))) / 60000))
+      });
+    });
+  }
+});
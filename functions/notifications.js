@@ -0,0 +1,34 @@
+// The title, body and view of each notification the Cloud Functions write, for the types
+// the app lists in NOTIFICATION_TYPES (src/notifications.js). Tested by
+// src/notifications.test.js.
+
+const PREVIEW_LENGTH = 80;
+const preview = (text) => (text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text);
+const seatText = (seats) => (seats > 1 ? `${seats} seats` : 'a seat');
+
+// Title, body and the view the notification opens, per type
+const describeNotification = (type, details) => {
+  const route = `${details.from} to ${details.to}`;
+  switch (type) {
+    case 'rideRequested':
+      return { title: 'New ride request', body: `${details.riderName} requested ${seatText(details.seats)} on your ride from ${route}.`, view: 'myRides' };
+    case 'requestAccepted':
+      return { title: 'Request accepted', body: `${details.driverName} accepted your request for the ride from ${route}.`, view: 'myRequests' };
+    case 'requestRejected':
+      return { title: 'Request declined', body: `${details.driverName} declined your request for the ride from ${route}. Any fare held for it has been refunded.`, view: 'myRequests' };
+    case 'rideCancelled':
+      return { title: 'Booking cancelled', body: `${details.cancelledByName} cancelled the booking for the ride from ${route}: "${details.reason}".`, view: details.view };
+    case 'rideCompleted':
+      return { title: 'Ride completed', body: `Your ride from ${route} is complete and $${details.price.toFixed(2)} was paid to ${details.driverName}. Don't forget to leave a review.`, view: 'myRequests' };
+    case 'rideDeparting':
+      return { title: 'Ride departing soon', body: `Your ride from ${route} with ${details.driverName} leaves in ${details.minutes} minutes.`, view: 'myRequests' };
+    case 'newMessage':
+      return { title: `New message from ${details.senderName}`, body: preview(details.text), view: 'messages' };
+    default:
+      throw new Error(`Unknown notification type: ${type}`);
+  }
+};
+
+module.exports = {
+  describeNotification
+};
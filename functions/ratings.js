@@ -0,0 +1,35 @@
+// Blind two-sided reviews, as the Cloud Functions record and reveal them (see src/ratings.js
+// for how the app shows them). Tested by src/ratings.test.js.
+
+// Same window, ids and rating scale as src/ratings.js
+const REVIEW_WINDOW_DAYS = 7;
+
+const reviewDeadlineFrom = (completedAt) =>
+  new Date(new Date(completedAt).getTime() + REVIEW_WINDOW_DAYS * 864e5).toISOString();
+
+// One review per side per request, so a second submission finds the first
+const reviewId = (requestId, raterRole) => `${requestId}-${raterRole}`;
+
+const otherRole = (role) => (role === 'rider' ? 'driver' : 'rider');
+
+const isValidRating = (rating) => Number.isInteger(rating) && rating >= 1 && rating <= 5;
+
+// A review that was never revealed but whose deadline passed should now be revealed
+const isRevealDue = (review, now = new Date()) => !review.revealed && new Date(review.revealAt) <= now;
+
+// Running totals per user: { count, total, average }
+const addToSummary = (summary, rating) => {
+  const count = (summary?.count || 0) + 1;
+  const total = (summary?.total || 0) + rating;
+  return { count, total, average: Math.round((total / count) * 10) / 10 };
+};
+
+module.exports = {
+  REVIEW_WINDOW_DAYS,
+  reviewDeadlineFrom,
+  reviewId,
+  otherRole,
+  isValidRating,
+  isRevealDue,
+  addToSummary
+};
@@ -0,0 +1,42 @@
+// The dates and rides of a weekly series, as the Cloud Functions schedule them. A schedule is
+// the one PostRide sends (see src/recurrence.js), and dates are 'YYYY-MM-DD' strings on the
+// app's wall clock. Tested by src/recurrence.test.js.
+
+// Date strings are stepped through as UTC midnights so daylight-saving changes never skip a day
+const parseDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const addDays = (dateString, days) => {
+  const date = parseDate(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Every scheduled date between `from` and `until` (inclusive), minus skipped dates
+const occurrenceDates = (schedule, { from, until }) => {
+  const first = schedule.startDate > from ? schedule.startDate : from;
+  const last = schedule.endDate && schedule.endDate < until ? schedule.endDate : until;
+  const skipDates = new Set(schedule.skipDates || []);
+  const dates = [];
+  for (let date = first; date <= last; date = addDays(date, 1)) {
+    if (schedule.daysOfWeek.includes(parseDate(date).getUTCDay()) && !skipDates.has(date)) {
+      dates.push(date);
+    }
+  }
+  return dates;
+};
+
+const occurrenceStartTime = (schedule, date) => `${date}T${schedule.time}`;
+
+// Occurrences get predictable ids, so generating the same date twice finds the existing ride
+// (same as src/recurrence.js, which the app uses to find them)
+const occurrenceRideId = (seriesId, date) => `${seriesId}_${date}`;
+
+module.exports = {
+  addDays,
+  occurrenceDates,
+  occurrenceStartTime,
+  occurrenceRideId
+};
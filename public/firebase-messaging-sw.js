@@ -0,0 +1,12 @@
+/* global importScripts, firebase */
+// Shows push notifications from the Cloud Functions while RideShare is closed or in the
+// background. src/push.js registers this worker with the app's Firebase config in its URL.
+importScripts('https://www.gstatic.com/firebasejs/10.14.1/firebase-app-compat.js');
+importScripts('https://www.gstatic.com/firebasejs/10.14.1/firebase-messaging-compat.js');
+
+const firebaseConfig = JSON.parse(new URL(self.location.href).searchParams.get('config') || '{}');
+firebase.initializeApp(firebaseConfig);
+
+// Pushes carry a notification payload, which the Messaging SDK displays on its own; clicking
+// one opens the link the function sent (webpush.fcmOptions.link)
+firebase.messaging();
@@ -1,23 +1,323 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   Car, User, MapPin, Clock, DollarSign, MessageCircle, Search,
-  Plus, Wallet, Upload, Check, X, Send, ArrowLeft, Navigation, Users, UserCog, History, Home, Sparkles
+  Plus, Wallet, Upload, Check, X, Send, ArrowLeft, Navigation, Users, UserCog, History, Home, Sparkles, Repeat, Star, ShieldCheck,
+  Flag, Ban, ClipboardList, CheckCheck, Bell, Minus
 } from 'lucide-react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import {
+  getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator,
+  createUserWithEmailAndPassword, signInWithEmailAndPassword, sendPasswordResetEmail,
+  linkWithCredential, EmailAuthProvider
+} from 'firebase/auth';
 import {
   getFirestore, doc, getDoc, addDoc, setDoc, updateDoc, deleteDoc,
-  onSnapshot, collection, query, where, getDocs
+  onSnapshot, collection, collectionGroup, query, where, orderBy, limit, startAfter, getDocs,
+  arrayUnion, arrayRemove, serverTimestamp, increment, getAggregateFromServer, sum, writeBatch, connectFirestoreEmulator
 } from 'firebase/firestore';
+import { getStorage, ref as storageRef, uploadBytes, getDownloadURL, connectStorageEmulator } from 'firebase/storage';
+import { roundMoney } from './money';
+import { DEFAULT_CANCELLATION_POLICY, evaluateCancellation } from './cancellationPolicy';
+import { hasCoordinates, matchTripToRoute } from './geo';
+import { createGeocoder } from './geocoder';
+import {
+  WEEKDAY_LABELS, occurrenceRideId, describeSchedule
+} from './recurrence';
+import { DEFAULT_RIDE_FILTERS, RIDE_SORT_OPTIONS, filterAndSortRides } from './rideSearch';
+import {
+  reviewDeadlineFrom, reviewId, otherRole, isValidRating, isReviewVisible, formatRating
+} from './ratings';
+import { createCloudFunctions } from './cloudFunctions';
+import {
+  CHAT_PAGE_SIZE, TYPING_REFRESH_MS, chatParticipants, normalizeMessage, chatHistory, lastMessagePreview,
+  unreadCount, totalUnread, needsDeliveryReceipt, messageReceipt, typingTimeLeft
+} from './chat';
+import {
+  NOTIFICATION_TYPES, NOTIFICATION_CHANNELS, NOTIFICATION_LIMIT, messageNotificationId,
+  notificationEnabled, channelEnabled, visibleNotifications, unreadNotificationCount
+} from './notifications';
+import { createPushMessaging } from './push';
+import {
+  TRIP_STATE_LABELS, tripState, isTripLive, nextTripState, createLocationSource, startLocationSharing, pickupPlaceOf,
+  estimateEta
+} from './tripTracking';
+import {
+  rideStops, isValidStopRange, seatsAvailableBetween, mostSeatsOnAnySegment, segmentFarePerSeat, suggestStops
+} from './segments';
+import { TILE_SIZE, fitView, placeToScreen, screenToPlace, visibleTiles } from './mapProjection';
+import { createTileProvider, createRouter } from './mapProviders';
+import { createAssistant } from './assistant';
+import { estimateFare, estimateRoadTrip } from './fares';
+import { createAiProvider } from './aiProviders';
+import { DOCUMENT_KINDS, ALLOWED_DOCUMENT_TYPES, requiredDocumentKind, validateDocumentFile, documentStoragePath, isVerified } from './documents';
+
+// Set REACT_APP_USE_EMULATORS=true to run against the local Firebase emulators (see firebase.json)
+const useEmulators = process.env.REACT_APP_USE_EMULATORS === 'true';
 
 // Firebase configuration and app ID are provided by the environment
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+// The emulators accept any API key, so a demo project is enough when none is provided
+const firebaseConfig = typeof __firebase_config !== 'undefined'
+  ? JSON.parse(__firebase_config)
+  : (useEmulators ? { apiKey: 'demo-api-key', projectId: 'demo-carpool', storageBucket: 'demo-carpool.appspot.com' } : {});
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 
 // Initialize Firebase only once
 const app = initializeApp(firebaseConfig);
 const db = getFirestore(app);
 const auth = getAuth(app);
+const storage = getStorage(app);
+
+if (useEmulators) {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectFirestoreEmulator(db, '127.0.0.1', 8080);
+  connectStorageEmulator(storage, '127.0.0.1', 9199);
+}
+
+// Settlement, seat reservations and top-ups run server-side (functions/index.js)
+const cloudFunctions = createCloudFunctions(app, { appId, useEmulator: useEmulators });
+
+// Browser push; REACT_APP_FIREBASE_VAPID_KEY is the web push certificate from the Firebase console
+const pushMessaging = createPushMessaging(app, { firebaseConfig, vapidKey: process.env.REACT_APP_FIREBASE_VAPID_KEY });
+
+// Append-only wallet ledger: artifacts/{appId}/users/{uid}/walletLedger/{entryId}, written
+// by the Cloud Functions along with every wallet change.
+// Amounts are signed (credits positive, debits negative), so the entries sum to the balance.
+const walletLedgerCollection = (uid) => collection(db, 'artifacts', appId, 'users', uid, 'walletLedger');
+
+const LEDGER_ENTRY_LABELS = {
+  deposit: 'Deposit',
+  withdrawal: 'Withdrawal',
+  escrowHold: 'Fare held',
+  escrowRefund: 'Fare refunded',
+  ridePayment: 'Ride payment',
+  rideEarning: 'Ride earning',
+  cancellationFee: 'Cancellation fee',
+  cancellationPenalty: 'Cancellation penalty',
+  cancellationCompensation: 'Cancellation compensation',
+  adjustment: 'Adjustment'
+};
+
+// --- Wallets ---
+// A rider's fare moves from `balance` into `escrowBalance` on the same wallet doc when the
+// request is made, and leaves escrow either to the driver on completion or back to the rider
+// on rejection/cancellation. Those movements, deposits, withdrawals and admin adjustments
+// all run in the Cloud Functions (see functions/bookings.js); clients only read wallets.
+
+// --- Bookings ---
+// A request books `seats` seats: the rider plus any companions, all named in `passengers`
+// (rider first), and its fare covers every seat. Requests from before multi-seat booking
+// carry neither field and hold a single seat.
+const bookedSeats = (request) => request.seats || 1;
+const passengerNames = (request) => request.passengers || [request.riderName];
+
+// --- Cancellations ---
+// The refund/penalty tiers can be overridden with REACT_APP_CANCELLATION_POLICY (JSON in the
+// same shape as DEFAULT_CANCELLATION_POLICY)
+const cancellationPolicy = process.env.REACT_APP_CANCELLATION_POLICY
+  ? JSON.parse(process.env.REACT_APP_CANCELLATION_POLICY)
+  : DEFAULT_CANCELLATION_POLICY;
+
+const previewCancellation = (request, cancelledBy) => evaluateCancellation({
+  cancelledBy,
+  fare: request.escrowAmount ?? request.price ?? 0,
+  departureTime: request.rideStartTime || request.preferredTime,
+  status: request.status,
+  policy: cancellationPolicy
+});
+
+// --- Chats ---
+// artifacts/{appId}/public/data/messages/{chatId} with one document per message in its
+// `items` subcollection (see chat.js)
+const chatDocRef = (chatId) => doc(db, 'artifacts', appId, 'public', 'data', 'messages', chatId);
+const chatItemsCollection = (chatId) => collection(chatDocRef(chatId), 'items');
+const chatTypingRef = (chatId, uid) => doc(chatDocRef(chatId), 'typing', uid);
+
+// Queues a message and the chat's list summary on a write batch or transaction, counting it
+// as unread for everyone but the sender. The chat document is created on the first message.
+const queueChatMessage = (writer, chatId, participants, { senderId, senderName, text }) => {
+  const members = chatParticipants(...participants);
+  writer.set(doc(chatItemsCollection(chatId)), { senderId, senderName, text, sentAt: serverTimestamp() });
+  writer.set(chatDocRef(chatId), {
+    participants: members,
+    lastMessage: { senderId, senderName, text, sentAt: serverTimestamp() },
+    unreadCounts: Object.fromEntries(members.filter(uid => uid !== senderId).map(uid => [uid, increment(1)])),
+    updatedAt: serverTimestamp()
+  }, { merge: true });
+};
+
+// Receipts: the recipient's client marks a chat delivered when it receives a new message,
+// and read (which also clears its unread count) when the chat is opened
+const markChatDelivered = (chatId, uid) =>
+  updateDoc(chatDocRef(chatId), { [`deliveredAt.${uid}`]: serverTimestamp() });
+
+const markChatRead = (chatId, uid) =>
+  updateDoc(chatDocRef(chatId), {
+    [`unreadCounts.${uid}`]: 0,
+    [`deliveredAt.${uid}`]: serverTimestamp(),
+    [`readAt.${uid}`]: serverTimestamp()
+  });
+
+const setTypingStatus = (chatId, uid, typing) =>
+  setDoc(chatTypingRef(chatId, uid), { typing, updatedAt: serverTimestamp() });
+
+// --- Live trips ---
+// artifacts/{appId}/public/data/rides/{rideId}/trip/live holds the driver's latest position
+// while a trip is live, readable only by the driver and the riders booked on the ride
+const liveTripRef = (rideId) => doc(db, 'artifacts', appId, 'public', 'data', 'rides', rideId, 'trip', 'live');
+
+// The driver's button for moving a trip on from each state
+const TRIP_ACTIONS = {
+  scheduled: 'Start Trip',
+  enRoute: 'Riders Picked Up',
+  pickedUp: 'Depart for Destination'
+};
+
+// Where the driver's device reads its position from (see tripTracking.js)
+const locationSource = createLocationSource();
+
+// --- Notifications ---
+const notificationsCollection = (uid) => collection(db, 'artifacts', appId, 'users', uid, 'notifications');
+// One document per browser that accepted push, keyed by its FCM token
+const pushTokenRef = (uid, token) => doc(db, 'artifacts', appId, 'users', uid, 'pushTokens', token);
+
+// Queues the notification for a chat message to its recipient. Only ids are written; the
+// Cloud Functions check the chat and fill in the title and text (see notifications.js).
+const queueMessageNotification = (writer, chatId, recipientId, sender) => {
+  if (!recipientId || recipientId === sender.id) return;
+  writer.set(doc(notificationsCollection(recipientId), messageNotificationId(chatId)), {
+    type: 'newMessage',
+    chatId,
+    actorId: sender.id,
+    read: false,
+    createdAt: new Date().toISOString()
+  });
+};
+
+// --- Recurring rides ---
+// A ride series (artifacts/{appId}/public/data/rideSeries/{seriesId}) holds a weekly schedule
+// and the ride details shared by every occurrence. Occurrences are ordinary ride documents,
+// created SERIES_HORIZON_DAYS ahead so they can be searched, booked and cancelled one by one.
+// Riders with a standing weekly seat (approved entries in standingRiders) are booked onto
+// each new occurrence as it is created, with that occurrence's fare held in escrow. The
+// postRideSeries function creates the series with its first occurrences, and the daily
+// extendRideSeries function adds the rest as they come within the horizon. Standing seats
+// are requested, approved and removed only through the functions; the driver changes
+// nothing on a series but its skipped dates and stopping it.
+const SERIES_HORIZON_DAYS = 14;
+
+const rideSeriesCollection = () => collection(db, 'artifacts', appId, 'public', 'data', 'rideSeries');
+
+// --- Reviews ---
+// artifacts/{appId}/public/data/reviews/{requestId}-{raterRole} holds one side's review of a
+// completed request; ratingSummaries/{uid} holds the running totals of revealed reviews.
+// Both are written only by the Cloud Functions, which record reviews (submitReview) and
+// reveal the overdue ones.
+const reviewsCollection = () => collection(db, 'artifacts', appId, 'public', 'data', 'reviews');
+
+// --- Verification ---
+// Users submit identity documents (see documents.js) for admins to review. Each submission
+// is mirrored into artifacts/{appId}/verificationQueue/{uid} so admins can list pending users
+// without reading every profile; verified users also get a public
+// artifacts/{appId}/public/data/verifiedUsers/{uid} marker for the badge on their rides.
+// Admins are users whose auth token carries the custom claim `admin: true`.
+const profileDocRef = (uid) => doc(db, 'artifacts', appId, 'users', uid, 'userProfile', 'data');
+const verificationQueueCollection = () => collection(db, 'artifacts', appId, 'verificationQueue');
+const verifiedUserRef = (uid) => doc(db, 'artifacts', appId, 'public', 'data', 'verifiedUsers', uid);
+
+const VERIFICATION_STATUS_STYLES = {
+  verified: 'text-green-600',
+  pending: 'text-yellow-600',
+  rejected: 'text-red-600'
+};
+
+// Uploads each chosen file and returns its metadata keyed by document kind
+const uploadVerificationDocuments = async (uid, files) => {
+  const documents = {};
+  for (const [kind, file] of Object.entries(files)) {
+    const path = documentStoragePath(uid, kind, file.name);
+    await uploadBytes(storageRef(storage, path), file, { contentType: file.type });
+    documents[kind] = { path, fileName: file.name, contentType: file.type, size: file.size, uploadedAt: new Date().toISOString() };
+  }
+  return documents;
+};
+
+// Puts the user (back) into the admin queue as pending, together with their profile status
+const submitForVerification = async (uid, { name, userType }, documents) => {
+  const submittedAt = new Date().toISOString();
+  const batch = writeBatch(db);
+  batch.set(profileDocRef(uid), { documents, verificationStatus: 'pending', verificationReason: null, submittedAt }, { merge: true });
+  batch.set(doc(verificationQueueCollection(), uid), { uid, name, userType, documents, status: 'pending', submittedAt, reason: null });
+  await batch.commit();
+};
+
+// --- Admin ---
+// Admins (the `admin: true` claim) moderate across users. Everything they do is written to
+// the append-only artifacts/{appId}/adminAuditLog in the same batch or transaction as the
+// change itself, so the log cannot miss an action that went through. firestore.rules keeps
+// these collections, and other users' profiles, admin-only.
+const adminAuditLogCollection = () => collection(db, 'artifacts', appId, 'adminAuditLog');
+// A suspended user keeps their account but cannot use the app until unsuspended
+const suspendedUserRef = (uid) => doc(db, 'artifacts', appId, 'suspendedUsers', uid);
+// Chats reported by a participant, for admins to review
+const chatFlagsCollection = () => collection(db, 'artifacts', appId, 'chatFlags');
+
+const ADMIN_ACTION_LABELS = {
+  suspendUser: 'Suspended user',
+  unsuspendUser: 'Unsuspended user',
+  approveVerification: 'Approved documents',
+  rejectVerification: 'Rejected documents',
+  forceCancelRide: 'Force-cancelled ride',
+  resolveChatFlag: 'Resolved flagged chat',
+  walletAdjustment: 'Adjusted wallet'
+};
+
+// Queues an audit entry on a write batch or transaction (both have set())
+const recordAdminAction = (writer, admin, { action, targetType, targetId, reason = null, details = {} }) => {
+  writer.set(doc(adminAuditLogCollection()), {
+    adminId: admin.id,
+    adminName: admin.name || null,
+    action,
+    targetType,
+    targetId,
+    reason,
+    details,
+    createdAt: new Date().toISOString()
+  });
+};
+
+// Place lookup for every location field; see geocoder.js for the providers
+const geocoder = createGeocoder();
+
+// Price suggestions and request refinement; see assistant.js and aiProviders.js
+const assistant = createAssistant({ provider: createAiProvider() });
+
+// Map tiles and route paths for every map; see mapProviders.js for the providers
+const tileProvider = createTileProvider();
+const router = createRouter();
+
+// Where a map with nothing on it is centred, and its width until the page lays it out
+const DEFAULT_MAP_VIEW = { center: { lat: 43.6532, lng: -79.3832 }, zoom: 10 };
+const DEFAULT_MAP_WIDTH = 480;
+
+// How far (km) a rider's pickup or dropoff may be from a driver's route and still match
+const MATCH_RADIUS_KM = Number(process.env.REACT_APP_MATCH_RADIUS_KM) || 2;
+
+// Translate Firebase Auth error codes into messages for the modal
+const authErrorMessage = (error) => {
+  switch (error?.code) {
+    case 'auth/invalid-email': return 'Please enter a valid email address.';
+    case 'auth/missing-password': return 'Please enter your password.';
+    case 'auth/weak-password': return 'Password must be at least 6 characters.';
+    case 'auth/email-already-in-use':
+    case 'auth/credential-already-in-use': return 'An account with this email already exists. Please log in instead.';
+    case 'auth/invalid-credential':
+    case 'auth/wrong-password':
+    case 'auth/user-not-found': return 'Incorrect email or password.';
+    case 'auth/too-many-requests': return 'Too many attempts. Please wait a moment and try again.';
+    case 'auth/requires-recent-login': return 'Please sign out and log in again before changing your credentials.';
+    default: return 'Authentication failed. Please try again.';
+  }
+};
 
 const CarpoolApp = () => {
   const [currentUser, setCurrentUser] = useState(null);
@@ -25,13 +325,27 @@ const CarpoolApp = () => {
   const [userType, setUserType] = useState(''); // 'rider' or 'driver'
   const [rides, setRides] = useState([]);
   const [rideRequests, setRideRequests] = useState([]);
+  const [rideSeries, setRideSeries] = useState([]);
+  const [ratingSummaries, setRatingSummaries] = useState({}); // uid -> { average, count, total }
+  const [reviews, setReviews] = useState([]);
   const [wallet, setWallet] = useState({ balance: 0 }); // Default balance
-  const [messages, setMessages] = useState({});
+  const [chats, setChats] = useState({}); // chatId -> chat doc (participants, lastMessage)
   const [activeChat, setActiveChat] = useState(null);
+  const [chatMessages, setChatMessages] = useState({ chatId: null, messages: [], hasOlder: false }); // Loaded messages of the active chat, oldest first
+  const [chatPages, setChatPages] = useState({ chatId: null, count: 1 }); // History pages loaded for a chat
+  const [notifications, setNotifications] = useState([]); // Newest first
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [typingChatId, setTypingChatId] = useState(null); // Open chat whose other participant is typing
+  const typingReportRef = useRef({ chatId: null, at: 0 }); // When this user last reported typing, and where
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [modalMessage, setModalMessage] = useState('');
   const [userId, setUserId] = useState(null);
+  const [isAnonymous, setIsAnonymous] = useState(true); // Guest session until credentials are linked
+  const [isAdmin, setIsAdmin] = useState(false); // From the `admin` custom claim
+  const [verifiedUserIds, setVerifiedUserIds] = useState([]);
+  const [suspension, setSuspension] = useState(null); // This user's suspendedUsers doc, if any
+  const [adminTab, setAdminTab] = useState('users');
 
   const prevUserIdRef = useRef();
 
@@ -41,6 +355,9 @@ const CarpoolApp = () => {
     const unsubscribe = onAuthStateChanged(auth, async (user) => {
       if (user) {
         setUserId(user.uid);
+        setIsAnonymous(user.isAnonymous);
+        const tokenResult = await user.getIdTokenResult();
+        setIsAdmin(tokenResult.claims.admin === true);
         // Fetch user profile if logged in
         // Corrected Firestore path: artifacts/{appId}/users/{userId}/userProfile/data
         const userProfileRef = doc(db, 'artifacts', appId, 'users', user.uid, 'userProfile', 'data');
@@ -51,9 +368,9 @@ const CarpoolApp = () => {
           setUserType(profileData.userType);
           setCurrentView('home'); // Go to home if already logged in
         } else {
-          // If no profile, user is new or just signed in anonymously, go to registration
-          setCurrentUser({ id: user.uid, userType: '' }); // Set ID for new user
-          setCurrentView('register');
+          // If no profile, user is new: guests may still log in, credentialed users finish registration
+          setCurrentUser({ id: user.uid, userType: '', email: user.email || '' }); // Set ID for new user
+          setCurrentView(user.isAnonymous ? 'login' : 'register');
         }
       } else {
         // Not authenticated, try to sign in with custom token or anonymously
@@ -83,9 +400,15 @@ const CarpoolApp = () => {
     if (prevUserIdRef.current !== userId) {
       setRides([]);
       setRideRequests([]);
+      setRideSeries([]);
+      setRatingSummaries({});
+      setReviews([]);
+      setVerifiedUserIds([]);
+      setSuspension(null);
       setWallet({ balance: 0 });
-      setMessages({});
+      setChats({});
       setActiveChat(null);
+      setNotifications([]);
     }
 
     // Listen for public rides
@@ -102,6 +425,46 @@ const CarpoolApp = () => {
       setRideRequests(fetchedRequests);
     }, (error) => console.error("Error fetching ride requests:", error));
 
+    // Keep the signed-in user's profile current, e.g. when an admin verifies them
+    const unsubscribeProfile = onSnapshot(profileDocRef(userId), (docSnap) => {
+      if (docSnap.exists()) setCurrentUser(prev => ({ ...prev, ...docSnap.data(), id: userId }));
+    }, (error) => console.error("Error fetching profile:", error));
+
+    // Listen for a suspension of this account, which locks the app until it is lifted
+    const unsubscribeSuspension = onSnapshot(suspendedUserRef(userId), (docSnap) => {
+      setSuspension(docSnap.exists() ? docSnap.data() : null);
+    }, (error) => console.error("Error fetching suspension:", error));
+
+    // Listen for verified users, for the badge on their rides
+    const verifiedQuery = query(collection(db, 'artifacts', appId, 'public', 'data', 'verifiedUsers'));
+    const unsubscribeVerified = onSnapshot(verifiedQuery, (snapshot) => {
+      setVerifiedUserIds(snapshot.docs.map(doc => doc.id));
+    }, (error) => console.error("Error fetching verified users:", error));
+
+    // Listen for recurring ride schedules
+    const unsubscribeSeries = onSnapshot(query(rideSeriesCollection()), (snapshot) => {
+      setRideSeries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => console.error("Error fetching ride series:", error));
+
+    // Listen for public rating summaries (one doc per rated user)
+    const ratingsQuery = query(collection(db, 'artifacts', appId, 'public', 'data', 'ratingSummaries'));
+    const unsubscribeRatings = onSnapshot(ratingsQuery, (snapshot) => {
+      const summaries = {};
+      snapshot.docs.forEach(doc => { summaries[doc.id] = doc.data(); });
+      setRatingSummaries(summaries);
+    }, (error) => console.error("Error fetching ratings:", error));
+
+    // Listen for this user's reviews: the ones they wrote, and the ones about them once
+    // revealed. The rules keep everyone else's, and hidden reviews about this user, private.
+    const reviewsBySide = { written: [], received: [] };
+    const listenForReviews = (side, reviewsQuery) => onSnapshot(reviewsQuery, (snapshot) => {
+      reviewsBySide[side] = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      setReviews([...reviewsBySide.written, ...reviewsBySide.received]);
+    }, (error) => console.error("Error fetching reviews:", error));
+    const unsubscribeWrittenReviews = listenForReviews('written', query(reviewsCollection(), where('raterId', '==', userId)));
+    const unsubscribeReceivedReviews = listenForReviews('received',
+      query(reviewsCollection(), where('rateeId', '==', userId), where('revealed', '==', true)));
+
     // Listen for user's private wallet
     // Corrected Firestore path: artifacts/{appId}/users/{userId}/walletData/balance
     const walletRef = doc(db, 'artifacts', appId, 'users', userId, 'walletData', 'balance');
@@ -109,52 +472,654 @@ const CarpoolApp = () => {
       if (docSnap.exists()) {
         setWallet(docSnap.data());
       } else {
-        // Initialize wallet if it doesn't exist
-        setDoc(walletRef, { balance: 0 }); // Initialize with a default balance
+        // The first deposit or booking creates the wallet
         setWallet({ balance: 0 });
       }
     }, (error) => console.error("Error fetching wallet:", error));
 
-    // Listen for user's messages
-    const messagesQuery = query(collection(db, 'artifacts', appId, 'public', 'data', 'messages'));
-    const unsubscribeMessages = onSnapshot(messagesQuery, (snapshot) => {
-      const allMessages = {};
+    // Listen for the user's chats. Chats are private (see firestore.rules), so the query must
+    // only ask for the ones this user takes part in. Messages load per chat in MessagingView.
+    const chatsQuery = query(collection(db, 'artifacts', appId, 'public', 'data', 'messages'), where('participants', 'array-contains', userId));
+    const unsubscribeChats = onSnapshot(chatsQuery, (snapshot) => {
+      const userChats = {};
       snapshot.docs.forEach(doc => {
-        const chatData = doc.data();
-        if (chatData.participants && chatData.participants.includes(userId)) {
-          allMessages[doc.id] = chatData.messages || []; // Store messages array
+        userChats[doc.id] = doc.data({ serverTimestamps: 'estimate' });
+        if (needsDeliveryReceipt(userChats[doc.id], userId)) {
+          markChatDelivered(doc.id, userId).catch(error => console.error("Error sending delivery receipt:", error));
         }
       });
-      setMessages(allMessages);
-    }, (error) => console.error("Error fetching messages:", error));
+      setChats(userChats);
+    }, (error) => console.error("Error fetching chats:", error));
+
+    // Listen for the user's latest notifications
+    const notificationsQuery = query(notificationsCollection(userId), orderBy('createdAt', 'desc'), limit(NOTIFICATION_LIMIT));
+    const unsubscribeNotifications = onSnapshot(notificationsQuery, (snapshot) => {
+      setNotifications(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => console.error("Error fetching notifications:", error));
 
     prevUserIdRef.current = userId; // Update ref for next render
 
     return () => {
       unsubscribeRides();
       unsubscribeRequests();
+      unsubscribeSeries();
+      unsubscribeRatings();
+      unsubscribeWrittenReviews();
+      unsubscribeReceivedReviews();
+      unsubscribeProfile();
+      unsubscribeSuspension();
+      unsubscribeVerified();
       unsubscribeWallet();
-      unsubscribeMessages();
+      unsubscribeChats();
+      unsubscribeNotifications();
     };
   }, [userId, loading]); // Re-run when userId or loading state changes
 
-  // Helper function to check route overlap for search/matching
-  const checkRouteOverlap = (route1, route2) => {
-    // Ensure both routes are arrays and not empty
-    if (!Array.isArray(route1) || !Array.isArray(route2) || route1.length === 0 || route2.length === 0) {
-        return false;
+  // Keep the newest pages of the open chat live. Loading older history widens the query by
+  // another page rather than chaining cursors, so new arrivals never leave a gap.
+  const activeChatId = activeChat ? activeChat.id : null;
+  const activeChatPageCount = chatPages.chatId === activeChatId ? chatPages.count : 1;
+  useEffect(() => {
+    if (!activeChatId) return;
+    const pageSize = CHAT_PAGE_SIZE * activeChatPageCount;
+    const latestQuery = query(chatItemsCollection(activeChatId), orderBy('sentAt', 'desc'), limit(pageSize));
+    return onSnapshot(latestQuery, (snapshot) => {
+      setChatMessages({
+        chatId: activeChatId,
+        messages: snapshot.docs.map(docSnap =>
+          normalizeMessage(docSnap.id, docSnap.data({ serverTimestamps: 'estimate' }), docSnap.metadata.hasPendingWrites)
+        ).reverse(),
+        hasOlder: snapshot.size === pageSize
+      });
+    }, (error) => console.error("Error fetching chat messages:", error));
+  }, [activeChatId, activeChatPageCount]);
+
+  // Mark the open chat read whenever messages arrive in it
+  const activeChatUnread = activeChatId ? unreadCount(chats[activeChatId], userId) : 0;
+  useEffect(() => {
+    if (currentView !== 'messages' || !activeChatId || activeChatUnread === 0) return;
+    markChatRead(activeChatId, userId).catch(error => console.error("Error marking chat read:", error));
+  }, [currentView, activeChatId, activeChatUnread, userId]);
+
+  // Follow the other participant's typing status in the open chat. Only a change between
+  // typing and not typing re-renders, and a stale status clears itself.
+  const activeChatPartnerId = activeChat ? activeChat.partnerId : null;
+  useEffect(() => {
+    setTypingChatId(null);
+    if (!activeChatId || !activeChatPartnerId) return;
+    let staleTimer = null;
+    const unsubscribe = onSnapshot(chatTypingRef(activeChatId, activeChatPartnerId), (snapshot) => {
+      clearTimeout(staleTimer);
+      const timeLeft = typingTimeLeft(snapshot.data({ serverTimestamps: 'estimate' }));
+      setTypingChatId(timeLeft > 0 ? activeChatId : null);
+      if (timeLeft > 0) staleTimer = setTimeout(() => setTypingChatId(null), timeLeft);
+    }, (error) => console.error("Error fetching typing status:", error));
+    return () => {
+      clearTimeout(staleTimer);
+      unsubscribe();
+    };
+  }, [activeChatId, activeChatPartnerId]);
+
+  // Share this driver's location while one of their trips is live. This runs whichever
+  // view is open, and stops when the trip is completed or cancelled.
+  const liveTripRide = rides.find(ride => ride.driverId === userId && isTripLive(ride));
+  const liveTripRideId = liveTripRide ? liveTripRide.id : null;
+  useEffect(() => {
+    if (!liveTripRideId) return;
+    let warned = false;
+    return startLocationSharing({
+      source: locationSource,
+      publish: (position) => updateDoc(liveTripRef(liveTripRideId), { location: position, updatedAt: new Date().toISOString() }),
+      onError: (error) => {
+        console.error("Error sharing location:", error);
+        // GeolocationPositionError.PERMISSION_DENIED
+        if (error.code === 1 && !warned) {
+          warned = true;
+          showMessage('Location access is blocked, so your riders cannot see where you are. Allow it in your browser settings.');
+        }
+      }
+    });
+  }, [liveTripRideId]);
+
+  // Route matching: a rider's pickup and dropoff must both lie within MATCH_RADIUS_KM of the
+  // ride's route polyline, pickup first. Rides and requests saved before places were geocoded
+  // only carry stop names, so those fall back to exact (case-insensitive) stop-name matches.
+  // Returns null when neither end is given.
+  const matchRoute = (ride, pickup, dropoff) => {
+    const ends = [pickup, dropoff].filter(Boolean);
+    if (ends.length === 0) return null;
+    if (Array.isArray(ride.routePlaces) && ride.routePlaces.every(hasCoordinates) && ends.every(hasCoordinates)) {
+      return matchTripToRoute(ride.routePlaces, pickup, dropoff, MATCH_RADIUS_KM);
+    }
+
+    const stopNames = (ride.route || []).map(name => name.trim().toLowerCase());
+    const stopIndex = (place) => place ? stopNames.indexOf((place.name || '').trim().toLowerCase()) : null;
+    const pickupIndex = stopIndex(pickup);
+    const dropoffIndex = stopIndex(dropoff);
+    const matches = pickupIndex !== -1 && dropoffIndex !== -1 &&
+      (pickupIndex === null || dropoffIndex === null || pickupIndex < dropoffIndex);
+    return { matches, pickupDistanceKm: null, dropoffDistanceKm: null, score: matches ? 1 : 0 };
+  };
+
+  // Stored requests carry geocoded places next to their names; older ones only have names
+  const placeOf = (storedPlace, name) => storedPlace || (name ? { name } : null);
+
+  // Helper function to rank a driver's ride against a rider's open request
+  // Returns a 0-100 score built from route overlap, departure time and price
+  const MATCH_TIME_WINDOW_HOURS = 2;
+  const scoreRideForRequest = (ride, request) => {
+    const match = matchRoute(ride, placeOf(request.fromPlace, request.from), placeOf(request.toPlace, request.to));
+    if (!match || !match.matches) {
+      return { score: 0, pickupDistanceKm: null, dropoffDistanceKm: null, hoursApart: null, withinBudget: false };
     }
-    // Convert all points to lowercase for case-insensitive comparison
-    const lowerRoute1 = route1.map(point => point.toLowerCase());
-    const lowerRoute2 = route2.map(point => point.toLowerCase());
-
-    return lowerRoute1.some(point1 =>
-        lowerRoute2.some(point2 =>
-            point1.includes(point2) || point2.includes(point1)
-        )
+
+    // Any match earns half the route points; the rest shrink as pickup/dropoff move off the route
+    const routeScore = 0.5 + match.score / 2;
+
+    // Full marks inside the window, fading out over the following window
+    let hoursApart = null;
+    let timeScore = 0;
+    if (request.preferredTime && ride.startTime) {
+      hoursApart = Math.abs(new Date(ride.startTime) - new Date(request.preferredTime)) / 36e5;
+      if (hoursApart <= MATCH_TIME_WINDOW_HOURS) {
+        timeScore = 1;
+      } else if (hoursApart <= MATCH_TIME_WINDOW_HOURS * 2) {
+        timeScore = 1 - (hoursApart - MATCH_TIME_WINDOW_HOURS) / MATCH_TIME_WINDOW_HOURS;
+      }
+    }
+
+    const withinBudget = !request.maxPrice || ride.pricePerSeat <= request.maxPrice;
+    const priceScore = withinBudget ? 1 : 0;
+
+    return {
+      score: Math.round(routeScore * 50 + timeScore * 30 + priceScore * 20),
+      pickupDistanceKm: match.pickupDistanceKm,
+      dropoffDistanceKm: match.dropoffDistanceKm,
+      hoursApart,
+      withinBudget
+    };
+  };
+
+  // Drops a rider's standing weekly seat (driver declining/removing, or the rider leaving).
+  // Occurrences they are already booked on are kept and can be cancelled one by one.
+  const removeStandingRider = (seriesId, riderId) => cloudFunctions.removeStandingRider({ seriesId, riderId });
+
+  // Plain-language summary of what cancelling a booking would cost, for the confirmation form
+  const describeCancellation = (request, cancelledBy) => {
+    const outcome = previewCancellation(request, cancelledBy);
+    if (cancelledBy === 'rider') {
+      return outcome.penalty > 0
+        ? `You will be refunded $${outcome.refund.toFixed(2)}; $${outcome.penalty.toFixed(2)} goes to the driver as a late-cancellation fee.`
+        : `You will be refunded $${outcome.refund.toFixed(2)} in full.`;
+    }
+    return outcome.penalty > 0
+      ? `${request.riderName} is refunded in full and you pay a $${outcome.penalty.toFixed(2)} late-cancellation penalty.`
+      : `${request.riderName} is refunded in full at no cost to you.`;
+  };
+
+  // --- Cancellation Form Component ---
+  const CancellationForm = ({ title, summary, onConfirm, onDismiss }) => {
+    const [reason, setReason] = useState('');
+    return (
+      <div className="mt-3 p-3 border border-red-200 bg-red-50 rounded-lg space-y-2">
+        <p className="font-semibold text-red-700">{title}</p>
+        <p className="text-sm text-gray-700">{summary}</p>
+        <textarea
+          placeholder="Reason for cancelling"
+          className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-red-500"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+        <div className="flex space-x-2">
+          <button
+            onClick={() => reason.trim() ? onConfirm(reason.trim()) : showMessage('Please give a reason for cancelling.')}
+            className="flex-1 bg-red-500 text-white p-2 rounded-lg text-sm font-medium hover:bg-red-600 transition-colors"
+          >
+            Confirm Cancellation
+          </button>
+          <button
+            onClick={onDismiss}
+            className="flex-1 border border-gray-300 text-gray-700 p-2 rounded-lg text-sm font-medium hover:bg-gray-100 transition-colors"
+          >
+            Keep
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  // --- Rating Form Component ---
+  const RatingForm = ({ title, onSubmit, onDismiss }) => {
+    const [rating, setRating] = useState(0);
+    const [comment, setComment] = useState('');
+    return (
+      <div className="mt-3 p-3 border border-yellow-200 bg-yellow-50 rounded-lg space-y-2">
+        <p className="font-semibold text-yellow-800">{title}</p>
+        <div className="flex space-x-1" role="radiogroup" aria-label="Rating">
+          {[1, 2, 3, 4, 5].map(value => (
+            <button key={value} onClick={() => setRating(value)} aria-label={`${value} star${value > 1 ? 's' : ''}`}>
+              <Star className={`w-6 h-6 ${value <= rating ? 'text-yellow-500 fill-yellow-400' : 'text-gray-300'}`} />
+            </button>
+          ))}
+        </div>
+        <textarea
+          placeholder="Comment (optional)"
+          className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-yellow-500"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+        />
+        <div className="flex space-x-2">
+          <button
+            onClick={() => isValidRating(rating) ? onSubmit(rating, comment.trim()) : showMessage('Please choose between 1 and 5 stars.')}
+            className="flex-1 bg-yellow-500 text-white p-2 rounded-lg text-sm font-medium hover:bg-yellow-600 transition-colors"
+          >
+            Submit Rating
+          </button>
+          <button
+            onClick={onDismiss}
+            className="flex-1 border border-gray-300 text-gray-700 p-2 rounded-lg text-sm font-medium hover:bg-gray-100 transition-colors"
+          >
+            Later
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  // --- Review Panel Component ---
+  // Review status for one completed request from one side: rate the other party, see your own
+  // rating, and see theirs once it is revealed
+  const ReviewPanel = ({ request, role, startOpen = false }) => {
+    const [formOpen, setFormOpen] = useState(startOpen);
+    const partnerName = role === 'rider' ? request.driverName : request.riderName;
+    const ownReview = reviews.find(review => review.id === reviewId(request.id, role));
+    const theirReview = reviews.find(review => review.id === reviewId(request.id, otherRole(role)));
+    const deadline = request.reviewDeadline || reviewDeadlineFrom(request.completedAt);
+    const windowOpen = new Date(deadline) > new Date();
+
+    const handleSubmit = async (stars, comment) => {
+      try {
+        const outcome = await cloudFunctions.submitReview({ requestId: request.id, role, rating: stars, comment });
+        setFormOpen(false);
+        switch (outcome.status) {
+          case 'revealed':
+            showMessage(`Thanks for rating ${partnerName}! You can now see each other's ratings.`);
+            break;
+          case 'hidden':
+            showMessage(`Thanks for rating ${partnerName}! They will see it once they rate you or on ${new Date(deadline).toLocaleDateString()}.`);
+            break;
+          case 'alreadyRated':
+            showMessage('You have already rated this ride.');
+            break;
+          case 'closed':
+            showMessage('The rating window for this ride has closed.');
+            break;
+          default:
+            showMessage('Only completed rides can be rated.');
+        }
+      } catch (error) {
+        console.error("Error submitting rating:", error);
+        showMessage('Failed to submit rating.');
+      }
+    };
+
+    return (
+      <div className="mt-2 text-sm text-gray-700 space-y-1">
+        {ownReview ? (
+          <p>
+            You rated {partnerName} {ownReview.rating} ★{ownReview.comment && `: "${ownReview.comment}"`}
+            {!ownReview.revealed && <span className="text-gray-500"> (hidden until they rate you or {new Date(deadline).toLocaleDateString()})</span>}
+          </p>
+        ) : windowOpen ? (
+          formOpen ? (
+            <RatingForm title={`How was your ride with ${partnerName}?`} onSubmit={handleSubmit} onDismiss={() => setFormOpen(false)} />
+          ) : (
+            <button
+              onClick={() => setFormOpen(true)}
+              className="flex items-center text-yellow-700 font-medium hover:text-yellow-800 transition-colors"
+            >
+              <Star className="w-4 h-4 mr-1" /> Rate {partnerName}
+            </button>
+          )
+        ) : (
+          <p className="text-gray-500">The rating window for this ride has closed.</p>
+        )}
+        {theirReview && (
+          isReviewVisible(theirReview, currentUser.id)
+            ? <p>{partnerName} rated you {theirReview.rating} ★{theirReview.comment && `: "${theirReview.comment}"`}</p>
+            : <p className="text-gray-500">{partnerName} has rated you. Rate them to see it.</p>
+        )}
+      </div>
+    );
+  };
+
+  // --- Live Trip Component ---
+  // The rider's view of a live trip: where the driver is and how soon they reach the pickup
+  const LiveTripPanel = ({ ride, request }) => {
+    const [trip, setTrip] = useState(null);
+
+    useEffect(() => {
+      return onSnapshot(liveTripRef(ride.id), (snapshot) => setTrip(snapshot.exists() ? snapshot.data() : null),
+        (error) => console.error("Error fetching live trip:", error));
+    }, [ride.id]);
+
+    const state = tripState(ride);
+    const location = trip?.location;
+    const eta = state === 'enRoute' && location ? estimateEta(location, pickupPlaceOf(request, ride)) : null;
+    return (
+      <div className="mb-3 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+        <p className="font-semibold text-blue-800 flex items-center">
+          <Navigation className="w-4 h-4 mr-1" />
+          {TRIP_STATE_LABELS[state]}
+        </p>
+        {eta && (
+          <p className="text-gray-700">{ride.driverName} is {eta.distanceKm.toFixed(1)} km from your pickup, about {eta.minutes} min away.</p>
+        )}
+        {location ? (
+          <p className="text-gray-600">
+            Driver's position as of {new Date(location.recordedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}:{' '}
+            <a
+              href={`https://www.openstreetmap.org/?mlat=${location.lat}&mlon=${location.lng}#map=16/${location.lat}/${location.lng}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-blue-600 hover:underline"
+            >
+              view on map
+            </a>
+          </p>
+        ) : (
+          <p className="text-gray-600">Waiting for the driver's location…</p>
+        )}
+      </div>
+    );
+  };
+
+  // --- Document Picker Component ---
+  // File chooser for a verification document; rejects unsupported or oversized files up front
+  const DocumentPicker = ({ kind, file, onChange }) => {
+    const inputId = `document-${kind}`;
+    const handleFile = (e) => {
+      const chosen = e.target.files[0];
+      e.target.value = ''; // Allow choosing the same file again after fixing it
+      if (!chosen) return;
+      const error = validateDocumentFile(chosen);
+      if (error) {
+        showMessage(error);
+        return;
+      }
+      onChange(chosen);
+    };
+
+    return (
+      <div className="border-2 border-dashed border-gray-300 p-4 text-center rounded-lg">
+        <Upload className="w-8 h-8 mx-auto mb-2 text-gray-400" />
+        <p className="text-sm text-gray-600">Upload {DOCUMENT_KINDS[kind].label}</p>
+        <p className="text-xs text-gray-500">JPEG, PNG or PDF, up to 5 MB</p>
+        <label
+          htmlFor={inputId}
+          className={`inline-block mt-2 px-4 py-2 rounded-lg text-sm text-white cursor-pointer transition-colors ${file ? 'bg-green-600' : 'bg-blue-600 hover:bg-blue-700'}`}
+        >
+          {file ? file.name : 'Choose File'}
+          {file && <Check className="w-4 h-4 inline-block ml-1" />}
+        </label>
+        <input id={inputId} type="file" accept={ALLOWED_DOCUMENT_TYPES.join(',')} className="hidden" onChange={handleFile} />
+      </div>
+    );
+  };
+
+  // --- Place Input Component ---
+  // Free-text location field with geocoder suggestions. Typing clears the coordinates until a
+  // suggestion is picked, so only chosen places carry lat/lng.
+  const PlaceInput = ({ value, onChange, placeholder, className }) => {
+    const [suggestions, setSuggestions] = useState([]);
+    const latestQueryRef = useRef('');
+
+    const handleChange = async (text) => {
+      onChange({ name: text });
+      latestQueryRef.current = text;
+      if (text.trim().length < 2) {
+        setSuggestions([]);
+        return;
+      }
+      try {
+        const results = await geocoder.search(text);
+        if (latestQueryRef.current === text) setSuggestions(results); // Ignore replies to older keystrokes
+      } catch (error) {
+        console.error("Error looking up place:", error);
+        setSuggestions([]);
+      }
+    };
+
+    const choosePlace = (place) => {
+      latestQueryRef.current = place.name;
+      onChange(place);
+      setSuggestions([]);
+    };
+
+    return (
+      <div className="relative flex-1">
+        <input
+          type="text"
+          placeholder={placeholder}
+          className={className}
+          value={value?.name || ''}
+          onChange={(e) => handleChange(e.target.value)}
+        />
+        {hasCoordinates(value) && (
+          <MapPin className="w-4 h-4 text-green-500 absolute right-3 top-1/2 -translate-y-1/2" aria-label="Location found" />
+        )}
+        {suggestions.length > 0 && (
+          <ul className="absolute z-20 w-full bg-white border border-gray-200 rounded-lg shadow-lg mt-1 max-h-60 overflow-y-auto">
+            {suggestions.map(place => (
+              <li
+                key={`${place.name}-${place.lat}-${place.lng}`}
+                onClick={() => choosePlace(place)}
+                className="px-3 py-2 text-sm text-gray-700 cursor-pointer hover:bg-blue-50"
+              >
+                {place.name}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  // --- Route Map Component ---
+  // Draws a route's path and numbered stops over map tiles, plus markers such as search
+  // results. The view fits everything shown and the buttons zoom from there. With
+  // onMoveStop(index, { lat, lng }) the stops can be dragged; `index` is the stop's position
+  // in `stops`, and the new position is reported when it is dropped.
+  const RouteMap = ({ stops = [], markers = [], selectedMarkerId, onSelectMarker, onMoveStop, height = 256 }) => {
+    const containerRef = useRef(null);
+    const [width, setWidth] = useState(DEFAULT_MAP_WIDTH);
+    const [zoomOffset, setZoomOffset] = useState(0);
+    const [path, setPath] = useState([]);
+    const [dragging, setDragging] = useState(null); // { index, x, y } of the stop being dragged
+
+    const placedStops = stops.map((place, index) => ({ place, index })).filter(({ place }) => hasCoordinates(place));
+    const routeKey = placedStops.map(({ place }) => `${place.lat},${place.lng}`).join(';');
+
+    useEffect(() => {
+      const element = containerRef.current;
+      if (!element || typeof ResizeObserver === 'undefined') return;
+      const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width || DEFAULT_MAP_WIDTH));
+      observer.observe(element);
+      return () => observer.disconnect();
+    }, []);
+
+    // Straight lines until the router answers
+    useEffect(() => {
+      const points = routeKey ? routeKey.split(';').map(pair => {
+        const [lat, lng] = pair.split(',').map(Number);
+        return { lat, lng };
+      }) : [];
+      let current = true;
+      setPath(points);
+      router.route(points)
+        .then(routed => { if (current) setPath(routed); })
+        .catch(error => console.error("Error routing map path:", error));
+      return () => { current = false; };
+    }, [routeKey]);
+
+    const size = { width, height };
+    const placedMarkers = markers.filter(marker => hasCoordinates(marker.place));
+    const fitted = fitView([...placedStops.map(({ place }) => place), ...placedMarkers.map(marker => marker.place)], size,
+      { maxZoom: 15, fallback: DEFAULT_MAP_VIEW });
+    const view = { center: fitted.center, zoom: Math.max(1, Math.min(tileProvider.maxZoom, fitted.zoom + zoomOffset)) };
+    const toScreen = (place) => placeToScreen(place, view, size);
+
+    const pointerPosition = (event) => {
+      const bounds = containerRef.current.getBoundingClientRect();
+      return { x: event.clientX - bounds.left, y: event.clientY - bounds.top };
+    };
+
+    const startDrag = (event, index) => {
+      if (!onMoveStop) return;
+      event.preventDefault();
+      event.currentTarget.setPointerCapture?.(event.pointerId);
+      setDragging({ index, ...pointerPosition(event) });
+    };
+
+    const moveDrag = (event) => {
+      if (dragging) setDragging({ ...dragging, ...pointerPosition(event) });
+    };
+
+    const endDrag = () => {
+      if (!dragging) return;
+      const { lat, lng } = screenToPlace(dragging, view, size);
+      setDragging(null);
+      onMoveStop(dragging.index, { lat, lng });
+    };
+
+    const stopColour = (position) => {
+      if (position === 0) return '#16a34a';
+      return position === placedStops.length - 1 ? '#dc2626' : '#2563eb';
+    };
+
+    return (
+      <div ref={containerRef} className="relative w-full overflow-hidden rounded-lg border border-gray-200 bg-gray-100 select-none" style={{ height }}>
+        {visibleTiles(view, size).map(tile => {
+          const url = tileProvider.tileUrl(tile);
+          return url && (
+            <img
+              key={`${tile.z}/${tile.x}/${tile.y}/${tile.left}`}
+              src={url}
+              alt=""
+              draggable={false}
+              className="absolute max-w-none"
+              style={{ left: tile.left, top: tile.top, width: TILE_SIZE, height: TILE_SIZE }}
+            />
+          );
+        })}
+        <svg
+          className="absolute inset-0"
+          width={width}
+          height={height}
+          onPointerMove={moveDrag}
+          onPointerUp={endDrag}
+          onPointerCancel={() => setDragging(null)}
+        >
+          {path.length > 1 && (
+            <polyline
+              points={path.map(point => { const { x, y } = toScreen(point); return `${x},${y}`; }).join(' ')}
+              fill="none"
+              stroke="#2563eb"
+              strokeOpacity="0.8"
+              strokeWidth="4"
+              strokeLinejoin="round"
+            />
+          )}
+          {placedMarkers.map(marker => {
+            const { x, y } = toScreen(marker.place);
+            const selected = marker.id === selectedMarkerId;
+            return (
+              <g
+                key={marker.id}
+                transform={`translate(${x},${y})`}
+                onClick={() => onSelectMarker?.(marker.id)}
+                className={onSelectMarker ? 'cursor-pointer' : undefined}
+              >
+                <title>{marker.label}</title>
+                <circle r={selected ? 9 : 7} fill={selected ? '#f59e0b' : '#6b7280'} stroke="white" strokeWidth="2" />
+              </g>
+            );
+          })}
+          {placedStops.map(({ place, index }, position) => {
+            const { x, y } = dragging?.index === index ? dragging : toScreen(place);
+            return (
+              <g
+                key={index}
+                transform={`translate(${x},${y})`}
+                onPointerDown={(e) => startDrag(e, index)}
+                className={onMoveStop ? 'cursor-move' : undefined}
+              >
+                <title>{place.name}</title>
+                <circle r="10" fill={stopColour(position)} stroke="white" strokeWidth="2" />
+                <text textAnchor="middle" dy="4" fontSize="10" fill="white">{position + 1}</text>
+              </g>
+            );
+          })}
+        </svg>
+        <div className="absolute top-2 right-2 flex flex-col bg-white rounded shadow">
+          <button onClick={() => setZoomOffset(offset => offset + 1)} className="p-1 text-gray-700 hover:bg-gray-100" aria-label="Zoom in">
+            <Plus className="w-4 h-4" />
+          </button>
+          <button onClick={() => setZoomOffset(offset => offset - 1)} className="p-1 text-gray-700 hover:bg-gray-100" aria-label="Zoom out">
+            <Minus className="w-4 h-4" />
+          </button>
+        </div>
+        {tileProvider.attribution && (
+          <span className="absolute bottom-0 right-0 bg-white bg-opacity-75 text-xs text-gray-600 px-1">{tileProvider.attribution}</span>
+        )}
+      </div>
     );
   };
 
+  // Validation message for a set of place fields, or null when every filled-in one was geocoded
+  const placesMissingCoordinates = (places) => places.some(place => place.name.trim() && !hasCoordinates(place))
+    ? 'Please choose each location from the suggestions so it can be matched by distance.'
+    : null;
+
+  // --- Companion Fields Component ---
+  // Names of the people travelling with the rider; each companion takes one more seat
+  const CompanionFields = ({ companions, onChange, maxCompanions }) => (
+    <div className="space-y-2">
+      {companions.map((name, index) => (
+        <div key={index} className="flex items-center space-x-2">
+          <input
+            type="text"
+            placeholder={`Passenger ${index + 2} name`}
+            className="flex-1 p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+            value={name}
+            onChange={(e) => onChange(companions.map((n, i) => i === index ? e.target.value : n))}
+          />
+          <button
+            onClick={() => onChange(companions.filter((_, i) => i !== index))}
+            className="text-red-500 hover:text-red-700 transition-colors"
+            aria-label={`Remove passenger ${index + 2}`}
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      {companions.length < maxCompanions && (
+        <button
+          onClick={() => onChange([...companions, ''])}
+          className="text-blue-600 text-sm flex items-center hover:text-blue-800 transition-colors"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add Passenger
+        </button>
+      )}
+    </div>
+  );
+
+  // Validation message for companion names, or null when all are filled in
+  const companionsMissingNames = (companions) => companions.some(name => !name.trim())
+    ? 'Please enter a name for every passenger.'
+    : null;
+
   // --- Custom Modal Component ---
   const MessageModal = ({ message, onClose }) => (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
@@ -184,31 +1149,55 @@ const CarpoolApp = () => {
   const Registration = () => {
     const [regData, setRegData] = useState({
       name: '',
-      email: '',
+      email: currentUser?.email || '',
+      password: '',
       phone: '',
       userType: '',
       vehicle: { type: '', color: '', plate: '' },
-      licenseUploaded: false,
-      idUploaded: false
+      files: {} // Document kind -> chosen File
     });
+    const documentKind = requiredDocumentKind(regData.userType);
 
     const handleRegistration = async () => {
       if (!regData.name || !regData.email || !regData.phone || !regData.userType) {
         showMessage('Please fill in all required fields.');
         return;
       }
-      if (regData.userType === 'driver' && (!regData.vehicle.type || !regData.vehicle.color || !regData.vehicle.plate || !regData.licenseUploaded)) {
+      if (regData.userType === 'driver' && (!regData.vehicle.type || !regData.vehicle.color || !regData.vehicle.plate || !regData.files.license)) {
         showMessage('Please provide all vehicle details and upload your driver\'s license.');
         return;
       }
-      if (regData.userType === 'rider' && !regData.idUploaded) {
+      if (regData.userType === 'rider' && !regData.files.id) {
         showMessage('Please upload a valid ID.');
         return;
       }
 
+      // Guests keep their uid (and anything stored under it) by linking the credential
+      let uid = userId;
+      if (!auth.currentUser || auth.currentUser.isAnonymous) {
+        if (!regData.password) {
+          showMessage('Please choose a password.');
+          return;
+        }
+        try {
+          if (auth.currentUser) {
+            const credential = EmailAuthProvider.credential(regData.email, regData.password);
+            await linkWithCredential(auth.currentUser, credential);
+            setIsAnonymous(false);
+          } else {
+            const { user } = await createUserWithEmailAndPassword(auth, regData.email, regData.password);
+            uid = user.uid;
+          }
+        } catch (error) {
+          console.error("Error creating account:", error);
+          showMessage(authErrorMessage(error));
+          return;
+        }
+      }
+
       try {
         // Corrected Firestore path for user profile
-        const userProfileRef = doc(db, 'artifacts', appId, 'users', userId, 'userProfile', 'data');
+        const userProfileRef = doc(db, 'artifacts', appId, 'users', uid, 'userProfile', 'data');
         await setDoc(userProfileRef, {
           name: regData.name,
           email: regData.email,
@@ -218,8 +1207,11 @@ const CarpoolApp = () => {
           verificationStatus: 'pending', // Initial status
           createdAt: new Date().toISOString()
         });
+        const documents = await uploadVerificationDocuments(uid, { [documentKind]: regData.files[documentKind] });
+        await submitForVerification(uid, regData, documents);
 
-        setCurrentUser({ ...regData, id: userId, verificationStatus: 'pending' });
+        const { password, files, ...profileData } = regData;
+        setCurrentUser({ ...profileData, id: uid, documents, verificationStatus: 'pending' });
         setUserType(regData.userType);
         setCurrentView('home');
         showMessage('Registration successful! Your profile is pending verification.');
@@ -249,8 +1241,19 @@ const CarpoolApp = () => {
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
             value={regData.email}
             onChange={(e) => setRegData({ ...regData, email: e.target.value })}
+            disabled={!isAnonymous}
           />
 
+          {isAnonymous && (
+            <input
+              type="password"
+              placeholder="Password (at least 6 characters)"
+              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              value={regData.password}
+              onChange={(e) => setRegData({ ...regData, password: e.target.value })}
+            />
+          )}
+
           <input
             type="tel"
             placeholder="Phone Number"
@@ -320,33 +1323,21 @@ const CarpoolApp = () => {
                 onChange={(e) => setRegData({ ...regData, vehicle: { ...regData.vehicle, plate: e.target.value } })}
               />
 
-              <div className="border-2 border-dashed border-gray-300 p-4 text-center rounded-lg">
-                <Upload className="w-8 h-8 mx-auto mb-2 text-gray-400" />
-                <p className="text-sm text-gray-600">Upload Ontario Driver's License</p>
-                <button
-                  onClick={() => setRegData({ ...regData, licenseUploaded: !regData.licenseUploaded })} // Toggle for simulation
-                  className={`mt-2 px-4 py-2 rounded-lg text-sm transition-colors ${regData.licenseUploaded ? 'bg-green-600 text-white' : 'bg-blue-600 text-white hover:bg-blue-700'}`}
-                >
-                  {regData.licenseUploaded ? 'License Uploaded ' : 'Choose File'}
-                  {regData.licenseUploaded && <Check className="w-4 h-4 inline-block ml-1" />}
-                </button>
-              </div>
+              <DocumentPicker
+                kind="license"
+                file={regData.files.license}
+                onChange={(file) => setRegData({ ...regData, files: { license: file } })}
+              />
             </div>
           )}
 
           {regData.userType === 'rider' && (
             <div className="p-4 bg-green-50 rounded-lg shadow-inner">
-              <div className="border-2 border-dashed border-gray-300 p-4 text-center rounded-lg">
-                <Upload className="w-8 h-8 mx-auto mb-2 text-gray-400" />
-                <p className="text-sm text-gray-600">Upload Valid Government ID</p>
-                <button
-                  onClick={() => setRegData({ ...regData, idUploaded: !regData.idUploaded })} // Toggle for simulation
-                  className={`mt-2 px-4 py-2 rounded-lg text-sm transition-colors ${regData.idUploaded ? 'bg-green-600 text-white' : 'bg-green-600 text-white hover:bg-green-700'}`}
-                >
-                  {regData.idUploaded ? 'ID Uploaded ' : 'Choose File'}
-                  {regData.idUploaded && <Check className="w-4 h-4 inline-block ml-1" />}
-                </button>
-              </div>
+              <DocumentPicker
+                kind="id"
+                file={regData.files.id}
+                onChange={(file) => setRegData({ ...regData, files: { id: file } })}
+              />
             </div>
           )}
 
@@ -356,6 +1347,14 @@ const CarpoolApp = () => {
           >
             Register
           </button>
+          {isAnonymous && (
+            <button
+              onClick={() => setCurrentView('login')}
+              className="w-full border border-blue-600 text-blue-600 p-3 rounded-lg font-medium hover:bg-blue-50 transition-colors"
+            >
+              Already have an account? Login
+            </button>
+          )}
         </div>
       </div>
     );
@@ -363,29 +1362,72 @@ const CarpoolApp = () => {
 
   // --- Login Component ---
   const Login = () => {
-    const handleLogin = () => {
-      // For this demo, we'll assume a successful login just brings them to home
-      // In a real app, this would involve Firebase email/password or other methods
-      if (currentUser && currentUser.userType) {
-        setCurrentView('home');
+    const [credentials, setCredentials] = useState({ email: '', password: '' });
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleLogin = async () => {
+      if (!credentials.email || !credentials.password) {
+        showMessage('Please enter your email and password.');
+        return;
+      }
+      setIsSubmitting(true);
+      try {
+        // Replaces the guest session; onAuthStateChanged loads the profile and switches view
+        await signInWithEmailAndPassword(auth, credentials.email, credentials.password);
         showMessage('Successfully logged in!');
-      } else {
-        showMessage('Please register first.');
+      } catch (error) {
+        console.error("Error logging in:", error);
+        showMessage(authErrorMessage(error));
+      } finally {
+        setIsSubmitting(false);
+      }
+    };
+
+    const handlePasswordReset = async () => {
+      if (!credentials.email) {
+        showMessage('Enter your email above and we will send you a reset link.');
+        return;
+      }
+      try {
+        await sendPasswordResetEmail(auth, credentials.email);
+        showMessage(`If an account exists for ${credentials.email}, a password reset email is on its way.`);
+      } catch (error) {
+        console.error("Error sending password reset:", error);
+        showMessage(authErrorMessage(error));
       }
     };
 
     return (
       <div className="p-6 max-w-md mx-auto bg-white rounded-xl shadow-lg my-8">
         <h2 className="text-2xl font-bold mb-6 text-center text-gray-800">Welcome to RideShare</h2>
-        {userId && <p className="text-sm text-center text-gray-500 mb-4">Your User ID: <span className="font-semibold text-blue-600 break-all">{userId}</span></p>}
         <div className="space-y-4">
-          <input type="email" placeholder="Email (any email will work for demo)" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" />
-          <input type="password" placeholder="Password (any password will work for demo)" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" />
+          <input
+            type="email"
+            placeholder="Email"
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            value={credentials.email}
+            onChange={(e) => setCredentials({ ...credentials, email: e.target.value })}
+          />
+          <input
+            type="password"
+            placeholder="Password"
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            value={credentials.password}
+            onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+            onKeyPress={(e) => e.key === 'Enter' && handleLogin()}
+          />
           <button
             onClick={handleLogin}
-            className="w-full bg-blue-600 text-white p-3 rounded-lg font-medium hover:bg-blue-700 transition-colors"
+            disabled={isSubmitting}
+            className="w-full bg-blue-600 text-white p-3 rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            Login
+            {isSubmitting ? 'Logging in...' : 'Login'}
+          </button>
+          <button
+            onClick={handlePasswordReset}
+            className="w-full text-sm text-blue-600 hover:text-blue-800 transition-colors"
+          >
+            Forgot password?
           </button>
           <button
             onClick={() => setCurrentView('register')}
@@ -398,17 +1440,59 @@ const CarpoolApp = () => {
     );
   };
 
+  // Tick marks on the user's own messages: one while sent, two once delivered, two in the
+  // highlight colour once read
+  const MessageReceipt = ({ receipt }) => {
+    if (receipt === 'sending') return <Clock className="w-3 h-3" aria-label="Sending" />;
+    if (receipt === 'sent') return <Check className="w-3 h-3" aria-label="Sent" />;
+    return (
+      <CheckCheck
+        className={`w-3 h-3 ${receipt === 'read' ? 'text-teal-300' : ''}`}
+        aria-label={receipt === 'read' ? 'Read' : 'Delivered'}
+      />
+    );
+  };
+
   // --- Messaging Component ---
   const MessagingView = () => {
     const [newMessage, setNewMessage] = useState('');
+    const [reportReason, setReportReason] = useState(null); // null while not reporting
     const messagesEndRef = useRef(null);
+    const loadedMessages = chatMessages.chatId === activeChatId ? chatMessages : { messages: [], hasOlder: false };
+    const history = activeChat ? chatHistory(chats[activeChat.id], loadedMessages.messages, loadedMessages.hasOlder) : [];
 
-    // Scroll to bottom of messages
+    // Scroll to the newest message as it arrives
+    const newestMessageId = history.length > 0 ? history[history.length - 1].id : null;
     useEffect(() => {
       if (messagesEndRef.current) {
         messagesEndRef.current.scrollIntoView({ behavior: "smooth" });
       }
-    }, [activeChat, messages]);
+    }, [newestMessageId]);
+
+    const loadOlderMessages = () => {
+      setChatPages({ chatId: activeChatId, count: activeChatPageCount + 1 });
+    };
+
+    // Typing status is refreshed at most every TYPING_REFRESH_MS while the user types and
+    // cleared when they send or leave the chat
+    const reportTyping = () => {
+      const now = Date.now();
+      const last = typingReportRef.current;
+      if (last.chatId === activeChatId && now - last.at < TYPING_REFRESH_MS) return;
+      typingReportRef.current = { chatId: activeChatId, at: now };
+      setTypingStatus(activeChatId, currentUser.id, true).catch(error => console.error("Error reporting typing:", error));
+    };
+
+    const stopTyping = () => {
+      if (typingReportRef.current.chatId !== activeChatId) return;
+      typingReportRef.current = { chatId: null, at: 0 };
+      setTypingStatus(activeChatId, currentUser.id, false).catch(error => console.error("Error clearing typing status:", error));
+    };
+
+    const leaveChat = () => {
+      stopTyping();
+      setActiveChat(null);
+    };
 
     // Generate chat list dynamically from rides and rideRequests
     const chatList = [];
@@ -416,16 +1500,14 @@ const CarpoolApp = () => {
       // Chats related to rides posted by the current driver
       if (currentUser.userType === 'driver') {
         rides.filter(ride => ride.driverId === currentUser.id).forEach(ride => {
-          rideRequests.filter(req => req.rideId === ride.id && req.status === 'accepted').forEach(request => {
+          rideRequests.filter(req => req.rideId === ride.id && (req.status === 'accepted' || (req.status === 'cancelled' && req.acceptedAt))).forEach(request => {
             const chatId = `ride-${ride.id}-rider-${request.riderId}`;
-            // Find existing messages for this chat
-            const chatMessages = messages[chatId] || [];
             chatList.push({
               id: chatId,
               name: request.riderName,
               rideInfo: `Ride: ${ride.from} to ${ride.to}`,
-              lastMessage: chatMessages.length > 0 ? chatMessages[chatMessages.length - 1].text : 'No messages yet',
-              unread: 0, // Implement unread count if needed
+              lastMessage: lastMessagePreview(chats[chatId]) || 'No messages yet',
+              unread: unreadCount(chats[chatId], currentUser.id),
               partnerId: request.riderId
             });
           });
@@ -434,17 +1516,16 @@ const CarpoolApp = () => {
 
       // Chats related to ride requests made by the current rider
       if (currentUser.userType === 'rider') {
-        rideRequests.filter(req => req.riderId === currentUser.id && req.status === 'accepted').forEach(request => {
+        rideRequests.filter(req => req.riderId === currentUser.id && (req.status === 'accepted' || (req.status === 'cancelled' && req.acceptedAt))).forEach(request => {
           const ride = rides.find(r => r.id === request.rideId);
           if (ride) {
             const chatId = `ride-${ride.id}-rider-${request.riderId}`;
-            const chatMessages = messages[chatId] || [];
             chatList.push({
               id: chatId,
               name: ride.driverName,
               rideInfo: `Ride: ${ride.from} to ${ride.to}`,
-              lastMessage: chatMessages.length > 0 ? chatMessages[chatMessages.length - 1].text : 'No messages yet',
-              unread: 0, // Implement unread count if needed
+              lastMessage: lastMessagePreview(chats[chatId]) || 'No messages yet',
+              unread: unreadCount(chats[chatId], currentUser.id),
               partnerId: ride.driverId
             });
           }
@@ -454,16 +1535,28 @@ const CarpoolApp = () => {
       // Chats initiated via "Contact Rider" from FindRiders
       rideRequests.filter(req => req.status === 'searching' && req.contactInitiatedBy === currentUser.id).forEach(request => {
         const chatId = `initial-contact-driver-${currentUser.id}-rider-${request.riderId}`;
-        const chatMessages = messages[chatId] || [];
         chatList.push({
           id: chatId,
           name: request.riderName,
           rideInfo: `Request: ${request.from} to ${request.to}`,
-          lastMessage: chatMessages.length > 0 ? chatMessages[chatMessages.length - 1].text : 'No messages yet',
-          unread: 0,
+          lastMessage: lastMessagePreview(chats[chatId]) || 'No messages yet',
+          unread: unreadCount(chats[chatId], currentUser.id),
           partnerId: request.riderId
         });
       });
+
+      // The rider's side of those same "Contact Rider" chats
+      rideRequests.filter(req => req.status === 'searching' && req.riderId === currentUser.id && req.contactInitiatedBy).forEach(request => {
+        const chatId = `initial-contact-driver-${request.contactInitiatedBy}-rider-${currentUser.id}`;
+        chatList.push({
+          id: chatId,
+          name: request.contactInitiatedByName || 'Driver',
+          rideInfo: `Request: ${request.from} to ${request.to}`,
+          lastMessage: lastMessagePreview(chats[chatId]) || 'No messages yet',
+          unread: unreadCount(chats[chatId], currentUser.id),
+          partnerId: request.contactInitiatedBy
+        });
+      });
     }
 
 
@@ -473,50 +1566,55 @@ const CarpoolApp = () => {
         return;
       }
 
-      const chatId = activeChat.id;
-      const message = {
-        senderId: currentUser.id,
-        senderName: currentUser.name,
-        text: newMessage,
-        timestamp: new Date().toISOString()
-      };
-
       try {
-        const chatDocRef = doc(db, 'artifacts', appId, 'public', 'data', 'messages', chatId);
-        const chatDocSnap = await getDoc(chatDocRef);
-
-        let updatedMessages = [];
-        if (chatDocSnap.exists()) {
-          const currentChatData = chatDocSnap.data();
-          updatedMessages = [...(currentChatData.messages || []), message];
-          await updateDoc(chatDocRef, { messages: updatedMessages });
-        } else {
-          // If chat doesn't exist, create it with initial participants
-          await setDoc(chatDocRef, {
-            participants: [currentUser.id, activeChat.partnerId],
-            messages: [message],
-            createdAt: new Date().toISOString()
-          });
-        }
-
-        setMessages(prev => ({
-          ...prev,
-          [chatId]: updatedMessages
-        }));
+        const batch = writeBatch(db);
+        queueChatMessage(batch, activeChat.id, [currentUser.id, activeChat.partnerId], {
+          senderId: currentUser.id,
+          senderName: currentUser.name,
+          text: newMessage
+        });
+        queueMessageNotification(batch, activeChat.id, activeChat.partnerId, currentUser);
+        await batch.commit();
         setNewMessage('');
+        stopTyping();
       } catch (error) {
         console.error("Error sending message:", error);
         showMessage("Failed to send message. Please try again.");
       }
     };
 
+    // Flags the open chat for an admin to review
+    const reportChat = async () => {
+      if (!reportReason.trim()) {
+        showMessage('Please describe the problem with this chat.');
+        return;
+      }
+      try {
+        await addDoc(chatFlagsCollection(), {
+          chatId: activeChat.id,
+          chatInfo: activeChat.rideInfo,
+          reporterId: currentUser.id,
+          reporterName: currentUser.name,
+          reportedUserId: activeChat.partnerId,
+          reportedUserName: activeChat.name,
+          reason: reportReason.trim(),
+          status: 'open',
+          createdAt: new Date().toISOString()
+        });
+        setReportReason(null);
+        showMessage('Thanks for reporting. An admin will review this chat.');
+      } catch (error) {
+        console.error("Error reporting chat:", error);
+        showMessage('Failed to report this chat. Please try again.');
+      }
+    };
+
     if (activeChat) {
-      const chatMessages = messages[activeChat.id] || [];
       return (
         <div className="flex flex-col h-[calc(100vh-64px)] bg-gray-50 rounded-xl shadow-lg overflow-hidden">
           <div className="flex items-center p-4 border-b border-gray-200 bg-blue-600 text-white shadow-md">
             <button
-              onClick={() => setActiveChat(null)}
+              onClick={leaveChat}
               className="mr-3 p-2 rounded-full hover:bg-blue-700 transition-colors"
               aria-label="Back to chat list"
             >
@@ -526,13 +1624,53 @@ const CarpoolApp = () => {
               <h3 className="font-semibold text-lg">{activeChat.name}</h3>
               <p className="text-sm text-blue-100">{activeChat.rideInfo}</p>
             </div>
+            <button
+              onClick={() => setReportReason(reportReason === null ? '' : null)}
+              className="ml-auto p-2 rounded-full hover:bg-blue-700 transition-colors"
+              aria-label="Report this chat"
+            >
+              <Flag className="w-5 h-5" />
+            </button>
           </div>
+          {reportReason !== null && (
+            <div className="p-3 border-b border-red-200 bg-red-50 space-y-2">
+              <p className="text-sm font-semibold text-red-700">Report this chat to an admin</p>
+              <textarea
+                placeholder="What happened?"
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-red-500"
+                value={reportReason}
+                onChange={(e) => setReportReason(e.target.value)}
+              />
+              <div className="flex space-x-2">
+                <button
+                  onClick={reportChat}
+                  className="flex-1 bg-red-500 text-white p-2 rounded-lg text-sm font-medium hover:bg-red-600 transition-colors"
+                >
+                  Send Report
+                </button>
+                <button
+                  onClick={() => setReportReason(null)}
+                  className="flex-1 border border-gray-300 text-gray-700 p-2 rounded-lg text-sm font-medium hover:bg-gray-100 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
 
           <div className="flex-1 overflow-y-auto p-4 space-y-3 custom-scrollbar">
-            {chatMessages.length > 0 ? (
-              chatMessages.map(message => (
+            {loadedMessages.hasOlder && (
+              <button
+                onClick={loadOlderMessages}
+                className="block mx-auto text-sm text-blue-600 hover:underline"
+              >
+                Load older messages
+              </button>
+            )}
+            {history.length > 0 ? (
+              history.map(message => (
                 <div
-                  key={message.timestamp + message.senderId} // Using timestamp + senderId for unique key
+                  key={message.id}
                   className={`flex ${message.senderId === currentUser.id ? 'justify-end' : 'justify-start'}`}
                 >
                   <div
@@ -543,8 +1681,9 @@ const CarpoolApp = () => {
                     }`}
                   >
                     <p className="text-sm break-words">{message.text}</p>
-                    <p className="text-xs mt-1 text-right opacity-80">
-                      {new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    <p className="text-xs mt-1 text-right opacity-80 flex items-center justify-end space-x-1">
+                      <span>{message.sentAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                      {message.senderId === currentUser.id && <MessageReceipt receipt={messageReceipt(message, chats[activeChat.id], activeChat.partnerId)} />}
                     </p>
                   </div>
                 </div>
@@ -555,6 +1694,9 @@ const CarpoolApp = () => {
                 <p>No messages yet. Start the conversation!</p>
               </div>
             )}
+            {typingChatId === activeChat.id && (
+              <p className="text-sm text-gray-500 italic">{activeChat.name} is typing…</p>
+            )}
             <div ref={messagesEndRef} /> {/* For auto-scrolling */}
           </div>
 
@@ -563,7 +1705,10 @@ const CarpoolApp = () => {
               <input
                 type="text"
                 value={newMessage}
-                onChange={(e) => setNewMessage(e.target.value)}
+                onChange={(e) => {
+                  setNewMessage(e.target.value);
+                  if (e.target.value.trim()) reportTyping();
+                }}
                 placeholder="Type a message..."
                 className="flex-1 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
                 onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
@@ -619,23 +1764,38 @@ const CarpoolApp = () => {
   // --- Post Ride Component (Driver) ---
   const PostRide = () => {
     const [rideData, setRideData] = useState({
-      from: '',
-      to: '',
+      from: { name: '' },
+      to: { name: '' },
       startTime: '',
       availableSeats: 1,
       pricePerSeat: 10,
-      route: ['']
+      tolls: 0,
+      route: [{ name: '' }]
     });
+    const [recurring, setRecurring] = useState(false);
+    const [schedule, setSchedule] = useState({ daysOfWeek: [1, 2, 3, 4, 5], time: '', startDate: '', endDate: '', skipDates: [] });
+    const [skipDateInput, setSkipDateInput] = useState('');
     const [isSuggestingPrice, setIsSuggestingPrice] = useState(false);
 
+    const toggleScheduleDay = (day) => {
+      setSchedule(prev => ({
+        ...prev,
+        daysOfWeek: prev.daysOfWeek.includes(day) ? prev.daysOfWeek.filter(d => d !== day) : [...prev.daysOfWeek, day]
+      }));
+    };
+
+    const addSkipDate = () => {
+      if (!skipDateInput || schedule.skipDates.includes(skipDateInput)) return;
+      setSchedule(prev => ({ ...prev, skipDates: [...prev.skipDates, skipDateInput].sort() }));
+      setSkipDateInput('');
+    };
+
     const addRoutePoint = () => {
-      setRideData({ ...rideData, route: [...rideData.route, ''] });
+      setRideData({ ...rideData, route: [...rideData.route, { name: '' }] });
     };
 
-    const updateRoutePoint = (index, value) => {
-      const newRoute = [...rideData.route];
-      newRoute[index] = value;
-      setRideData({ ...rideData, route: newRoute });
+    const updateRoutePoint = (index, place) => {
+      setRideData(prev => ({ ...prev, route: prev.route.map((point, i) => i === index ? place : point) }));
     };
 
     const removeRoutePoint = (index) => {
@@ -643,103 +1803,145 @@ const CarpoolApp = () => {
       setRideData({ ...rideData, route: newRoute });
     };
 
+    // Stops in the order they are driven, as shown on the map
+    const formStops = [rideData.from, ...rideData.route, rideData.to];
+
+    // The fare engine's estimate, once every stop has been chosen from the suggestions
+    const fareInputs = {
+      vehicleType: currentUser.vehicle?.type,
+      seats: rideData.availableSeats || 1,
+      tolls: rideData.tolls,
+      departureTime: recurring ? schedule.time : rideData.startTime.slice(11, 16)
+    };
+    const roadTrip = estimateRoadTrip(formStops.filter(place => place.name.trim()));
+    const fareEstimate = roadTrip && estimateFare({ ...roadTrip, ...fareInputs });
+
+    // A stop dragged on the map keeps its name and takes the new coordinates
+    const moveFormStop = (index, coordinates) => {
+      setRideData(prev => {
+        if (index === 0) return { ...prev, from: { ...prev.from, ...coordinates } };
+        if (index === prev.route.length + 1) return { ...prev, to: { ...prev.to, ...coordinates } };
+        return { ...prev, route: prev.route.map((point, i) => i === index - 1 ? { ...point, ...coordinates } : point) };
+      });
+    };
+
     const handlePostRide = async () => {
-      if (!rideData.from || !rideData.to || !rideData.startTime || !rideData.availableSeats || !rideData.pricePerSeat) {
+      if (!rideData.from.name || !rideData.to.name || (!recurring && !rideData.startTime) || !rideData.availableSeats || !rideData.pricePerSeat) {
         showMessage('Please fill in all required ride details.');
         return;
       }
+      if (recurring && (schedule.daysOfWeek.length === 0 || !schedule.time || !schedule.startDate)) {
+        showMessage('Please choose the days, time and start date for your recurring ride.');
+        return;
+      }
+      if (recurring && schedule.endDate && schedule.endDate < schedule.startDate) {
+        showMessage('The end date must be after the start date.');
+        return;
+      }
+      const placeError = placesMissingCoordinates([rideData.from, rideData.to, ...rideData.route]);
+      if (placeError) {
+        showMessage(placeError);
+        return;
+      }
+      if (fareEstimate?.cap != null && rideData.pricePerSeat > fareEstimate.cap) {
+        showMessage(`Fares may only share the cost of the trip, so the most you can charge is $${fareEstimate.cap.toFixed(2)} per seat.`);
+        return;
+      }
       if (currentUser.userType !== 'driver') {
         showMessage('Only drivers can post rides.');
         return;
       }
+      if (!isVerified(currentUser)) {
+        showMessage('Your documents must be verified before you can post rides.');
+        return;
+      }
 
-      const filteredRoute = rideData.route.filter(point => point.trim() !== '');
-      const newRide = {
-        driverId: currentUser.id,
-        driverName: currentUser.name,
-        from: rideData.from,
-        to: rideData.to,
-        startTime: rideData.startTime,
-        availableSeats: rideData.availableSeats,
-        pricePerSeat: rideData.pricePerSeat,
-        route: [rideData.from, ...filteredRoute, rideData.to],
-        car: currentUser.vehicle || { type: 'Unknown', color: 'Unknown', plate: 'N/A' },
-        createdAt: new Date().toISOString(),
-        status: 'active'
-      };
+      const filteredRoute = rideData.route.filter(point => point.name.trim() !== '');
+      const routePlaces = [rideData.from, ...filteredRoute, rideData.to].map(({ name, lat, lng }) => ({ name, lat, lng }));
+      // The functions fill in the driver and car from the profile and enforce the cost-sharing cap
+      const ride = { routePlaces, availableSeats: rideData.availableSeats, pricePerSeat: rideData.pricePerSeat, tolls: rideData.tolls };
 
       try {
-        await addDoc(collection(db, 'artifacts', appId, 'public', 'data', 'rides'), newRide);
-        showMessage('Ride posted successfully!');
+        if (recurring) {
+          // The series and its first rides are created together, so a failed post leaves nothing behind
+          const { created } = await cloudFunctions.postRideSeries({
+            ride,
+            schedule: { ...schedule, endDate: schedule.endDate || null }
+          });
+          showMessage(`Recurring ride posted! ${created} upcoming ride(s) scheduled; later dates are added as they come within ${SERIES_HORIZON_DAYS} days.`);
+        } else {
+          await cloudFunctions.postRide({ ride: { ...ride, startTime: rideData.startTime } });
+          showMessage('Ride posted successfully!');
+        }
         setCurrentView('myRides');
       } catch (error) {
         console.error("Error posting ride:", error);
-        showMessage('Failed to post ride. Please try again.');
+        showMessage(['functions/invalid-argument', 'functions/permission-denied'].includes(error.code)
+          ? error.message
+          : 'Failed to post ride. Nothing was posted; please try again.');
       }
     };
 
-    // LLM Feature: Suggest Price
+    // Suggest Price: the assistant's fare for the route, or the fare engine's when no model is
+    // available, never above the cost-sharing cap
     const suggestPrice = async () => {
-        if (!rideData.from || !rideData.to) {
-            showMessage("Please enter 'From' and 'To' locations to get a price suggestion.");
-            return;
-        }
+      if (!rideData.from.name || !rideData.to.name) {
+        showMessage("Please enter 'From' and 'To' locations to get a price suggestion.");
+        return;
+      }
 
-        setIsSuggestingPrice(true);
-        try {
-            const prompt = `Suggest a fair price per seat for a carpool ride from "${rideData.from}" to "${rideData.to}" starting at "${rideData.startTime}". Consider typical carpool costs for this distance and time. Provide only the numeric price, without currency symbols or extra text.`;
-            let chatHistory = [];
-            chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-            const payload = { contents: chatHistory };
-            const apiKey = "";
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-            const result = await response.json();
-            
-            if (result.candidates && result.candidates.length > 0 &&
-                result.candidates[0].content && result.candidates[0].content.parts &&
-                result.candidates[0].content.parts.length > 0) {
-                const text = result.candidates[0].content.parts[0].text;
-                const suggested = parseInt(text.match(/\d+/)?.[0]); // Extract first number
-                if (!isNaN(suggested) && suggested > 0) {
-                    setRideData(prev => ({ ...prev, pricePerSeat: suggested }));
-                    showMessage(`Suggested price: $${suggested}. You can adjust it.`);
-                } else {
-                    showMessage("Could not get a valid price suggestion. Try again.");
-                }
-            } else {
-                showMessage("Failed to get price suggestion. No valid response from LLM.");
-            }
-        } catch (error) {
-            console.error("Error suggesting price:", error);
-            showMessage("Error getting price suggestion. Please try again later.");
-        } finally {
-            setIsSuggestingPrice(false);
-        }
+      setIsSuggestingPrice(true);
+      try {
+        const { result, source, error } = await assistant.suggestPrice({
+          places: [rideData.from, ...rideData.route.filter(point => point.name.trim()), rideData.to],
+          departure: recurring ? describeSchedule(schedule) : rideData.startTime || 'at a time still to be decided',
+          ...fareInputs
+        }, { userId: currentUser.id });
+        if (error) console.error("Error suggesting price:", error);
+        const capped = fareEstimate?.cap != null && result.pricePerSeat > fareEstimate.cap;
+        const suggested = roundMoney(capped ? fareEstimate.cap : result.pricePerSeat);
+        setRideData(prev => ({ ...prev, pricePerSeat: suggested }));
+        showMessage(`Suggested price: $${suggested.toFixed(2)}. ${result.reason}${source === 'heuristic' ? ' (Estimated without the AI assistant.)' : ''}${capped ? ' Lowered to the cost-sharing cap.' : ''} You can adjust it.`);
+      } finally {
+        setIsSuggestingPrice(false);
+      }
     };
 
+    if (!isVerified(currentUser)) {
+      return (
+        <div className="p-6 bg-white rounded-xl shadow-lg my-8 max-w-xl mx-auto text-center">
+          <ShieldCheck className="w-16 h-16 mx-auto mb-4 text-gray-300" />
+          <h2 className="text-2xl font-bold mb-2 text-gray-800">Verification Required</h2>
+          <p className="text-gray-600 mb-4">
+            {currentUser.verificationStatus === 'rejected'
+              ? `Your documents were not approved: ${currentUser.verificationReason || 'no reason given'}. Please upload new documents from your profile.`
+              : 'An admin is reviewing your driver\'s license. You can post rides once it is approved.'}
+          </p>
+          <button
+            onClick={() => setCurrentView('profile')}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700 transition-colors"
+          >
+            Go to Profile
+          </button>
+        </div>
+      );
+    }
 
     return (
       <div className="p-6 bg-white rounded-xl shadow-lg my-8 max-w-xl mx-auto">
         <h2 className="text-2xl font-bold mb-6 text-gray-800 text-center">Post a New Ride</h2>
         <div className="space-y-4">
-          <input
-            type="text"
+          <PlaceInput
             placeholder="From (e.g., Toronto Downtown)"
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
             value={rideData.from}
-            onChange={(e) => setRideData({ ...rideData, from: e.target.value })}
+            onChange={(place) => setRideData(prev => ({ ...prev, from: place }))}
           />
-          <input
-            type="text"
+          <PlaceInput
             placeholder="To (e.g., Mississauga)"
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
             value={rideData.to}
-            onChange={(e) => setRideData({ ...rideData, to: e.target.value })}
+            onChange={(place) => setRideData(prev => ({ ...prev, to: place }))}
           />
 
           <div className="border border-gray-200 rounded-lg p-4 bg-gray-50">
@@ -756,12 +1958,11 @@ const CarpoolApp = () => {
             </div>
             {rideData.route.map((point, index) => (
               <div key={index} className="flex items-center space-x-2 mb-2">
-                <input
-                  type="text"
+                <PlaceInput
                   placeholder={`Stop ${index + 1}`}
-                  className="flex-1 p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                  className="w-full p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
                   value={point}
-                  onChange={(e) => updateRoutePoint(index, e.target.value)}
+                  onChange={(place) => updateRoutePoint(index, place)}
                 />
                 {rideData.route.length > 1 && (
                   <button
@@ -776,12 +1977,103 @@ const CarpoolApp = () => {
             ))}
           </div>
 
-          <input
-            type="datetime-local"
-            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
-            value={rideData.startTime}
-            onChange={(e) => setRideData({ ...rideData, startTime: e.target.value })}
-          />
+          {formStops.some(hasCoordinates) && (
+            <div>
+              <RouteMap stops={formStops} onMoveStop={moveFormStop} />
+              <p className="text-xs text-gray-500 mt-1">Drag a stop to fine-tune exactly where you will pick up or drop off.</p>
+            </div>
+          )}
+
+          <label className="flex items-center space-x-2 text-gray-700">
+            <input type="checkbox" checked={recurring} onChange={(e) => setRecurring(e.target.checked)} />
+            <Repeat className="w-4 h-4" />
+            <span>Repeat weekly (commute)</span>
+          </label>
+          {recurring ? (
+            <div className="border border-gray-200 rounded-lg p-4 bg-gray-50 space-y-3">
+              <div className="flex flex-wrap gap-2">
+                {WEEKDAY_LABELS.map((label, day) => (
+                  <button
+                    key={label}
+                    onClick={() => toggleScheduleDay(day)}
+                    className={`px-3 py-1 rounded-full text-sm border transition-colors ${schedule.daysOfWeek.includes(day) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <label className="block text-sm text-gray-700">
+                Departure time
+                <input
+                  type="time"
+                  className="w-full p-2 mt-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                  value={schedule.time}
+                  onChange={(e) => setSchedule({ ...schedule, time: e.target.value })}
+                />
+              </label>
+              <div className="flex space-x-2">
+                <label className="flex-1 text-sm text-gray-700">
+                  Start date
+                  <input
+                    type="date"
+                    className="w-full p-2 mt-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                    value={schedule.startDate}
+                    onChange={(e) => setSchedule({ ...schedule, startDate: e.target.value })}
+                  />
+                </label>
+                <label className="flex-1 text-sm text-gray-700">
+                  End date (optional)
+                  <input
+                    type="date"
+                    className="w-full p-2 mt-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                    value={schedule.endDate}
+                    onChange={(e) => setSchedule({ ...schedule, endDate: e.target.value })}
+                  />
+                </label>
+              </div>
+              <div>
+                <p className="text-sm text-gray-700 mb-1">Skip dates (holidays, days off)</p>
+                <div className="flex space-x-2">
+                  <input
+                    type="date"
+                    className="flex-1 p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                    value={skipDateInput}
+                    onChange={(e) => setSkipDateInput(e.target.value)}
+                  />
+                  <button
+                    onClick={addSkipDate}
+                    className="text-blue-600 text-sm flex items-center hover:text-blue-800 transition-colors"
+                  >
+                    <Plus className="w-4 h-4 mr-1" />
+                    Skip
+                  </button>
+                </div>
+                {schedule.skipDates.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {schedule.skipDates.map(date => (
+                      <span key={date} className="flex items-center bg-white border border-gray-300 rounded-full px-2 py-1 text-xs text-gray-700">
+                        {date}
+                        <button
+                          onClick={() => setSchedule(prev => ({ ...prev, skipDates: prev.skipDates.filter(d => d !== date) }))}
+                          className="ml-1 text-red-500 hover:text-red-700"
+                          aria-label={`Stop skipping ${date}`}
+                        >
+                          <X className="w-3 h-3" />
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          ) : (
+            <input
+              type="datetime-local"
+              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              value={rideData.startTime}
+              onChange={(e) => setRideData({ ...rideData, startTime: e.target.value })}
+            />
+          )}
           <input
             type="number"
             placeholder="Available Seats"
@@ -798,7 +2090,7 @@ const CarpoolApp = () => {
                 min="5"
                 className="flex-1 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
                 value={rideData.pricePerSeat}
-                onChange={(e) => setRideData({ ...rideData, pricePerSeat: parseInt(e.target.value) })}
+                onChange={(e) => setRideData({ ...rideData, pricePerSeat: parseFloat(e.target.value) })}
             />
             <button
                 onClick={suggestPrice}
@@ -815,6 +2107,46 @@ const CarpoolApp = () => {
                 )}
             </button>
           </div>
+          <label className="block text-sm text-gray-700">
+            Tolls on this route ($, whole trip)
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              className="w-full mt-1 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              value={rideData.tolls}
+              onChange={(e) => setRideData({ ...rideData, tolls: parseFloat(e.target.value) || 0 })}
+            />
+          </label>
+          {fareEstimate && (
+            <div className="border border-green-200 rounded-lg p-4 bg-green-50 text-sm text-gray-700 space-y-2">
+              <div className="flex items-center justify-between">
+                <p className="font-medium text-gray-800">
+                  Fare estimate: ${fareEstimate.perSeat.low.toFixed(2)} to ${fareEstimate.perSeat.high.toFixed(2)} per seat
+                </p>
+                <button
+                  onClick={() => setRideData(prev => ({ ...prev, pricePerSeat: fareEstimate.perSeat.suggested }))}
+                  className="text-green-700 font-medium hover:text-green-900"
+                >
+                  Use ${fareEstimate.perSeat.suggested.toFixed(2)}
+                </button>
+              </div>
+              <ul className="space-y-1">
+                {fareEstimate.breakdown.map(line => (
+                  <li key={line.label} className="flex justify-between">
+                    <span>{line.label}</span>
+                    <span>${line.amount.toFixed(2)}</span>
+                  </li>
+                ))}
+              </ul>
+              <p className="text-gray-600">Shared between you and {fareEstimate.sharedBy - 1} rider(s).</p>
+              {fareEstimate.cap !== null && (
+                <p className={fareEstimate.capped || rideData.pricePerSeat > fareEstimate.cap ? 'text-red-600' : 'text-gray-600'}>
+                  Cost-sharing cap: at most ${fareEstimate.cap.toFixed(2)} per seat, so full seats cover no more than the trip's ${fareEstimate.tripCost.toFixed(2)} cost.
+                </p>
+              )}
+            </div>
+          )}
           <button
             onClick={handlePostRide}
             className="w-full bg-green-600 text-white p-3 rounded-lg font-medium hover:bg-green-700 transition-colors shadow-md"
@@ -828,40 +2160,66 @@ const CarpoolApp = () => {
 
   // --- Search Rides Component (Rider) ---
   const SearchRides = () => {
-    const [searchQuery, setSearchQuery] = useState({ from: '', to: '', route: [''] });
+    const [searchQuery, setSearchQuery] = useState({ from: { name: '' }, to: { name: '' }, route: [{ name: '' }] });
+    const [filters, setFilters] = useState(DEFAULT_RIDE_FILTERS);
+    const [sortBy, setSortBy] = useState('match');
     const [filteredRides, setFilteredRides] = useState([]);
+    const [bookingRideId, setBookingRideId] = useState(null);
+    const [companions, setCompanions] = useState([]); // Names of passengers travelling with the rider
+    const [selectedStops, setSelectedStops] = useState(null); // { boardStop, alightStop } on the ride being booked
+    const [mapRideId, setMapRideId] = useState(null); // Ride whose route is drawn on the map
 
     useEffect(() => {
       // Initial filter on component mount or rides update
       handleSearch();
-    }, [rides]); // Rerun search when 'rides' data changes
+    }, [rides, rideSeries, ratingSummaries, sortBy]); // Rerun search when 'rides' data changes
 
     const addSearchRoutePoint = () => {
-      setSearchQuery({ ...searchQuery, route: [...searchQuery.route, ''] });
+      setSearchQuery({ ...searchQuery, route: [...searchQuery.route, { name: '' }] });
     };
 
-    const updateSearchRoutePoint = (index, value) => {
-      const newRoute = [...searchQuery.route];
-      newRoute[index] = value;
-      setSearchQuery({ ...searchQuery, route: newRoute });
+    const updateSearchRoutePoint = (index, place) => {
+      setSearchQuery(prev => ({ ...prev, route: prev.route.map((point, i) => i === index ? place : point) }));
     };
 
+    // Keeps bookable rides whose route passes near the pickup, dropoff and every extra search
+    // point and that pass the filters, in the chosen order
     const handleSearch = () => {
-      const searchRoutePoints = searchQuery.route.filter(p => p.trim());
-      const fullSearchRoute = [searchQuery.from, ...searchRoutePoints, searchQuery.to].filter(p => p.trim());
+      const pickup = searchQuery.from.name.trim() ? searchQuery.from : null;
+      const dropoff = searchQuery.to.name.trim() ? searchQuery.to : null;
+      const viaPoints = searchQuery.route.filter(point => point.name.trim());
+
+      const routeMatches = rides
+        .map(ride => ({
+          ...ride,
+          match: matchRoute(ride, pickup, dropoff),
+          series: ride.seriesId ? rideSeries.find(series => series.id === ride.seriesId) : null
+        }))
+        .filter(ride => !ride.match || ride.match.matches)
+        .filter(ride => viaPoints.every(point => matchRoute(ride, point, null).matches))
+        .map(ride => ({ ...ride, matchScore: ride.match?.score }));
+      setFilteredRides(filterAndSortRides(routeMatches, filters, { sortBy, driverRatings: ratingSummaries }));
+    };
 
-      const filtered = rides.filter(ride => {
-        const fromMatch = searchQuery.from ? ride.from.toLowerCase().includes(searchQuery.from.toLowerCase()) : true;
-        const toMatch = searchQuery.to ? ride.to.toLowerCase().includes(searchQuery.to.toLowerCase()) : true;
-        const seatsAvailable = ride.availableSeats > 0;
-        const routeMatch = fullSearchRoute.length > 0 ? checkRouteOverlap(ride.route, fullSearchRoute) : true;
+    const resetFilters = () => setFilters(DEFAULT_RIDE_FILTERS);
 
-        return fromMatch && toMatch && seatsAvailable && routeMatch;
-      });
-      setFilteredRides(filtered);
+    // Opens the booking form at the stops nearest the searched pickup and dropoff, with a
+    // blank name for each extra seat the filters asked for
+    const startBooking = (ride) => {
+      const stops = suggestStops(ride, searchQuery.from, searchQuery.to);
+      setBookingRideId(ride.id);
+      setSelectedStops(stops);
+      setCompanions(Array(Math.max(0, Math.min(filters.seatsNeeded - 1, seatsAvailableBetween(ride, stops) - 1))).fill(''));
+    };
+
+    // Keeps the dropoff after the pickup and drops passengers the new stops have no seats for
+    const changeStops = (ride, { boardStop, alightStop }) => {
+      const stops = { boardStop, alightStop: Math.max(alightStop, boardStop + 1) };
+      setSelectedStops(stops);
+      setCompanions(prev => prev.slice(0, Math.max(0, seatsAvailableBetween(ride, stops) - 1)));
     };
 
-    const requestRide = async (rideId) => {
+    const requestRide = async (rideId, stops, companionNames = []) => {
       if (currentUser.userType !== 'rider') {
         showMessage('Only riders can request rides.');
         return;
@@ -872,11 +2230,21 @@ const CarpoolApp = () => {
         showMessage('Ride not found.');
         return;
       }
-      if (ride.availableSeats <= 0) {
-        showMessage('No seats available for this ride.');
+      const nameError = companionsMissingNames(companionNames);
+      if (nameError) {
+        showMessage(nameError);
+        return;
+      }
+      if (!isValidStopRange(ride, stops)) {
+        showMessage('Please choose a pickup stop before your dropoff stop.');
+        return;
+      }
+      const seats = 1 + companionNames.length;
+      const seatsLeft = seatsAvailableBetween(ride, stops);
+      if (seatsLeft < seats) {
+        showMessage(seatsLeft <= 0 ? 'No seats available between these stops.' : `Only ${seatsLeft} seat(s) are left between these stops.`);
         return;
       }
-
       // Check if rider already has a pending/accepted request for this ride
       const existingRequest = rideRequests.find(
         req => req.rideId === rideId && req.riderId === currentUser.id && (req.status === 'pending' || req.status === 'accepted')
@@ -887,39 +2255,65 @@ const CarpoolApp = () => {
         return;
       }
 
-      const newRequest = {
-        rideId,
-        riderId: currentUser.id,
-        riderName: currentUser.name,
-        driverId: ride.driverId,
-        driverName: ride.driverName,
-        from: ride.from,
-        to: ride.to,
-        rideStartTime: ride.startTime,
-        price: ride.pricePerSeat,
-        status: 'pending', // pending, accepted, rejected, completed, cancelled
-        requestedAt: new Date().toISOString()
-      };
-
       try {
-        await addDoc(collection(db, 'artifacts', appId, 'public', 'data', 'rideRequests'), newRequest);
-        showMessage('Ride request sent successfully! Driver will be notified.');
+        // The function creates the request and holds the fare in escrow together, so a request never exists unfunded
+        const outcome = await cloudFunctions.requestRide({ rideId, ...stops, companions: companionNames });
+        switch (outcome.status) {
+          case 'requested':
+            setBookingRideId(null);
+            showMessage(`Ride request sent successfully! $${outcome.fare.toFixed(2)} is held until the ride is completed, and refunded if it does not go ahead.`);
+            break;
+          case 'insufficientFunds':
+            showMessage(`You need $${outcome.fare.toFixed(2)} in your wallet to request ${seats > 1 ? `${seats} seats on ` : ''}this ride. Please add funds first.`);
+            break;
+          case 'alreadyRequested':
+            showMessage('You already have a pending or accepted request for this ride.');
+            break;
+          case 'full':
+            showMessage(outcome.seatsLeft <= 0 ? 'No seats available between these stops.' : `Only ${outcome.seatsLeft} seat(s) are left between these stops.`);
+            break;
+          default:
+            showMessage('Ride not found.');
+        }
       } catch (error) {
         console.error("Error sending ride request:", error);
-        showMessage('Failed to send ride request. Please try again.');
+        showMessage(error.code === 'functions/invalid-argument' ? error.message : 'Failed to send ride request. Please try again.');
+      }
+    };
+
+    // Asks the driver for a seat on every occurrence of a recurring ride. Nothing is charged
+    // until the driver approves; then each occurrence's fare is held as it is booked.
+    const requestWeeklySeat = async (ride) => {
+      if (currentUser.userType !== 'rider') {
+        showMessage('Only riders can request rides.');
+        return;
+      }
+      try {
+        const outcome = await cloudFunctions.requestStandingSeat({ seriesId: ride.seriesId });
+        switch (outcome.status) {
+          case 'requested':
+            showMessage(`Weekly seat requested from ${ride.driverName}. Once approved you are booked onto every upcoming ride, and each fare is held from your wallet as the ride is scheduled.`);
+            break;
+          case 'alreadyRequested':
+            showMessage('You already have a weekly seat on this ride. See "My Requests" for details.');
+            break;
+          default:
+            showMessage('This recurring ride is no longer running.');
+        }
+      } catch (error) {
+        console.error("Error requesting weekly seat:", error);
+        showMessage('Failed to request a weekly seat. Please try again.');
       }
     };
 
     const startChat = async (ride) => {
       const chatId = `ride-${ride.id}-rider-${currentUser.id}`;
       // Ensure the chat document exists for this conversation
-      const chatDocRef = doc(db, 'artifacts', appId, 'public', 'data', 'messages', chatId);
-      const chatDocSnap = await getDoc(chatDocRef);
+      const chatSnap = await getDoc(chatDocRef(chatId));
 
-      if (!chatDocSnap.exists()) {
-        await setDoc(chatDocRef, {
-          participants: [currentUser.id, ride.driverId],
-          messages: [],
+      if (!chatSnap.exists()) {
+        await setDoc(chatDocRef(chatId), {
+          participants: chatParticipants(currentUser.id, ride.driverId),
           createdAt: new Date().toISOString()
         });
       }
@@ -938,19 +2332,17 @@ const CarpoolApp = () => {
       <div className="p-6 bg-white rounded-xl shadow-lg my-8">
         <h2 className="text-2xl font-bold mb-6 text-gray-800 text-center">Search Rides</h2>
         <div className="space-y-4 mb-6 p-4 bg-gray-50 rounded-lg shadow-inner">
-          <input
-            type="text"
+          <PlaceInput
             placeholder="From (e.g., Downtown)"
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
             value={searchQuery.from}
-            onChange={(e) => setSearchQuery({ ...searchQuery, from: e.target.value })}
+            onChange={(place) => setSearchQuery(prev => ({ ...prev, from: place }))}
           />
-          <input
-            type="text"
+          <PlaceInput
             placeholder="To (e.g., Airport)"
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
             value={searchQuery.to}
-            onChange={(e) => setSearchQuery({ ...searchQuery, to: e.target.value })}
+            onChange={(place) => setSearchQuery(prev => ({ ...prev, to: place }))}
           />
 
           <div className="border border-gray-200 rounded-lg p-4 bg-white">
@@ -966,17 +2358,104 @@ const CarpoolApp = () => {
               </button>
             </div>
             {searchQuery.route.map((point, index) => (
-              <input
-                key={index}
-                type="text"
-                placeholder={`Search stop ${index + 1}`}
-                className="w-full p-2 border border-gray-300 rounded mb-2 focus:ring-2 focus:ring-blue-500"
-                value={point}
-                onChange={(e) => updateSearchRoutePoint(index, e.target.value)}
-              />
+              <div key={index} className="mb-2">
+                <PlaceInput
+                  placeholder={`Search stop ${index + 1}`}
+                  className="w-full p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                  value={point}
+                  onChange={(place) => updateSearchRoutePoint(index, place)}
+                />
+              </div>
             ))}
           </div>
 
+          <div className="border border-gray-200 rounded-lg p-4 bg-white">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="font-medium text-gray-700">Filters</h3>
+              <button onClick={resetFilters} className="text-blue-600 text-sm hover:text-blue-800 transition-colors">
+                Reset
+              </button>
+            </div>
+            <div className="grid grid-cols-2 gap-3 text-sm text-gray-700">
+              <label className="col-span-2">
+                Departure date
+                <input
+                  type="date"
+                  className="w-full p-2 mt-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                  value={filters.date}
+                  onChange={(e) => setFilters({ ...filters, date: e.target.value })}
+                />
+              </label>
+              <label>
+                Leaving after
+                <input
+                  type="time"
+                  className="w-full p-2 mt-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                  value={filters.earliestTime}
+                  onChange={(e) => setFilters({ ...filters, earliestTime: e.target.value })}
+                />
+              </label>
+              <label>
+                Leaving before
+                <input
+                  type="time"
+                  className="w-full p-2 mt-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                  value={filters.latestTime}
+                  onChange={(e) => setFilters({ ...filters, latestTime: e.target.value })}
+                />
+              </label>
+              <label>
+                Max price per seat ($)
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Any"
+                  className="w-full p-2 mt-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                  value={filters.maxPrice}
+                  onChange={(e) => setFilters({ ...filters, maxPrice: e.target.value })}
+                />
+              </label>
+              <label>
+                Seats needed
+                <input
+                  type="number"
+                  min="1"
+                  max="7"
+                  className="w-full p-2 mt-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                  value={filters.seatsNeeded}
+                  onChange={(e) => setFilters({ ...filters, seatsNeeded: parseInt(e.target.value) || 1 })}
+                />
+              </label>
+              <label>
+                Vehicle type
+                <select
+                  className="w-full p-2 mt-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                  value={filters.vehicleType}
+                  onChange={(e) => setFilters({ ...filters, vehicleType: e.target.value })}
+                >
+                  <option value="">Any</option>
+                  <option value="Sedan">Sedan</option>
+                  <option value="SUV">SUV</option>
+                  <option value="Minivan">Minivan</option>
+                  <option value="Hatchback">Hatchback</option>
+                </select>
+              </label>
+              <label>
+                Driver rating
+                <select
+                  className="w-full p-2 mt-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                  value={filters.minRating}
+                  onChange={(e) => setFilters({ ...filters, minRating: Number(e.target.value) })}
+                >
+                  <option value={0}>Any</option>
+                  <option value={3}>3+ stars</option>
+                  <option value={4}>4+ stars</option>
+                  <option value={4.5}>4.5+ stars</option>
+                </select>
+              </label>
+            </div>
+          </div>
+
           <button
             onClick={handleSearch}
             className="w-full bg-blue-600 text-white p-3 rounded-lg font-medium flex items-center justify-center hover:bg-blue-700 transition-colors shadow-md"
@@ -986,18 +2465,55 @@ const CarpoolApp = () => {
           </button>
         </div>
 
+        {filteredRides.some(ride => hasCoordinates(ride.routePlaces?.[0])) && (
+          <div className="mb-4">
+            <RouteMap
+              stops={filteredRides.find(ride => ride.id === mapRideId)?.routePlaces || []}
+              markers={filteredRides.map(ride => ({ id: ride.id, place: ride.routePlaces?.[0], label: `${ride.driverName}: ${ride.from} → ${ride.to}` }))}
+              selectedMarkerId={mapRideId}
+              onSelectMarker={(id) => setMapRideId(current => current === id ? null : id)}
+            />
+            <p className="text-xs text-gray-500 mt-1">Each marker is where a ride sets off. Pick one to see its route.</p>
+          </div>
+        )}
+
+        <div className="flex items-center justify-end mb-4 text-sm text-gray-700">
+          <label htmlFor="ride-sort" className="mr-2">Sort by</label>
+          <select
+            id="ride-sort"
+            className="p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+          >
+            {Object.entries(RIDE_SORT_OPTIONS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
         <div className="space-y-4">
           {filteredRides.length > 0 ? (
             filteredRides.map(ride => (
-              <div key={ride.id} className="border border-gray-200 rounded-xl p-4 bg-gray-50 shadow-sm hover:shadow-md transition-shadow">
+              <div key={ride.id} className={`border rounded-xl p-4 bg-gray-50 shadow-sm hover:shadow-md transition-shadow ${ride.id === mapRideId ? 'border-yellow-400' : 'border-gray-200'}`}>
                 <div className="flex justify-between items-start mb-2">
                   <div>
-                    <h3 className="font-bold text-lg text-gray-900">{ride.driverName}</h3>
+                    <h3 className="font-bold text-lg text-gray-900 flex items-center">
+                      {ride.driverName}
+                      {verifiedUserIds.includes(ride.driverId) && (
+                        <span className="ml-2 flex items-center text-xs font-medium text-green-700 bg-green-100 rounded-full px-2 py-0.5">
+                          <ShieldCheck className="w-3 h-3 mr-1" /> Verified
+                        </span>
+                      )}
+                    </h3>
+                    <p className="text-sm text-yellow-600 flex items-center"><Star className="w-4 h-4 mr-1" />{formatRating(ratingSummaries[ride.driverId])}</p>
                     <p className="text-sm text-gray-600">{ride.car.color} {ride.car.type} ({ride.car.plate})</p>
                   </div>
                   <div className="text-right">
                     <p className="font-bold text-green-600 text-xl">${ride.pricePerSeat}</p>
                     <p className="text-sm text-gray-600">{ride.availableSeats} seats left</p>
+                    {mostSeatsOnAnySegment(ride) > ride.availableSeats && (
+                      <p className="text-xs text-gray-500">Up to {mostSeatsOnAnySegment(ride)} on part of the route</p>
+                    )}
                   </div>
                 </div>
                 <div className="flex items-center space-x-2 mb-2">
@@ -1010,17 +2526,93 @@ const CarpoolApp = () => {
                     <span className="truncate">Via: {ride.route.slice(1, -1).join(', ')}</span>
                   </div>
                 )}
+                {hasCoordinates(ride.routePlaces?.[0]) && (
+                  <button
+                    onClick={() => setMapRideId(current => current === ride.id ? null : ride.id)}
+                    className="text-sm text-blue-600 hover:text-blue-800 mb-2"
+                  >
+                    {ride.id === mapRideId ? 'Hide route on map' : 'Show route on map'}
+                  </button>
+                )}
+                {ride.match?.pickupDistanceKm != null && ride.match?.dropoffDistanceKm != null && (
+                  <p className="text-sm text-gray-600 mb-2">
+                    Pickup {ride.match.pickupDistanceKm.toFixed(1)} km · dropoff {ride.match.dropoffDistanceKm.toFixed(1)} km from this route
+                  </p>
+                )}
                 <div className="flex items-center space-x-2 mb-3">
                   <Clock className="w-4 h-4 text-gray-500" />
                   <span className="text-sm text-gray-700">{new Date(ride.startTime).toLocaleString()}</span>
                 </div>
+                {ride.series && (
+                  <div className="flex items-center space-x-2 mb-3 text-sm text-gray-600">
+                    <Repeat className="w-4 h-4 text-gray-500" />
+                    <span>Repeats {describeSchedule(ride.series.schedule)}</span>
+                  </div>
+                )}
+                {bookingRideId === ride.id && selectedStops && (
+                  <div className="border border-blue-200 rounded-lg p-3 bg-white mt-3 space-y-3">
+                    <div className="grid grid-cols-2 gap-2">
+                      <label className="text-sm text-gray-700">
+                        Get on at
+                        <select
+                          className="w-full mt-1 p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                          value={selectedStops.boardStop}
+                          onChange={(e) => changeStops(ride, { ...selectedStops, boardStop: Number(e.target.value) })}
+                        >
+                          {rideStops(ride).slice(0, -1).map((stop, index) => (
+                            <option key={index} value={index}>{stop}</option>
+                          ))}
+                        </select>
+                      </label>
+                      <label className="text-sm text-gray-700">
+                        Get off at
+                        <select
+                          className="w-full mt-1 p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                          value={selectedStops.alightStop}
+                          onChange={(e) => changeStops(ride, { ...selectedStops, alightStop: Number(e.target.value) })}
+                        >
+                          {rideStops(ride).map((stop, index) => index > selectedStops.boardStop && (
+                            <option key={index} value={index}>{stop}</option>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
+                    <p className="text-sm text-gray-600">
+                      {seatsAvailableBetween(ride, selectedStops)} seat(s) free between these stops · ${segmentFarePerSeat(ride, selectedStops).toFixed(2)} per seat
+                    </p>
+                    <p className="text-sm text-gray-700">You are passenger 1. Add anyone travelling with you:</p>
+                    <CompanionFields companions={companions} onChange={setCompanions} maxCompanions={seatsAvailableBetween(ride, selectedStops) - 1} />
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => requestRide(ride.id, selectedStops, companions)}
+                        className="flex-1 bg-blue-600 text-white p-2 rounded-lg font-medium hover:bg-blue-700 transition-colors"
+                      >
+                        Request {1 + companions.length} seat(s) · ${roundMoney(segmentFarePerSeat(ride, selectedStops) * (1 + companions.length)).toFixed(2)}
+                      </button>
+                      <button
+                        onClick={() => setBookingRideId(null)}
+                        className="flex-1 border border-gray-300 text-gray-700 p-2 rounded-lg font-medium hover:bg-gray-100 transition-colors"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                )}
                 <div className="flex space-x-2 mt-4">
                   <button
-                    onClick={() => requestRide(ride.id)}
+                    onClick={() => startBooking(ride)}
                     className="flex-1 bg-blue-600 text-white p-3 rounded-lg font-medium hover:bg-blue-700 transition-colors shadow-md"
                   >
-                    Request Ride
+                    {ride.series ? 'Book This Date' : 'Request Ride'}
                   </button>
+                  {ride.series?.status === 'active' && (
+                    <button
+                      onClick={() => requestWeeklySeat(ride)}
+                      className="flex-1 border border-blue-600 text-blue-600 p-3 rounded-lg font-medium hover:bg-blue-50 transition-colors shadow-sm"
+                    >
+                      Weekly Seat
+                    </button>
+                  )}
                   <button
                     onClick={() => startChat(ride)}
                     className="p-3 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 transition-colors shadow-sm"
@@ -1046,89 +2638,286 @@ const CarpoolApp = () => {
   // --- My Rides Component (Driver) ---
   const MyRides = () => {
     const driverRides = rides.filter(ride => ride.driverId === currentUser.id);
+    const driverSeries = rideSeries.filter(series => series.driverId === currentUser.id);
+    const [cancelling, setCancelling] = useState(null); // { rideId } or { requestId } being cancelled
+    const [skipDateInputs, setSkipDateInputs] = useState({}); // seriesId -> date being skipped
+    const [ratingPromptId, setRatingPromptId] = useState(null); // Request just completed, to open its rating form
+    const [mapRideId, setMapRideId] = useState(null); // Ride whose map is open
+
+    // Approving books the rider onto every upcoming occurrence that still has a seat;
+    // occurrences created later pick them up automatically
+    const approveWeeklyRider = async (series, rider) => {
+      try {
+        const outcome = await cloudFunctions.approveStandingRider({ seriesId: series.id, riderId: rider.riderId });
+        if (outcome.status !== 'approved') {
+          showMessage('This weekly seat request no longer exists.');
+          return;
+        }
+        showMessage(`${rider.riderName} now has a weekly seat and is booked on ${outcome.booked} upcoming ride(s).${outcome.unfunded > 0 ? ` ${outcome.unfunded} ride(s) were skipped because their wallet could not cover the fare.` : ''}`);
+      } catch (error) {
+        console.error("Error approving weekly rider:", error);
+        showMessage('Failed to approve weekly seat.');
+      }
+    };
+
+    const removeWeeklyRider = async (series, rider) => {
+      try {
+        await removeStandingRider(series.id, rider.riderId);
+        showMessage(rider.status === 'approved'
+          ? `${rider.riderName}'s weekly seat was removed. Rides they are already booked on are unchanged.`
+          : 'Weekly seat request declined.');
+      } catch (error) {
+        console.error("Error removing weekly rider:", error);
+        showMessage('Failed to update weekly seat.');
+      }
+    };
+
+    // Skipping a date that is already scheduled cancels that occurrence (with the usual
+    // cancellation policy for anyone booked on it)
+    const skipSeriesDate = async (series, date) => {
+      if (!date) return;
+      try {
+        await updateDoc(doc(rideSeriesCollection(), series.id), { 'schedule.skipDates': arrayUnion(date) });
+        const occurrence = rides.find(ride => ride.id === occurrenceRideId(series.id, date) && ride.status === 'active');
+        if (occurrence) {
+          await cancelRide(occurrence, `The driver is not running the ${date} commute.`);
+        } else {
+          showMessage(`${date} will be skipped.`);
+        }
+        setSkipDateInputs(prev => ({ ...prev, [series.id]: '' }));
+      } catch (error) {
+        console.error("Error skipping date:", error);
+        showMessage('Failed to skip date.');
+      }
+    };
+
+    // Already scheduled occurrences stay bookable; cancel them individually if needed
+    const stopSeries = async (series) => {
+      try {
+        await updateDoc(doc(rideSeriesCollection(), series.id), { status: 'stopped', stoppedAt: new Date().toISOString() });
+        showMessage('This ride will no longer repeat. Rides already scheduled are unchanged.');
+      } catch (error) {
+        console.error("Error stopping recurring ride:", error);
+        showMessage('Failed to stop recurring ride.');
+      }
+    };
+
+    const cancelBooking = async (request, reason) => {
+      try {
+        const outcome = await cloudFunctions.cancelBookings({ requestId: request.id, cancelledBy: 'driver', reason });
+        setCancelling(null);
+        if (outcome.status !== 'cancelled') {
+          showMessage('This booking can no longer be cancelled.');
+          return;
+        }
+        showMessage(`Booking cancelled. ${request.riderName} has been refunded and notified.`);
+      } catch (error) {
+        console.error("Error cancelling booking:", error);
+        showMessage(error.code === 'functions/failed-precondition' ? error.message : 'Failed to cancel booking.');
+      }
+    };
+
+    const cancelRide = async (ride, reason) => {
+      try {
+        const outcome = await cloudFunctions.cancelBookings({ rideId: ride.id, cancelledBy: 'driver', reason, cancelRide: true });
+        setCancelling(null);
+        if (outcome.status !== 'cancelled') {
+          showMessage('This ride can no longer be cancelled.');
+          return;
+        }
+        const { results } = outcome;
+        const penalties = roundMoney(results.reduce((total, result) => total + result.penaltyCharged, 0));
+        showMessage(`Ride cancelled. ${results.length} rider(s) refunded and notified${penalties > 0 ? `; $${penalties.toFixed(2)} in penalties was paid from your wallet` : ''}.`);
+      } catch (error) {
+        console.error("Error cancelling ride:", error);
+        showMessage(error.code === 'functions/failed-precondition' ? error.message : 'Failed to cancel ride.');
+      }
+    };
 
-    const acceptRequest = async (requestId, rideId) => {
+    // The function reserves the request's seats in the same transaction that accepts it
+    const acceptRequest = async (requestId) => {
       try {
-        const requestRef = doc(db, 'artifacts', appId, 'public', 'data', 'rideRequests', requestId);
-        await updateDoc(requestRef, { status: 'accepted' });
-
-        // Decrease available seats for the ride
-        const rideRef = doc(db, 'artifacts', appId, 'public', 'data', 'rides', rideId);
-        const rideSnap = await getDoc(rideRef);
-        if (rideSnap.exists()) {
-          const currentSeats = rideSnap.data().availableSeats;
-          await updateDoc(rideRef, { availableSeats: currentSeats - 1 });
+        const outcome = await cloudFunctions.acceptRequest({ requestId });
+        switch (outcome.status) {
+          case 'accepted':
+            showMessage(outcome.seats > 1 ? `Ride request accepted! ${outcome.seats} seats reserved.` : 'Ride request accepted!');
+            break;
+          case 'full':
+            showMessage(`This request needs ${outcome.seats} seat(s) but only ${outcome.availableSeats} are left. Reject the request so the rider is refunded.`);
+            break;
+          case 'notPending':
+            showMessage('This request is no longer pending.');
+            break;
+          default:
+            showMessage('Ride or request not found.');
         }
-        showMessage('Ride request accepted!');
       } catch (error) {
         console.error("Error accepting request:", error);
         showMessage('Failed to accept request.');
       }
     };
 
+    // The function refunds any fare held for the request in the same transaction
     const rejectRequest = async (requestId) => {
       try {
-        const requestRef = doc(db, 'artifacts', appId, 'public', 'data', 'rideRequests', requestId);
-        await updateDoc(requestRef, { status: 'rejected' });
-        showMessage('Ride request rejected.');
+        const outcome = await cloudFunctions.rejectRequest({ requestId });
+        switch (outcome.status) {
+          case 'rejected':
+            showMessage('Ride request rejected. Any fare held for it has been refunded to the rider.');
+            break;
+          case 'notPending':
+            showMessage('This request is no longer pending.');
+            break;
+          case 'escrowShort':
+            showMessage("The rider's escrow no longer covers the fare held for this request. Please contact support.");
+            break;
+          default:
+            showMessage('Ride or request not found.');
+        }
       } catch (error) {
         console.error("Error rejecting request:", error);
         showMessage('Failed to reject request.');
       }
     };
 
-    const completeRide = async (rideId, riderId, price) => {
+    // Moves the ride to the next trip state. Starting the trip opens the live trip document
+    // to the riders booked at that moment.
+    const advanceTrip = async (ride) => {
+      const next = nextTripState(tripState(ride));
+      const riderIds = rideRequests.filter(req => req.rideId === ride.id && req.status === 'accepted').map(req => req.riderId);
       try {
-        // Update ride status to completed
-        const rideRef = doc(db, 'artifacts', appId, 'public', 'data', 'rides', rideId);
-        await updateDoc(rideRef, { status: 'completed' });
-
-        // Update rider's request status to completed
-        const riderRequestQuery = query(
-          collection(db, 'artifacts', appId, 'public', 'data', 'rideRequests'),
-          where('rideId', '==', rideId),
-          where('riderId', '==', riderId),
-          where('status', '==', 'accepted') // Only complete accepted requests
-        );
-        const riderRequestSnap = await getDocs(riderRequestQuery);
-        if (!riderRequestSnap.empty) {
-          riderRequestSnap.docs.forEach(async (docSnap) => {
-            await updateDoc(docSnap.ref, { status: 'completed' });
-          });
-        }
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'artifacts', appId, 'public', 'data', 'rides', ride.id), { tripStatus: next, tripUpdatedAt: new Date().toISOString() });
+        batch.set(liveTripRef(ride.id), { driverId: currentUser.id, riderIds, state: next, updatedAt: new Date().toISOString() }, { merge: true });
+        await batch.commit();
+      } catch (error) {
+        console.error("Error updating trip:", error);
+        showMessage('Failed to update the trip. Please try again.');
+      }
+    };
 
-        // Add funds to driver's wallet
-        // Corrected Firestore path for wallet
-        const driverWalletRef = doc(db, 'artifacts', appId, 'users', currentUser.id, 'walletData', 'balance');
-        await updateDoc(driverWalletRef, { balance: wallet.balance + price });
-
-        // Deduct funds from rider's wallet (in a real app, this would be more complex and involve a server)
-        // Corrected Firestore path for wallet
-        const riderWalletRef = doc(db, 'artifacts', appId, 'users', riderId, 'walletData', 'balance');
-        const riderWalletSnap = await getDoc(riderWalletRef);
-        if (riderWalletSnap.exists()) {
-          const riderCurrentBalance = riderWalletSnap.data().balance;
-          await updateDoc(riderWalletRef, { balance: riderCurrentBalance - price });
+    // Settles one accepted request: the function marks it and the ride completed and releases
+    // the held fare to the driver. Retrying a request that was already settled never pays twice.
+    const completeRide = async (requestId) => {
+      try {
+        const outcome = await cloudFunctions.completeRide({ requestId });
+        switch (outcome.status) {
+          case 'settled':
+            setRatingPromptId(requestId);
+            showMessage(`Ride marked as completed and $${outcome.price.toFixed(2)} was transferred to your wallet! Please rate your rider below.`);
+            break;
+          case 'alreadySettled':
+            showMessage('This ride was already completed and paid.');
+            break;
+          case 'insufficientFunds':
+            showMessage(`The rider's wallet has $${outcome.riderBalance.toFixed(2)}, which does not cover the $${outcome.price.toFixed(2)} fare. Ask them to add funds, then try again.`);
+            break;
+          case 'escrowShort':
+            showMessage(`The rider's escrow has $${outcome.riderEscrow.toFixed(2)}, which does not cover the $${outcome.price.toFixed(2)} held for this ride. Please contact support.`);
+            break;
+          case 'notAccepted':
+            showMessage('Only accepted requests can be completed.');
+            break;
+          default:
+            showMessage('Ride or request not found.');
         }
-
-        showMessage('Ride marked as completed and payment processed!');
       } catch (error) {
         console.error("Error completing ride:", error);
-        showMessage('Failed to complete ride.');
+        showMessage('Failed to complete ride. No payment was made; please try again.');
       }
     };
 
     return (
       <div className="p-6 bg-white rounded-xl shadow-lg my-8">
         <h2 className="text-2xl font-bold mb-6 text-gray-800 text-center">My Posted Rides</h2>
-        {driverRides.length > 0 ? (
-          <div className="space-y-6">
-            {driverRides.map(ride => (
+        {driverSeries.length > 0 && (
+          <div className="mb-8">
+            <h3 className="font-semibold text-lg text-gray-800 mb-3">Recurring Schedules</h3>
+            <div className="space-y-4">
+              {driverSeries.map(series => (
+                <div key={series.id} className="border border-gray-200 rounded-xl p-4 bg-blue-50 shadow-sm">
+                  <div className="flex justify-between items-start mb-2">
+                    <div>
+                      <p className="font-bold text-blue-600">{series.rideTemplate.from} <span className="text-gray-400">→</span> {series.rideTemplate.to}</p>
+                      <p className="text-sm text-gray-700 flex items-center"><Repeat className="w-4 h-4 mr-1" />{describeSchedule(series.schedule)}</p>
+                      {(series.schedule.skipDates || []).length > 0 && (
+                        <p className="text-xs text-gray-500">Skipping: {series.schedule.skipDates.join(', ')}</p>
+                      )}
+                    </div>
+                    <span className={`text-sm font-semibold ${series.status === 'active' ? 'text-green-500' : 'text-gray-500'}`}>{series.status}</span>
+                  </div>
+
+                  <h4 className="font-medium text-gray-800 mb-2">Weekly Riders:</h4>
+                  {(series.standingRiders || []).length > 0 ? (
+                    <div className="space-y-2 mb-3">
+                      {series.standingRiders.map(rider => (
+                        <div key={rider.riderId} className="flex justify-between items-center bg-white border border-gray-200 rounded-lg p-2">
+                          <p className="text-sm">
+                            {rider.riderName} <span className={`font-semibold ${rider.status === 'approved' ? 'text-green-600' : 'text-yellow-600'}`}>({rider.status})</span>
+                          </p>
+                          <div className="flex space-x-2">
+                            {rider.status === 'pending' && series.status === 'active' && (
+                              <button
+                                onClick={() => approveWeeklyRider(series, rider)}
+                                className="bg-green-500 text-white p-2 rounded-lg text-sm hover:bg-green-600 transition-colors"
+                                aria-label="Approve weekly seat"
+                              >
+                                <Check className="w-4 h-4" />
+                              </button>
+                            )}
+                            <button
+                              onClick={() => removeWeeklyRider(series, rider)}
+                              className="bg-red-500 text-white p-2 rounded-lg text-sm hover:bg-red-600 transition-colors"
+                              aria-label={rider.status === 'pending' ? 'Decline weekly seat' : 'Remove weekly seat'}
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-gray-500 text-sm mb-3">No weekly riders yet.</p>
+                  )}
+
+                  {series.status === 'active' && (
+                    <div className="flex flex-wrap items-center gap-2">
+                      <input
+                        type="date"
+                        className="p-2 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-blue-500"
+                        value={skipDateInputs[series.id] || ''}
+                        onChange={(e) => setSkipDateInputs(prev => ({ ...prev, [series.id]: e.target.value }))}
+                      />
+                      <button
+                        onClick={() => skipSeriesDate(series, skipDateInputs[series.id])}
+                        className="border border-blue-600 text-blue-600 px-3 py-2 rounded-lg text-sm font-medium hover:bg-blue-100 transition-colors"
+                      >
+                        Skip Date
+                      </button>
+                      <button
+                        onClick={() => stopSeries(series)}
+                        className="border border-red-500 text-red-500 px-3 py-2 rounded-lg text-sm font-medium hover:bg-red-50 transition-colors"
+                      >
+                        Stop Repeating
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        {driverRides.length > 0 ? (
+          <div className="space-y-6">
+            {driverRides.map(ride => (
               <div key={ride.id} className="border border-gray-200 rounded-xl p-6 bg-gray-50 shadow-md">
                 <div className="flex justify-between items-center mb-4">
                   <div>
                     <h3 className="font-bold text-xl text-blue-600">{ride.from} <span className="text-gray-400">→</span> {ride.to}</h3>
                     <p className="text-md text-gray-700">{new Date(ride.startTime).toLocaleString()}</p>
+                    {ride.seriesId && (
+                      <p className="text-xs text-blue-600 flex items-center"><Repeat className="w-3 h-3 mr-1" />Recurring ride</p>
+                    )}
                   </div>
                   <div className="text-right">
                     <p className="font-bold text-lg text-green-600">${ride.pricePerSeat} / seat</p>
@@ -1138,44 +2927,159 @@ const CarpoolApp = () => {
                 {ride.route && ride.route.length > 2 && (
                     <p className="text-sm text-gray-600 mb-3"><span className="font-semibold">Route:</span> {ride.route.join(' → ')}</p>
                 )}
-                <p className="text-sm text-gray-600 mb-4">Status: <span className={`font-semibold ${ride.status === 'active' ? 'text-green-500' : 'text-gray-500'}`}>{ride.status}</span></p>
+                {ride.routePlaces?.some(hasCoordinates) && (
+                  <div className="mb-4">
+                    <button
+                      onClick={() => setMapRideId(current => current === ride.id ? null : ride.id)}
+                      className="text-sm text-blue-600 hover:text-blue-800 flex items-center"
+                    >
+                      <Navigation className="w-4 h-4 mr-1" />
+                      {mapRideId === ride.id ? 'Hide map' : 'Show map'}
+                    </button>
+                    {mapRideId === ride.id && (
+                      <div className="mt-2">
+                        <RouteMap
+                          stops={ride.routePlaces}
+                          markers={rideRequests
+                            .filter(req => req.rideId === ride.id && req.status === 'accepted' && req.fromPlace)
+                            .map(req => ({ id: req.id, place: req.fromPlace, label: `Pick up ${req.riderName}` }))}
+                        />
+                      </div>
+                    )}
+                  </div>
+                )}
+                {(() => {
+                  const booked = rideRequests.filter(req => req.rideId === ride.id && ['accepted', 'completed'].includes(req.status));
+                  if (booked.length === 0) return null;
+                  return (
+                    <div className="mb-4 p-3 bg-white border border-gray-200 rounded-lg">
+                      <h4 className="font-semibold text-gray-800 mb-2 flex items-center">
+                        <Users className="w-4 h-4 mr-1" />
+                        Passenger Manifest ({booked.reduce((total, req) => total + bookedSeats(req), 0)} seat(s))
+                      </h4>
+                      <ul className="text-sm text-gray-700 space-y-1">
+                        {booked.map(req => (
+                          <li key={req.id}>
+                            <span className="font-medium">{passengerNames(req).join(', ')}</span>
+                            <span className="text-gray-500"> · booked by {req.riderName}{req.status === 'completed' ? ' · completed' : ''}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  );
+                })()}
+                <p className="text-sm text-gray-600 mb-4">Status: <span className={`font-semibold ${ride.status === 'active' ? 'text-green-500' : ride.status === 'cancelled' ? 'text-red-500' : 'text-gray-500'}`}>{ride.status}</span></p>
+                {ride.status === 'active' && rideRequests.some(req => req.rideId === ride.id && req.status === 'accepted') && (
+                  <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg flex items-center justify-between">
+                    <p className="text-sm text-gray-700">
+                      Trip: <span className="font-semibold">{TRIP_STATE_LABELS[tripState(ride)]}</span>
+                      {isTripLive(ride) && <span className="block text-xs text-gray-500">Your location is shared with your riders while RideShare is open.</span>}
+                    </p>
+                    {nextTripState(tripState(ride)) ? (
+                      <button
+                        onClick={() => advanceTrip(ride)}
+                        className="bg-blue-600 text-white px-3 py-2 rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors"
+                      >
+                        {TRIP_ACTIONS[tripState(ride)]}
+                      </button>
+                    ) : (
+                      <p className="text-xs text-gray-500">Complete each booking below when you arrive.</p>
+                    )}
+                  </div>
+                )}
+                {ride.status === 'cancelled' && ride.cancellationReason && (
+                  <p className="text-sm text-gray-600 mb-4"><span className="font-semibold">{ride.cancelledBy === 'admin' ? 'Cancelled by support:' : 'Cancellation reason:'}</span> {ride.cancellationReason}</p>
+                )}
+                {ride.status === 'active' && (
+                  cancelling?.rideId === ride.id ? (
+                    <CancellationForm
+                      title="Cancel this ride?"
+                      summary={(() => {
+                        const booked = rideRequests.filter(req => req.rideId === ride.id && req.status === 'accepted');
+                        const penalty = roundMoney(booked.reduce((total, req) => total + previewCancellation(req, 'driver').penalty, 0));
+                        return `All ${booked.length} booked rider(s) and any pending requests are refunded in full and notified.${penalty > 0 ? ` You pay $${penalty.toFixed(2)} in late-cancellation penalties.` : ''}`;
+                      })()}
+                      onConfirm={(reason) => cancelRide(ride, reason)}
+                      onDismiss={() => setCancelling(null)}
+                    />
+                  ) : (
+                    <button
+                      onClick={() => setCancelling({ rideId: ride.id })}
+                      className="mb-4 border border-red-500 text-red-500 px-4 py-2 rounded-lg text-sm font-medium hover:bg-red-50 transition-colors"
+                    >
+                      Cancel Ride
+                    </button>
+                  )
+                )}
 
                 <h4 className="font-semibold text-lg text-gray-800 mb-3">Ride Requests:</h4>
                 {rideRequests.filter(req => req.rideId === ride.id).length > 0 ? (
                   <div className="space-y-3">
                     {rideRequests.filter(req => req.rideId === ride.id).map(request => (
-                      <div key={request.id} className="border border-gray-200 rounded-lg p-3 bg-white flex justify-between items-center shadow-sm">
-                        <div>
-                          <p className="font-medium">{request.riderName}</p>
-                          <p className="text-sm text-gray-600">{request.from} → {request.to}</p>
-                          <p className="text-xs text-gray-500">Status: <span className={`font-semibold ${request.status === 'pending' ? 'text-yellow-600' : request.status === 'accepted' ? 'text-green-600' : 'text-red-600'}`}>{request.status}</span></p>
-                        </div>
-                        <div className="flex space-x-2">
-                          {request.status === 'pending' && (
-                            <>
-                              <button
-                                onClick={() => acceptRequest(request.id, ride.id)}
-                                className="bg-green-500 text-white p-2 rounded-lg text-sm hover:bg-green-600 transition-colors"
-                              >
-                                <Check className="w-4 h-4" />
-                              </button>
-                              <button
-                                onClick={() => rejectRequest(request.id)}
-                                className="bg-red-500 text-white p-2 rounded-lg text-sm hover:bg-red-600 transition-colors"
-                              >
-                                <X className="w-4 h-4" />
-                              </button>
-                            </>
-                          )}
-                          {request.status === 'accepted' && (
-                            <button
-                              onClick={() => completeRide(ride.id, request.riderId, ride.pricePerSeat)}
-                              className="bg-purple-600 text-white p-2 rounded-lg text-sm hover:bg-purple-700 transition-colors"
-                            >
-                              <DollarSign className="w-4 h-4 mr-1 inline-block" /> Complete
-                            </button>
-                          )}
+                      <div key={request.id} className="border border-gray-200 rounded-lg p-3 bg-white shadow-sm">
+                        <div className="flex justify-between items-center">
+                          <div>
+                            <p className="font-medium">
+                              {request.riderName}
+                              <span className="text-xs text-yellow-600 ml-2">{formatRating(ratingSummaries[request.riderId])}</span>
+                              {request.standing && <span className="text-xs text-blue-600 ml-2">Weekly seat</span>}
+                            </p>
+                            <p className="text-sm text-gray-600">{request.from} → {request.to}</p>
+                            {bookedSeats(request) > 1 && (
+                              <p className="text-xs text-gray-600">{bookedSeats(request)} seats: {passengerNames(request).join(', ')}</p>
+                            )}
+                            <p className="text-xs text-gray-500">Status: <span className={`font-semibold ${request.status === 'pending' ? 'text-yellow-600' : request.status === 'accepted' ? 'text-green-600' : 'text-red-600'}`}>{request.status}</span></p>
+                            {request.status === 'cancelled' && request.cancellationReason && (
+                              <p className="text-xs text-gray-500">Cancelled by {request.cancelledBy === 'admin' ? 'support' : request.cancelledBy}: {request.cancellationReason}</p>
+                            )}
+                          </div>
+                          <div className="flex space-x-2">
+                            {request.status === 'pending' && (
+                              <>
+                                <button
+                                  onClick={() => acceptRequest(request.id)}
+                                  className="bg-green-500 text-white p-2 rounded-lg text-sm hover:bg-green-600 transition-colors"
+                                >
+                                  <Check className="w-4 h-4" />
+                                </button>
+                                <button
+                                  onClick={() => rejectRequest(request.id)}
+                                  className="bg-red-500 text-white p-2 rounded-lg text-sm hover:bg-red-600 transition-colors"
+                                >
+                                  <X className="w-4 h-4" />
+                                </button>
+                              </>
+                            )}
+                            {request.status === 'accepted' && (
+                              <>
+                                <button
+                                  onClick={() => completeRide(request.id)}
+                                  className="bg-purple-600 text-white p-2 rounded-lg text-sm hover:bg-purple-700 transition-colors"
+                                >
+                                  <DollarSign className="w-4 h-4 mr-1 inline-block" /> Complete
+                                </button>
+                                <button
+                                  onClick={() => setCancelling({ requestId: request.id })}
+                                  className="bg-red-500 text-white p-2 rounded-lg text-sm hover:bg-red-600 transition-colors"
+                                  aria-label="Cancel booking"
+                                >
+                                  <X className="w-4 h-4" />
+                                </button>
+                              </>
+                            )}
+                          </div>
                         </div>
+                        {request.status === 'completed' && (
+                          <ReviewPanel request={request} role="driver" startOpen={ratingPromptId === request.id} />
+                        )}
+                        {cancelling?.requestId === request.id && (
+                          <CancellationForm
+                            title={`Cancel ${request.riderName}'s booking?`}
+                            summary={describeCancellation(request, 'driver')}
+                            onConfirm={(reason) => cancelBooking(request, reason)}
+                            onDismiss={() => setCancelling(null)}
+                          />
+                        )}
                       </div>
                     ))}
                   </div>
@@ -1199,21 +3103,103 @@ const CarpoolApp = () => {
   // --- My Requests Component (Rider) ---
   const MyRequests = () => {
     const riderRequests = rideRequests.filter(req => req.riderId === currentUser.id);
+    const weeklySeats = rideSeries
+      .filter(series => (series.standingRiderIds || []).includes(currentUser.id))
+      .map(series => ({ series, seat: series.standingRiders.find(rider => rider.riderId === currentUser.id) }));
+    const [cancellingId, setCancellingId] = useState(null);
+
+    const leaveWeeklySeat = async (series) => {
+      try {
+        await removeStandingRider(series.id, currentUser.id);
+        showMessage('Your weekly seat was cancelled. Rides you are already booked on are still listed below and can be cancelled individually.');
+      } catch (error) {
+        console.error("Error cancelling weekly seat:", error);
+        showMessage('Failed to cancel weekly seat.');
+      }
+    };
 
-    const cancelRequest = async (requestId) => {
+    // Pending and searching requests are refunded in full; accepted bookings fall under the cancellation policy
+    const cancelRequest = async (request, reason) => {
       try {
-        const requestRef = doc(db, 'artifacts', appId, 'public', 'data', 'rideRequests', requestId);
-        await updateDoc(requestRef, { status: 'cancelled' });
-        showMessage('Ride request cancelled.');
+        const outcome = await cloudFunctions.cancelBookings({ requestId: request.id, cancelledBy: 'rider', reason });
+        setCancellingId(null);
+        if (outcome.status !== 'cancelled') {
+          showMessage('This request can no longer be cancelled.');
+          return;
+        }
+        const [result] = outcome.results;
+        showMessage(result.refund > 0 ? `Ride request cancelled. $${result.refund.toFixed(2)} has been refunded to your wallet.` : 'Ride request cancelled.');
       } catch (error) {
         console.error("Error cancelling request:", error);
-        showMessage('Failed to cancel request.');
+        showMessage(error.code === 'functions/failed-precondition' ? error.message : 'Failed to cancel request.');
+      }
+    };
+
+    // The driver already agreed by offering, so the function holds the fare, reserves the
+    // seats and accepts the request in one transaction
+    const acceptOffer = async (request, offer) => {
+      try {
+        const outcome = await cloudFunctions.acceptOffer({ requestId: request.id, rideId: offer.rideId });
+        switch (outcome.status) {
+          case 'accepted':
+            showMessage(`You accepted ${offer.driverName}'s ride. Your ride is confirmed and $${outcome.fare.toFixed(2)} is held until it is completed.`);
+            break;
+          case 'insufficientFunds':
+            showMessage(`You need $${outcome.fare.toFixed(2)} in your wallet to accept this offer. Please add funds first.`);
+            break;
+          case 'unavailable':
+            showMessage('This ride is no longer available.');
+            break;
+          default:
+            showMessage('This request is no longer open for offers.');
+        }
+      } catch (error) {
+        console.error("Error accepting offer:", error);
+        showMessage(error.code === 'functions/failed-precondition' ? error.message : 'Failed to accept offer.');
+      }
+    };
+
+    const declineOffer = async (request, offer) => {
+      try {
+        const requestRef = doc(db, 'artifacts', appId, 'public', 'data', 'rideRequests', request.id);
+        await updateDoc(requestRef, { offers: arrayRemove(offer) });
+        showMessage('Offer declined.');
+      } catch (error) {
+        console.error("Error declining offer:", error);
+        showMessage('Failed to decline offer.');
       }
     };
 
     return (
       <div className="p-6 bg-white rounded-xl shadow-lg my-8">
         <h2 className="text-2xl font-bold mb-6 text-gray-800 text-center">My Ride Requests</h2>
+        {weeklySeats.length > 0 && (
+          <div className="mb-8">
+            <h3 className="font-semibold text-lg text-gray-800 mb-3">Weekly Seats</h3>
+            <div className="space-y-3">
+              {weeklySeats.map(({ series, seat }) => (
+                <div key={series.id} className="border border-gray-200 rounded-xl p-4 bg-blue-50 shadow-sm flex justify-between items-center">
+                  <div>
+                    <p className="font-bold text-gray-900">{series.rideTemplate.from} <span className="text-gray-400">→</span> {series.rideTemplate.to}</p>
+                    <p className="text-sm text-gray-700 flex items-center"><Repeat className="w-4 h-4 mr-1" />{describeSchedule(series.schedule)}</p>
+                    <p className="text-sm text-gray-600">
+                      Driver: {series.driverName} · ${series.rideTemplate.pricePerSeat} per ride ·{' '}
+                      <span className={`font-semibold ${series.status !== 'active' ? 'text-gray-600' : seat?.status === 'approved' ? 'text-green-600' : 'text-yellow-600'}`}>
+                        {series.status !== 'active' ? 'no longer running' : seat?.status}
+                      </span>
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => leaveWeeklySeat(series)}
+                    className="border border-red-500 text-red-500 px-3 py-2 rounded-lg text-sm font-medium hover:bg-red-50 transition-colors"
+                  >
+                    {seat?.status === 'approved' ? 'Cancel Weekly Seat' : 'Withdraw'}
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
         {riderRequests.length > 0 ? (
           <div className="space-y-4">
             {riderRequests.map(request => {
@@ -1223,25 +3209,84 @@ const CarpoolApp = () => {
                   <div className="flex justify-between items-center mb-2">
                     <div>
                       <h3 className="font-bold text-lg text-gray-900">{request.from} <span className="text-gray-400">→</span> {request.to}</h3>
-                      <p className="text-sm text-gray-600">Requested: {new Date(request.requestedAt).toLocaleString()}</p>
+                      <p className="text-sm text-gray-600">Requested: {new Date(request.requestedAt || request.createdAt).toLocaleString()}</p>
+                      {bookedSeats(request) > 1 && (
+                        <p className="text-sm text-gray-600">{bookedSeats(request)} seats: {passengerNames(request).join(', ')}</p>
+                      )}
                     </div>
                     <div className="text-right">
-                      <p className="font-bold text-green-600 text-lg">${request.price}</p>
-                      {ride && <p className="text-sm text-gray-600">Driver: {ride.driverName}</p>}
+                      <p className="font-bold text-green-600 text-lg">{request.status === 'searching' ? `Up to $${request.maxPrice}${bookedSeats(request) > 1 ? ' / seat' : ''}` : `$${request.price}`}</p>
+                      {ride && <p className="text-sm text-gray-600">Driver: {ride.driverName} <span className="text-yellow-600">{formatRating(ratingSummaries[ride.driverId])}</span></p>}
                     </div>
                   </div>
-                  <p className="text-sm mb-3">Status: <span className={`font-semibold ${request.status === 'pending' ? 'text-yellow-600' : request.status === 'accepted' ? 'text-green-600' : request.status === 'rejected' ? 'text-red-600' : 'text-gray-600'}`}>{request.status}</span></p>
+                  <p className="text-sm mb-3">Status: <span className={`font-semibold ${request.status === 'pending' ? 'text-yellow-600' : request.status === 'accepted' ? 'text-green-600' : request.status === 'rejected' ? 'text-red-600' : request.status === 'searching' ? 'text-blue-600' : 'text-gray-600'}`}>{request.status}</span></p>
+
+                  {request.status === 'searching' && (
+                    <div className="mb-3">
+                      <h4 className="font-semibold text-gray-800 mb-2">Ride Offers:</h4>
+                      {(request.offers || []).length > 0 ? (
+                        <div className="space-y-2">
+                          {request.offers.map(offer => (
+                            <div key={offer.rideId} className="border border-gray-200 rounded-lg p-3 bg-white flex justify-between items-center shadow-sm">
+                              <div>
+                                <p className="font-medium">{offer.driverName}</p>
+                                <p className="text-sm text-gray-600">{offer.from} → {offer.to}</p>
+                                <p className="text-xs text-gray-500">{new Date(offer.rideStartTime).toLocaleString()} · <span className="font-semibold text-green-600">${roundMoney(offer.price * bookedSeats(request))}</span>{bookedSeats(request) > 1 && ` for ${bookedSeats(request)} seats`}</p>
+                              </div>
+                              <div className="flex space-x-2">
+                                <button
+                                  onClick={() => acceptOffer(request, offer)}
+                                  className="bg-green-500 text-white p-2 rounded-lg text-sm hover:bg-green-600 transition-colors"
+                                  aria-label="Accept offer"
+                                >
+                                  <Check className="w-4 h-4" />
+                                </button>
+                                <button
+                                  onClick={() => declineOffer(request, offer)}
+                                  className="bg-red-500 text-white p-2 rounded-lg text-sm hover:bg-red-600 transition-colors"
+                                  aria-label="Decline offer"
+                                >
+                                  <X className="w-4 h-4" />
+                                </button>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
+                        <p className="text-gray-500 text-sm">No offers from drivers yet.</p>
+                      )}
+                    </div>
+                  )}
 
-                  {request.status === 'pending' && (
-                    <button
-                      onClick={() => cancelRequest(request.id)}
-                      className="w-full bg-red-500 text-white p-2 rounded-lg font-medium hover:bg-red-600 transition-colors"
-                    >
-                      Cancel Request
-                    </button>
+                  {request.status === 'accepted' && (ride && isTripLive(ride) ? (
+                    <LiveTripPanel ride={ride} request={request} />
+                  ) : (
+                     <p className="text-green-600 font-semibold text-center mt-3 mb-3">Your ride is confirmed!</p>
+                  ))}
+                  {request.status === 'completed' && <ReviewPanel request={request} role="rider" />}
+                  {request.status === 'cancelled' && request.cancellationReason && (
+                    <p className="text-sm text-gray-600">
+                      Cancelled by {request.cancelledBy === 'rider' ? 'you' : request.cancelledBy === 'admin' ? 'support' : 'the driver'}: {request.cancellationReason}
+                      {request.cancellationOutcome && ` · Refunded $${request.cancellationOutcome.refund.toFixed(2)}`}
+                      {request.cancelledBy === 'driver' && request.cancellationOutcome?.penaltyCharged > 0 && ` + $${request.cancellationOutcome.penaltyCharged.toFixed(2)} compensation`}
+                    </p>
                   )}
-                  {request.status === 'accepted' && (
-                     <p className="text-green-600 font-semibold text-center mt-3">Your ride is confirmed!</p>
+                  {['pending', 'searching', 'accepted'].includes(request.status) && (
+                    cancellingId === request.id ? (
+                      <CancellationForm
+                        title={request.status === 'accepted' ? 'Cancel this booking?' : 'Cancel this request?'}
+                        summary={describeCancellation(request, 'rider')}
+                        onConfirm={(reason) => cancelRequest(request, reason)}
+                        onDismiss={() => setCancellingId(null)}
+                      />
+                    ) : (
+                      <button
+                        onClick={() => setCancellingId(request.id)}
+                        className="w-full bg-red-500 text-white p-2 rounded-lg font-medium hover:bg-red-600 transition-colors"
+                      >
+                        {request.status === 'accepted' ? 'Cancel Booking' : 'Cancel Request'}
+                      </button>
+                    )
                   )}
                 </div>
               );
@@ -1258,53 +3303,257 @@ const CarpoolApp = () => {
     );
   };
 
+  // --- Find Riders Component (Driver) ---
+  const FindRiders = () => {
+    const driverRides = rides.filter(ride => ride.driverId === currentUser.id && ride.status === 'active' && ride.availableSeats > 0);
+    const [selectedRides, setSelectedRides] = useState({}); // requestId -> rideId chosen for an offer
+
+    // Rank every open request by its best match among the driver's active rides
+    const rankedRequests = rideRequests
+      .filter(req => req.status === 'searching' && req.riderId !== currentUser.id)
+      .map(request => {
+        const matches = driverRides
+          .filter(ride => ride.availableSeats >= bookedSeats(request))
+          .map(ride => ({ ride, ...scoreRideForRequest(ride, request) }))
+          .filter(match => match.score > 0)
+          .sort((a, b) => b.score - a.score);
+        return { request, matches, bestScore: matches.length > 0 ? matches[0].score : 0 };
+      })
+      .sort((a, b) => b.bestScore - a.bestScore);
+
+    const contactRider = async (request) => {
+      const chatId = `initial-contact-driver-${currentUser.id}-rider-${request.riderId}`;
+      try {
+        // Ensure the chat document exists for this conversation
+        const chatSnap = await getDoc(chatDocRef(chatId));
+        if (!chatSnap.exists()) {
+          await setDoc(chatDocRef(chatId), {
+            participants: chatParticipants(currentUser.id, request.riderId),
+            createdAt: new Date().toISOString()
+          });
+        }
+
+        // Mark the request so both sides list this chat in MessagingView
+        const requestRef = doc(db, 'artifacts', appId, 'public', 'data', 'rideRequests', request.id);
+        await updateDoc(requestRef, {
+          contactInitiatedBy: currentUser.id,
+          contactInitiatedByName: currentUser.name
+        });
+
+        setActiveChat({
+          id: chatId,
+          name: request.riderName,
+          rideInfo: `Request: ${request.from} to ${request.to}`,
+          partnerId: request.riderId
+        });
+        setCurrentView('messages');
+      } catch (error) {
+        console.error("Error contacting rider:", error);
+        showMessage('Failed to contact rider. Please try again.');
+      }
+    };
+
+    const offerRide = async (request, rideId) => {
+      const ride = driverRides.find(r => r.id === rideId);
+      if (!ride) {
+        showMessage('Please select one of your active rides to offer.');
+        return;
+      }
+
+      if ((request.offers || []).some(offer => offer.rideId === ride.id)) {
+        showMessage('You have already offered this ride to this rider.');
+        return;
+      }
+
+      // The rider accepts or declines offers from MyRequests
+      const offer = {
+        rideId: ride.id,
+        driverId: ride.driverId,
+        driverName: ride.driverName,
+        from: ride.from,
+        to: ride.to,
+        rideStartTime: ride.startTime,
+        price: ride.pricePerSeat,
+        offeredAt: new Date().toISOString()
+      };
+
+      try {
+        const requestRef = doc(db, 'artifacts', appId, 'public', 'data', 'rideRequests', request.id);
+        await updateDoc(requestRef, { offers: arrayUnion(offer) });
+        showMessage(`Offered your ride to ${request.riderName}. They will see it in My Requests.`);
+      } catch (error) {
+        console.error("Error offering ride:", error);
+        showMessage('Failed to offer ride. Please try again.');
+      }
+    };
+
+    return (
+      <div className="p-6 bg-white rounded-xl shadow-lg my-8">
+        <h2 className="text-2xl font-bold mb-6 text-gray-800 text-center">Find Riders</h2>
+        {driverRides.length === 0 && (
+          <p className="text-sm text-center text-yellow-700 bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4">
+            You have no active rides with free seats. Post a ride to get matches ranked against your route.
+          </p>
+        )}
+        {rankedRequests.length > 0 ? (
+          <div className="space-y-4">
+            {rankedRequests.map(({ request, matches, bestScore }) => {
+              const selectedRideId = selectedRides[request.id] || (matches.length > 0 ? matches[0].ride.id : '');
+              const selectedMatch = matches.find(match => match.ride.id === selectedRideId);
+              return (
+                <div key={request.id} className="border border-gray-200 rounded-xl p-4 bg-gray-50 shadow-sm hover:shadow-md transition-shadow">
+                  <div className="flex justify-between items-start mb-2">
+                    <div>
+                      <h3 className="font-bold text-lg text-gray-900">{request.riderName}</h3>
+                      {bookedSeats(request) > 1 && (
+                        <p className="text-sm text-gray-600">{bookedSeats(request)} seats: {passengerNames(request).join(', ')}</p>
+                      )}
+                      <div className="flex items-center space-x-2">
+                        <MapPin className="w-4 h-4 text-blue-500" />
+                        <span className="text-base text-gray-800">{request.from} <span className="text-gray-400">→</span> {request.to}</span>
+                      </div>
+                    </div>
+                    <div className="text-right">
+                      <p className="font-bold text-green-600 text-xl">Up to ${request.maxPrice}</p>
+                      <p className={`text-sm font-semibold ${bestScore >= 70 ? 'text-green-600' : bestScore > 0 ? 'text-yellow-600' : 'text-gray-500'}`}>
+                        {bestScore > 0 ? `${bestScore}% match` : 'No match'}
+                      </p>
+                    </div>
+                  </div>
+                  {request.route && request.route.length > 2 && (
+                    <div className="flex items-center space-x-2 mb-2 text-sm text-gray-600">
+                      <Navigation className="w-4 h-4 text-gray-500" />
+                      <span className="truncate">Flexible via: {request.route.slice(1, -1).join(', ')}</span>
+                    </div>
+                  )}
+                  <div className="flex items-center space-x-2 mb-3">
+                    <Clock className="w-4 h-4 text-gray-500" />
+                    <span className="text-sm text-gray-700">{new Date(request.preferredTime).toLocaleString()}</span>
+                  </div>
+
+                  {matches.length > 0 && (
+                    <div className="space-y-2 mb-3">
+                      <select
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                        value={selectedRideId}
+                        onChange={(e) => setSelectedRides({ ...selectedRides, [request.id]: e.target.value })}
+                      >
+                        {matches.map(({ ride, score }) => (
+                          <option key={ride.id} value={ride.id}>
+                            {ride.from} → {ride.to}, {new Date(ride.startTime).toLocaleString()} (${ride.pricePerSeat}, {score}%)
+                          </option>
+                        ))}
+                      </select>
+                      {selectedMatch && (
+                        <p className="text-xs text-gray-500">
+                          {selectedMatch.pickupDistanceKm !== null
+                            ? `Pickup ${selectedMatch.pickupDistanceKm.toFixed(1)} km, dropoff ${selectedMatch.dropoffDistanceKm.toFixed(1)} km from your route`
+                            : 'Pickup and dropoff are stops on your route'}
+                          {selectedMatch.hoursApart !== null && ` · ${selectedMatch.hoursApart.toFixed(1)}h from preferred time`}
+                          {!selectedMatch.withinBudget && ' · above rider\'s max price'}
+                        </p>
+                      )}
+                      {(request.offers || []).some(offer => offer.driverId === currentUser.id) && (
+                        <p className="text-xs font-semibold text-blue-600">
+                          Offered: {request.offers.filter(offer => offer.driverId === currentUser.id).map(offer => `${offer.from} → ${offer.to}`).join(', ')}
+                        </p>
+                      )}
+                    </div>
+                  )}
+
+                  <div className="flex space-x-2 mt-4">
+                    <button
+                      onClick={() => offerRide(request, selectedRideId)}
+                      disabled={matches.length === 0}
+                      className="flex-1 bg-blue-600 text-white p-3 rounded-lg font-medium hover:bg-blue-700 transition-colors shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Offer Ride
+                    </button>
+                    <button
+                      onClick={() => contactRider(request)}
+                      className="p-3 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 transition-colors shadow-sm flex items-center"
+                      aria-label="Contact rider"
+                    >
+                      <MessageCircle className="w-5 h-5 mr-1" /> Contact Rider
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <div className="text-center text-gray-500 mt-8">
+            <Users className="w-16 h-16 mx-auto mb-4 text-gray-300" />
+            <p className="text-lg font-medium">No riders are looking for a ride right now.</p>
+            <p className="text-sm">Check back later for new ride requests!</p>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   // --- Post Ride Request Component (Rider) ---
   const PostRideRequest = () => {
     const [requestData, setRequestData] = useState({
-      from: '',
-      to: '',
+      from: { name: '' },
+      to: { name: '' },
       preferredTime: '',
       maxPrice: 20,
-      route: ['']
+      route: [{ name: '' }]
     });
+    const [companions, setCompanions] = useState([]); // Names of passengers travelling with the rider
     const [isRefiningRequest, setIsRefiningRequest] = useState(false);
-    const [refinementSuggestion, setRefinementSuggestion] = useState('');
+    const [refinementSuggestions, setRefinementSuggestions] = useState([]);
 
     const addRoutePoint = () => {
-      setRequestData({ ...requestData, route: [...requestData.route, ''] });
+      setRequestData({ ...requestData, route: [...requestData.route, { name: '' }] });
     };
 
-    const updateRoutePoint = (index, value) => {
-      const newRoute = [...requestData.route];
-      newRoute[index] = value;
-      setRequestData({ ...requestData, route: newRoute });
+    const updateRoutePoint = (index, place) => {
+      setRequestData(prev => ({ ...prev, route: prev.route.map((point, i) => i === index ? place : point) }));
     };
 
     const handlePostRequest = async () => {
-      if (!requestData.from || !requestData.to || !requestData.preferredTime || !requestData.maxPrice) {
+      if (!requestData.from.name || !requestData.to.name || !requestData.preferredTime || !requestData.maxPrice) {
         showMessage('Please fill in all required request details.');
         return;
       }
+      const placeError = placesMissingCoordinates([requestData.from, requestData.to, ...requestData.route]);
+      if (placeError) {
+        showMessage(placeError);
+        return;
+      }
       if (currentUser.userType !== 'rider') {
         showMessage('Only riders can post ride requests.');
         return;
       }
+      const nameError = companionsMissingNames(companions);
+      if (nameError) {
+        showMessage(nameError);
+        return;
+      }
 
-      const filteredRoute = requestData.route.filter(point => point.trim() !== '');
+      const filteredRoute = requestData.route.filter(point => point.name.trim() !== '');
+      const routePlaces = [requestData.from, ...filteredRoute, requestData.to].map(({ name, lat, lng }) => ({ name, lat, lng }));
       const newRequest = {
         riderId: currentUser.id,
         riderName: currentUser.name,
-        from: requestData.from,
-        to: requestData.to,
+        from: requestData.from.name,
+        to: requestData.to.name,
+        fromPlace: routePlaces[0],
+        toPlace: routePlaces[routePlaces.length - 1],
         preferredTime: requestData.preferredTime,
         maxPrice: requestData.maxPrice,
-        route: [requestData.from, ...filteredRoute, requestData.to],
+        seats: 1 + companions.length,
+        passengers: [currentUser.name, ...companions.map(name => name.trim())],
+        route: routePlaces.map(place => place.name),
+        routePlaces,
         status: 'searching', // searching, pending, accepted, rejected, completed, cancelled
         createdAt: new Date().toISOString()
       };
       try {
         await addDoc(collection(db, 'artifacts', appId, 'public', 'data', 'rideRequests'), newRequest);
-        showMessage('Ride request posted! Drivers will be notified.');
+        showMessage('Ride request posted! Drivers offering rides can now find it under Find Riders.');
         setCurrentView('myRequests');
       } catch (error) {
         console.error("Error posting ride request:", error);
@@ -1312,64 +3561,46 @@ const CarpoolApp = () => {
       }
     };
 
-    // LLM Feature: Refine Request
+    // Refine Request: the assistant's tips for getting matched, or fixed tips when no model is
+    // available
     const refineRequest = async () => {
-        if (!requestData.from || !requestData.to || !requestData.preferredTime || !requestData.maxPrice) {
-            showMessage("Please fill in 'From', 'To', 'Preferred Time', and 'Max Price' to get refinement suggestions.");
-            return;
-        }
+      if (!requestData.from.name || !requestData.to.name || !requestData.preferredTime || !requestData.maxPrice) {
+        showMessage("Please fill in 'From', 'To', 'Preferred Time', and 'Max Price' to get refinement suggestions.");
+        return;
+      }
 
-        setIsRefiningRequest(true);
-        setRefinementSuggestion('');
-        try {
-            const prompt = `I am a rider looking for a carpool. My request details are: From "${requestData.from}", To "${requestData.to}", Preferred Time "${new Date(requestData.preferredTime).toLocaleString()}", Max Price "${requestData.maxPrice}". Suggest ways to refine my ride request to increase the chances of finding a match. Include alternative nearby pickup/dropoff points or slightly flexible times. Keep the suggestion concise and actionable.`;
-            let chatHistory = [];
-            chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-            const payload = { contents: chatHistory };
-            const apiKey = "";
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-            const result = await response.json();
-            
-            if (result.candidates && result.candidates.length > 0 &&
-                result.candidates[0].content && result.candidates[0].content.parts &&
-                result.candidates[0].content.parts.length > 0) {
-                const text = result.candidates[0].content.parts[0].text;
-                setRefinementSuggestion(text);
-                showMessage("Refinement suggestion generated below.");
-            } else {
-                showMessage("Failed to get refinement suggestion. No valid response from LLM.");
-            }
-        } catch (error) {
-            console.error("Error refining request:", error);
-            showMessage("Error getting refinement suggestion. Please try again later.");
-        } finally {
-            setIsRefiningRequest(false);
-        }
+      setIsRefiningRequest(true);
+      setRefinementSuggestions([]);
+      try {
+        const { result, error } = await assistant.refineRequest({
+          from: requestData.from,
+          to: requestData.to,
+          preferredTime: requestData.preferredTime,
+          maxPrice: requestData.maxPrice
+        }, { userId: currentUser.id });
+        if (error) console.error("Error refining request:", error);
+        setRefinementSuggestions(result.suggestions);
+        showMessage("Refinement suggestions generated below.");
+      } finally {
+        setIsRefiningRequest(false);
+      }
     };
 
-
     return (
       <div className="p-6 bg-white rounded-xl shadow-lg my-8 max-w-xl mx-auto">
         <h2 className="text-2xl font-bold mb-6 text-gray-800 text-center">Post Ride Request</h2>
         <div className="space-y-4">
-          <input
-            type="text"
+          <PlaceInput
             placeholder="From"
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
             value={requestData.from}
-            onChange={(e) => setRequestData({ ...requestData, from: e.target.value })}
+            onChange={(place) => setRequestData(prev => ({ ...prev, from: place }))}
           />
-          <input
-            type="text"
+          <PlaceInput
             placeholder="To"
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
             value={requestData.to}
-            onChange={(e) => setRequestData({ ...requestData, to: e.target.value })}
+            onChange={(place) => setRequestData(prev => ({ ...prev, to: place }))}
           />
 
           <div className="border border-gray-200 rounded-lg p-4 bg-gray-50">
@@ -1385,14 +3616,14 @@ const CarpoolApp = () => {
               </button>
             </div>
             {requestData.route.map((point, index) => (
-              <input
-                key={index}
-                type="text"
-                placeholder={`Flexible stop ${index + 1}`}
-                className="w-full p-2 border border-gray-300 rounded mb-2 focus:ring-2 focus:ring-blue-500"
-                value={point}
-                onChange={(e) => updateRoutePoint(index, e.target.value)}
-              />
+              <div key={index} className="mb-2">
+                <PlaceInput
+                  placeholder={`Flexible stop ${index + 1}`}
+                  className="w-full p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                  value={point}
+                  onChange={(place) => updateRoutePoint(index, place)}
+                />
+              </div>
             ))}
           </div>
 
@@ -1404,12 +3635,16 @@ const CarpoolApp = () => {
           />
           <input
             type="number"
-            placeholder="Max Price ($)"
+            placeholder="Max Price per Seat ($)"
             min="5"
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
             value={requestData.maxPrice}
             onChange={(e) => setRequestData({ ...requestData, maxPrice: parseInt(e.target.value) })}
           />
+          <div className="border border-gray-200 rounded-lg p-4 bg-gray-50">
+            <h3 className="font-medium text-gray-700 mb-2">Travelling With (Optional)</h3>
+            <CompanionFields companions={companions} onChange={setCompanions} maxCompanions={6} />
+          </div>
 
           <button
             onClick={handlePostRequest}
@@ -1432,10 +3667,12 @@ const CarpoolApp = () => {
                   <>Refine Request ✨</>
               )}
           </button>
-          {refinementSuggestion && (
+          {refinementSuggestions.length > 0 && (
               <div className="mt-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
-                  <h4 className="font-semibold mb-2">Refinement Suggestion:</h4>
-                  <p>{refinementSuggestion}</p>
+                  <h4 className="font-semibold mb-2">Refinement Suggestions:</h4>
+                  <ul className="list-disc pl-5 space-y-1">
+                    {refinementSuggestions.map((suggestion, index) => <li key={index}>{suggestion}</li>)}
+                  </ul>
               </div>
           )}
         </div>
@@ -1446,7 +3683,51 @@ const CarpoolApp = () => {
   // --- Wallet Component ---
   const WalletView = () => {
     const [amount, setAmount] = useState('');
+    const [ledgerEntries, setLedgerEntries] = useState([]);
+    const [ledgerCursor, setLedgerCursor] = useState(null); // Last loaded snapshot, for pagination
+    const [hasMoreEntries, setHasMoreEntries] = useState(false);
+    const [ledgerFilter, setLedgerFilter] = useState('all');
+    const [ledgerTotal, setLedgerTotal] = useState(null);
+    const LEDGER_PAGE_SIZE = 10;
+
+    const loadLedgerPage = useCallback(async (cursor) => {
+      try {
+        const constraints = [orderBy('createdAt', 'desc'), limit(LEDGER_PAGE_SIZE)];
+        if (ledgerFilter !== 'all') constraints.unshift(where('type', '==', ledgerFilter));
+        if (cursor) constraints.push(startAfter(cursor));
+        const snapshot = await getDocs(query(walletLedgerCollection(userId), ...constraints));
+        const entries = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+        setLedgerEntries(prev => cursor ? [...prev, ...entries] : entries);
+        setLedgerCursor(snapshot.docs[snapshot.docs.length - 1] || null);
+        setHasMoreEntries(snapshot.docs.length === LEDGER_PAGE_SIZE);
+      } catch (error) {
+        console.error("Error loading wallet history:", error);
+        showMessage('Failed to load wallet history.');
+      }
+    }, [ledgerFilter]);
 
+    // Reload from the first page when the filter changes
+    useEffect(() => {
+      loadLedgerPage(null);
+    }, [loadLedgerPage]);
+
+    // Sum every ledger entry on the server so the balance can be audited against it, again
+    // whenever the balance moves
+    const balance = wallet.balance;
+    useEffect(() => {
+      const reconcileLedger = async () => {
+        try {
+          const snapshot = await getAggregateFromServer(walletLedgerCollection(userId), { total: sum('amount') });
+          setLedgerTotal(roundMoney(snapshot.data().total || 0));
+        } catch (error) {
+          console.error("Error reconciling wallet:", error);
+        }
+      };
+      reconcileLedger();
+    }, [balance]);
+
+    // Deposits and withdrawals go through the addFunds and withdrawFunds functions, which
+    // log a ledger entry with each; clients may not write wallets themselves.
     const handleAddFunds = async () => {
       const depositAmount = parseFloat(amount);
       if (isNaN(depositAmount) || depositAmount <= 0) {
@@ -1454,14 +3735,12 @@ const CarpoolApp = () => {
         return;
       }
       try {
-        // Corrected Firestore path for wallet
-        const walletRef = doc(db, 'artifacts', appId, 'users', userId, 'walletData', 'balance');
-        await updateDoc(walletRef, { balance: wallet.balance + depositAmount });
-        showMessage(`Successfully added $${depositAmount.toFixed(2)} to your wallet.`);
+        const outcome = await cloudFunctions.addFunds({ amount: depositAmount });
+        showMessage(`Successfully added $${outcome.amount.toFixed(2)} to your wallet.`);
         setAmount('');
       } catch (error) {
         console.error("Error adding funds:", error);
-        showMessage('Failed to add funds.');
+        showMessage(error.code === 'functions/invalid-argument' ? error.message : 'Failed to add funds.');
       }
     };
 
@@ -1476,23 +3755,39 @@ const CarpoolApp = () => {
         return;
       }
       try {
-        // Corrected Firestore path for wallet
-        const walletRef = doc(db, 'artifacts', appId, 'users', userId, 'walletData', 'balance');
-        await updateDoc(walletRef, { balance: wallet.balance - withdrawAmount });
-        showMessage(`Successfully withdrew $${withdrawAmount.toFixed(2)} from your wallet.`);
+        const outcome = await cloudFunctions.withdrawFunds({ amount: withdrawAmount });
+        if (outcome.status === 'insufficientFunds') {
+          showMessage('Insufficient balance.');
+          return;
+        }
+        showMessage(`Successfully withdrew $${outcome.amount.toFixed(2)} from your wallet.`);
         setAmount('');
       } catch (error) {
         console.error("Error withdrawing funds:", error);
-        showMessage('Failed to withdraw funds.');
+        showMessage(error.code === 'functions/invalid-argument' ? error.message : 'Failed to withdraw funds.');
       }
     };
 
+    const ledgerDifference = ledgerTotal === null ? null : roundMoney(wallet.balance - ledgerTotal);
+
     return (
       <div className="p-6 bg-white rounded-xl shadow-lg my-8 max-w-md mx-auto">
         <h2 className="text-2xl font-bold mb-6 text-gray-800 text-center">My Wallet</h2>
         <div className="text-center mb-6">
           <p className="text-lg text-gray-600">Current Balance:</p>
           <p className="text-5xl font-extrabold text-green-600">${wallet.balance.toFixed(2)}</p>
+          {wallet.escrowBalance > 0 && (
+            <p className="text-sm text-gray-600 mt-1">Plus ${wallet.escrowBalance.toFixed(2)} held in escrow for booked rides</p>
+          )}
+          {ledgerDifference !== null && (
+            ledgerDifference === 0 ? (
+              <p className="text-sm text-green-600 mt-2"><Check className="w-4 h-4 inline-block mr-1" />Matches your transaction history</p>
+            ) : (
+              <p className="text-sm text-yellow-700 mt-2">
+                History totals ${ledgerTotal.toFixed(2)}; ${ledgerDifference.toFixed(2)} of this balance has no ledger entry.
+              </p>
+            )
+          )}
         </div>
 
         <div className="space-y-4">
@@ -1518,44 +3813,289 @@ const CarpoolApp = () => {
             <Wallet className="w-5 h-5 inline-block mr-2" /> Withdraw Funds
           </button>
         </div>
+
+        <div className="border-t pt-4 mt-6 border-gray-200">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-semibold text-lg text-gray-800">Transaction History</h3>
+            <select
+              className="p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+              value={ledgerFilter}
+              onChange={(e) => setLedgerFilter(e.target.value)}
+              aria-label="Filter transactions"
+            >
+              <option value="all">All</option>
+              {Object.entries(LEDGER_ENTRY_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {ledgerEntries.length > 0 ? (
+            <div className="space-y-2">
+              {ledgerEntries.map(entry => (
+                <div key={entry.id} className="border border-gray-200 rounded-lg p-3 bg-gray-50 flex justify-between items-center">
+                  <div>
+                    <p className="font-medium text-gray-800">{LEDGER_ENTRY_LABELS[entry.type] || entry.type}</p>
+                    {entry.counterpartyName && <p className="text-sm text-gray-600">{entry.amount < 0 ? 'To' : 'From'} {entry.counterpartyName}</p>}
+                    {entry.reason && <p className="text-sm text-gray-600">{entry.reason}</p>}
+                    <p className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString()}</p>
+                  </div>
+                  <div className="text-right">
+                    {entry.escrowAmount ? (
+                      <p className="font-bold text-gray-500">-${entry.escrowAmount.toFixed(2)} <span className="text-xs font-normal">from escrow</span></p>
+                    ) : (
+                      <p className={`font-bold ${entry.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {entry.amount < 0 ? '-' : '+'}${Math.abs(entry.amount).toFixed(2)}
+                      </p>
+                    )}
+                    {entry.balanceAfter !== undefined && <p className="text-xs text-gray-500">Balance ${entry.balanceAfter.toFixed(2)}</p>}
+                  </div>
+                </div>
+              ))}
+              {hasMoreEntries && (
+                <button
+                  onClick={() => loadLedgerPage(ledgerCursor)}
+                  className="w-full border border-blue-600 text-blue-600 p-2 rounded-lg font-medium hover:bg-blue-50 transition-colors"
+                >
+                  Load More
+                </button>
+              )}
+            </div>
+          ) : (
+            <div className="text-center text-gray-500 mt-4">
+              <History className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+              <p className="text-sm">No transactions yet.</p>
+            </div>
+          )}
+        </div>
       </div>
     );
   };
 
   // --- Profile Component ---
   const ProfileView = () => {
+    const [linkData, setLinkData] = useState({ email: currentUser?.email || '', password: '' });
+    const [resubmitFile, setResubmitFile] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
     if (!currentUser) return <p className="text-center text-gray-600 mt-8">Loading profile...</p>;
 
-    return (
-      <div className="p-6 bg-white rounded-xl shadow-lg my-8 max-w-md mx-auto">
-        <h2 className="text-2xl font-bold mb-6 text-gray-800 text-center">My Profile</h2>
-        <div className="space-y-4 text-gray-700">
-          <div className="flex items-center space-x-3">
-            <User className="w-6 h-6 text-blue-500" />
-            <p><span className="font-semibold">Name:</span> {currentUser.name}</p>
-          </div>
-          <div className="flex items-center space-x-3">
-            <UserCog className="w-6 h-6 text-blue-500" />
-            <p><span className="font-semibold">User Type:</span> {currentUser.userType}</p>
-          </div>
-          <div className="flex items-center space-x-3">
-            <Clock className="w-6 h-6 text-blue-500" />
-            <p><span className="font-semibold">User ID:</span> <span className="break-all">{currentUser.id}</span></p>
-          </div>
-          <div className="flex items-center space-x-3">
-            <MessageCircle className="w-6 h-6 text-blue-500" />
-            <p><span className="font-semibold">Email:</span> {currentUser.email}</p>
-          </div>
-          <div className="flex items-center space-x-3">
-            <Wallet className="w-6 h-6 text-blue-500" />
-            <p><span className="font-semibold">Phone:</span> {currentUser.phone}</p>
-          </div>
-          <div className="flex items-center space-x-3">
-            <Check className="w-6 h-6 text-blue-500" />
-            <p><span className="font-semibold">Verification Status:</span> <span className="font-semibold text-green-600">{currentUser.verificationStatus || 'N/A'}</span></p>
-          </div>
+    // The profile listener picks up the saved preferences
+    const toggleNotificationType = async (type) => {
+      try {
+        await updateDoc(profileDocRef(currentUser.id), {
+          [`notificationPreferences.${type}`]: !notificationEnabled(currentUser.notificationPreferences, type)
+        });
+      } catch (error) {
+        console.error("Error saving notification preferences:", error);
+        showMessage('Failed to save your notification preferences. Please try again.');
+      }
+    };
 
-          {currentUser.userType === 'driver' && currentUser.vehicle && (
+    // Push needs this browser's permission and token before the channel is switched on
+    const toggleNotificationChannel = async (channel) => {
+      const enabling = !channelEnabled(currentUser.notificationChannels, channel);
+      try {
+        if (channel === 'email' && enabling && !currentUser.email) {
+          showMessage('Add an email address to your account before turning on email notifications.');
+          return;
+        }
+        if (channel === 'push' && enabling) {
+          if (!(await pushMessaging.isSupported())) {
+            showMessage('This browser does not support push notifications.');
+            return;
+          }
+          const token = await pushMessaging.enable();
+          if (!token) {
+            showMessage('Notifications are blocked for this site. Allow them in your browser settings, then try again.');
+            return;
+          }
+          await setDoc(pushTokenRef(currentUser.id, token), { createdAt: new Date().toISOString(), userAgent: navigator.userAgent });
+        }
+        if (channel === 'push' && !enabling) {
+          const token = await pushMessaging.disable();
+          if (token) await deleteDoc(pushTokenRef(currentUser.id, token));
+        }
+        await updateDoc(profileDocRef(currentUser.id), { [`notificationChannels.${channel}`]: enabling });
+      } catch (error) {
+        console.error("Error updating notification channel:", error);
+        showMessage('Failed to update your notification settings. Please try again.');
+      }
+    };
+
+    // Upgrade a guest account in place so the uid, profile and wallet are kept
+    const handleLinkAccount = async () => {
+      if (!linkData.email || !linkData.password) {
+        showMessage('Please enter an email and password.');
+        return;
+      }
+      try {
+        const credential = EmailAuthProvider.credential(linkData.email, linkData.password);
+        await linkWithCredential(auth.currentUser, credential);
+        if (linkData.email !== currentUser.email) {
+          const userProfileRef = doc(db, 'artifacts', appId, 'users', currentUser.id, 'userProfile', 'data');
+          await updateDoc(userProfileRef, { email: linkData.email });
+          setCurrentUser({ ...currentUser, email: linkData.email });
+        }
+        setIsAnonymous(false);
+        showMessage('Your account is secured. You can now log in from any browser.');
+      } catch (error) {
+        console.error("Error linking account:", error);
+        showMessage(authErrorMessage(error));
+      }
+    };
+
+    const documentKind = requiredDocumentKind(currentUser.userType);
+    // Rejected users, and users who registered before uploads existed, can (re)submit
+    const canSubmitDocuments = documentKind && (currentUser.verificationStatus === 'rejected' || !currentUser.documents?.[documentKind]);
+
+    const handleResubmit = async () => {
+      if (!resubmitFile) {
+        showMessage('Please choose a file to upload.');
+        return;
+      }
+      setIsSubmitting(true);
+      try {
+        const documents = await uploadVerificationDocuments(currentUser.id, { [documentKind]: resubmitFile });
+        await submitForVerification(currentUser.id, currentUser, documents);
+        setResubmitFile(null);
+        showMessage('Documents uploaded. An admin will review them shortly.');
+      } catch (error) {
+        console.error("Error uploading documents:", error);
+        showMessage('Failed to upload documents. Please try again.');
+      } finally {
+        setIsSubmitting(false);
+      }
+    };
+
+    return (
+      <div className="p-6 bg-white rounded-xl shadow-lg my-8 max-w-md mx-auto">
+        <h2 className="text-2xl font-bold mb-6 text-gray-800 text-center">My Profile</h2>
+        <div className="space-y-4 text-gray-700">
+          <div className="flex items-center space-x-3">
+            <User className="w-6 h-6 text-blue-500" />
+            <p><span className="font-semibold">Name:</span> {currentUser.name}</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <UserCog className="w-6 h-6 text-blue-500" />
+            <p><span className="font-semibold">User Type:</span> {currentUser.userType}</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <Clock className="w-6 h-6 text-blue-500" />
+            <p><span className="font-semibold">User ID:</span> <span className="break-all">{currentUser.id}</span></p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <MessageCircle className="w-6 h-6 text-blue-500" />
+            <p><span className="font-semibold">Email:</span> {currentUser.email}</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <Wallet className="w-6 h-6 text-blue-500" />
+            <p><span className="font-semibold">Phone:</span> {currentUser.phone}</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <Check className="w-6 h-6 text-blue-500" />
+            <p><span className="font-semibold">Verification Status:</span> <span className={`font-semibold ${VERIFICATION_STATUS_STYLES[currentUser.verificationStatus] || 'text-gray-600'}`}>{currentUser.verificationStatus || 'N/A'}</span></p>
+          </div>
+          {currentUser.verificationStatus === 'rejected' && currentUser.verificationReason && (
+            <p className="text-sm text-red-600">Reason: {currentUser.verificationReason}</p>
+          )}
+          {canSubmitDocuments && (
+            <div className="space-y-3 border-t pt-4 mt-4 border-gray-200">
+              <h3 className="font-semibold text-lg text-gray-800">Submit Documents for Verification</h3>
+              <DocumentPicker kind={documentKind} file={resubmitFile} onChange={setResubmitFile} />
+              <button
+                onClick={handleResubmit}
+                disabled={isSubmitting}
+                className="w-full bg-blue-600 text-white p-3 rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSubmitting ? 'Uploading...' : 'Submit for Review'}
+              </button>
+            </div>
+          )}
+          <div className="flex items-center space-x-3">
+            <Star className="w-6 h-6 text-blue-500" />
+            <p><span className="font-semibold">Rating:</span> {formatRating(ratingSummaries[currentUser.id])}</p>
+          </div>
+
+          {(() => {
+            const aboutMe = reviews
+              .filter(review => review.rateeId === currentUser.id && isReviewVisible(review, currentUser.id))
+              .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+              .slice(0, 5);
+            if (aboutMe.length === 0) return null;
+            return (
+              <div className="space-y-2 border-t pt-4 mt-4 border-gray-200">
+                <h3 className="font-semibold text-lg text-gray-800">Recent Reviews</h3>
+                {aboutMe.map(review => (
+                  <div key={review.id} className="text-sm">
+                    <p><span className="font-medium">{review.raterName}</span> · {'★'.repeat(review.rating)}{'☆'.repeat(5 - review.rating)}</p>
+                    {review.comment && <p className="text-gray-600">"{review.comment}"</p>}
+                  </div>
+                ))}
+              </div>
+            );
+          })()}
+
+          {isAnonymous && (
+            <div className="space-y-3 border-t pt-4 mt-4 border-gray-200">
+              <h3 className="font-semibold text-lg text-gray-800">Secure Your Account</h3>
+              <p className="text-sm text-gray-600">You are using a guest account tied to this browser. Add an email and password to keep your profile and wallet when you switch devices.</p>
+              <input
+                type="email"
+                placeholder="Email"
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                value={linkData.email}
+                onChange={(e) => setLinkData({ ...linkData, email: e.target.value })}
+              />
+              <input
+                type="password"
+                placeholder="Password (at least 6 characters)"
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                value={linkData.password}
+                onChange={(e) => setLinkData({ ...linkData, password: e.target.value })}
+              />
+              <button
+                onClick={handleLinkAccount}
+                className="w-full bg-blue-600 text-white p-3 rounded-lg font-medium hover:bg-blue-700 transition-colors"
+              >
+                Save Login Details
+              </button>
+            </div>
+          )}
+
+          <div className="space-y-2 border-t pt-4 mt-4 border-gray-200">
+            <h3 className="font-semibold text-lg text-gray-800">Notifications</h3>
+            {Object.entries(NOTIFICATION_TYPES).map(([type, { label, description }]) => (
+              <label key={type} className="flex items-start space-x-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  checked={notificationEnabled(currentUser.notificationPreferences, type)}
+                  onChange={() => toggleNotificationType(type)}
+                />
+                <span>
+                  <span className="block font-medium">{label}</span>
+                  <span className="block text-sm text-gray-500">{description}</span>
+                </span>
+              </label>
+            ))}
+            <p className="text-sm text-gray-600 pt-2">Besides the bell, also send these to me by:</p>
+            {Object.entries(NOTIFICATION_CHANNELS).map(([channel, { label, description }]) => (
+              <label key={channel} className="flex items-start space-x-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  checked={channelEnabled(currentUser.notificationChannels, channel)}
+                  onChange={() => toggleNotificationChannel(channel)}
+                />
+                <span>
+                  <span className="block font-medium">{label}</span>
+                  <span className="block text-sm text-gray-500">{description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          {currentUser.userType === 'driver' && currentUser.vehicle && (
             <div className="space-y-2 border-t pt-4 mt-4 border-gray-200">
               <h3 className="font-semibold text-lg text-gray-800">Vehicle Details:</h3>
               <div className="flex items-center space-x-3">
@@ -1578,11 +4118,646 @@ const CarpoolApp = () => {
   };
 
 
+  // --- Admin Console ---
+  // Each tab is its own component; firestore.rules rejects these reads and writes for
+  // anyone without the admin claim, so hiding the console is only a convenience.
+  const ADMIN_TABS = [
+    { id: 'users', label: 'Users' },
+    { id: 'verification', label: 'Verification' },
+    { id: 'rides', label: 'Rides' },
+    { id: 'flags', label: 'Flagged Chats' },
+    { id: 'audit', label: 'Audit Log' }
+  ];
+
+  const AdminConsole = () => {
+    if (!isAdmin) return <p className="text-center text-gray-600 mt-8">Only admins can open the admin console.</p>;
+    return (
+      <div className="p-6 bg-white rounded-xl shadow-lg my-8">
+        <h2 className="text-2xl font-bold mb-6 text-gray-800 text-center">Admin Console</h2>
+        <div className="flex flex-wrap gap-2 mb-6 border-b border-gray-200 pb-3">
+          {ADMIN_TABS.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setAdminTab(tab.id)}
+              className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${adminTab === tab.id ? 'bg-gray-800 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+        {adminTab === 'users' && <AdminUsers />}
+        {adminTab === 'verification' && <AdminVerification />}
+        {adminTab === 'rides' && <AdminRides />}
+        {adminTab === 'flags' && <AdminChatFlags />}
+        {adminTab === 'audit' && <AdminAuditLog />}
+      </div>
+    );
+  };
+
+  // Find users by name, email or ID; suspend them or adjust their wallet
+  const AdminUsers = () => {
+    const [profiles, setProfiles] = useState([]);
+    const [suspensions, setSuspensions] = useState({}); // uid -> suspendedUsers doc
+    const [search, setSearch] = useState('');
+    const [action, setAction] = useState(null); // { uid, kind: 'suspend' | 'unsuspend' | 'adjust' }
+    const [reason, setReason] = useState('');
+    const [amount, setAmount] = useState('');
+
+    useEffect(() => {
+      // Profiles live at artifacts/{appId}/users/{uid}/userProfile/data. The collection group
+      // spans every app, so keep only this one's.
+      const unsubscribeProfiles = onSnapshot(collectionGroup(db, 'userProfile'), (snapshot) => {
+        setProfiles(snapshot.docs
+          .filter(doc => doc.ref.path.startsWith(`artifacts/${appId}/users/`))
+          .map(doc => ({ ...doc.data(), uid: doc.ref.parent.parent.id })));
+      }, (error) => console.error("Error fetching users:", error));
+      const unsubscribeSuspensions = onSnapshot(collection(db, 'artifacts', appId, 'suspendedUsers'), (snapshot) => {
+        const suspended = {};
+        snapshot.docs.forEach(doc => { suspended[doc.id] = doc.data(); });
+        setSuspensions(suspended);
+      }, (error) => console.error("Error fetching suspensions:", error));
+      return () => {
+        unsubscribeProfiles();
+        unsubscribeSuspensions();
+      };
+    }, []);
+
+    const term = search.trim().toLowerCase();
+    const results = profiles
+      .filter(profile => !term || [profile.name, profile.email, profile.uid].some(field => (field || '').toLowerCase().includes(term)))
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+      .slice(0, 50);
+
+    const startAction = (uid, kind) => {
+      setAction({ uid, kind });
+      setReason('');
+      setAmount('');
+    };
+
+    const changeSuspension = async (profile, suspend) => {
+      const batch = writeBatch(db);
+      if (suspend) {
+        batch.set(suspendedUserRef(profile.uid), { name: profile.name || null, reason: reason.trim(), suspendedAt: new Date().toISOString(), suspendedBy: currentUser.id });
+      } else {
+        batch.delete(suspendedUserRef(profile.uid));
+      }
+      recordAdminAction(batch, currentUser, {
+        action: suspend ? 'suspendUser' : 'unsuspendUser',
+        targetType: 'user',
+        targetId: profile.uid,
+        reason: reason.trim(),
+        details: { name: profile.name || null }
+      });
+      try {
+        await batch.commit();
+        setAction(null);
+        showMessage(suspend ? `${profile.name} has been suspended.` : `${profile.name} can use the app again.`);
+      } catch (error) {
+        console.error("Error changing suspension:", error);
+        showMessage('Failed to update the suspension.');
+      }
+    };
+
+    const adjustBalance = async (profile) => {
+      const value = roundMoney(parseFloat(amount));
+      if (!value) {
+        showMessage('Please enter a non-zero amount. Use a negative amount to debit the wallet.');
+        return;
+      }
+      try {
+        const result = await cloudFunctions.adjustWallet({ uid: profile.uid, amount: value, reason: reason.trim() });
+        switch (result.status) {
+          case 'adjusted':
+            setAction(null);
+            showMessage(`${profile.name}'s balance is now $${result.balance.toFixed(2)}.`);
+            break;
+          case 'insufficientFunds':
+            showMessage(`That would take ${profile.name}'s balance of $${result.balance.toFixed(2)} below zero.`);
+            break;
+          default:
+            break;
+        }
+      } catch (error) {
+        console.error("Error adjusting wallet:", error);
+        showMessage('Failed to adjust the wallet.');
+      }
+    };
+
+    const confirmAction = (profile) => {
+      if (!reason.trim()) {
+        showMessage('Please give a reason. It is recorded in the audit log.');
+        return;
+      }
+      if (action.kind === 'adjust') {
+        adjustBalance(profile);
+      } else {
+        changeSuspension(profile, action.kind === 'suspend');
+      }
+    };
+
+    return (
+      <div>
+        <input
+          type="text"
+          placeholder="Search by name, email or user ID"
+          className="w-full p-3 mb-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        {results.length > 0 ? (
+          <div className="space-y-3">
+            {results.map(profile => {
+              const suspended = suspensions[profile.uid];
+              return (
+                <div key={profile.uid} className="border border-gray-200 rounded-xl p-4 bg-gray-50 shadow-sm">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <h3 className="font-bold text-gray-900">{profile.name || 'Unnamed user'}</h3>
+                      <p className="text-sm text-gray-600">{profile.email || 'No email'} · {profile.userType || 'no role'}</p>
+                      <p className="text-xs text-gray-500 break-all">{profile.uid}</p>
+                      <p className={`text-sm ${VERIFICATION_STATUS_STYLES[profile.verificationStatus] || 'text-gray-600'}`}>
+                        {profile.verificationStatus || 'unverified'}
+                      </p>
+                      {suspended && (
+                        <p className="text-sm text-red-600 flex items-center"><Ban className="w-4 h-4 mr-1" /> Suspended: {suspended.reason}</p>
+                      )}
+                    </div>
+                    {profile.uid !== currentUser.id && (
+                      <div className="flex flex-col space-y-2">
+                        <button
+                          onClick={() => startAction(profile.uid, suspended ? 'unsuspend' : 'suspend')}
+                          className={`px-3 py-1 rounded-lg text-sm font-medium text-white transition-colors ${suspended ? 'bg-green-600 hover:bg-green-700' : 'bg-red-500 hover:bg-red-600'}`}
+                        >
+                          {suspended ? 'Unsuspend' : 'Suspend'}
+                        </button>
+                        <button
+                          onClick={() => startAction(profile.uid, 'adjust')}
+                          className="px-3 py-1 rounded-lg text-sm font-medium border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors"
+                        >
+                          Adjust Wallet
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                  {action?.uid === profile.uid && (
+                    <div className="mt-3 space-y-2">
+                      {action.kind === 'adjust' && (
+                        <input
+                          type="number"
+                          step="0.01"
+                          placeholder="Amount (negative to debit)"
+                          className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                          value={amount}
+                          onChange={(e) => setAmount(e.target.value)}
+                        />
+                      )}
+                      <textarea
+                        placeholder="Reason (recorded in the audit log)"
+                        className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                      />
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => confirmAction(profile)}
+                          className="flex-1 bg-blue-600 text-white p-2 rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors"
+                        >
+                          {action.kind === 'adjust' ? 'Apply Adjustment' : action.kind === 'suspend' ? 'Confirm Suspension' : 'Lift Suspension'}
+                        </button>
+                        <button
+                          onClick={() => setAction(null)}
+                          className="flex-1 border border-gray-300 text-gray-700 p-2 rounded-lg text-sm font-medium hover:bg-gray-100 transition-colors"
+                        >
+                          Back
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <p className="text-center text-gray-500 mt-8">No users match your search.</p>
+        )}
+      </div>
+    );
+  };
+
+  // Active rides across all drivers, which an admin can cancel with everyone refunded in full
+  const AdminRides = () => {
+    const [search, setSearch] = useState('');
+    const [cancelling, setCancelling] = useState(null); // ride id
+
+    const term = search.trim().toLowerCase();
+    const activeRides = rides
+      .filter(ride => ride.status === 'active')
+      .filter(ride => !term || [ride.driverName, ride.from, ride.to, ride.id].some(field => (field || '').toLowerCase().includes(term)))
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+    const openRequestsFor = (rideId) => rideRequests.filter(req => req.rideId === rideId && (req.status === 'pending' || req.status === 'accepted'));
+
+    const forceCancel = async (ride, reason) => {
+      try {
+        const outcome = await cloudFunctions.cancelBookings({ rideId: ride.id, cancelledBy: 'admin', reason, cancelRide: true });
+        setCancelling(null);
+        if (outcome.status !== 'cancelled') {
+          showMessage('This ride can no longer be cancelled.');
+          return;
+        }
+        showMessage(`Ride cancelled. ${outcome.results.length} rider(s) refunded in full and notified.`);
+      } catch (error) {
+        console.error("Error force-cancelling ride:", error);
+        showMessage(error.code === 'functions/failed-precondition' ? error.message : 'Failed to cancel ride.');
+      }
+    };
+
+    return (
+      <div>
+        <input
+          type="text"
+          placeholder="Search by driver, place or ride ID"
+          className="w-full p-3 mb-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        {activeRides.length > 0 ? (
+          <div className="space-y-3">
+            {activeRides.map(ride => {
+              const openRequests = openRequestsFor(ride.id);
+              return (
+                <div key={ride.id} className="border border-gray-200 rounded-xl p-4 bg-gray-50 shadow-sm">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <h3 className="font-bold text-gray-900">{ride.from} to {ride.to}</h3>
+                      <p className="text-sm text-gray-600">{ride.driverName} · {new Date(ride.startTime).toLocaleString()}</p>
+                      <p className="text-sm text-gray-600">{openRequests.length} open booking(s) · {ride.availableSeats} seat(s) left</p>
+                    </div>
+                    {cancelling !== ride.id && (
+                      <button
+                        onClick={() => setCancelling(ride.id)}
+                        className="px-3 py-1 rounded-lg text-sm font-medium bg-red-500 text-white hover:bg-red-600 transition-colors"
+                      >
+                        Force Cancel
+                      </button>
+                    )}
+                  </div>
+                  {cancelling === ride.id && (
+                    <CancellationForm
+                      title="Force-cancel this ride?"
+                      summary={`All ${openRequests.length} booked rider(s) are refunded in full and the driver pays no penalty. Riders are told the ride was cancelled by support.`}
+                      onConfirm={(reason) => forceCancel(ride, reason)}
+                      onDismiss={() => setCancelling(null)}
+                    />
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <p className="text-center text-gray-500 mt-8">No active rides match your search.</p>
+        )}
+      </div>
+    );
+  };
+
+  // Chats reported by a participant, oldest first
+  const AdminChatFlags = () => {
+    const [flags, setFlags] = useState([]);
+    const [openChat, setOpenChat] = useState(null); // { flagId, messages }
+    const [resolving, setResolving] = useState(null); // flag id
+    const [resolution, setResolution] = useState('');
+
+    useEffect(() => {
+      const openQuery = query(chatFlagsCollection(), where('status', '==', 'open'));
+      return onSnapshot(openQuery, (snapshot) => {
+        const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setFlags(entries.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)));
+      }, (error) => console.error("Error fetching flagged chats:", error));
+    }, []);
+
+    const viewChat = async (flag) => {
+      if (openChat?.flagId === flag.id) {
+        setOpenChat(null);
+        return;
+      }
+      try {
+        // The most recent messages are enough to judge a report
+        const reviewLimit = 100;
+        const [chatSnap, itemsSnap] = await Promise.all([
+          getDoc(chatDocRef(flag.chatId)),
+          getDocs(query(chatItemsCollection(flag.chatId), orderBy('sentAt', 'desc'), limit(reviewLimit)))
+        ]);
+        const recent = itemsSnap.docs.map(docSnap => normalizeMessage(docSnap.id, docSnap.data())).reverse();
+        setOpenChat({ flagId: flag.id, messages: chatHistory(chatSnap.data(), recent, itemsSnap.size === reviewLimit) });
+      } catch (error) {
+        console.error("Error loading flagged chat:", error);
+        showMessage('Could not load this chat.');
+      }
+    };
+
+    const resolveFlag = async (flag) => {
+      if (!resolution.trim()) {
+        showMessage('Please note how this report was resolved.');
+        return;
+      }
+      const batch = writeBatch(db);
+      batch.update(doc(chatFlagsCollection(), flag.id), {
+        status: 'resolved',
+        resolution: resolution.trim(),
+        resolvedAt: new Date().toISOString(),
+        resolvedBy: currentUser.id
+      });
+      recordAdminAction(batch, currentUser, {
+        action: 'resolveChatFlag',
+        targetType: 'chat',
+        targetId: flag.chatId,
+        reason: resolution.trim(),
+        details: { flagId: flag.id, reporterId: flag.reporterId, reportedUserId: flag.reportedUserId || null }
+      });
+      try {
+        await batch.commit();
+        setResolving(null);
+        setResolution('');
+        showMessage('Report resolved.');
+      } catch (error) {
+        console.error("Error resolving flagged chat:", error);
+        showMessage('Failed to resolve the report.');
+      }
+    };
+
+    if (flags.length === 0) {
+      return (
+        <div className="text-center text-gray-500 mt-8">
+          <Flag className="w-16 h-16 mx-auto mb-4 text-gray-300" />
+          <p className="text-lg font-medium">No flagged chats.</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        {flags.map(flag => (
+          <div key={flag.id} className="border border-gray-200 rounded-xl p-4 bg-gray-50 shadow-sm">
+            <h3 className="font-bold text-gray-900">{flag.reporterName} reported {flag.reportedUserName || 'a chat'}</h3>
+            <p className="text-sm text-gray-600">{flag.chatInfo} · {new Date(flag.createdAt).toLocaleString()}</p>
+            <p className="text-sm text-gray-800 mt-1">"{flag.reason}"</p>
+            {openChat?.flagId === flag.id && (
+              <div className="mt-3 max-h-64 overflow-y-auto space-y-1 border border-gray-200 rounded-lg bg-white p-3">
+                {openChat.messages.length > 0 ? openChat.messages.map(message => (
+                  <p key={message.id} className="text-sm">
+                    <span className="font-semibold">{message.senderName}</span>{' '}
+                    <span className="text-xs text-gray-500">{message.sentAt.toLocaleString()}</span>: {message.text}
+                  </p>
+                )) : <p className="text-sm text-gray-500">This chat has no messages.</p>}
+              </div>
+            )}
+            {resolving === flag.id ? (
+              <div className="mt-3 space-y-2">
+                <textarea
+                  placeholder="Resolution (recorded in the audit log)"
+                  className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                  value={resolution}
+                  onChange={(e) => setResolution(e.target.value)}
+                />
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => resolveFlag(flag)}
+                    className="flex-1 bg-green-600 text-white p-2 rounded-lg text-sm font-medium hover:bg-green-700 transition-colors"
+                  >
+                    Mark Resolved
+                  </button>
+                  <button
+                    onClick={() => setResolving(null)}
+                    className="flex-1 border border-gray-300 text-gray-700 p-2 rounded-lg text-sm font-medium hover:bg-gray-100 transition-colors"
+                  >
+                    Back
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex space-x-2 mt-3">
+                <button
+                  onClick={() => viewChat(flag)}
+                  className="flex-1 border border-gray-300 text-gray-700 p-2 rounded-lg text-sm font-medium hover:bg-gray-100 transition-colors"
+                >
+                  {openChat?.flagId === flag.id ? 'Hide Chat' : 'View Chat'}
+                </button>
+                <button
+                  onClick={() => { setResolving(flag.id); setResolution(''); }}
+                  className="flex-1 bg-green-600 text-white p-2 rounded-lg text-sm font-medium hover:bg-green-700 transition-colors"
+                >
+                  Resolve
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  // The most recent admin actions, newest first
+  const AdminAuditLog = () => {
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+      const recentQuery = query(adminAuditLogCollection(), orderBy('createdAt', 'desc'), limit(100));
+      return onSnapshot(recentQuery, (snapshot) => {
+        setEntries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => console.error("Error fetching audit log:", error));
+    }, []);
+
+    if (entries.length === 0) {
+      return (
+        <div className="text-center text-gray-500 mt-8">
+          <ClipboardList className="w-16 h-16 mx-auto mb-4 text-gray-300" />
+          <p className="text-lg font-medium">No admin actions yet.</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-2">
+        {entries.map(entry => (
+          <div key={entry.id} className="border border-gray-200 rounded-lg p-3 bg-gray-50 text-sm">
+            <div className="flex justify-between">
+              <span className="font-semibold text-gray-900">{ADMIN_ACTION_LABELS[entry.action] || entry.action}</span>
+              <span className="text-gray-500">{new Date(entry.createdAt).toLocaleString()}</span>
+            </div>
+            <p className="text-gray-600">
+              {entry.adminName || entry.adminId} · {entry.targetType} {entry.details?.name || entry.targetId}
+              {entry.action === 'walletAdjustment' && ` · ${entry.details.amount > 0 ? '+' : ''}$${entry.details.amount.toFixed(2)}`}
+            </p>
+            {entry.reason && <p className="text-gray-800">"{entry.reason}"</p>}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  // Documents waiting for review, oldest submission first
+  const AdminVerification = () => {
+    const [queue, setQueue] = useState([]);
+    const [rejecting, setRejecting] = useState(null); // uid being rejected
+    const [reason, setReason] = useState('');
+
+    useEffect(() => {
+      const pendingQuery = query(verificationQueueCollection(), where('status', '==', 'pending'));
+      return onSnapshot(pendingQuery, (snapshot) => {
+        const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setQueue(entries.sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt)));
+      }, (error) => console.error("Error fetching verification queue:", error));
+    }, []);
+
+    const viewDocument = async (document) => {
+      try {
+        window.open(await getDownloadURL(storageRef(storage, document.path)), '_blank', 'noopener');
+      } catch (error) {
+        console.error("Error opening document:", error);
+        showMessage('Could not open this document.');
+      }
+    };
+
+    const reviewUser = async (entry, approved, rejectionReason = null) => {
+      const reviewedAt = new Date().toISOString();
+      const batch = writeBatch(db);
+      batch.update(profileDocRef(entry.uid), {
+        verificationStatus: approved ? 'verified' : 'rejected',
+        verificationReason: rejectionReason,
+        verifiedAt: approved ? reviewedAt : null,
+        verifiedBy: currentUser.id
+      });
+      batch.update(doc(verificationQueueCollection(), entry.uid), {
+        status: approved ? 'verified' : 'rejected',
+        reason: rejectionReason,
+        reviewedAt,
+        reviewedBy: currentUser.id
+      });
+      if (approved) {
+        batch.set(verifiedUserRef(entry.uid), { verifiedAt: reviewedAt });
+      } else {
+        batch.delete(verifiedUserRef(entry.uid));
+      }
+      recordAdminAction(batch, currentUser, {
+        action: approved ? 'approveVerification' : 'rejectVerification',
+        targetType: 'user',
+        targetId: entry.uid,
+        reason: rejectionReason,
+        details: { name: entry.name }
+      });
+      try {
+        await batch.commit();
+        setRejecting(null);
+        setReason('');
+        showMessage(approved ? `${entry.name} is now verified.` : `${entry.name}'s documents were rejected.`);
+      } catch (error) {
+        console.error("Error reviewing documents:", error);
+        showMessage('Failed to save the review.');
+      }
+    };
+
+    return (
+      <div>
+        {queue.length > 0 ? (
+          <div className="space-y-4">
+            {queue.map(entry => (
+              <div key={entry.id} className="border border-gray-200 rounded-xl p-4 bg-gray-50 shadow-sm">
+                <div className="flex justify-between items-start mb-2">
+                  <div>
+                    <h3 className="font-bold text-lg text-gray-900">{entry.name}</h3>
+                    <p className="text-sm text-gray-600">{entry.userType} · submitted {new Date(entry.submittedAt).toLocaleString()}</p>
+                  </div>
+                </div>
+                <div className="space-y-1 mb-3">
+                  {Object.entries(entry.documents || {}).map(([kind, document]) => (
+                    <button
+                      key={kind}
+                      onClick={() => viewDocument(document)}
+                      className="flex items-center text-sm text-blue-600 hover:text-blue-800 transition-colors"
+                    >
+                      <Upload className="w-4 h-4 mr-1" />
+                      {DOCUMENT_KINDS[kind]?.label || kind}: {document.fileName} ({Math.ceil(document.size / 1024)} KB)
+                    </button>
+                  ))}
+                </div>
+                {rejecting === entry.id ? (
+                  <div className="space-y-2">
+                    <textarea
+                      placeholder="Reason for rejecting (shown to the user)"
+                      className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-red-500"
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                    />
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => reason.trim() ? reviewUser(entry, false, reason.trim()) : showMessage('Please give a reason for rejecting.')}
+                        className="flex-1 bg-red-500 text-white p-2 rounded-lg text-sm font-medium hover:bg-red-600 transition-colors"
+                      >
+                        Confirm Rejection
+                      </button>
+                      <button
+                        onClick={() => setRejecting(null)}
+                        className="flex-1 border border-gray-300 text-gray-700 p-2 rounded-lg text-sm font-medium hover:bg-gray-100 transition-colors"
+                      >
+                        Back
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => reviewUser(entry, true)}
+                      className="flex-1 bg-green-600 text-white p-2 rounded-lg font-medium hover:bg-green-700 transition-colors flex items-center justify-center"
+                    >
+                      <Check className="w-4 h-4 mr-1" /> Approve
+                    </button>
+                    <button
+                      onClick={() => { setRejecting(entry.id); setReason(''); }}
+                      className="flex-1 bg-red-500 text-white p-2 rounded-lg font-medium hover:bg-red-600 transition-colors flex items-center justify-center"
+                    >
+                      <X className="w-4 h-4 mr-1" /> Reject
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="text-center text-gray-500 mt-8">
+            <ShieldCheck className="w-16 h-16 mx-auto mb-4 text-gray-300" />
+            <p className="text-lg font-medium">No documents waiting for review.</p>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   // --- Home Component (Dashboard) ---
   const HomeView = () => (
     <div className="p-6 bg-white rounded-xl shadow-lg my-8">
       <h2 className="text-2xl font-bold mb-6 text-gray-800 text-center">Welcome, {currentUser?.name || 'User'}!</h2>
       {userId && <p className="text-sm text-center text-gray-500 mb-4">Your User ID: <span className="font-semibold text-blue-600 break-all">{userId}</span></p>}
+      {(() => {
+        // Completed rides this user can still rate
+        const role = userType === 'driver' ? 'driver' : 'rider';
+        const toRate = rideRequests.filter(req =>
+          req.status === 'completed' &&
+          (role === 'driver' ? req.driverId === userId : req.riderId === userId) &&
+          new Date(req.reviewDeadline || reviewDeadlineFrom(req.completedAt)) > new Date() &&
+          !reviews.some(review => review.id === reviewId(req.id, role))
+        );
+        if (toRate.length === 0) return null;
+        return (
+          <div
+            onClick={() => setCurrentView(role === 'driver' ? 'myRides' : 'myRequests')}
+            className="flex items-center justify-center mb-6 p-3 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg cursor-pointer hover:bg-yellow-100 transition-colors"
+          >
+            <Star className="w-5 h-5 mr-2" />
+            You have {toRate.length} completed ride(s) to rate.
+          </div>
+        );
+      })()}
 
 
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -1595,6 +4770,15 @@ const CarpoolApp = () => {
             <p className="font-semibold text-lg">Search Rides</p>
           </div>
         )}
+        {userType === 'rider' && (
+          <div
+            onClick={() => setCurrentView('postRideRequest')}
+            className="flex flex-col items-center justify-center p-6 bg-green-100 text-green-800 rounded-xl shadow-md cursor-pointer hover:bg-green-200 transition-colors"
+          >
+            <Plus className="w-12 h-12 mb-3" />
+            <p className="font-semibold text-lg">Request a Ride</p>
+          </div>
+        )}
         {userType === 'rider' && (
           <div
             onClick={() => setCurrentView('myRequests')}
@@ -1645,6 +4829,15 @@ const CarpoolApp = () => {
           <Wallet className="w-12 h-12 mb-3" />
           <p className="font-semibold text-lg">Wallet</p>
         </div>
+        {isAdmin && (
+          <div
+            onClick={() => setCurrentView('admin')}
+            className="flex flex-col items-center justify-center p-6 bg-gray-200 text-gray-800 rounded-xl shadow-md cursor-pointer hover:bg-gray-300 transition-colors"
+          >
+            <ShieldCheck className="w-12 h-12 mb-3" />
+            <p className="font-semibold text-lg">Admin Console</p>
+          </div>
+        )}
          <div
           onClick={() => setCurrentView('profile')}
           className="flex flex-col items-center justify-center p-6 bg-pink-100 text-pink-800 rounded-xl shadow-md cursor-pointer hover:bg-pink-200 transition-colors"
@@ -1665,6 +4858,14 @@ const CarpoolApp = () => {
     );
   }
 
+  const signOut = () => {
+    auth.signOut();
+    setCurrentUser(null);
+    setUserType('');
+    setCurrentView('login');
+    showMessage('You have been signed out.');
+  };
+
   // Render authentication/registration views first if not logged in
   if (!currentUser || !currentUser.userType) {
     return (
@@ -1676,6 +4877,52 @@ const CarpoolApp = () => {
     );
   }
 
+  // Suspended accounts only get to sign out; firestore.rules blocks their writes as well
+  if (suspension && !isAdmin) {
+    return (
+      <div className="bg-gray-100 min-h-screen flex flex-col items-center justify-center p-4">
+        <div className="p-6 bg-white rounded-xl shadow-lg max-w-md w-full text-center">
+          <Ban className="w-16 h-16 mx-auto mb-4 text-red-500" />
+          <h2 className="text-2xl font-bold mb-2 text-gray-800">Account suspended</h2>
+          <p className="text-gray-600 mb-2">Your account was suspended on {new Date(suspension.suspendedAt).toLocaleDateString()}.</p>
+          <p className="text-gray-800 mb-6">Reason: {suspension.reason}</p>
+          <button
+            onClick={signOut}
+            className="bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600 transition-colors"
+          >
+            Sign Out
+          </button>
+        </div>
+        {showModal && <MessageModal message={modalMessage} onClose={closeModal} />}
+      </div>
+    );
+  }
+
+  const unreadMessages = totalUnread(chats, userId);
+  const notificationPreferences = currentUser.notificationPreferences;
+  const shownNotifications = visibleNotifications(notifications, notificationPreferences);
+  const unreadNotifications = unreadNotificationCount(notifications, notificationPreferences);
+
+  const markNotificationsRead = async (toMark) => {
+    const unread = toMark.filter(notification => !notification.read);
+    if (unread.length === 0) return;
+    try {
+      const batch = writeBatch(db);
+      unread.forEach(notification => batch.update(doc(notificationsCollection(userId), notification.id), { read: true }));
+      await batch.commit();
+    } catch (error) {
+      console.error("Error marking notifications read:", error);
+    }
+  };
+
+  // Opens what the notification is about: the chat for messages, otherwise the list it names
+  const openNotification = (notification) => {
+    markNotificationsRead([notification]);
+    setShowNotifications(false);
+    if (notification.chat) setActiveChat(notification.chat);
+    // A message notification has no view until the Cloud Functions fill it in
+    setCurrentView(notification.view || 'messages');
+  };
 
   return (
     <div className="min-h-screen bg-gray-100 text-gray-800">
@@ -1691,15 +4938,64 @@ const CarpoolApp = () => {
           {currentUser && (
             <span className="text-gray-700 hidden sm:inline">Welcome, <span className="font-semibold">{currentUser.name || 'User'}</span>!</span>
           )}
+          <div className="relative">
+            <button
+              onClick={() => setShowNotifications(!showNotifications)}
+              className="relative text-blue-600 hover:text-blue-800 p-2 rounded-full hover:bg-gray-100 transition-colors"
+              aria-label={unreadNotifications > 0 ? `Notifications, ${unreadNotifications} unread` : 'Notifications'}
+            >
+              <Bell className="w-6 h-6" />
+              {unreadNotifications > 0 && (
+                <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs px-1.5 rounded-full font-bold">
+                  {unreadNotifications > 99 ? '99+' : unreadNotifications}
+                </span>
+              )}
+            </button>
+            {showNotifications && (
+              <div className="absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white rounded-lg shadow-xl border border-gray-200 z-20">
+                <div className="flex items-center justify-between p-3 border-b border-gray-200">
+                  <h3 className="font-semibold text-gray-800">Notifications</h3>
+                  {unreadNotifications > 0 && (
+                    <button
+                      onClick={() => markNotificationsRead(shownNotifications)}
+                      className="text-sm text-blue-600 hover:underline"
+                    >
+                      Mark all read
+                    </button>
+                  )}
+                </div>
+                {shownNotifications.length > 0 ? shownNotifications.map(notification => (
+                  <button
+                    key={notification.id}
+                    onClick={() => openNotification(notification)}
+                    className={`block w-full text-left p-3 border-b border-gray-100 hover:bg-gray-50 transition-colors ${notification.read ? '' : 'bg-blue-50'}`}
+                  >
+                    <p className={`text-sm ${notification.read ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>{notification.title || NOTIFICATION_TYPES[notification.type]?.label}</p>
+                    <p className="text-sm text-gray-600">{notification.body}</p>
+                    <p className="text-xs text-gray-400 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                  </button>
+                )) : (
+                  <p className="p-4 text-sm text-gray-500 text-center">You're all caught up.</p>
+                )}
+              </div>
+            )}
+          </div>
+          {currentUser && (
+            <button
+              onClick={() => setCurrentView('messages')}
+              className="relative text-blue-600 hover:text-blue-800 p-2 rounded-full hover:bg-gray-100 transition-colors"
+              aria-label={unreadMessages > 0 ? `Messages, ${unreadMessages} unread` : 'Messages'}
+            >
+              <MessageCircle className="w-6 h-6" />
+              {unreadMessages > 0 && (
+                <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs px-1.5 rounded-full font-bold">
+                  {unreadMessages > 99 ? '99+' : unreadMessages}
+                </span>
+              )}
+            </button>
+          )}
           <button
-            onClick={() => {
-              // Sign out logic
-              auth.signOut();
-              setCurrentUser(null);
-              setUserType('');
-              setCurrentView('login');
-              showMessage('You have been signed out.');
-            }}
+            onClick={signOut}
             className="bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600 transition-colors"
           >
             Sign Out
@@ -1723,8 +5019,10 @@ const CarpoolApp = () => {
                         case 'messages': return <MessagingView />;
                         case 'wallet': return <WalletView />;
                         case 'myRequests': return <MyRequests />;
+                        case 'postRideRequest': return <PostRideRequest />;
                         case 'findRiders': return <FindRiders />;
                         case 'profile': return <ProfileView />;
+                        case 'admin': return <AdminConsole />;
                         default: return <HomeView />;
                     }
                 })()}
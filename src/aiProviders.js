@@ -0,0 +1,101 @@
+// Language model providers for the assistant (see assistant.js). A provider has one method:
+//   complete({ task, prompt, input, signal }) -> Promise<string>
+// which resolves with the model's reply: JSON text for the task's schema. `signal` aborts the
+// call when the assistant gives up waiting. Failed HTTP calls reject with an error carrying
+// the response `status`, so the assistant can tell a busy server from a bad request.
+//
+// The mock provider answers from canned replies without any network, for tests and offline
+// development.
+
+const httpError = (response, name) => Object.assign(new Error(`${name} request failed with status ${response.status}`), { status: response.status });
+
+// Google's Gemini API, asked for a JSON reply
+export const createGeminiProvider = ({
+  apiKey,
+  model = 'gemini-2.0-flash',
+  baseUrl = 'https://generativelanguage.googleapis.com/v1beta',
+  fetchImpl = (...args) => fetch(...args)
+}) => ({
+  complete: async ({ prompt, signal }) => {
+    const response = await fetchImpl(`${baseUrl}/models/${model}:generateContent?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { responseMimeType: 'application/json' }
+      }),
+      signal
+    });
+    if (!response.ok) throw httpError(response, 'Gemini');
+    const result = await response.json();
+    const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (typeof text !== 'string') throw new Error('Gemini returned no text');
+    return text;
+  }
+});
+
+// Any server with an OpenAI-style chat completions endpoint, hosted or local
+export const createOpenAiCompatibleProvider = ({
+  apiKey,
+  model = 'gpt-4o-mini',
+  baseUrl = 'https://api.openai.com/v1',
+  fetchImpl = (...args) => fetch(...args)
+}) => ({
+  complete: async ({ prompt, signal }) => {
+    const response = await fetchImpl(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(apiKey && { Authorization: `Bearer ${apiKey}` }) },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        response_format: { type: 'json_object' }
+      }),
+      signal
+    });
+    if (!response.ok) throw httpError(response, 'Chat completions');
+    const result = await response.json();
+    const text = result.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') throw new Error('Chat completions returned no text');
+    return text;
+  }
+});
+
+// `replies` maps a task name to its reply: a value (sent as JSON), a function of the task's
+// input returning one, or an Error to fail with
+export const createMockProvider = (replies = {}) => ({
+  complete: async ({ task, input }) => {
+    const reply = typeof replies[task] === 'function' ? replies[task](input) : replies[task];
+    if (reply === undefined) throw new Error(`The mock provider has no reply for ${task}`);
+    if (reply instanceof Error) throw reply;
+    return typeof reply === 'string' ? reply : JSON.stringify(reply);
+  }
+});
+
+// Canned replies for running the app with REACT_APP_AI_PROVIDER=mock
+export const MOCK_REPLIES = {
+  suggestPrice: () => ({ pricePerSeat: 12, reason: 'Mock suggestion for a typical commute.' }),
+  refineRequest: (input) => ({
+    suggestions: [
+      `Allow 30 minutes either side of your preferred time from ${input.from}.`,
+      'Meet the driver at a main road or station near your pickup.'
+    ]
+  })
+};
+
+// Picks the provider from REACT_APP_AI_PROVIDER: 'gemini' or 'openai' (with
+// REACT_APP_AI_API_KEY, and optionally REACT_APP_AI_MODEL and REACT_APP_AI_URL for another
+// model or server), or 'mock'. With none configured there is no provider and the assistant
+// always uses its heuristics.
+export const createAiProvider = (kind = process.env.REACT_APP_AI_PROVIDER) => {
+  const options = {
+    apiKey: process.env.REACT_APP_AI_API_KEY,
+    ...(process.env.REACT_APP_AI_MODEL && { model: process.env.REACT_APP_AI_MODEL }),
+    ...(process.env.REACT_APP_AI_URL && { baseUrl: process.env.REACT_APP_AI_URL })
+  };
+  switch (kind) {
+    case 'gemini': return createGeminiProvider(options);
+    case 'openai': return createOpenAiCompatibleProvider(options);
+    case 'mock': return createMockProvider(MOCK_REPLIES);
+    default: return null;
+  }
+};
@@ -0,0 +1,196 @@
+// The AI assistant behind "Suggest Price" and "Refine Request".
+// Each task has a prompt, a JSON schema its reply must match, and a deterministic heuristic.
+// The assistant asks the provider (see aiProviders.js), waiting at most timeoutMs per attempt
+// and retrying timeouts, server errors and replies that fail the schema. It falls back to the
+// heuristic when there is no provider, when the user has made too many calls recently, or
+// when every attempt fails. Results say where they came from:
+//   { result, source: 'model' }
+//   { result, source: 'heuristic', reason: 'notConfigured' | 'rateLimited' | 'unavailable', error }
+// where `error` is the last failure when the model was unavailable.
+import { estimateFare, estimateRoadTrip } from './fares';
+
+// --- Schema validation ---
+
+// Checks a value against the subset of JSON Schema the tasks use: type, properties,
+// required, items, minItems, maxItems, minimum, maximum, maxLength and enum. Returns a list
+// of problems, empty when the value matches.
+export const validateAgainstSchema = (value, schema, path = 'reply') => {
+  const typeMatches = {
+    object: () => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: () => Array.isArray(value),
+    string: () => typeof value === 'string',
+    number: () => Number.isFinite(value),
+    integer: () => Number.isInteger(value),
+    boolean: () => typeof value === 'boolean'
+  };
+  if (schema.type && !typeMatches[schema.type]()) return [`${path} should be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`];
+
+  const problems = [];
+  if (schema.enum && !schema.enum.includes(value)) problems.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${path} should be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${path} should be at most ${schema.maximum}`);
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${path} should be at most ${schema.maxLength} characters`);
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) problems.push(`${path} should have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) problems.push(`${path} should have at most ${schema.maxItems} item(s)`);
+    if (schema.items) value.forEach((item, index) => problems.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+  }
+  if (schema.type === 'object') {
+    (schema.required || []).filter(key => value[key] === undefined).forEach(key => problems.push(`${path}.${key} is required`));
+    Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined)
+      .forEach(([key, propertySchema]) => problems.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`)));
+  }
+  return problems;
+};
+
+// --- Tasks ---
+
+// The fare when the route cannot be measured, and the seats assumed when the task does not
+// say how many are offered
+const DEFAULT_PRICE_PER_SEAT = 10;
+const TYPICAL_SEATS = 3;
+
+// The fare engine's estimate for the trip, or null unless every place has coordinates
+const fareFor = ({ places, vehicleType, seats = TYPICAL_SEATS, tolls, departureTime }) => {
+  const trip = estimateRoadTrip(places);
+  return trip && { trip, fare: estimateFare({ ...trip, vehicleType, seats, tolls, departureTime }) };
+};
+
+export const heuristicPricePerSeat = (input) => fareFor(input)?.fare.perSeat.suggested ?? DEFAULT_PRICE_PER_SEAT;
+
+const asJsonInstructions = (schema) =>
+  `Reply with only a JSON object matching this JSON Schema, and no other text: ${JSON.stringify(schema)}`;
+
+// input: { places (from, via points, to), departure (text), and for the fare engine
+// vehicleType, seats, tolls and departureTime ('HH:mm') }
+export const SUGGEST_PRICE = {
+  name: 'suggestPrice',
+  schema: {
+    type: 'object',
+    required: ['pricePerSeat', 'reason'],
+    properties: {
+      pricePerSeat: { type: 'number', minimum: 1, maximum: 500 },
+      reason: { type: 'string', maxLength: 300 }
+    }
+  },
+  prompt: (input) => {
+    const { places, departure } = input;
+    const estimate = fareFor(input);
+    return `Suggest a fair price per seat in dollars for a carpool ride from "${places[0].name}" to "${places[places.length - 1].name}"` +
+      `${places.length > 2 ? ` via ${places.slice(1, -1).map(place => `"${place.name}"`).join(', ')}` : ''}` +
+      `${estimate ? ` (about ${Math.round(estimate.trip.distanceKm)} km by road)` : ''}, departing ${departure}. ` +
+      'Carpool fares share the cost of the trip rather than make a profit. ' +
+      `${estimate ? `A cost-sharing estimate is $${estimate.fare.perSeat.low}-$${estimate.fare.perSeat.high} per seat. ` : ''}` +
+      'Give the reason in one short sentence.';
+  },
+  fallback: (input) => {
+    const estimate = fareFor(input);
+    return {
+      pricePerSeat: heuristicPricePerSeat(input),
+      reason: estimate
+        ? `Shares the trip's $${estimate.fare.tripCost.toFixed(2)} cost for about ${Math.round(estimate.trip.distanceKm)} km between you and your riders.`
+        : 'A typical fare, as the route could not be measured.'
+    };
+  }
+};
+
+// input: { from, to (places), preferredTime ('YYYY-MM-DDTHH:mm'), maxPrice }
+export const REFINE_REQUEST = {
+  name: 'refineRequest',
+  schema: {
+    type: 'object',
+    required: ['suggestions'],
+    properties: {
+      suggestions: { type: 'array', minItems: 1, maxItems: 5, items: { type: 'string', maxLength: 200 } }
+    }
+  },
+  prompt: ({ from, to, preferredTime, maxPrice }) =>
+    `I am a rider looking for a carpool from "${from.name}" to "${to.name}", preferably at ${preferredTime.replace('T', ' ')}, ` +
+    `paying at most $${maxPrice} per seat. Suggest up to 5 concise, actionable ways to refine my request so a driver is more ` +
+    'likely to match it, such as nearby pickup or dropoff points or a more flexible time.',
+  fallback: ({ from, to, preferredTime, maxPrice }) => {
+    const typicalPrice = heuristicPricePerSeat({ places: [from, to] });
+    return {
+      suggestions: [
+        `Allow 30 minutes either side of ${preferredTime.slice(11, 16)}; drivers on this route may leave a little earlier or later.`,
+        ...(Number(maxPrice) < typicalPrice ? [`Rides like this usually cost about $${typicalPrice.toFixed(2)} a seat, so raise your max price to at least that.`] : []),
+        `Choose a pickup on a main road or at a station near ${from.name}, where drivers already pass.`,
+        `Likewise, a dropoff just off the main route into ${to.name} is easier for drivers to offer.`
+      ]
+    };
+  }
+};
+
+// --- Service ---
+
+// Most model calls one user may make in a window; beyond that they get the heuristic
+export const AI_RATE_LIMIT = { limit: 5, windowMs: 60000 };
+
+const isRetryable = (error) => !error.status || error.status === 429 || error.status >= 500;
+
+export const createAssistant = ({
+  provider,
+  timeoutMs = 10000,
+  retries = 2,
+  backoffMs = 500,
+  rateLimit = AI_RATE_LIMIT,
+  now = () => Date.now(),
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) => {
+  const recentCalls = new Map(); // userId -> times of their calls within the window
+
+  const takeRateLimitSlot = (userId) => {
+    const since = now() - rateLimit.windowMs;
+    const calls = (recentCalls.get(userId) || []).filter(time => time > since);
+    if (calls.length >= rateLimit.limit) return false;
+    recentCalls.set(userId, [...calls, now()]);
+    return true;
+  };
+
+  const completeWithTimeout = (task, prompt, input) => {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`The model did not answer within ${timeoutMs} ms`));
+      }, timeoutMs);
+    });
+    return Promise.race([provider.complete({ task: task.name, prompt, input, signal: controller.signal }), timeout])
+      .finally(() => clearTimeout(timer));
+  };
+
+  const askModel = async (task, input) => {
+    const prompt = `${task.prompt(input)}\n\n${asJsonInstructions(task.schema)}`;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const text = await completeWithTimeout(task, prompt, input);
+        const reply = JSON.parse(text.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+        const problems = validateAgainstSchema(reply, task.schema);
+        if (problems.length > 0) throw new Error(`The model's reply did not match the schema: ${problems.join('; ')}`);
+        return reply;
+      } catch (error) {
+        if (attempt >= retries || !isRetryable(error)) throw error;
+        await sleep(backoffMs * 2 ** attempt);
+      }
+    }
+  };
+
+  const run = async (task, input, { userId = 'anonymous' } = {}) => {
+    const heuristic = (reason, error) => ({ result: task.fallback(input), source: 'heuristic', reason, ...(error && { error }) });
+    if (!provider) return heuristic('notConfigured');
+    if (!takeRateLimitSlot(userId)) return heuristic('rateLimited');
+    try {
+      return { result: await askModel(task, input), source: 'model' };
+    } catch (error) {
+      return heuristic('unavailable', error);
+    }
+  };
+
+  return {
+    run,
+    suggestPrice: (input, options) => run(SUGGEST_PRICE, input, options),
+    refineRequest: (input, options) => run(REFINE_REQUEST, input, options)
+  };
+};
@@ -0,0 +1,98 @@
+import { REFINE_REQUEST, SUGGEST_PRICE, createAssistant, heuristicPricePerSeat, validateAgainstSchema } from './assistant';
+import { createGeminiProvider, createMockProvider } from './aiProviders';
+
+const unionStation = { name: 'Toronto Union Station', lat: 43.6453, lng: -79.3806 };
+const squareOne = { name: 'Square One, Mississauga', lat: 43.5931, lng: -79.6424 };
+const priceInput = { places: [unionStation, squareOne], departure: '2026-03-02T08:00' };
+const refineInput = { from: unionStation, to: squareOne, preferredTime: '2026-03-02T08:00', maxPrice: 2 };
+const noWait = () => Promise.resolve();
+
+test('replies are checked against the task schema', () => {
+  expect(validateAgainstSchema({ pricePerSeat: 12, reason: 'Fair' }, SUGGEST_PRICE.schema)).toEqual([]);
+  expect(validateAgainstSchema({ pricePerSeat: '12' }, SUGGEST_PRICE.schema)).toEqual([
+    'reply.reason is required',
+    'reply.pricePerSeat should be a number'
+  ]);
+  expect(validateAgainstSchema({ suggestions: [] }, REFINE_REQUEST.schema)).toEqual(['reply.suggestions should have at least 1 item(s)']);
+  expect(validateAgainstSchema({ suggestions: ['ok', 7] }, REFINE_REQUEST.schema)).toEqual(['reply.suggestions[1] should be a string']);
+  expect(validateAgainstSchema([], REFINE_REQUEST.schema)).toEqual(['reply should be an object']);
+});
+
+test('a valid reply from the provider is used as is', async () => {
+  const assistant = createAssistant({ provider: createMockProvider({ suggestPrice: { pricePerSeat: 14, reason: 'About 30 km.' } }) });
+  expect(await assistant.suggestPrice(priceInput, { userId: 'u1' })).toEqual({ result: { pricePerSeat: 14, reason: 'About 30 km.' }, source: 'model' });
+});
+
+test('invalid replies and server errors are retried before falling back to the heuristic', async () => {
+  const replies = ['The price is $14', JSON.stringify({ pricePerSeat: 0, reason: 'Free' }), JSON.stringify({ pricePerSeat: 15, reason: 'Fair' })];
+  const complete = jest.fn(async () => replies.shift());
+  const sleep = jest.fn(noWait);
+  const assistant = createAssistant({ provider: { complete }, retries: 2, backoffMs: 100, sleep });
+  expect(await assistant.suggestPrice(priceInput)).toEqual({ result: { pricePerSeat: 15, reason: 'Fair' }, source: 'model' });
+  expect(complete).toHaveBeenCalledTimes(3);
+  expect(sleep.mock.calls).toEqual([[100], [200]]);
+
+  const serverError = Object.assign(new Error('busy'), { status: 503 });
+  const failing = createAssistant({ provider: createMockProvider({ suggestPrice: serverError }), retries: 1, sleep: noWait });
+  const outcome = await failing.suggestPrice(priceInput);
+  expect(outcome).toMatchObject({ source: 'heuristic', reason: 'unavailable', result: { pricePerSeat: heuristicPricePerSeat(priceInput) } });
+  expect(outcome.error).toBe(serverError);
+});
+
+test('requests the server rejects are not retried', async () => {
+  const complete = jest.fn(async () => { throw Object.assign(new Error('bad key'), { status: 401 }); });
+  const assistant = createAssistant({ provider: { complete }, sleep: noWait });
+  expect((await assistant.suggestPrice(priceInput)).reason).toBe('unavailable');
+  expect(complete).toHaveBeenCalledTimes(1);
+});
+
+test('a model that does not answer in time is abandoned and aborted', async () => {
+  const signals = [];
+  const provider = { complete: ({ signal }) => { signals.push(signal); return new Promise(() => {}); } };
+  const assistant = createAssistant({ provider, timeoutMs: 5, retries: 1, sleep: noWait });
+  const outcome = await assistant.refineRequest(refineInput);
+  expect(outcome.source).toBe('heuristic');
+  expect(outcome.error.message).toMatch(/did not answer within 5 ms/);
+  expect(signals).toHaveLength(2);
+  expect(signals.every(signal => signal.aborted)).toBe(true);
+});
+
+test('each user is rate limited on their own', async () => {
+  let clock = 0;
+  const assistant = createAssistant({
+    provider: createMockProvider({ suggestPrice: { pricePerSeat: 14, reason: 'Fair' } }),
+    rateLimit: { limit: 2, windowMs: 60000 },
+    now: () => clock
+  });
+  expect((await assistant.suggestPrice(priceInput, { userId: 'u1' })).source).toBe('model');
+  expect((await assistant.suggestPrice(priceInput, { userId: 'u1' })).source).toBe('model');
+  expect(await assistant.suggestPrice(priceInput, { userId: 'u1' })).toMatchObject({ source: 'heuristic', reason: 'rateLimited' });
+  expect((await assistant.suggestPrice(priceInput, { userId: 'u2' })).source).toBe('model');
+  clock = 60001;
+  expect((await assistant.suggestPrice(priceInput, { userId: 'u1' })).source).toBe('model');
+});
+
+test('the heuristics work without a provider or coordinates', async () => {
+  const assistant = createAssistant({ provider: null });
+  const price = await assistant.suggestPrice(priceInput);
+  expect(price).toMatchObject({ source: 'heuristic', reason: 'notConfigured' });
+  expect(price.result.pricePerSeat).toBe(heuristicPricePerSeat(priceInput));
+  expect(heuristicPricePerSeat({ places: [{ name: 'A' }, { name: 'B' }] })).toBe(10);
+
+  const refined = await assistant.refineRequest(refineInput);
+  expect(refined.result.suggestions[0]).toMatch('08:00');
+  expect(refined.result.suggestions.some(suggestion => suggestion.includes('raise your max price'))).toBe(true);
+  expect(validateAgainstSchema(refined.result, REFINE_REQUEST.schema)).toEqual([]);
+});
+
+test('the Gemini provider asks for JSON and returns the reply text', async () => {
+  const fetchImpl = jest.fn(async () => ({ ok: true, json: async () => ({ candidates: [{ content: { parts: [{ text: '{"suggestions":["Leave earlier"]}' }] } }] }) }));
+  const provider = createGeminiProvider({ apiKey: 'key', baseUrl: 'http://localhost:9000', fetchImpl });
+  expect(await provider.complete({ prompt: 'Refine' })).toBe('{"suggestions":["Leave earlier"]}');
+  const [url, request] = fetchImpl.mock.calls[0];
+  expect(url).toBe('http://localhost:9000/models/gemini-2.0-flash:generateContent?key=key');
+  expect(JSON.parse(request.body).generationConfig).toEqual({ responseMimeType: 'application/json' });
+
+  const failing = createGeminiProvider({ apiKey: 'key', fetchImpl: async () => ({ ok: false, status: 429 }) });
+  await expect(failing.complete({ prompt: 'Refine' })).rejects.toMatchObject({ status: 429 });
+});
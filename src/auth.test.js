@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+import * as webStreams from 'stream/web';
+
+// Firebase's Node build loads undici, which expects the web stream globals that Jest's node
+// environment leaves out, so they are added before Firebase is required
+Object.assign(global, webStreams);
+const { initializeApp, deleteApp } = require('firebase/app');
+const {
+  getAuth, connectAuthEmulator, signInAnonymously, signOut, createUserWithEmailAndPassword, signInWithEmailAndPassword,
+  linkWithCredential, EmailAuthProvider
+} = require('firebase/auth');
+
+// Runs the sign-up, sign-in and guest linking calls App.js makes against the Auth emulator.
+// `npm run test:auth` starts it; without it these tests are skipped.
+const describeWithEmulator = process.env.FIREBASE_AUTH_EMULATOR_HOST ? describe : describe.skip;
+
+const projectId = 'demo-carpool';
+
+describeWithEmulator('email/password accounts', () => {
+  const sessions = [];
+
+  // A signed-out browser with its own Firebase app
+  const openBrowser = () => {
+    const app = initializeApp({ apiKey: 'demo-api-key', projectId }, `browser-${sessions.length}`);
+    const auth = getAuth(app);
+    connectAuthEmulator(auth, `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+    sessions.push(app);
+    return auth;
+  };
+
+  // The emulator keeps accounts between tests, so each test registers its own addresses
+  let emailCount = 0;
+  const newEmail = () => `user${Date.now()}-${emailCount++}@example.com`;
+
+  afterAll(async () => {
+    await Promise.all(sessions.map(app => deleteApp(app)));
+  });
+
+  test('a new account can sign in again from another browser', async () => {
+    const email = newEmail();
+    const { user } = await createUserWithEmailAndPassword(openBrowser(), email, 'secret123');
+    expect(user.isAnonymous).toBe(false);
+
+    const other = openBrowser();
+    await expect(signInWithEmailAndPassword(other, email, 'secret123')).resolves.toMatchObject({ user: { uid: user.uid } });
+    await expect(signInWithEmailAndPassword(other, email, 'wrong-password'))
+      .rejects.toMatchObject({ code: expect.stringMatching(/^auth\/(invalid-credential|wrong-password)$/) });
+  });
+
+  test('sign-up rejects weak passwords and addresses already registered', async () => {
+    const email = newEmail();
+    await expect(createUserWithEmailAndPassword(openBrowser(), email, '123'))
+      .rejects.toMatchObject({ code: 'auth/weak-password' });
+    await createUserWithEmailAndPassword(openBrowser(), email, 'secret123');
+    await expect(createUserWithEmailAndPassword(openBrowser(), email, 'secret123'))
+      .rejects.toMatchObject({ code: 'auth/email-already-in-use' });
+  });
+
+  test('linking a guest keeps its uid and lets it sign in by email', async () => {
+    const email = newEmail();
+    const auth = openBrowser();
+    const { user: guest } = await signInAnonymously(auth);
+    const { user } = await linkWithCredential(guest, EmailAuthProvider.credential(email, 'secret123'));
+    expect(user.uid).toBe(guest.uid);
+    expect(user.isAnonymous).toBe(false);
+
+    await signOut(auth);
+    await expect(signInWithEmailAndPassword(auth, email, 'secret123')).resolves.toMatchObject({ user: { uid: guest.uid } });
+  });
+
+  test('a guest cannot link an address that already has an account', async () => {
+    const email = newEmail();
+    await createUserWithEmailAndPassword(openBrowser(), email, 'secret123');
+
+    const auth = openBrowser();
+    const { user: guest } = await signInAnonymously(auth);
+    await expect(linkWithCredential(guest, EmailAuthProvider.credential(email, 'secret123')))
+      .rejects.toMatchObject({ code: expect.stringMatching(/^auth\/(email-already-in-use|credential-already-in-use)$/) });
+    expect(auth.currentUser.isAnonymous).toBe(true);
+  });
+});
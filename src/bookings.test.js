@@ -0,0 +1,221 @@
+import {
+  createSettlement, heldAmount, holdEscrow, refundEscrow, transferFunds, payFare, settleCancellation, dateInTimeZone, isValidSeatCount,
+  releaseSeats, bookStandingSeat, segmentFarePerSeat
+} from '../functions/bookings';
+import { segmentFarePerSeat as appSegmentFarePerSeat } from './segments';
+
+// functions/bookings.js runs inside the Cloud Functions; these tests cover its money and
+// seat arithmetic without Firestore
+
+const cancelledAt = '2026-03-02T08:00:00.000Z';
+const hoursFromNow = (hours) => new Date(new Date(cancelledAt).getTime() + hours * 36e5).toISOString();
+
+const settlementOf = (wallets) => createSettlement(JSON.parse(JSON.stringify(wallets)));
+const entriesOf = (settlement, uid) => settlement.entries.filter(entry => entry.uid === uid).map(({ entryId, entry }) => ({ entryId, ...entry }));
+
+const ride = { driverId: 'driver', driverName: 'Dana', from: 'A', to: 'C', route: ['A', 'B', 'C'], availableSeats: 1, segmentSeats: [1, 2], pricePerSeat: 10 };
+const request = (overrides) => ({
+  rideId: 'r1',
+  riderId: 'rider',
+  riderName: 'Riley',
+  driverId: 'driver',
+  driverName: 'Dana',
+  seats: 2,
+  boardStop: 0,
+  alightStop: 2,
+  status: 'accepted',
+  escrowAmount: 20,
+  escrowStatus: 'held',
+  rideStartTime: hoursFromNow(48),
+  ...overrides
+});
+
+test('holding moves the fare into escrow with a hold record, or changes nothing when the rider cannot cover it', () => {
+  const settlement = settlementOf({ rider: { balance: 25, escrowBalance: 0 } });
+  expect(holdEscrow(settlement, 'rider', 20, { counterpartyId: 'driver', rideId: 'r1', requestId: 'q1' })).toBe(true);
+  expect(settlement.wallets.rider).toEqual({ balance: 5, escrowBalance: 20 });
+  expect(entriesOf(settlement, 'rider')).toEqual([expect.objectContaining({ entryId: 'hold-q1', type: 'escrowHold', amount: -20, balanceAfter: 5, requestId: 'q1' })]);
+  expect(settlement.holds).toEqual({ q1: { requestId: 'q1', rideId: 'r1', riderId: 'rider', driverId: 'driver', amount: 20, status: 'held' } });
+
+  expect(holdEscrow(settlement, 'rider', 10, { rideId: 'r1', requestId: 'q2' })).toBe(false);
+  expect(settlement.wallets.rider).toEqual({ balance: 5, escrowBalance: 20 });
+  expect(settlement.entries).toHaveLength(1);
+  expect(Object.keys(settlement.holds)).toEqual(['q1']);
+});
+
+test('the held amount comes from the hold record, never from the request', () => {
+  const hold = { amount: 20, status: 'held' };
+  expect(heldAmount(hold, request({ escrowAmount: 0.01 }), ride)).toBe(20);
+  expect(heldAmount({ ...hold, status: 'refunded' }, request(), ride)).toBeNull();
+  // Requests held before hold records existed are worth what the ride charges for their seats
+  expect(heldAmount(null, request({ escrowAmount: 500 }), ride)).toBe(20);
+  expect(heldAmount(null, request({ escrowStatus: undefined }), ride)).toBeNull();
+});
+
+test('refunding moves the fare from escrow back to the balance, or changes nothing when escrow is short', () => {
+  const settlement = settlementOf({ rider: { balance: 5, escrowBalance: 20 } });
+  expect(refundEscrow(settlement, 'rider', 20, { rideId: 'r1', requestId: 'q1' })).toBe(true);
+  expect(settlement.wallets.rider).toEqual({ balance: 25, escrowBalance: 0 });
+  expect(entriesOf(settlement, 'rider')).toEqual([expect.objectContaining({ entryId: 'refund-q1', type: 'escrowRefund', amount: 20, balanceAfter: 25 })]);
+
+  expect(refundEscrow(settlement, 'rider', 5, { rideId: 'r1', requestId: 'q2' })).toBe(false);
+  expect(settlement.wallets.rider).toEqual({ balance: 25, escrowBalance: 0 });
+  expect(settlement.entries).toHaveLength(1);
+});
+
+test('a transfer records both sides, with escrow payments as a zero amount for the payer', () => {
+  const settlement = settlementOf({ rider: { balance: 5, escrowBalance: 20 }, driver: { balance: 1, escrowBalance: 0 } });
+  expect(payFare(settlement, { request: request(), ride, amount: 20, fromEscrow: true, details: { rideId: 'r1', requestId: 'q1' } })).toBe(true);
+  expect(settlement.holds.q1).toMatchObject({ status: 'released' });
+  expect(settlement.wallets).toEqual({ rider: { balance: 5, escrowBalance: 0 }, driver: { balance: 21, escrowBalance: 0 } });
+  expect(entriesOf(settlement, 'rider')).toEqual([expect.objectContaining({ entryId: 'ride-q1', type: 'ridePayment', amount: 0, escrowAmount: 20, counterpartyId: 'driver' })]);
+  expect(entriesOf(settlement, 'driver')).toEqual([expect.objectContaining({ entryId: 'ride-q1', type: 'rideEarning', amount: 20, counterpartyId: 'rider' })]);
+
+  transferFunds(settlement, {
+    payerId: 'driver', payeeId: 'rider', amount: 0.1 + 0.2, payerType: 'cancellationPenalty', payeeType: 'cancellationCompensation', details: {}
+  });
+  expect(settlement.wallets).toEqual({ rider: { balance: 5.3, escrowBalance: 0 }, driver: { balance: 20.7, escrowBalance: 0 } });
+});
+
+test('zero and negative amounts are never held, refunded or transferred', () => {
+  const settlement = settlementOf({ rider: { balance: 10, escrowBalance: 10 }, driver: { balance: 10, escrowBalance: 0 } });
+  // A request for -5 seats at $20 would otherwise hold -$100 and credit the rider's balance
+  expect(holdEscrow(settlement, 'rider', -100, { rideId: 'r1', requestId: 'q1' })).toBe(false);
+  expect(holdEscrow(settlement, 'rider', 0, { rideId: 'r1', requestId: 'q2' })).toBe(false);
+  expect(refundEscrow(settlement, 'rider', -5, { rideId: 'r1', requestId: 'q3' })).toBe(false);
+  expect(transferFunds(settlement, {
+    payerId: 'rider', payeeId: 'driver', amount: -5, payerType: 'cancellationFee', payeeType: 'cancellationCompensation', details: {}
+  })).toBe(false);
+  expect(settlement.wallets).toEqual({ rider: { balance: 10, escrowBalance: 10 }, driver: { balance: 10, escrowBalance: 0 } });
+  expect(settlement.entries).toEqual([]);
+  expect(settlement.holds).toEqual({});
+});
+
+test('bookings are for 1 to 7 whole seats', () => {
+  expect([1, 7].every(isValidSeatCount)).toBe(true);
+  expect([-5, 0, 1.5, 8, '2', undefined].some(isValidSeatCount)).toBe(false);
+});
+
+test('a fare the rider cannot cover is not paid, and the driver is not credited', () => {
+  const settlement = settlementOf({ rider: { balance: 50, escrowBalance: 5 }, driver: { balance: 0, escrowBalance: 0 } });
+  expect(payFare(settlement, { request: request(), ride, amount: 20, fromEscrow: true, details: { rideId: 'r1', requestId: 'q1' } })).toBe(false);
+  expect(payFare(settlement, { request: request(), ride, amount: 60, fromEscrow: false, details: { rideId: 'r1', requestId: 'q1' } })).toBe(false);
+  expect(settlement.wallets).toEqual({ rider: { balance: 50, escrowBalance: 5 }, driver: { balance: 0, escrowBalance: 0 } });
+  expect(settlement.entries).toEqual([]);
+  expect(settlement.holds).toEqual({});
+});
+
+test('a rider cancelling well ahead is refunded in full', () => {
+  const settlement = settlementOf({ rider: { balance: 0, escrowBalance: 20 }, driver: { balance: 0, escrowBalance: 0 } });
+  const { update, result } = settleCancellation(settlement, { requestId: 'q1', request: request(), ride, held: 20, cancelledBy: 'rider', reason: 'Plans changed', cancelledAt });
+  expect(settlement.wallets).toEqual({ rider: { balance: 20, escrowBalance: 0 }, driver: { balance: 0, escrowBalance: 0 } });
+  expect(update).toMatchObject({ status: 'cancelled', cancelledBy: 'rider', cancellationReason: 'Plans changed', escrowStatus: 'refunded' });
+  expect(result).toEqual({ requestId: 'q1', riderId: 'rider', wasAccepted: true, seats: 2, refund: 20, penalty: 0, penaltyCharged: 0, hoursBeforeDeparture: 48 });
+  expect(settlement.holds.q1).toMatchObject({ status: 'refunded' });
+});
+
+test('a rider cancelling late pays the fee from escrow to the driver', () => {
+  const settlement = settlementOf({ rider: { balance: 0, escrowBalance: 20 }, driver: { balance: 0, escrowBalance: 0 } });
+  const { result } = settleCancellation(settlement, { requestId: 'q1', request: request({ rideStartTime: hoursFromNow(3) }), ride, held: 20, cancelledBy: 'rider', reason: 'Sick', cancelledAt });
+  expect(result).toMatchObject({ refund: 10, penalty: 10, penaltyCharged: 10 });
+  expect(settlement.wallets).toEqual({ rider: { balance: 10, escrowBalance: 0 }, driver: { balance: 10, escrowBalance: 0 } });
+  expect(entriesOf(settlement, 'driver')).toEqual([expect.objectContaining({ entryId: 'cancel-q1', type: 'cancellationCompensation', amount: 10 })]);
+});
+
+test('a driver cancelling late refunds the rider and pays a penalty only up to their balance', () => {
+  const settlement = settlementOf({ rider: { balance: 0, escrowBalance: 20 }, driver: { balance: 3, escrowBalance: 0 } });
+  const { result } = settleCancellation(settlement, { requestId: 'q1', request: request({ rideStartTime: hoursFromNow(1) }), ride, held: 20, cancelledBy: 'driver', reason: 'Car trouble', cancelledAt });
+  expect(result).toMatchObject({ refund: 20, penalty: 10, penaltyCharged: 3 });
+  expect(settlement.wallets).toEqual({ rider: { balance: 23, escrowBalance: 0 }, driver: { balance: 0, escrowBalance: 0 } });
+});
+
+test('ride times are read in the app time zone, so the tier charged is the one a local preview shows', () => {
+  // 03:00 in Toronto; the ride leaves 25 hours later on Toronto's clock but 20 hours later read as UTC
+  const rideStartTime = '2026-03-03T04:00';
+  const refundIn = (timeZone) => settleCancellation(settlementOf({ rider: { balance: 0, escrowBalance: 20 }, driver: { balance: 0, escrowBalance: 0 } }), {
+    requestId: 'q1', request: request({ rideStartTime }), ride, held: 20, cancelledBy: 'rider', reason: 'x', cancelledAt, timeZone
+  }).result.refund;
+  expect(refundIn('America/Toronto')).toBe(20);
+  expect(refundIn('UTC')).toBe(10);
+});
+
+test('zone-less times get the offset in force on their date', () => {
+  expect(dateInTimeZone('2026-01-15T08:00', 'America/Toronto').toISOString()).toBe('2026-01-15T13:00:00.000Z');
+  expect(dateInTimeZone('2026-07-15T08:00', 'America/Toronto').toISOString()).toBe('2026-07-15T12:00:00.000Z');
+  expect(dateInTimeZone('2026-03-08T12:00', 'America/Toronto').toISOString()).toBe('2026-03-08T16:00:00.000Z');
+  expect(dateInTimeZone('2026-07-15T12:00:00.000Z', 'America/Toronto').toISOString()).toBe('2026-07-15T12:00:00.000Z');
+});
+
+test('pending requests and admin cancellations are refunded in full with no penalty', () => {
+  const settlement = settlementOf({ rider: { balance: 0, escrowBalance: 40 }, driver: { balance: 5, escrowBalance: 0 } });
+  const pending = settleCancellation(settlement, { requestId: 'q1', request: request({ status: 'pending', rideStartTime: hoursFromNow(1) }), ride, held: 20, cancelledBy: 'rider', reason: 'x', cancelledAt });
+  const forced = settleCancellation(settlement, { requestId: 'q2', request: request({ rideStartTime: hoursFromNow(1) }), ride, held: 20, cancelledBy: 'admin', reason: 'x', cancelledAt });
+  expect([pending.result, forced.result]).toEqual([
+    expect.objectContaining({ wasAccepted: false, refund: 20, penaltyCharged: 0 }),
+    expect.objectContaining({ wasAccepted: true, refund: 20, penaltyCharged: 0 })
+  ]);
+  expect(settlement.wallets).toEqual({ rider: { balance: 40, escrowBalance: 0 }, driver: { balance: 5, escrowBalance: 0 } });
+});
+
+test('requests without a held fare refund nothing', () => {
+  const settlement = settlementOf({ rider: { balance: 7, escrowBalance: 0 }, driver: { balance: 0, escrowBalance: 0 } });
+  const { update, result } = settleCancellation(settlement, { requestId: 'q1', request: request({ escrowStatus: undefined }), ride, cancelledBy: 'rider', reason: 'x', cancelledAt });
+  expect(result.refund).toBe(0);
+  expect(update).not.toHaveProperty('escrowStatus');
+  expect(settlement.entries).toEqual([]);
+});
+
+test("a cancellation is refused when the rider's escrow no longer covers the held fare", () => {
+  const settlement = settlementOf({ rider: { balance: 0, escrowBalance: 5 }, driver: { balance: 0, escrowBalance: 0 } });
+  expect(settleCancellation(settlement, { requestId: 'q1', request: request(), ride, held: 20, cancelledBy: 'rider', reason: 'x', cancelledAt })).toBeNull();
+  expect(settlement.wallets.rider).toEqual({ balance: 0, escrowBalance: 5 });
+  expect(settlement.entries).toEqual([]);
+});
+
+test('cancelled bookings give back their seats between their own stops', () => {
+  const requests = [
+    request({ seats: 1, boardStop: 0, alightStop: 1 }),
+    request({ seats: 1, boardStop: 1, alightStop: 2 }),
+    request({ status: 'pending', seats: 2 })
+  ];
+  expect(releaseSeats(ride, requests)).toEqual({ segmentSeats: [2, 3], availableSeats: 2 });
+  // Bookings from before stops existed ride the whole route
+  expect(releaseSeats({ ...ride, segmentSeats: undefined }, [request({ boardStop: undefined, alightStop: undefined })]))
+    .toEqual({ segmentSeats: [3, 3], availableSeats: 3 });
+});
+
+test('a standing seat holds one fare and takes one seat on the whole route', () => {
+  const settlement = settlementOf({ rider: { balance: 10, escrowBalance: 0 } });
+  const rider = { riderId: 'rider', riderName: 'Riley', status: 'approved', requestedBy: 'rider' };
+  const booking = bookStandingSeat(settlement, { rideId: 'r1', ride, rider, now: cancelledAt });
+  expect(booking).toMatchObject({
+    id: 'r1_rider',
+    seats: { segmentSeats: [0, 1], availableSeats: 0 },
+    request: { riderId: 'rider', status: 'accepted', standing: true, seats: 1, escrowAmount: 10, escrowStatus: 'held' }
+  });
+  expect(settlement.wallets.rider).toEqual({ balance: 0, escrowBalance: 10 });
+  expect(settlement.holds.r1_rider).toMatchObject({ amount: 10, status: 'held' });
+
+  expect(bookStandingSeat(settlement, { rideId: 'r2', ride: { ...ride, segmentSeats: [2, 2], availableSeats: 2 }, rider, now: cancelledAt })).toBeNull();
+  expect(bookStandingSeat(createSettlement({ rider: { balance: 50, escrowBalance: 0 } }), { rideId: 'r3', ride: { ...ride, segmentSeats: [0, 2], availableSeats: 0 }, rider, now: cancelledAt })).toBeNull();
+});
+
+test('only approved weekly seats the rider asked for are booked', () => {
+  const settlement = settlementOf({ victim: { balance: 50, escrowBalance: 0 } });
+  const book = (rider) => bookStandingSeat(settlement, { rideId: 'r1', ride: { ...ride, segmentSeats: [2, 2], availableSeats: 2 }, rider, now: cancelledAt });
+  // An entry someone else wrote for the victim, or one the driver has not approved
+  expect(book({ riderId: 'victim', riderName: 'Vic', status: 'approved' })).toBeNull();
+  expect(book({ riderId: 'victim', riderName: 'Vic', status: 'approved', requestedBy: 'driver' })).toBeNull();
+  expect(book({ riderId: 'victim', riderName: 'Vic', status: 'pending', requestedBy: 'victim' })).toBeNull();
+  expect(settlement.wallets.victim).toEqual({ balance: 50, escrowBalance: 0 });
+  expect(book({ riderId: 'victim', riderName: 'Vic', status: 'approved', requestedBy: 'victim' })).not.toBeNull();
+});
+
+test('segment fares are the same as the app shows', () => {
+  const routePlaces = [{ name: 'A', lat: 43.6, lng: -79.4 }, { name: 'B', lat: 43.6, lng: -79.39 }, { name: 'C', lat: 43.6, lng: -79.37 }];
+  [ride, { ...ride, routePlaces }].forEach(fareRide => {
+    [{ boardStop: 0, alightStop: 1 }, { boardStop: 1, alightStop: 2 }, { boardStop: 0, alightStop: 2 }].forEach(stops => {
+      expect(segmentFarePerSeat(fareRide, stops)).toBe(appSegmentFarePerSeat(fareRide, stops));
+    });
+  });
+});
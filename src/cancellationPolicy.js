@@ -0,0 +1,49 @@
+import { roundMoney } from './money';
+
+// Time-based cancellation policy for accepted bookings.
+// Tiers are checked in order and the first one whose minHoursBeforeDeparture is met applies;
+// cancellations later than every tier (including after departure) use the last tier.
+//  - rider tiers set how much of the fare is refunded; the rest goes to the driver as a fee
+//  - driver tiers set a penalty, as a share of the fare, paid to the rider on top of a full refund
+export const DEFAULT_CANCELLATION_POLICY = {
+  rider: [
+    { minHoursBeforeDeparture: 24, refundRate: 1 },
+    { minHoursBeforeDeparture: 2, refundRate: 0.5 },
+    { minHoursBeforeDeparture: 0, refundRate: 0 }
+  ],
+  driver: [
+    { minHoursBeforeDeparture: 24, penaltyRate: 0 },
+    { minHoursBeforeDeparture: 2, penaltyRate: 0.25 },
+    { minHoursBeforeDeparture: 0, penaltyRate: 0.5 }
+  ]
+};
+
+// Works out the refund and penalty for cancelling one booking.
+// Only accepted bookings fall under the policy; pending or still-searching requests are
+// always refunded in full with no penalty, as are bookings an admin force-cancels.
+export const evaluateCancellation = ({
+  cancelledBy,
+  fare,
+  departureTime,
+  status = 'accepted',
+  now = new Date(),
+  policy = DEFAULT_CANCELLATION_POLICY
+}) => {
+  const hoursBeforeDeparture = (new Date(departureTime) - new Date(now)) / 36e5;
+
+  if (status !== 'accepted' || cancelledBy === 'admin') {
+    return { refund: roundMoney(fare), penalty: 0, hoursBeforeDeparture, tier: null };
+  }
+
+  const tiers = policy[cancelledBy];
+  if (!tiers || tiers.length === 0) {
+    throw new Error(`No cancellation policy for "${cancelledBy}"`);
+  }
+  const tier = tiers.find(t => hoursBeforeDeparture >= t.minHoursBeforeDeparture) || tiers[tiers.length - 1];
+
+  if (cancelledBy === 'rider') {
+    const refund = roundMoney(fare * tier.refundRate);
+    return { refund, penalty: roundMoney(fare - refund), hoursBeforeDeparture, tier };
+  }
+  return { refund: roundMoney(fare), penalty: roundMoney(fare * tier.penaltyRate), hoursBeforeDeparture, tier };
+};
@@ -0,0 +1,40 @@
+import { evaluateCancellation } from './cancellationPolicy';
+
+const now = new Date('2026-03-02T08:00:00Z');
+const hoursFromNow = (hours) => new Date(now.getTime() + hours * 36e5).toISOString();
+
+test('rider cancelling well ahead gets a full refund', () => {
+  const outcome = evaluateCancellation({ cancelledBy: 'rider', fare: 20, departureTime: hoursFromNow(48), now });
+  expect(outcome).toMatchObject({ refund: 20, penalty: 0 });
+});
+
+test('rider cancelling close to departure pays part of the fare to the driver', () => {
+  const outcome = evaluateCancellation({ cancelledBy: 'rider', fare: 15, departureTime: hoursFromNow(3), now });
+  expect(outcome).toMatchObject({ refund: 7.5, penalty: 7.5 });
+});
+
+test('cancelling after departure falls back to the last tier', () => {
+  const outcome = evaluateCancellation({ cancelledBy: 'rider', fare: 15, departureTime: hoursFromNow(-1), now });
+  expect(outcome).toMatchObject({ refund: 0, penalty: 15 });
+});
+
+test('driver cancelling refunds the rider in full and adds a penalty', () => {
+  const outcome = evaluateCancellation({ cancelledBy: 'driver', fare: 20, departureTime: hoursFromNow(1), now });
+  expect(outcome).toMatchObject({ refund: 20, penalty: 10 });
+});
+
+test('pending requests are always refunded without penalty', () => {
+  const outcome = evaluateCancellation({ cancelledBy: 'rider', fare: 20, departureTime: hoursFromNow(1), status: 'pending', now });
+  expect(outcome).toMatchObject({ refund: 20, penalty: 0, tier: null });
+});
+
+test('admin force-cancellations are refunded in full without penalty', () => {
+  const outcome = evaluateCancellation({ cancelledBy: 'admin', fare: 20, departureTime: hoursFromNow(1), now });
+  expect(outcome).toMatchObject({ refund: 20, penalty: 0, tier: null });
+});
+
+test('a custom policy can be supplied', () => {
+  const policy = { rider: [{ minHoursBeforeDeparture: 0, refundRate: 0.8 }], driver: [] };
+  const outcome = evaluateCancellation({ cancelledBy: 'rider', fare: 10, departureTime: hoursFromNow(5), now, policy });
+  expect(outcome).toMatchObject({ refund: 8, penalty: 2 });
+});
@@ -0,0 +1,85 @@
+// Chat storage.
+// A chat is one document holding its participants and a lastMessage summary for the chat
+// list; every message is its own document in the chat's `items` subcollection, stamped with
+// the server time, so concurrent sends never overwrite each other. Chats from before this
+// layout kept all their messages in a `messages` array on the chat document; those are read
+// as the oldest part of the history.
+//
+// Read state lives on the chat document too, keyed by participant: unreadCounts (messages
+// they have not opened yet), deliveredAt (when their client last received the chat) and
+// readAt (when they last opened it). Typing status is a small document per participant in
+// the chat's `typing` subcollection, so typing never touches the chat list.
+
+export const CHAT_PAGE_SIZE = 25;
+
+// Participants are stored sorted, so every writer sends the same list for the same chat
+export const chatParticipants = (...uids) => [...new Set(uids)].sort();
+
+// Server timestamps arrive as Firestore Timestamps (or null on a pending local write);
+// older messages carry an ISO `timestamp` string
+const toDate = (value) => {
+  if (!value) return new Date();
+  if (typeof value.toDate === 'function') return value.toDate();
+  return new Date(value);
+};
+
+const toMillis = (value) => (value ? toDate(value).getTime() : 0);
+
+// `pending` marks a message this client sent that has not reached the server yet
+export const normalizeMessage = (id, data, pending = false) => ({
+  id,
+  senderId: data.senderId,
+  senderName: data.senderName,
+  text: data.text,
+  system: data.system || false,
+  sentAt: toDate(data.sentAt || data.timestamp),
+  pending
+});
+
+export const legacyMessages = (chat) =>
+  (chat?.messages || []).map((message, index) => normalizeMessage(`legacy-${index}`, message));
+
+// Loaded pages are oldest first; the legacy array only precedes them once paging has
+// reached the start of the subcollection
+export const chatHistory = (chat, pagedMessages, hasOlder) =>
+  (hasOlder ? pagedMessages : [...legacyMessages(chat), ...pagedMessages]);
+
+export const lastMessagePreview = (chat) => {
+  if (chat?.lastMessage) return chat.lastMessage.text;
+  const legacy = legacyMessages(chat);
+  return legacy.length > 0 ? legacy[legacy.length - 1].text : null;
+};
+
+// --- Read state ---
+export const unreadCount = (chat, uid) => chat?.unreadCounts?.[uid] || 0;
+
+export const totalUnread = (chats, uid) =>
+  Object.values(chats).reduce((total, chat) => total + unreadCount(chat, uid), 0);
+
+// A recipient's client acknowledges delivery once it has received the latest message
+export const needsDeliveryReceipt = (chat, uid) => {
+  const last = chat?.lastMessage;
+  return Boolean(last && last.sentAt && last.senderId !== uid
+    && toMillis(chat.deliveredAt?.[uid]) < toMillis(last.sentAt));
+};
+
+// Receipt for a message the current user sent, as seen by the other participant
+export const messageReceipt = (message, chat, partnerId) => {
+  if (message.pending) return 'sending';
+  const sentAt = message.sentAt.getTime();
+  if (toMillis(chat?.readAt?.[partnerId]) >= sentAt) return 'read';
+  if (toMillis(chat?.deliveredAt?.[partnerId]) >= sentAt) return 'delivered';
+  return 'sent';
+};
+
+// --- Typing ---
+// While typing, a client refreshes its status every TYPING_REFRESH_MS; a status older than
+// TYPING_TIMEOUT_MS is stale (the other side closed the chat or lost its connection).
+export const TYPING_REFRESH_MS = 4000;
+export const TYPING_TIMEOUT_MS = 10000;
+
+// Milliseconds until a typing status goes stale, 0 when the participant is not typing
+export const typingTimeLeft = (status, now = Date.now()) => {
+  if (!status?.typing || !status.updatedAt) return 0;
+  return Math.max(0, toMillis(status.updatedAt) + TYPING_TIMEOUT_MS - now);
+};
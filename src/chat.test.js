@@ -0,0 +1,78 @@
+import {
+  chatHistory, chatParticipants, lastMessagePreview, legacyMessages, messageReceipt, needsDeliveryReceipt,
+  normalizeMessage, totalUnread, typingTimeLeft, unreadCount, TYPING_TIMEOUT_MS
+} from './chat';
+
+const legacyChat = {
+  participants: ['driver', 'rider'],
+  messages: [
+    { senderId: 'rider', senderName: 'Riley', text: 'Hi', timestamp: '2026-03-01T08:00:00.000Z' },
+    { senderId: 'driver', senderName: 'Dana', text: 'Hello', timestamp: '2026-03-01T08:01:00.000Z' }
+  ]
+};
+
+test('participants are sorted and unique', () => {
+  expect(chatParticipants('rider', 'driver')).toEqual(['driver', 'rider']);
+  expect(chatParticipants('driver', 'rider', 'driver')).toEqual(['driver', 'rider']);
+});
+
+test('messages take their time from a server timestamp or a legacy ISO string', () => {
+  const sentAt = new Date('2026-03-02T09:00:00.000Z');
+  expect(normalizeMessage('m1', { senderId: 'a', text: 'x', sentAt: { toDate: () => sentAt } }).sentAt).toEqual(sentAt);
+  expect(normalizeMessage('m2', { senderId: 'a', text: 'x', timestamp: '2026-03-02T09:00:00.000Z' }).sentAt).toEqual(sentAt);
+  expect(normalizeMessage('m3', { senderId: 'a', text: 'x', sentAt: null }).sentAt).toBeInstanceOf(Date);
+});
+
+test('legacy array messages come before paged messages once paging reaches the start', () => {
+  const paged = [normalizeMessage('m1', { senderId: 'rider', text: 'New', sentAt: '2026-03-02T08:00:00.000Z' })];
+  expect(chatHistory(legacyChat, paged, true).map(m => m.text)).toEqual(['New']);
+  expect(chatHistory(legacyChat, paged, false).map(m => m.text)).toEqual(['Hi', 'Hello', 'New']);
+  expect(legacyMessages(legacyChat).map(m => m.id)).toEqual(['legacy-0', 'legacy-1']);
+});
+
+test('the chat list preview prefers the summary and falls back to the legacy array', () => {
+  expect(lastMessagePreview({ ...legacyChat, lastMessage: { text: 'Latest' } })).toBe('Latest');
+  expect(lastMessagePreview(legacyChat)).toBe('Hello');
+  expect(lastMessagePreview(undefined)).toBeNull();
+});
+
+test('unread counts are per participant and default to zero', () => {
+  const chats = {
+    a: { unreadCounts: { rider: 2, driver: 0 } },
+    b: { unreadCounts: { rider: 1 } },
+    legacy: legacyChat
+  };
+  expect(unreadCount(chats.a, 'rider')).toBe(2);
+  expect(unreadCount(chats.legacy, 'rider')).toBe(0);
+  expect(totalUnread(chats, 'rider')).toBe(3);
+  expect(totalUnread(chats, 'driver')).toBe(0);
+});
+
+test('the recipient acknowledges delivery of a newer message once', () => {
+  const chat = { lastMessage: { senderId: 'driver', sentAt: '2026-03-02T08:00:00.000Z' } };
+  expect(needsDeliveryReceipt(chat, 'rider')).toBe(true);
+  expect(needsDeliveryReceipt(chat, 'driver')).toBe(false);
+  expect(needsDeliveryReceipt({ ...chat, deliveredAt: { rider: '2026-03-02T08:00:01.000Z' } }, 'rider')).toBe(false);
+  expect(needsDeliveryReceipt({ lastMessage: { senderId: 'driver', sentAt: null } }, 'rider')).toBe(false);
+});
+
+test('receipts move from sending to sent, delivered and read', () => {
+  const message = normalizeMessage('m1', { senderId: 'rider', text: 'Hi', sentAt: '2026-03-02T08:00:00.000Z' });
+  expect(messageReceipt({ ...message, pending: true }, {}, 'driver')).toBe('sending');
+  expect(messageReceipt(message, {}, 'driver')).toBe('sent');
+  expect(messageReceipt(message, { deliveredAt: { driver: '2026-03-02T08:00:05.000Z' } }, 'driver')).toBe('delivered');
+  expect(messageReceipt(message, {
+    deliveredAt: { driver: '2026-03-02T08:00:05.000Z' },
+    readAt: { driver: '2026-03-02T08:01:00.000Z' }
+  }, 'driver')).toBe('read');
+  expect(messageReceipt(message, { readAt: { driver: '2026-03-02T07:00:00.000Z' } }, 'driver')).toBe('sent');
+});
+
+test('typing status goes stale after the timeout', () => {
+  const updatedAt = new Date('2026-03-02T08:00:00.000Z');
+  const now = updatedAt.getTime() + 3000;
+  expect(typingTimeLeft({ typing: true, updatedAt }, now)).toBe(TYPING_TIMEOUT_MS - 3000);
+  expect(typingTimeLeft({ typing: true, updatedAt }, updatedAt.getTime() + TYPING_TIMEOUT_MS + 1)).toBe(0);
+  expect(typingTimeLeft({ typing: false, updatedAt }, now)).toBe(0);
+  expect(typingTimeLeft(undefined, now)).toBe(0);
+});
@@ -0,0 +1,33 @@
+// Client for the callable Cloud Functions in functions/index.js.
+// Each call sends the app id, so the server works on the same artifacts/{appId} tree as the
+// client, and resolves with the function's outcome object ({ status, ... }). Calls the server
+// rejects (not signed in, not the ride's driver, bad input) reject with a FunctionsError
+// whose message can be shown to the user.
+import { getFunctions, httpsCallable, connectFunctionsEmulator } from 'firebase/functions';
+
+export const FUNCTIONS_EMULATOR_PORT = 5001;
+
+export const createCloudFunctions = (app, { appId, useEmulator = false }) => {
+  const functions = getFunctions(app);
+  if (useEmulator) connectFunctionsEmulator(functions, '127.0.0.1', FUNCTIONS_EMULATOR_PORT);
+
+  const callable = (name) => async (data) => (await httpsCallable(functions, name)({ ...data, appId })).data;
+  return {
+    requestRide: ({ rideId, boardStop, alightStop, companions }) => callable('requestRide')({ rideId, boardStop, alightStop, companions }),
+    acceptRequest: ({ requestId }) => callable('acceptRequest')({ requestId }),
+    rejectRequest: ({ requestId }) => callable('rejectRequest')({ requestId }),
+    acceptOffer: ({ requestId, rideId }) => callable('acceptOffer')({ requestId, rideId }),
+    cancelBookings: ({ requestId, rideId, cancelledBy, reason, cancelRide }) =>
+      callable('cancelBookings')({ requestId, rideId, cancelledBy, reason, cancelRide }),
+    postRide: ({ ride }) => callable('postRide')({ ride }),
+    postRideSeries: ({ ride, schedule }) => callable('postRideSeries')({ ride, schedule }),
+    requestStandingSeat: ({ seriesId }) => callable('requestStandingSeat')({ seriesId }),
+    approveStandingRider: ({ seriesId, riderId }) => callable('approveStandingRider')({ seriesId, riderId }),
+    removeStandingRider: ({ seriesId, riderId }) => callable('removeStandingRider')({ seriesId, riderId }),
+    completeRide: ({ requestId }) => callable('completeRide')({ requestId }),
+    submitReview: ({ requestId, role, rating, comment }) => callable('submitReview')({ requestId, role, rating, comment }),
+    addFunds: ({ amount }) => callable('addFunds')({ amount }),
+    withdrawFunds: ({ amount }) => callable('withdrawFunds')({ amount }),
+    adjustWallet: ({ uid, amount, reason }) => callable('adjustWallet')({ uid, amount, reason })
+  };
+};
@@ -0,0 +1,379 @@
+/**
+ * @jest-environment node
+ */
+import * as webStreams from 'stream/web';
+
+// Firebase's Node build loads undici, which expects the web stream globals that Jest's node
+// environment leaves out, so they are added before Firebase is required
+Object.assign(global, webStreams);
+const { initializeApp, deleteApp } = require('firebase/app');
+const { getAuth, connectAuthEmulator, signInAnonymously } = require('firebase/auth');
+const { doc, getDoc, setDoc, collection, getDocs } = require('firebase/firestore');
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+const { createCloudFunctions } = require('./cloudFunctions');
+
+// Calls the functions in functions/index.js on the Functions emulator, end to end through
+// the client API. `npm run test:functions` starts the Auth, Firestore and Functions
+// emulators; without them these tests are skipped.
+const emulatorsRunning = process.env.FIRESTORE_EMULATOR_HOST && process.env.FIREBASE_AUTH_EMULATOR_HOST;
+const describeWithEmulators = emulatorsRunning ? describe : describe.skip;
+
+const projectId = 'demo-carpool';
+const appId = 'functions-test-app';
+const appPath = (...segments) => ['artifacts', appId, ...segments].join('/');
+const ridePath = (id) => appPath('public', 'data', 'rides', id);
+const requestPath = (id) => appPath('public', 'data', 'rideRequests', id);
+const walletPath = (uid) => appPath('users', uid, 'walletData', 'balance');
+const holdPath = (requestId) => appPath('escrowHolds', requestId);
+
+describeWithEmulators('callable functions', () => {
+  let testEnv;
+  const sessions = [];
+
+  // A signed-in user with their own Firebase app and client API
+  const signIn = async (name) => {
+    const app = initializeApp({ apiKey: 'demo-api-key', projectId }, name);
+    const auth = getAuth(app);
+    connectAuthEmulator(auth, `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+    const { user } = await signInAnonymously(auth);
+    sessions.push(app);
+    return { uid: user.uid, api: createCloudFunctions(app, { appId, useEmulator: true }) };
+  };
+
+  const seed = (docs) => testEnv.withSecurityRulesDisabled(async (context) => {
+    for (const [path, data] of Object.entries(docs)) {
+      await setDoc(doc(context.firestore(), path), data);
+    }
+  });
+
+  const read = (path) => testEnv.withSecurityRulesDisabled(async (context) => (await getDoc(doc(context.firestore(), path))).data());
+
+  let rider;
+  let driver;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({ projectId });
+    rider = await signIn('rider');
+    driver = await signIn('driver');
+  });
+
+  afterAll(async () => {
+    await Promise.all(sessions.map(app => deleteApp(app)));
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed({
+      [ridePath('r1')]: { driverId: driver.uid, driverName: 'Dana', from: 'A', to: 'B', availableSeats: 3, pricePerSeat: 10, status: 'active' },
+      [requestPath('q1')]: {
+        rideId: 'r1', riderId: rider.uid, riderName: 'Riley', driverId: driver.uid, driverName: 'Dana', from: 'A', to: 'B',
+        seats: 2, price: 20, escrowAmount: 20, escrowStatus: 'held', status: 'pending'
+      },
+      [holdPath('q1')]: { requestId: 'q1', rideId: 'r1', riderId: rider.uid, driverId: driver.uid, amount: 20, status: 'held' },
+      [walletPath(rider.uid)]: { balance: 5, escrowBalance: 20 },
+      [walletPath(driver.uid)]: { balance: 0, escrowBalance: 0 }
+    });
+  });
+
+  test('addFunds credits the caller and rejects amounts out of range', async () => {
+    await expect(rider.api.addFunds({ amount: 25.5 })).resolves.toEqual({ status: 'deposited', amount: 25.5, balance: 30.5 });
+    expect(await read(walletPath(rider.uid))).toEqual({ balance: 30.5, escrowBalance: 20 });
+    await expect(rider.api.addFunds({ amount: -5 })).rejects.toMatchObject({ code: 'functions/invalid-argument' });
+    await expect(rider.api.addFunds({ amount: 5000 })).rejects.toMatchObject({ code: 'functions/invalid-argument' });
+  });
+
+  test('withdrawFunds takes only from the available balance, never from escrow', async () => {
+    await expect(rider.api.withdrawFunds({ amount: 10 })).resolves.toEqual({ status: 'insufficientFunds', balance: 5 });
+    await expect(rider.api.withdrawFunds({ amount: 5 })).resolves.toEqual({ status: 'withdrawn', amount: 5, balance: 0 });
+    expect(await read(walletPath(rider.uid))).toEqual({ balance: 0, escrowBalance: 20 });
+    await expect(rider.api.withdrawFunds({ amount: 0 })).rejects.toMatchObject({ code: 'functions/invalid-argument' });
+  });
+
+  test('only admins can adjust wallets', async () => {
+    await expect(rider.api.adjustWallet({ uid: rider.uid, amount: 100, reason: 'Refund' }))
+      .rejects.toMatchObject({ code: 'functions/permission-denied' });
+    expect(await read(walletPath(rider.uid))).toEqual({ balance: 5, escrowBalance: 20 });
+  });
+
+  test('only the ride\'s driver can accept a request, and accepting reserves its seats', async () => {
+    await expect(rider.api.acceptRequest({ requestId: 'q1' })).rejects.toMatchObject({ code: 'functions/permission-denied' });
+    await expect(driver.api.acceptRequest({ requestId: 'q1' })).resolves.toEqual({ status: 'accepted', seats: 2 });
+    expect((await read(ridePath('r1'))).availableSeats).toBe(1);
+    await expect(driver.api.acceptRequest({ requestId: 'q1' })).resolves.toEqual({ status: 'notPending' });
+  });
+
+  test('the rider is notified when their request is accepted', async () => {
+    await driver.api.acceptRequest({ requestId: 'q1' });
+    const notifications = await testEnv.withSecurityRulesDisabled(async (context) =>
+      (await getDocs(collection(context.firestore(), appPath('users', rider.uid, 'notifications')))).docs.map(d => d.data()));
+    expect(notifications).toEqual([expect.objectContaining({
+      type: 'requestAccepted',
+      body: 'Dana accepted your request for the ride from A to B.',
+      actorId: driver.uid,
+      read: false
+    })]);
+  });
+
+  test('accepting fails without enough free seats', async () => {
+    await seed({ [ridePath('r1')]: { driverId: driver.uid, availableSeats: 1, pricePerSeat: 10, status: 'active' } });
+    await expect(driver.api.acceptRequest({ requestId: 'q1' })).resolves.toEqual({ status: 'full', seats: 2, availableSeats: 1 });
+  });
+
+  test('completing a ride pays the driver from escrow exactly once', async () => {
+    await expect(driver.api.completeRide({ requestId: 'q1' })).resolves.toEqual({ status: 'notAccepted' });
+    await driver.api.acceptRequest({ requestId: 'q1' });
+    await expect(rider.api.completeRide({ requestId: 'q1' })).rejects.toMatchObject({ code: 'functions/permission-denied' });
+
+    await expect(driver.api.completeRide({ requestId: 'q1' })).resolves.toEqual({ status: 'settled', price: 20 });
+    await expect(driver.api.completeRide({ requestId: 'q1' })).resolves.toEqual({ status: 'alreadySettled' });
+    expect(await read(walletPath(driver.uid))).toEqual({ balance: 20, escrowBalance: 0 });
+    expect(await read(walletPath(rider.uid))).toEqual({ balance: 5, escrowBalance: 0 });
+    expect(await read(requestPath('q1'))).toMatchObject({ status: 'completed', escrowStatus: 'released' });
+    expect(await read(holdPath('q1'))).toMatchObject({ amount: 20, status: 'released' });
+  });
+
+  test('the ride stays active until its last accepted booking is completed', async () => {
+    const booking = await read(requestPath('q1'));
+    await seed({
+      [requestPath('q1')]: { ...booking, status: 'accepted' },
+      [requestPath('q2')]: { ...booking, seats: 1, price: 10, escrowAmount: 10, status: 'accepted' },
+      [holdPath('q2')]: { ...(await read(holdPath('q1'))), requestId: 'q2', amount: 10 },
+      [walletPath(rider.uid)]: { balance: 5, escrowBalance: 30 }
+    });
+
+    await expect(driver.api.completeRide({ requestId: 'q1' })).resolves.toEqual({ status: 'settled', price: 20 });
+    expect(await read(ridePath('r1'))).toMatchObject({ status: 'active' });
+    await expect(driver.api.completeRide({ requestId: 'q2' })).resolves.toEqual({ status: 'settled', price: 10 });
+    expect(await read(ridePath('r1'))).toMatchObject({ status: 'completed' });
+  });
+
+  test('completing pays the held amount, not the request\'s, and nothing when escrow is short', async () => {
+    await driver.api.acceptRequest({ requestId: 'q1' });
+    await seed({ [requestPath('q1')]: { ...(await read(requestPath('q1'))), escrowAmount: 500 } });
+    await seed({ [walletPath(rider.uid)]: { balance: 500, escrowBalance: 15 } });
+    await expect(driver.api.completeRide({ requestId: 'q1' })).resolves.toEqual({ status: 'escrowShort', price: 20, riderEscrow: 15 });
+    expect(await read(walletPath(driver.uid))).toEqual({ balance: 0, escrowBalance: 0 });
+    expect(await read(requestPath('q1'))).toMatchObject({ status: 'accepted' });
+  });
+
+  test('only the participants of a completed request can review it, and the second review reveals both', async () => {
+    await expect(rider.api.submitReview({ requestId: 'q1', role: 'rider', rating: 5 })).resolves.toEqual({ status: 'notCompleted' });
+    await driver.api.acceptRequest({ requestId: 'q1' });
+    await driver.api.completeRide({ requestId: 'q1' });
+
+    await expect(driver.api.submitReview({ requestId: 'q1', role: 'rider', rating: 1 })).resolves.toEqual({ status: 'notParticipant' });
+    await expect(rider.api.submitReview({ requestId: 'q1', role: 'rider', rating: 9 })).rejects.toMatchObject({ code: 'functions/invalid-argument' });
+    await expect(rider.api.submitReview({ requestId: 'q1', role: 'rider', rating: 4, comment: 'Smooth' })).resolves.toEqual({ status: 'hidden' });
+    await expect(rider.api.submitReview({ requestId: 'q1', role: 'rider', rating: 4 })).resolves.toEqual({ status: 'alreadyRated' });
+    expect(await read(appPath('public', 'data', 'ratingSummaries', driver.uid))).toBeUndefined();
+
+    await expect(driver.api.submitReview({ requestId: 'q1', role: 'driver', rating: 5 })).resolves.toEqual({ status: 'revealed' });
+    expect(await read(appPath('public', 'data', 'reviews', 'q1-rider'))).toMatchObject({ raterId: rider.uid, rateeId: driver.uid, revealed: true });
+    expect(await read(appPath('public', 'data', 'ratingSummaries', driver.uid))).toEqual({ count: 1, total: 4, average: 4 });
+    expect(await read(appPath('public', 'data', 'ratingSummaries', rider.uid))).toEqual({ count: 1, total: 5, average: 5 });
+  });
+
+  test('requesting a ride holds the fare for the chosen stops', async () => {
+    await seed({
+      [ridePath('r2')]: { driverId: driver.uid, driverName: 'Dana', from: 'A', to: 'C', route: ['A', 'B', 'C'], availableSeats: 2, pricePerSeat: 10, status: 'active' },
+      [appPath('users', rider.uid, 'userProfile', 'data')]: { name: 'Riley' }
+    });
+    await expect(rider.api.requestRide({ rideId: 'r2', boardStop: 0, alightStop: 1, companions: ['Sam'] }))
+      .resolves.toEqual({ status: 'insufficientFunds', fare: 10, seats: 2 });
+    await seed({ [walletPath(rider.uid)]: { balance: 30, escrowBalance: 0 } });
+    const outcome = await rider.api.requestRide({ rideId: 'r2', boardStop: 0, alightStop: 1, companions: ['Sam'] });
+    expect(outcome).toMatchObject({ status: 'requested', fare: 10, seats: 2 });
+    expect(await read(walletPath(rider.uid))).toEqual({ balance: 20, escrowBalance: 10 });
+    expect(await read(holdPath(outcome.requestId))).toMatchObject({ riderId: rider.uid, driverId: driver.uid, amount: 10, status: 'held' });
+    expect(await read(requestPath(outcome.requestId))).toMatchObject({
+      riderId: rider.uid, riderName: 'Riley', from: 'A', to: 'B', passengers: ['Riley', 'Sam'], status: 'pending', escrowAmount: 10
+    });
+    await expect(rider.api.requestRide({ rideId: 'r2', boardStop: 0, alightStop: 1 })).resolves.toEqual({ status: 'alreadyRequested' });
+  });
+
+  test('offers on requests for an impossible number of seats are refused without moving money', async () => {
+    await seed({
+      [requestPath('q3')]: { riderId: rider.uid, from: 'A', to: 'B', seats: -5, status: 'searching', offers: [{ rideId: 'r1', driverId: driver.uid }] }
+    });
+    await expect(rider.api.acceptOffer({ requestId: 'q3', rideId: 'r1' })).rejects.toMatchObject({ code: 'functions/failed-precondition' });
+    await expect(rider.api.requestRide({ rideId: 'r1', boardStop: 0, alightStop: 1, companions: Array(7).fill('Sam') }))
+      .rejects.toMatchObject({ code: 'functions/invalid-argument' });
+    expect(await read(walletPath(rider.uid))).toEqual({ balance: 5, escrowBalance: 20 });
+    expect(await read(ridePath('r1'))).toMatchObject({ availableSeats: 3 });
+  });
+
+  // About 75 km by road, so the cost-sharing cap is near $8 a seat with three seats offered
+  const postedRide = {
+    routePlaces: [{ name: 'A', lat: 43.65, lng: -79.38 }, { name: 'B', lat: 43.26, lng: -79.87 }],
+    availableSeats: 3,
+    pricePerSeat: 5
+  };
+
+  test('only verified drivers post rides, and never above the cost-sharing cap', async () => {
+    const ride = { ...postedRide, startTime: '2099-01-05T08:00' };
+    const readRides = () => testEnv.withSecurityRulesDisabled(async (context) =>
+      (await getDocs(collection(context.firestore(), appPath('public', 'data', 'rides')))).docs.filter(d => d.id !== 'r1').map(d => d.data()));
+
+    await expect(driver.api.postRide({ ride })).rejects.toMatchObject({ code: 'functions/permission-denied' });
+    await seed({ [appPath('public', 'data', 'verifiedUsers', driver.uid)]: { verifiedAt: '2026-03-01T00:00:00.000Z' } });
+    await expect(driver.api.postRide({ ride: { ...ride, pricePerSeat: 50 } }))
+      .rejects.toMatchObject({ code: 'functions/invalid-argument', message: expect.stringMatching(/most you can charge/) });
+    await expect(driver.api.postRide({ ride: { ...ride, tolls: -20 } })).rejects.toMatchObject({ code: 'functions/invalid-argument' });
+    await expect(driver.api.postRide({ ride: { ...ride, startTime: 'soon' } })).rejects.toMatchObject({ code: 'functions/invalid-argument' });
+    expect(await readRides()).toEqual([]);
+
+    // Tolls count towards the trip's cost, so they raise the cap
+    await expect(driver.api.postRide({ ride: { ...ride, pricePerSeat: 12, tolls: 15 } })).resolves.toMatchObject({ status: 'posted', rideId: expect.any(String) });
+    expect(await readRides()).toEqual([expect.objectContaining({
+      driverId: driver.uid, from: 'A', to: 'B', route: ['A', 'B'], startTime: '2099-01-05T08:00', pricePerSeat: 12, tolls: 15, availableSeats: 3, status: 'active'
+    })]);
+  });
+
+  test('only verified drivers post weekly series, created together with their first rides', async () => {
+    const ride = postedRide;
+    const schedule = { daysOfWeek: [0, 1, 2, 3, 4, 5, 6], time: '12:00', startDate: '2026-01-01', endDate: null, skipDates: [] };
+    const readSeries = () => testEnv.withSecurityRulesDisabled(async (context) =>
+      (await getDocs(collection(context.firestore(), appPath('public', 'data', 'rideSeries')))).docs.map(d => ({ id: d.id, ...d.data() })));
+
+    await expect(driver.api.postRideSeries({ ride, schedule })).rejects.toMatchObject({ code: 'functions/permission-denied' });
+    await seed({ [appPath('public', 'data', 'verifiedUsers', driver.uid)]: { verifiedAt: '2026-03-01T00:00:00.000Z' } });
+    await expect(driver.api.postRideSeries({ ride: { ...ride, availableSeats: -2 }, schedule })).rejects.toMatchObject({ code: 'functions/invalid-argument' });
+    await expect(driver.api.postRideSeries({ ride: { ...ride, pricePerSeat: 50 }, schedule })).rejects.toMatchObject({ code: 'functions/invalid-argument' });
+    await expect(driver.api.postRideSeries({ ride, schedule: { ...schedule, time: 'noon' } })).rejects.toMatchObject({ code: 'functions/invalid-argument' });
+    expect(await readSeries()).toEqual([]);
+
+    const outcome = await driver.api.postRideSeries({ ride, schedule });
+    expect(outcome).toMatchObject({ status: 'posted', created: expect.any(Number) });
+    expect(outcome.created).toBeGreaterThanOrEqual(14);
+    expect(await readSeries()).toEqual([expect.objectContaining({
+      id: outcome.seriesId, driverId: driver.uid, status: 'active', standingRiders: [], rideTemplate: expect.objectContaining({ from: 'A', to: 'B', pricePerSeat: 5 })
+    })]);
+    const rides = await testEnv.withSecurityRulesDisabled(async (context) =>
+      (await getDocs(collection(context.firestore(), appPath('public', 'data', 'rides')))).docs.filter(d => d.data().seriesId === outcome.seriesId));
+    expect(rides).toHaveLength(outcome.created);
+  });
+
+  test('riders ask for their own weekly seats, and approval books only seats a rider asked for', async () => {
+    const seriesPath = appPath('public', 'data', 'rideSeries', 's1');
+    // A standing entry written straight into the series, as an earlier client could
+    const forged = { riderId: 'victim', riderName: 'Vic', status: 'approved' };
+    await seed({
+      [seriesPath]: { driverId: driver.uid, status: 'active', standingRiders: [forged], standingRiderIds: ['victim'] },
+      [ridePath('r2')]: {
+        driverId: driver.uid, driverName: 'Dana', from: 'A', to: 'B', availableSeats: 3, pricePerSeat: 10, status: 'active',
+        seriesId: 's1', startTime: '2099-01-05T08:00'
+      },
+      [walletPath(rider.uid)]: { balance: 50, escrowBalance: 0 },
+      [walletPath('victim')]: { balance: 50, escrowBalance: 0 }
+    });
+
+    await expect(driver.api.requestStandingSeat({ seriesId: 's1' })).rejects.toMatchObject({ code: 'functions/permission-denied' });
+    await expect(driver.api.approveStandingRider({ seriesId: 's1', riderId: 'victim' })).resolves.toEqual({ status: 'notFound' });
+    expect(await read(walletPath('victim'))).toEqual({ balance: 50, escrowBalance: 0 });
+
+    await expect(rider.api.requestStandingSeat({ seriesId: 's1' })).resolves.toEqual({ status: 'requested' });
+    await expect(rider.api.requestStandingSeat({ seriesId: 's1' })).resolves.toEqual({ status: 'alreadyRequested' });
+    expect((await read(seriesPath)).standingRiders[1]).toMatchObject({ riderId: rider.uid, requestedBy: rider.uid, status: 'pending' });
+    await expect(rider.api.approveStandingRider({ seriesId: 's1', riderId: rider.uid })).rejects.toMatchObject({ code: 'functions/permission-denied' });
+    await expect(driver.api.approveStandingRider({ seriesId: 's1', riderId: rider.uid })).resolves.toEqual({ status: 'approved', booked: 1, unfunded: 0 });
+    expect(await read(walletPath(rider.uid))).toEqual({ balance: 40, escrowBalance: 10 });
+
+    await expect(rider.api.removeStandingRider({ seriesId: 's1', riderId: 'victim' })).rejects.toMatchObject({ code: 'functions/permission-denied' });
+    await expect(rider.api.removeStandingRider({ seriesId: 's1', riderId: rider.uid })).resolves.toEqual({ status: 'removed' });
+    expect(await read(seriesPath)).toMatchObject({ standingRiders: [forged], standingRiderIds: ['victim'] });
+  });
+
+  test('rejecting a request refunds the held fare', async () => {
+    await expect(rider.api.rejectRequest({ requestId: 'q1' })).rejects.toMatchObject({ code: 'functions/permission-denied' });
+    await expect(driver.api.rejectRequest({ requestId: 'q1' })).resolves.toEqual({ status: 'rejected', refund: 20 });
+    expect(await read(walletPath(rider.uid))).toEqual({ balance: 25, escrowBalance: 0 });
+    expect(await read(requestPath('q1'))).toMatchObject({ status: 'rejected', escrowStatus: 'refunded' });
+    expect(await read(holdPath('q1'))).toMatchObject({ status: 'refunded' });
+  });
+
+  test('cancelling a ride refunds its riders and gives back their seats', async () => {
+    await driver.api.acceptRequest({ requestId: 'q1' });
+    await expect(rider.api.cancelBookings({ rideId: 'r1', cancelledBy: 'driver', reason: 'Nope', cancelRide: true }))
+      .rejects.toMatchObject({ code: 'functions/permission-denied' });
+    await expect(rider.api.cancelBookings({ rideId: 'r1', cancelledBy: 'admin', reason: 'Nope', cancelRide: true }))
+      .rejects.toMatchObject({ code: 'functions/permission-denied' });
+
+    const outcome = await driver.api.cancelBookings({ rideId: 'r1', cancelledBy: 'driver', reason: 'Car trouble', cancelRide: true });
+    expect(outcome).toMatchObject({ status: 'cancelled', results: [expect.objectContaining({ requestId: 'q1', refund: 20 })] });
+    expect(await read(ridePath('r1'))).toMatchObject({ status: 'cancelled', cancellationReason: 'Car trouble' });
+    expect(await read(walletPath(rider.uid))).toMatchObject({ balance: 25, escrowBalance: 0 });
+    await expect(driver.api.cancelBookings({ rideId: 'r1', cancelledBy: 'driver', reason: 'Again', cancelRide: true }))
+      .resolves.toEqual({ status: 'notCancellable' });
+  });
+
+  test('a rider cancelling their booking frees its seats', async () => {
+    await driver.api.acceptRequest({ requestId: 'q1' });
+    await expect(driver.api.cancelBookings({ requestId: 'q1', cancelledBy: 'rider', reason: 'Sick' }))
+      .rejects.toMatchObject({ code: 'functions/permission-denied' });
+    await expect(rider.api.cancelBookings({ requestId: 'q1', cancelledBy: 'rider', reason: 'Sick' }))
+      .resolves.toMatchObject({ status: 'cancelled' });
+    expect((await read(ridePath('r1'))).availableSeats).toBe(3);
+  });
+
+  // Under the emulators the delivery transports write to the outbox instead of FCM and SMTP
+  test('notifications go out on the channels the recipient opted into', async () => {
+    await seed({
+      [appPath('users', rider.uid, 'userProfile', 'data')]: {
+        name: 'Riley', email: 'riley@example.com', notificationChannels: { push: true, email: true }
+      },
+      [appPath('users', rider.uid, 'pushTokens', 'token-1')]: { createdAt: '2026-03-01T00:00:00.000Z' }
+    });
+    await driver.api.acceptRequest({ requestId: 'q1' });
+
+    // Delivery runs in a Firestore trigger after the call returns
+    const readOutbox = () => testEnv.withSecurityRulesDisabled(async (context) =>
+      (await getDocs(collection(context.firestore(), appPath('deliveryOutbox')))).docs.map(d => d.data()));
+    let outbox = [];
+    for (let attempt = 0; attempt < 20 && outbox.length < 2; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+      outbox = await readOutbox();
+    }
+    expect(outbox).toEqual(expect.arrayContaining([
+      expect.objectContaining({ channel: 'push', uid: rider.uid, tokens: ['token-1'], title: 'Request accepted' }),
+      expect.objectContaining({ channel: 'email', to: 'riley@example.com', subject: 'Request accepted' })
+    ]));
+  });
+
+  test('message notifications get their text from the chat, and ones without a matching message are dropped', async () => {
+    const chatId = `ride-r1-rider-${rider.uid}`;
+    const notificationPath = (id) => appPath('users', rider.uid, 'notifications', `chat-${id}`);
+    await seed({
+      [appPath('public', 'data', 'messages', chatId)]: {
+        participants: [driver.uid, rider.uid], lastMessage: { senderId: driver.uid, senderName: 'Dana', text: 'On my way' }
+      },
+      [appPath('public', 'data', 'messages', 'chat2')]: {
+        participants: [driver.uid, rider.uid], lastMessage: { senderId: rider.uid, senderName: 'Riley', text: 'Hi' }
+      }
+    });
+    const notification = { type: 'newMessage', actorId: driver.uid, read: false, createdAt: '2026-03-01T00:00:00.000Z' };
+    await seed({
+      [notificationPath(chatId)]: { ...notification, chatId },
+      [notificationPath('chat2')]: { ...notification, chatId: 'chat2' }
+    });
+
+    // The text is filled in by a Firestore trigger
+    let delivered;
+    let dropped = notification;
+    for (let attempt = 0; attempt < 20 && (!delivered?.title || dropped); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+      delivered = await read(notificationPath(chatId));
+      dropped = await read(notificationPath('chat2'));
+    }
+    expect(delivered).toMatchObject({
+      title: 'New message from Dana', body: 'On my way', view: 'messages',
+      chat: { id: chatId, name: 'Dana', rideInfo: 'Ride: A to B', partnerId: driver.uid }
+    });
+    expect(dropped).toBeUndefined();
+  });
+
+  test('suspended users cannot call functions', async () => {
+    await seed({ [appPath('suspendedUsers', rider.uid)]: { reason: 'Fraud' } });
+    await expect(rider.api.addFunds({ amount: 10 })).rejects.toMatchObject({ code: 'functions/permission-denied' });
+  });
+});
@@ -0,0 +1,33 @@
+// Identity documents uploaded for verification.
+// Drivers upload their driver's licence and riders a government ID. Files are stored in
+// Firebase Storage under verificationDocuments/{uid}/, which only the owner and admins can
+// read (see storage.rules, which enforces the same type and size limits as below).
+
+export const DOCUMENT_KINDS = {
+  license: { label: "Ontario Driver's License", requiredFor: 'driver' },
+  id: { label: 'Valid Government ID', requiredFor: 'rider' }
+};
+
+export const ALLOWED_DOCUMENT_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+export const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+// The document each user type must upload
+export const requiredDocumentKind = (userType) =>
+  Object.keys(DOCUMENT_KINDS).find(kind => DOCUMENT_KINDS[kind].requiredFor === userType) || null;
+
+// Returns an error message for an unacceptable file, or null
+export const validateDocumentFile = (file) => {
+  if (!file) return 'Please choose a file.';
+  if (!ALLOWED_DOCUMENT_TYPES.includes(file.type)) return 'Documents must be a JPEG, PNG or PDF file.';
+  if (file.size > MAX_DOCUMENT_BYTES) return `Documents must be ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB or smaller.`;
+  if (file.size === 0) return 'This file is empty.';
+  return null;
+};
+
+// A fresh path per upload, so a resubmission never overwrites the file an admin is reviewing
+export const documentStoragePath = (uid, kind, fileName, now = Date.now()) => {
+  const extension = (fileName.match(/\.([a-z0-9]+)$/i) || [])[1];
+  return `verificationDocuments/${uid}/${kind}-${now}${extension ? `.${extension.toLowerCase()}` : ''}`;
+};
+
+export const isVerified = (profile) => profile?.verificationStatus === 'verified';
@@ -0,0 +1,31 @@
+import { documentStoragePath, isVerified, MAX_DOCUMENT_BYTES, requiredDocumentKind, validateDocumentFile } from './documents';
+
+test('accepts JPEG, PNG and PDF files within the size limit', () => {
+  expect(validateDocumentFile({ type: 'image/jpeg', size: 1024 })).toBeNull();
+  expect(validateDocumentFile({ type: 'image/png', size: 1024 })).toBeNull();
+  expect(validateDocumentFile({ type: 'application/pdf', size: MAX_DOCUMENT_BYTES })).toBeNull();
+});
+
+test('rejects other file types, oversized and empty files', () => {
+  expect(validateDocumentFile({ type: 'image/gif', size: 1024 })).toMatch(/JPEG, PNG or PDF/);
+  expect(validateDocumentFile({ type: 'application/pdf', size: MAX_DOCUMENT_BYTES + 1 })).toMatch(/5 MB/);
+  expect(validateDocumentFile({ type: 'image/png', size: 0 })).toMatch(/empty/);
+  expect(validateDocumentFile(null)).toMatch(/choose a file/);
+});
+
+test('drivers upload a license and riders an ID', () => {
+  expect(requiredDocumentKind('driver')).toBe('license');
+  expect(requiredDocumentKind('rider')).toBe('id');
+  expect(requiredDocumentKind('')).toBeNull();
+});
+
+test('storage paths are per user and unique per upload', () => {
+  expect(documentStoragePath('u1', 'license', 'Scan.PDF', 42)).toBe('verificationDocuments/u1/license-42.pdf');
+  expect(documentStoragePath('u1', 'id', 'photo', 7)).toBe('verificationDocuments/u1/id-7');
+});
+
+test('only verified profiles count as verified', () => {
+  expect(isVerified({ verificationStatus: 'verified' })).toBe(true);
+  expect(isVerified({ verificationStatus: 'pending' })).toBe(false);
+  expect(isVerified(null)).toBe(false);
+});
@@ -0,0 +1,89 @@
+// Deterministic fare estimates for drivers posting a ride.
+// A carpool fare shares the cost of the trip: running the car for its distance and time, plus
+// tolls. The driver is one of the people sharing it, so each seat pays the trip's cost divided
+// by the riders plus the driver, adjusted by the time of day and given as a range around that.
+// With the cost-sharing cap on, the seats together may never pay more than the trip costs,
+// as the law requires in places where carpooling for profit needs a commercial licence.
+import { hasCoordinates, polylineLengthKm } from './geo';
+import { roundMoney } from './money';
+
+// Straight-line distance stretched to typical road distance, and the average speed assumed
+// when no router gives a duration
+const ROAD_DISTANCE_FACTOR = 1.3;
+const AVERAGE_SPEED_KMH = 40;
+
+// Running costs relative to a sedan
+export const VEHICLE_COST_FACTORS = { Hatchback: 0.9, Sedan: 1, SUV: 1.25, Minivan: 1.3 };
+
+// Departure times that change the fare. A window may run past midnight.
+export const TIME_OF_DAY_MULTIPLIERS = [
+  { label: 'Morning rush hour', from: '07:00', until: '09:30', multiplier: 1.1 },
+  { label: 'Evening rush hour', from: '16:00', until: '18:30', multiplier: 1.1 },
+  { label: 'Overnight', from: '22:00', until: '05:00', multiplier: 1.15 }
+];
+
+// costPerKm and costPerMinute are the cost-sharing rates: what a km and a minute of driving
+// cost a sedan's owner. rangeSpread is how far the range runs either side of the suggestion.
+export const FARE_CONFIG = {
+  costPerKm: Number(process.env.REACT_APP_FARE_COST_PER_KM) || 0.25,
+  costPerMinute: Number(process.env.REACT_APP_FARE_COST_PER_MINUTE) || 0.05,
+  rangeSpread: 0.15,
+  costSharingCap: process.env.REACT_APP_FARE_COST_SHARING_CAP !== 'false'
+};
+
+// { distanceKm, durationMinutes } by road through the places, or null unless every one has
+// coordinates
+export const estimateRoadTrip = (places) => {
+  if (places.length < 2 || !places.every(hasCoordinates)) return null;
+  const distanceKm = polylineLengthKm(places) * ROAD_DISTANCE_FACTOR;
+  return { distanceKm, durationMinutes: Math.round(distanceKm / AVERAGE_SPEED_KMH * 60) };
+};
+
+// The multiplier for a departure time ('HH:mm'), 1 outside every window
+export const timeOfDayMultiplier = (time, windows = TIME_OF_DAY_MULTIPLIERS) => {
+  const window = time && windows.find(({ from, until }) =>
+    (from <= until ? time >= from && time < until : time >= from || time < until));
+  return window || { label: null, multiplier: 1 };
+};
+
+// trip: { distanceKm, durationMinutes, vehicleType, seats (offered to riders), tolls,
+// departureTime ('HH:mm') }. Returns the per-seat range { low, suggested, high }, the cap per
+// seat (null without the cap), whether the cap lowered the range, and a breakdown of the
+// trip's cost as { label, amount } lines.
+export const estimateFare = ({ distanceKm, durationMinutes, vehicleType, seats, tolls = 0, departureTime }, config = FARE_CONFIG) => {
+  const vehicleFactor = VEHICLE_COST_FACTORS[vehicleType] ?? 1;
+  const distanceCost = roundMoney(distanceKm * config.costPerKm * vehicleFactor);
+  const timeCost = roundMoney(durationMinutes * config.costPerMinute);
+  const tollCost = roundMoney(Math.max(0, Number(tolls) || 0));
+  const tripCost = roundMoney(distanceCost + timeCost + tollCost);
+  const timeOfDay = timeOfDayMultiplier(departureTime);
+  const timeOfDayCost = roundMoney(tripCost * (timeOfDay.multiplier - 1));
+  const sharedBy = Math.max(1, seats) + 1;
+
+  const breakdown = [
+    {
+      label: `Distance: ${distanceKm.toFixed(1)} km at $${config.costPerKm.toFixed(2)}/km${vehicleFactor !== 1 ? ` × ${vehicleFactor} for a ${vehicleType}` : ''}`,
+      amount: distanceCost
+    },
+    { label: `Time: ${Math.round(durationMinutes)} min at $${config.costPerMinute.toFixed(2)}/min`, amount: timeCost },
+    ...(tollCost > 0 ? [{ label: 'Tolls', amount: tollCost }] : []),
+    ...(timeOfDayCost !== 0 ? [{ label: `${timeOfDay.label} (${timeOfDay.multiplier > 1 ? '+' : ''}${Math.round((timeOfDay.multiplier - 1) * 100)}%)`, amount: timeOfDayCost }] : [])
+  ];
+
+  const suggested = (tripCost + timeOfDayCost) / sharedBy;
+  const cap = config.costSharingCap ? roundMoney(tripCost / Math.max(1, seats)) : null;
+  const limit = (amount) => roundMoney(cap === null ? amount : Math.min(amount, cap));
+  const perSeat = {
+    low: limit(suggested * (1 - config.rangeSpread)),
+    suggested: limit(suggested),
+    high: limit(suggested * (1 + config.rangeSpread))
+  };
+  return {
+    perSeat,
+    cap,
+    capped: cap !== null && suggested * (1 + config.rangeSpread) > cap,
+    tripCost,
+    sharedBy,
+    breakdown
+  };
+};
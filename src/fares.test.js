@@ -0,0 +1,68 @@
+import { FARE_CONFIG, estimateFare, estimateRoadTrip, timeOfDayMultiplier } from './fares';
+import * as serverFares from '../functions/fares';
+
+const config = { costPerKm: 0.25, costPerMinute: 0.05, rangeSpread: 0.15, costSharingCap: true };
+const trip = { distanceKm: 40, durationMinutes: 40, vehicleType: 'Sedan', seats: 3, departureTime: '12:00' };
+
+test('the trip cost is shared between the riders and the driver', () => {
+  const fare = estimateFare(trip, config);
+  expect(fare.tripCost).toBe(12); // $10 for distance + $2 for time
+  expect(fare.sharedBy).toBe(4);
+  expect(fare.perSeat).toEqual({ low: 2.55, suggested: 3, high: 3.45 });
+  expect(fare.breakdown).toEqual([
+    { label: 'Distance: 40.0 km at $0.25/km', amount: 10 },
+    { label: 'Time: 40 min at $0.05/min', amount: 2 }
+  ]);
+  expect(fare.cap).toBe(4);
+  expect(fare.capped).toBe(false);
+});
+
+test('vehicle type, tolls and the time of day change the fare', () => {
+  const fare = estimateFare({ ...trip, vehicleType: 'SUV', tolls: 6, departureTime: '08:15' }, config);
+  expect(fare.breakdown).toEqual([
+    { label: 'Distance: 40.0 km at $0.25/km × 1.25 for a SUV', amount: 12.5 },
+    { label: 'Time: 40 min at $0.05/min', amount: 2 },
+    { label: 'Tolls', amount: 6 },
+    { label: 'Morning rush hour (+10%)', amount: 2.05 }
+  ]);
+  expect(fare.tripCost).toBe(20.5);
+  expect(fare.perSeat.suggested).toBe(5.64);
+
+  expect(timeOfDayMultiplier('23:30').label).toBe('Overnight');
+  expect(timeOfDayMultiplier('04:59').label).toBe('Overnight');
+  expect(timeOfDayMultiplier('09:30').multiplier).toBe(1);
+  expect(timeOfDayMultiplier(undefined).multiplier).toBe(1);
+});
+
+test('the cost-sharing cap keeps the seats from paying more than the trip costs', () => {
+  // With six seats the top of the range would earn the driver more than the trip costs
+  const fare = estimateFare({ ...trip, seats: 6, departureTime: '23:00' }, config);
+  expect(fare.cap).toBe(2);
+  expect(fare.capped).toBe(true);
+  expect(fare.perSeat.high).toBe(2);
+  expect(fare.perSeat.high * 6).toBeLessThanOrEqual(fare.tripCost);
+
+  const uncapped = estimateFare({ ...trip, seats: 6, departureTime: '23:00' }, { ...config, costSharingCap: false });
+  expect(uncapped.cap).toBeNull();
+  expect(uncapped.perSeat.high).toBeGreaterThan(2);
+});
+
+test('road trips are measured from places with coordinates', () => {
+  const unionStation = { name: 'Toronto Union Station', lat: 43.6453, lng: -79.3806 };
+  const squareOne = { name: 'Square One, Mississauga', lat: 43.5931, lng: -79.6424 };
+  const measured = estimateRoadTrip([unionStation, squareOne]);
+  expect(measured.distanceKm).toBeGreaterThan(25);
+  expect(measured.durationMinutes).toBe(Math.round(measured.distanceKm / 40 * 60));
+  expect(estimateRoadTrip([unionStation, { name: 'Somewhere' }])).toBeNull();
+  expect(FARE_CONFIG.costSharingCap).toBe(true);
+});
+
+test('the functions enforce the same cap the app shows', () => {
+  const places = [{ name: 'Toronto Union Station', lat: 43.6453, lng: -79.3806 }, { name: 'Square One, Mississauga', lat: 43.5931, lng: -79.6424 }];
+  expect(serverFares.estimateRoadTrip(places)).toEqual(estimateRoadTrip(places));
+  [trip, { ...trip, vehicleType: 'Minivan', seats: 6, tolls: 4.5 }, { ...estimateRoadTrip(places), vehicleType: 'Hatchback', seats: 1 }].forEach(fareTrip => {
+    expect(serverFares.fareCapPerSeat(fareTrip, config)).toBe(estimateFare(fareTrip, config).cap);
+  });
+  expect(serverFares.fareCapPerSeat(trip, { ...config, costSharingCap: false })).toBeNull();
+  expect(serverFares.FARE_CONFIG).toEqual({ costPerKm: FARE_CONFIG.costPerKm, costPerMinute: FARE_CONFIG.costPerMinute, costSharingCap: FARE_CONFIG.costSharingCap });
+});
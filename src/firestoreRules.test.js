@@ -0,0 +1,414 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import * as webStreams from 'stream/web';
+
+// Firebase's Node build loads undici, which expects the web stream globals that Jest's node
+// environment leaves out, so they are added before Firebase is required
+Object.assign(global, webStreams);
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const {
+  doc, getDoc, setDoc, updateDoc, deleteDoc, addDoc, collection, collectionGroup, query, where, orderBy, limit, getDocs,
+  writeBatch, serverTimestamp, increment
+} = require('firebase/firestore');
+
+// Runs firestore.rules against the Firestore emulator. `npm run test:rules` starts the
+// emulator and sets FIRESTORE_EMULATOR_HOST; without it these tests are skipped.
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const appPath = (...segments) => ['artifacts', 'test-app', ...segments].join('/');
+const publicPath = (name, id) => appPath('public', 'data', name, id);
+const walletPath = (uid) => appPath('users', uid, 'walletData', 'balance');
+
+describeWithEmulator('firestore.rules', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-carpool-rules',
+      firestore: { rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') }
+    });
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(() => testEnv.clearFirestore());
+
+  // Writes documents with the rules switched off
+  const seed = (docs) => testEnv.withSecurityRulesDisabled(async (context) => {
+    for (const [path, data] of Object.entries(docs)) {
+      await setDoc(doc(context.firestore(), path), data);
+    }
+  });
+
+  const as = (uid, claims) => testEnv.authenticatedContext(uid, claims).firestore();
+  const asAdmin = () => as('admin', { admin: true });
+
+  const ride = { driverId: 'driver', driverName: 'Dana', from: 'A', to: 'B', availableSeats: 3, pricePerSeat: 10, status: 'active' };
+
+  test('signed-out visitors cannot read app data', async () => {
+    await seed({ [publicPath('rides', 'r1')]: ride });
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), publicPath('rides', 'r1'))));
+    await assertSucceeds(getDoc(doc(as('rider'), publicPath('rides', 'r1'))));
+  });
+
+  test('rides are posted only through Cloud Functions, even by verified drivers', async () => {
+    await assertFails(setDoc(doc(as('driver'), publicPath('rides', 'r1')), ride));
+    await seed({ [publicPath('verifiedUsers', 'driver')]: { verifiedAt: '2026-03-01T00:00:00.000Z' } });
+    await assertFails(setDoc(doc(as('driver'), publicPath('rides', 'r1')), ride));
+    await assertFails(setDoc(doc(as('driver'), publicPath('rides', 'r2')), { ...ride, pricePerSeat: 500 }));
+    await assertFails(setDoc(doc(as('other'), publicPath('rides', 'r3')), ride));
+  });
+
+  test('only the driver updates a ride, and seats and cancellations change only through Cloud Functions', async () => {
+    await seed({ [publicPath('rides', 'r1')]: ride });
+    const riderDb = as('rider');
+    await assertFails(updateDoc(doc(riderDb, publicPath('rides', 'r1')), { availableSeats: 2 }));
+    await assertFails(updateDoc(doc(riderDb, publicPath('rides', 'r1')), { availableSeats: 1, segmentSeats: [1] }));
+    await assertFails(updateDoc(doc(riderDb, publicPath('rides', 'r1')), { cancellations: [] }));
+    await assertFails(updateDoc(doc(riderDb, publicPath('rides', 'r1')), { pricePerSeat: 1 }));
+    await assertFails(deleteDoc(doc(riderDb, publicPath('rides', 'r1'))));
+
+    const driverDb = as('driver');
+    await assertSucceeds(updateDoc(doc(driverDb, publicPath('rides', 'r1')), { tripStatus: 'enRoute' }));
+    await assertFails(updateDoc(doc(driverDb, publicPath('rides', 'r1')), { availableSeats: 30 }));
+    await assertFails(updateDoc(doc(driverDb, publicPath('rides', 'r1')), { status: 'cancelled' }));
+  });
+
+  test('the driver only moves the trip along; price, route and times stay as booked', async () => {
+    await seed({ [publicPath('rides', 'r1')]: ride });
+    const driverRide = doc(as('driver'), publicPath('rides', 'r1'));
+    await assertSucceeds(updateDoc(driverRide, { tripStatus: 'pickedUp', tripUpdatedAt: '2026-03-01T08:00:00.000Z' }));
+    await assertFails(updateDoc(driverRide, { tripStatus: 'teleported' }));
+    await assertFails(updateDoc(driverRide, { pricePerSeat: 500 }));
+    await assertFails(updateDoc(driverRide, { route: ['A', 'B', 'C', 'D'] }));
+    await assertFails(updateDoc(driverRide, { routePlaces: [] }));
+    await assertFails(updateDoc(driverRide, { startTime: '2026-03-02T08:00' }));
+  });
+
+  test('weekly series and their standing seats are written only by Cloud Functions', async () => {
+    const series = {
+      driverId: 'driver', driverName: 'Dana', status: 'active',
+      rideTemplate: { from: 'A', to: 'B', availableSeats: 3, pricePerSeat: 10 },
+      schedule: { daysOfWeek: [1], time: '08:00', startDate: '2026-03-02', endDate: '', skipDates: [] },
+      standingRiders: [], standingRiderIds: []
+    };
+    await seed({ [publicPath('verifiedUsers', 'driver')]: { verifiedAt: '2026-03-01T00:00:00.000Z' } });
+    await assertFails(setDoc(doc(as('driver'), publicPath('rideSeries', 's2')), series));
+    await seed({ [publicPath('rideSeries', 's1')]: series });
+
+    const riderSeries = doc(as('rider'), publicPath('rideSeries', 's1'));
+    const pending = { riderId: 'rider', riderName: 'Riley', requestedBy: 'rider', status: 'pending', requestedAt: '2026-03-01T08:00:00.000Z' };
+    await assertFails(updateDoc(riderSeries, { standingRiders: [pending], standingRiderIds: ['rider'] }));
+    await assertFails(updateDoc(riderSeries, { standingRiders: [{ ...pending, status: 'approved' }], standingRiderIds: ['rider'] }));
+    await assertFails(updateDoc(riderSeries, { standingRiders: [{ ...pending, riderId: 'victim' }], standingRiderIds: ['victim'] }));
+
+    // The driver cannot sign a rider up for a seat they never asked for, or change the fare
+    const driverSeries = doc(as('driver'), publicPath('rideSeries', 's1'));
+    const forged = { riderId: 'victim', riderName: 'Vic', requestedBy: 'victim', status: 'approved', approvedAt: '2026-03-01T08:00:00.000Z' };
+    await assertFails(updateDoc(driverSeries, { standingRiders: [forged], standingRiderIds: ['victim'] }));
+    await assertFails(updateDoc(driverSeries, { 'rideTemplate.pricePerSeat': 500 }));
+    await assertFails(updateDoc(driverSeries, { 'rideTemplate.availableSeats': 7 }));
+    await assertFails(updateDoc(driverSeries, { 'schedule.time': '09:00' }));
+    await assertFails(updateDoc(driverSeries, { status: 'active', driverId: 'other' }));
+    await assertSucceeds(updateDoc(driverSeries, { 'schedule.skipDates': ['2026-03-09'] }));
+    await assertSucceeds(updateDoc(driverSeries, { status: 'stopped', stoppedAt: '2026-03-10T08:00:00.000Z' }));
+  });
+
+  test('riders post searching requests for themselves, without a price, ride or escrow', async () => {
+    const posted = { riderId: 'rider', riderName: 'Riley', from: 'A', to: 'B', maxPrice: 20, seats: 1, passengers: ['Riley'], status: 'searching' };
+    await assertSucceeds(setDoc(doc(as('rider'), publicPath('rideRequests', 'q1')), posted));
+    await assertFails(setDoc(doc(as('rider'), publicPath('rideRequests', 'q2')), { ...posted, riderId: 'someoneElse' }));
+    await assertFails(setDoc(doc(as('rider'), publicPath('rideRequests', 'q3')), { ...posted, status: 'accepted' }));
+    await assertFails(setDoc(doc(as('rider'), publicPath('rideRequests', 'q4')), { ...posted, rideId: 'r1', escrowStatus: 'held', escrowAmount: 0 }));
+    await assertFails(setDoc(doc(as('driver'), publicPath('rideRequests', 'q5')), { ...posted, riderId: 'rider', driverId: 'driver', standing: true }));
+  });
+
+  test('posted requests are for 1 to 7 seats, one per passenger, with a price limit', async () => {
+    const posted = { riderId: 'rider', riderName: 'Riley', from: 'A', to: 'B', maxPrice: 20, seats: 2, passengers: ['Riley', 'Sam'], status: 'searching' };
+    const post = (id, data) => setDoc(doc(as('rider'), publicPath('rideRequests', id)), data);
+    await assertSucceeds(post('q1', posted));
+    await assertFails(post('q2', { ...posted, seats: -5 }));
+    await assertFails(post('q3', { ...posted, seats: 0, passengers: [] }));
+    await assertFails(post('q4', { ...posted, seats: 1.5 }));
+    await assertFails(post('q5', { ...posted, seats: 8, passengers: Array(8).fill('Riley') }));
+    await assertFails(post('q6', { ...posted, seats: 3 }));
+    await assertFails(post('q7', { ...posted, maxPrice: 'lots' }));
+    await assertFails(post('q8', { ...posted, maxPrice: -10 }));
+  });
+
+  test('booked requests change only through Cloud Functions', async () => {
+    await seed({
+      [publicPath('rides', 'r1')]: ride,
+      [publicPath('rideRequests', 'q1')]: { riderId: 'rider', driverId: 'driver', rideId: 'r1', status: 'pending', price: 10, escrowAmount: 10, escrowStatus: 'held' },
+      [publicPath('rideRequests', 'q2')]: { riderId: 'rider', driverId: 'driver', rideId: 'r1', status: 'accepted', escrowStatus: 'held' }
+    });
+    const driverDb = as('driver');
+    const riderDb = as('rider');
+    await assertFails(updateDoc(doc(driverDb, publicPath('rideRequests', 'q1')), { status: 'accepted' }));
+    await assertFails(updateDoc(doc(driverDb, publicPath('rideRequests', 'q1')), { status: 'rejected', escrowStatus: 'refunded' }));
+    await assertFails(updateDoc(doc(driverDb, publicPath('rideRequests', 'q2')), { status: 'completed', escrowStatus: 'released' }));
+    await assertFails(updateDoc(doc(driverDb, publicPath('rides', 'r1')), { status: 'completed' }));
+    // A rider cannot walk their own request back to searching and accept it themselves
+    await assertFails(updateDoc(doc(riderDb, publicPath('rideRequests', 'q1')), { status: 'searching' }));
+    await assertFails(updateDoc(doc(riderDb, publicPath('rideRequests', 'q1')), { price: 0.01, escrowAmount: 0.01 }));
+    await assertFails(updateDoc(doc(riderDb, publicPath('rideRequests', 'q2')), { seats: 4 }));
+  });
+
+  test('any driver may offer on a searching request without taking it over', async () => {
+    const offer = { rideId: 'r1', driverId: 'driver' };
+    await seed({ [publicPath('rideRequests', 'q1')]: { riderId: 'rider', status: 'searching', seats: 1, offers: [] } });
+    const driverDb = as('driver');
+    await assertSucceeds(updateDoc(doc(driverDb, publicPath('rideRequests', 'q1')), { offers: [offer] }));
+    await assertSucceeds(updateDoc(doc(driverDb, publicPath('rideRequests', 'q1')), { contactInitiatedBy: 'driver', contactInitiatedByName: 'Dana' }));
+    await assertFails(updateDoc(doc(driverDb, publicPath('rideRequests', 'q1')), { status: 'accepted', driverId: 'driver' }));
+    await assertFails(updateDoc(doc(as('other'), publicPath('rideRequests', 'q1')), { contactInitiatedBy: 'driver' }));
+    await assertFails(updateDoc(doc(as('other'), publicPath('rideRequests', 'q1')), { offers: [{ rideId: 'r2', driverId: 'other' }] }));
+    await assertFails(updateDoc(doc(as('other'), publicPath('rideRequests', 'q1')), { offers: [offer, { rideId: 'r2', driverId: 'driver' }] }));
+
+    // The rider may only decline offers
+    const riderDb = as('rider');
+    await assertFails(updateDoc(doc(riderDb, publicPath('rideRequests', 'q1')), { seats: 3 }));
+    await assertFails(updateDoc(doc(riderDb, publicPath('rideRequests', 'q1')), { offers: [offer, { rideId: 'r9', driverId: 'driver' }] }));
+    await assertSucceeds(updateDoc(doc(riderDb, publicPath('rideRequests', 'q1')), { offers: [] }));
+  });
+
+  test('chats are readable only by their participants', async () => {
+    await seed({ [publicPath('messages', 'chat1')]: { participants: ['driver', 'rider'] } });
+    await assertSucceeds(getDoc(doc(as('rider'), publicPath('messages', 'chat1'))));
+    await assertFails(getDoc(doc(as('stranger'), publicPath('messages', 'chat1'))));
+    await assertSucceeds(getDoc(doc(asAdmin(), publicPath('messages', 'chat1'))));
+
+    const messages = collection(as('rider'), appPath('public', 'data', 'messages'));
+    await assertSucceeds(getDocs(query(messages, where('participants', 'array-contains', 'rider'))));
+    await assertFails(getDocs(messages));
+  });
+
+  test('chat participants cannot add or remove participants', async () => {
+    await seed({ [publicPath('messages', 'chat1')]: { participants: ['rider', 'driver'] } });
+    const riderDb = as('rider');
+    await assertSucceeds(updateDoc(doc(riderDb, publicPath('messages', 'chat1')), { participants: ['driver', 'rider'], lastMessage: { senderId: 'rider', text: 'Hi' } }));
+    await assertFails(updateDoc(doc(riderDb, publicPath('messages', 'chat1')), { participants: ['rider', 'stranger'] }));
+    await assertFails(updateDoc(doc(riderDb, publicPath('messages', 'chat1')), { messages: [{ senderId: 'rider', text: 'Hi' }] }));
+    await assertFails(setDoc(doc(as('stranger'), publicPath('messages', 'chat2')), { participants: ['driver', 'rider'] }));
+  });
+
+  test('chat messages are sent by participants at the server time and never edited', async () => {
+    await seed({ [publicPath('messages', 'chat1')]: { participants: ['driver', 'rider'] } });
+    const items = (db) => collection(db, publicPath('messages', 'chat1'), 'items');
+    const riderDb = as('rider');
+    const sent = await assertSucceeds(addDoc(items(riderDb), { senderId: 'rider', senderName: 'Riley', text: 'Hi', sentAt: serverTimestamp() }));
+    await assertFails(addDoc(items(riderDb), { senderId: 'driver', senderName: 'Dana', text: 'Hi', sentAt: serverTimestamp() }));
+    await assertFails(addDoc(items(riderDb), { senderId: 'rider', senderName: 'Riley', text: 'Hi', sentAt: new Date('2020-01-01') }));
+    await assertFails(addDoc(items(as('stranger')), { senderId: 'stranger', text: 'Hi', sentAt: serverTimestamp() }));
+    await assertFails(updateDoc(doc(items(riderDb), sent.id), { text: 'Edited' }));
+
+    await assertSucceeds(getDocs(query(items(as('driver')), orderBy('sentAt', 'desc'), limit(25))));
+    await assertFails(getDocs(items(as('stranger'))));
+
+    // The first message of a new chat creates the chat in the same batch
+    const batch = writeBatch(riderDb);
+    batch.set(doc(collection(riderDb, publicPath('messages', 'chat2'), 'items')), { senderId: 'rider', text: 'Hello', sentAt: serverTimestamp() });
+    batch.set(doc(riderDb, publicPath('messages', 'chat2')), { participants: ['driver', 'rider'], lastMessage: { senderId: 'rider', text: 'Hello' } }, { merge: true });
+    await assertSucceeds(batch.commit());
+  });
+
+  test('wallets are read by their owner and written only by Cloud Functions', async () => {
+    await seed({
+      [walletPath('rider')]: { balance: 40, escrowBalance: 10 },
+      [walletPath('driver')]: { balance: 20, escrowBalance: 0 }
+    });
+    const riderDb = as('rider');
+    await assertSucceeds(getDoc(doc(riderDb, walletPath('rider'))));
+    await assertFails(getDoc(doc(riderDb, walletPath('driver'))));
+    // Moving held escrow back to the balance, or withdrawing, from the owner's session
+    await assertFails(setDoc(doc(riderDb, walletPath('rider')), { balance: 50, escrowBalance: 0 }));
+    await assertFails(setDoc(doc(riderDb, walletPath('rider')), { balance: 30, escrowBalance: 10 }));
+    await assertFails(setDoc(doc(as('newcomer'), walletPath('newcomer')), { balance: 0 }));
+
+    // A driver's late-cancellation penalty paid to the rider
+    const driverDb = as('driver');
+    const batch = writeBatch(driverDb);
+    batch.set(doc(driverDb, walletPath('driver')), { balance: 15, escrowBalance: 0 });
+    batch.set(doc(driverDb, walletPath('rider')), { balance: 45, escrowBalance: 10 });
+    await assertFails(batch.commit());
+  });
+
+  test('ledger entries are private and written only by Cloud Functions', async () => {
+    const ledger = appPath('users', 'rider', 'walletLedger');
+    await seed({ [`${ledger}/e1`]: { type: 'deposit', amount: 50 } });
+    await assertSucceeds(getDoc(doc(as('rider'), `${ledger}/e1`)));
+    await assertFails(getDoc(doc(as('driver'), `${ledger}/e1`)));
+    await assertFails(setDoc(doc(as('rider'), `${ledger}/e2`), { type: 'withdrawal', amount: -5 }));
+    await assertFails(setDoc(doc(as('stranger'), `${ledger}/e3`), { type: 'escrowRefund', amount: 500, counterpartyId: 'stranger' }));
+    await assertFails(updateDoc(doc(as('rider'), `${ledger}/e1`), { amount: 5 }));
+  });
+
+  test('escrow holds are read by the rider and driver and written only by the functions', async () => {
+    const hold = appPath('escrowHolds', 'q1');
+    await seed({ [hold]: { requestId: 'q1', riderId: 'rider', driverId: 'driver', amount: 20, status: 'held' } });
+    await assertSucceeds(getDoc(doc(as('rider'), hold)));
+    await assertSucceeds(getDoc(doc(as('driver'), hold)));
+    await assertFails(getDoc(doc(as('stranger'), hold)));
+    await assertFails(updateDoc(doc(as('rider'), hold), { amount: 0.01 }));
+    await assertFails(setDoc(doc(as('rider'), appPath('escrowHolds', 'q2')), { riderId: 'rider', amount: 500, status: 'held' }));
+  });
+
+  test('users cannot verify themselves but may resubmit for review', async () => {
+    const profile = appPath('users', 'rider', 'userProfile', 'data');
+    await seed({ [profile]: { name: 'Riley', verificationStatus: 'rejected' } });
+    const riderDb = as('rider');
+    await assertFails(updateDoc(doc(riderDb, profile), { verificationStatus: 'verified' }));
+    await assertSucceeds(updateDoc(doc(riderDb, profile), { verificationStatus: 'pending', phone: '555-0100' }));
+    await assertFails(getDoc(doc(as('stranger'), profile)));
+    await assertSucceeds(updateDoc(doc(asAdmin(), profile), { verificationStatus: 'verified' }));
+    await assertFails(setDoc(doc(riderDb, publicPath('verifiedUsers', 'rider')), { verifiedAt: '2026-03-01T00:00:00.000Z' }));
+  });
+
+  test('only admins search profiles, suspend users and read the audit log', async () => {
+    await seed({ [appPath('users', 'rider', 'userProfile', 'data')]: { name: 'Riley' } });
+    await assertFails(getDocs(collectionGroup(as('rider'), 'userProfile')));
+    await assertSucceeds(getDocs(collectionGroup(asAdmin(), 'userProfile')));
+
+    await assertFails(setDoc(doc(as('rider'), appPath('suspendedUsers', 'driver')), { reason: 'spite' }));
+    await assertSucceeds(setDoc(doc(asAdmin(), appPath('suspendedUsers', 'driver')), { reason: 'Fraud' }));
+
+    await assertFails(getDocs(collection(as('rider'), appPath('adminAuditLog'))));
+    await assertSucceeds(getDocs(collection(asAdmin(), appPath('adminAuditLog'))));
+  });
+
+  test('audit log entries cannot be forged, edited or deleted', async () => {
+    const adminDb = asAdmin();
+    await assertFails(addDoc(collection(as('rider'), appPath('adminAuditLog')), { adminId: 'rider', action: 'suspendUser' }));
+    await assertFails(addDoc(collection(adminDb, appPath('adminAuditLog')), { adminId: 'someoneElse', action: 'suspendUser' }));
+    await assertSucceeds(setDoc(doc(adminDb, appPath('adminAuditLog', 'a1')), { adminId: 'admin', action: 'suspendUser' }));
+    await assertFails(updateDoc(doc(adminDb, appPath('adminAuditLog', 'a1')), { reason: 'changed' }));
+    await assertFails(deleteDoc(doc(adminDb, appPath('adminAuditLog', 'a1'))));
+  });
+
+  test('suspended users can read but not write', async () => {
+    await seed({
+      [appPath('suspendedUsers', 'rider')]: { reason: 'Fraud' },
+      [publicPath('rides', 'r1')]: ride
+    });
+    const riderDb = as('rider');
+    await assertSucceeds(getDoc(doc(riderDb, publicPath('rides', 'r1'))));
+    await assertFails(setDoc(doc(riderDb, publicPath('rideRequests', 'q1')), { riderId: 'rider', status: 'searching' }));
+    await assertFails(updateDoc(doc(riderDb, publicPath('rides', 'r1')), { availableSeats: 2 }));
+  });
+
+  test('participants only mark their own receipts and clear their own unread count', async () => {
+    await seed({ [publicPath('messages', 'chat1')]: { participants: ['driver', 'rider'], unreadCounts: { rider: 2, driver: 0 } } });
+    const chat = (db) => doc(db, publicPath('messages', 'chat1'));
+    const riderDb = as('rider');
+    await assertSucceeds(updateDoc(chat(riderDb), { 'unreadCounts.rider': 0, 'readAt.rider': serverTimestamp(), 'deliveredAt.rider': serverTimestamp() }));
+    await assertFails(updateDoc(chat(riderDb), { 'readAt.driver': serverTimestamp() }));
+    await assertFails(updateDoc(chat(riderDb), { 'unreadCounts.rider': 5 }));
+    await assertFails(updateDoc(chat(riderDb), { 'unreadCounts.driver': 3 }));
+    await assertSucceeds(updateDoc(chat(riderDb), {
+      lastMessage: { senderId: 'rider', text: 'Hi' },
+      'unreadCounts.driver': increment(1)
+    }));
+  });
+
+  test('participants set only their own typing status', async () => {
+    await seed({ [publicPath('messages', 'chat1')]: { participants: ['driver', 'rider'] } });
+    const typing = (db, uid) => doc(db, publicPath('messages', 'chat1'), 'typing', uid);
+    await assertSucceeds(setDoc(typing(as('rider'), 'rider'), { typing: true, updatedAt: serverTimestamp() }));
+    await assertFails(setDoc(typing(as('rider'), 'driver'), { typing: true, updatedAt: serverTimestamp() }));
+    await assertFails(setDoc(typing(as('stranger'), 'stranger'), { typing: true, updatedAt: serverTimestamp() }));
+    await assertSucceeds(getDoc(typing(as('driver'), 'rider')));
+    await assertFails(getDoc(typing(as('stranger'), 'rider')));
+  });
+
+  test('users write only id-only message notifications for chats they share, and only the owner reads or marks them', async () => {
+    await seed({
+      [publicPath('messages', 'chat1')]: { participants: ['driver', 'rider'] },
+      [publicPath('messages', 'chat2')]: { participants: ['driver', 'other'] }
+    });
+    const ref = (db, id = 'chat-chat1') => doc(db, appPath('users', 'driver', 'notifications', id));
+    const message = { type: 'newMessage', chatId: 'chat1', actorId: 'rider', read: false, createdAt: '2026-03-01T00:00:00.000Z' };
+    await assertSucceeds(setDoc(ref(as('rider')), message));
+    await assertSucceeds(setDoc(ref(as('rider')), { ...message, createdAt: '2026-03-01T00:01:00.000Z' }));
+    await assertFails(setDoc(ref(as('rider')), { ...message, title: 'Win a prize', body: 'Click here' }));
+    await assertFails(setDoc(ref(as('rider')), { ...message, type: 'rideRequested' }));
+    await assertFails(setDoc(ref(as('rider')), { ...message, actorId: 'driver' }));
+    await assertFails(setDoc(ref(as('rider')), { ...message, read: true }));
+    await assertFails(setDoc(ref(as('rider'), 'chat-chat2'), { ...message, chatId: 'chat2' }));
+    await assertFails(setDoc(ref(as('rider'), 'chat-other'), message));
+    await assertFails(setDoc(ref(as('stranger')), { ...message, actorId: 'stranger' }));
+    await assertFails(getDoc(ref(as('rider'))));
+
+    await assertSucceeds(getDoc(ref(as('driver'))));
+    await assertSucceeds(updateDoc(ref(as('driver')), { read: true }));
+    await assertFails(updateDoc(ref(as('driver')), { chatId: 'chat2' }));
+  });
+
+  test('booking notifications are written only by the Cloud Functions', async () => {
+    const notifications = (db) => collection(db, appPath('users', 'driver', 'notifications'));
+    const notification = { type: 'rideRequested', title: 'New ride request', body: 'Riley requested a seat', view: 'myRides', actorId: 'rider', read: false };
+    await assertFails(addDoc(notifications(as('rider')), notification));
+    await assertFails(addDoc(notifications(as('driver')), { ...notification, actorId: 'driver' }));
+  });
+
+  test('only the owner registers or reads their push tokens', async () => {
+    const token = (db) => doc(db, appPath('users', 'rider', 'pushTokens', 'token-1'));
+    await assertSucceeds(setDoc(token(as('rider')), { createdAt: '2026-03-01T00:00:00.000Z' }));
+    await assertFails(getDoc(token(as('driver'))));
+    await assertFails(setDoc(doc(as('driver'), appPath('users', 'rider', 'pushTokens', 'token-2')), { createdAt: '2026-03-01T00:00:00.000Z' }));
+  });
+
+  test('only the driver publishes a live trip, and only its riders follow it', async () => {
+    await seed({ [publicPath('rides', 'r1')]: ride });
+    const live = (db) => doc(db, publicPath('rides', 'r1'), 'trip', 'live');
+    const trip = { driverId: 'driver', riderIds: ['rider'], state: 'enRoute', location: { lat: 43.65, lng: -79.38 } };
+    await assertSucceeds(setDoc(live(as('driver')), trip));
+    await assertFails(setDoc(live(as('rider')), { ...trip, driverId: 'rider' }));
+    await assertSucceeds(getDoc(live(as('rider'))));
+    await assertFails(getDoc(live(as('stranger'))));
+
+    await assertSucceeds(updateDoc(doc(as('driver'), publicPath('rides', 'r1')), { tripStatus: 'enRoute' }));
+    await assertFails(updateDoc(doc(as('driver'), publicPath('rides', 'r1')), { tripStatus: 'completed' }));
+    await assertFails(updateDoc(doc(as('rider'), publicPath('rides', 'r1')), { tripStatus: 'inProgress' }));
+  });
+
+  test('participants report chats but only admins read the reports', async () => {
+    const flags = appPath('chatFlags');
+    await assertSucceeds(addDoc(collection(as('rider'), flags), { chatId: 'chat1', reporterId: 'rider', status: 'open' }));
+    await assertFails(addDoc(collection(as('rider'), flags), { chatId: 'chat1', reporterId: 'driver', status: 'open' }));
+    await assertFails(getDocs(collection(as('rider'), flags)));
+    await assertSucceeds(getDocs(collection(asAdmin(), flags)));
+  });
+
+  test('reviews and rating summaries are written only by Cloud Functions', async () => {
+    await seed({
+      [publicPath('ratingSummaries', 'driver')]: { count: 1, total: 4, average: 4 },
+      [publicPath('reviews', 'q1-rider')]: { raterId: 'rider', rateeId: 'driver', rating: 4, revealed: false }
+    });
+    const riderDb = as('rider');
+    await assertSucceeds(getDoc(doc(riderDb, publicPath('ratingSummaries', 'driver'))));
+    await assertFails(setDoc(doc(riderDb, publicPath('ratingSummaries', 'driver')), { count: 2, total: 9, average: 4.5 }));
+    // A stranger rating a ride they never took
+    await assertFails(setDoc(doc(as('stranger'), publicPath('reviews', 'q1-driver')), { raterId: 'stranger', rateeId: 'rider', rating: 1 }));
+    await assertFails(updateDoc(doc(riderDb, publicPath('reviews', 'q1-rider')), { revealed: true }));
+  });
+
+  test('a review is read by its rater, and by the user it is about only once revealed', async () => {
+    await seed({
+      [publicPath('reviews', 'q1-rider')]: { raterId: 'rider', rateeId: 'driver', rating: 2, revealed: false },
+      [publicPath('reviews', 'q2-rider')]: { raterId: 'rider', rateeId: 'driver', rating: 5, revealed: true }
+    });
+    const reviews = (db) => collection(db, appPath('public', 'data', 'reviews'));
+    await assertSucceeds(getDoc(doc(as('rider'), publicPath('reviews', 'q1-rider'))));
+    await assertFails(getDoc(doc(as('driver'), publicPath('reviews', 'q1-rider'))));
+    await assertSucceeds(getDoc(doc(as('driver'), publicPath('reviews', 'q2-rider'))));
+    await assertFails(getDoc(doc(as('stranger'), publicPath('reviews', 'q2-rider'))));
+
+    await assertSucceeds(getDocs(query(reviews(as('rider')), where('raterId', '==', 'rider'))));
+    await assertSucceeds(getDocs(query(reviews(as('driver')), where('rateeId', '==', 'driver'), where('revealed', '==', true))));
+    await assertFails(getDocs(query(reviews(as('driver')), where('rateeId', '==', 'driver'))));
+    await assertFails(getDocs(reviews(as('stranger'))));
+  });
+});
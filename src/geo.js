@@ -0,0 +1,77 @@
+// Geometry helpers for matching riders to driver routes.
+// Places are plain objects: { name, lat, lng }. A route polyline is an array of places,
+// joined by straight segments between consecutive stops.
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+export const hasCoordinates = (place) => Boolean(place) && Number.isFinite(place.lat) && Number.isFinite(place.lng);
+
+// Great-circle distance between two places
+export const haversineKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Flat x/y in km around an origin; accurate enough at carpool distances
+const toLocalKm = (place, origin) => ({
+  x: toRadians(place.lng - origin.lng) * EARTH_RADIUS_KM * Math.cos(toRadians(origin.lat)),
+  y: toRadians(place.lat - origin.lat) * EARTH_RADIUS_KM
+});
+
+// Closest point on the polyline to `point`: how far away it is, and how far along the route
+// (from the first stop) it lies. Returns null for polylines without coordinates.
+export const projectOntoPolyline = (point, polyline) => {
+  const stops = (polyline || []).filter(hasCoordinates);
+  if (!hasCoordinates(point) || stops.length === 0) return null;
+  if (stops.length === 1) return { distanceKm: haversineKm(point, stops[0]), alongKm: 0 };
+
+  let best = null;
+  let travelledKm = 0;
+  for (let i = 0; i < stops.length - 1; i++) {
+    const a = toLocalKm(stops[i], point);
+    const b = toLocalKm(stops[i + 1], point);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const segmentKm = Math.hypot(dx, dy);
+    // The point sits at the local origin, so project (0, 0) onto segment a→b
+    const t = segmentKm === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / (segmentKm * segmentKm)));
+    const distanceKm = Math.hypot(a.x + t * dx, a.y + t * dy);
+    if (!best || distanceKm < best.distanceKm) {
+      best = { distanceKm, alongKm: travelledKm + t * segmentKm };
+    }
+    travelledKm += segmentKm;
+  }
+  return best;
+};
+
+// Total length of a polyline in km
+export const polylineLengthKm = (polyline) => {
+  const stops = (polyline || []).filter(hasCoordinates);
+  let total = 0;
+  for (let i = 0; i < stops.length - 1; i++) total += haversineKm(stops[i], stops[i + 1]);
+  return total;
+};
+
+// Whether a rider's pickup and dropoff both lie within radiusKm of the driver's route,
+// with the pickup before the dropoff. Either end may be omitted. `score` runs from 1
+// (both ends on the route) down to 0 (both at the edge of the radius).
+export const matchTripToRoute = (polyline, pickup, dropoff, radiusKm) => {
+  const ends = [pickup, dropoff].filter(Boolean);
+  const projections = ends.map(place => projectOntoPolyline(place, polyline));
+  if (ends.length === 0 || projections.some(projection => projection === null)) return null;
+
+  const [pickupProjection, dropoffProjection] = pickup ? projections : [null, projections[0]];
+  const withinRadius = projections.every(projection => projection.distanceKm <= radiusKm);
+  const inOrder = !pickupProjection || !dropoffProjection || pickupProjection.alongKm <= dropoffProjection.alongKm;
+  const averageDistanceKm = projections.reduce((total, projection) => total + projection.distanceKm, 0) / projections.length;
+
+  return {
+    matches: withinRadius && inOrder,
+    pickupDistanceKm: pickupProjection ? pickupProjection.distanceKm : null,
+    dropoffDistanceKm: dropoffProjection ? dropoffProjection.distanceKm : null,
+    score: withinRadius && inOrder ? Math.max(0, 1 - averageDistanceKm / radiusKm) : 0
+  };
+};
@@ -0,0 +1,48 @@
+import { haversineKm, projectOntoPolyline, matchTripToRoute } from './geo';
+import { createGazetteerGeocoder } from './geocoder';
+
+const unionStation = { name: 'Union', lat: 43.6453, lng: -79.3806 };
+const squareOne = { name: 'Square One', lat: 43.5931, lng: -79.6424 };
+const pearson = { name: 'Pearson', lat: 43.6777, lng: -79.6248 };
+const kipling = { name: 'Kipling', lat: 43.6372, lng: -79.5361 };
+const scarborough = { name: 'Scarborough', lat: 43.7757, lng: -79.2578 };
+
+test('haversineKm measures distances between places', () => {
+  expect(haversineKm(unionStation, squareOne)).toBeCloseTo(21.9, 0);
+  expect(haversineKm(unionStation, unionStation)).toBe(0);
+});
+
+test('projectOntoPolyline reports distance from the route and position along it', () => {
+  const projection = projectOntoPolyline(kipling, [unionStation, squareOne]);
+  expect(projection.distanceKm).toBeLessThan(3);
+  expect(projection.alongKm).toBeGreaterThan(10);
+  expect(projection.alongKm).toBeLessThan(15);
+});
+
+test('a trip along the route matches, a far-away one does not', () => {
+  const route = [unionStation, kipling, squareOne];
+  expect(matchTripToRoute(route, unionStation, kipling, 2).matches).toBe(true);
+  expect(matchTripToRoute(route, unionStation, scarborough, 2).matches).toBe(false);
+  expect(matchTripToRoute(route, unionStation, pearson, 2).matches).toBe(false);
+});
+
+test('a trip in the opposite direction of the route does not match', () => {
+  const route = [unionStation, kipling, squareOne];
+  const match = matchTripToRoute(route, squareOne, unionStation, 2);
+  expect(match.matches).toBe(false);
+  expect(match.score).toBe(0);
+});
+
+test('places without coordinates cannot be matched', () => {
+  expect(matchTripToRoute([unionStation, squareOne], { name: 'Main St' }, null, 2)).toBeNull();
+});
+
+test('the gazetteer geocoder ranks prefix matches first and works offline', async () => {
+  const geocoder = createGazetteerGeocoder([
+    { name: 'Main Street, Milton', lat: 43.5123, lng: -79.8828 },
+    { name: 'Domain Centre', lat: 43.7, lng: -79.4 },
+    { name: 'Toronto Main Street Station', lat: 43.6892, lng: -79.3016 }
+  ]);
+  const results = await geocoder.search('main');
+  expect(results.map(place => place.name)).toEqual(['Main Street, Milton', 'Toronto Main Street Station']);
+});
@@ -0,0 +1,45 @@
+// Geocoders turn free text into places ({ name, lat, lng }) through a single method:
+//   search(text, { limit }) -> Promise<place[]>
+// The gazetteer geocoder works offline from a fixed list, so development and tests need no
+// network; the Nominatim geocoder queries an OpenStreetMap Nominatim server.
+import defaultGazetteer from './gazetteer.json';
+
+export const createGazetteerGeocoder = (entries = defaultGazetteer) => ({
+  search: async (text, { limit = 5 } = {}) => {
+    const needle = text.trim().toLowerCase();
+    if (!needle) return [];
+    // Names starting with the text rank above names that merely contain a word starting with it
+    const rank = (name) => {
+      const lower = name.toLowerCase();
+      if (lower.startsWith(needle)) return 0;
+      if (lower.split(/[\s,()&.-]+/).some(word => word.startsWith(needle))) return 1;
+      return null;
+    };
+    return entries
+      .map(entry => ({ entry, rank: rank(entry.name) }))
+      .filter(({ rank }) => rank !== null)
+      .sort((a, b) => a.rank - b.rank || a.entry.name.localeCompare(b.entry.name))
+      .slice(0, limit)
+      .map(({ entry }) => ({ name: entry.name, lat: entry.lat, lng: entry.lng }));
+  }
+});
+
+export const createNominatimGeocoder = ({ baseUrl = 'https://nominatim.openstreetmap.org', fetchImpl = (...args) => fetch(...args) } = {}) => ({
+  search: async (text, { limit = 5 } = {}) => {
+    if (!text.trim()) return [];
+    const url = `${baseUrl}/search?format=json&limit=${limit}&q=${encodeURIComponent(text)}`;
+    const response = await fetchImpl(url, { headers: { Accept: 'application/json' } });
+    if (!response.ok) throw new Error(`Geocoding failed with status ${response.status}`);
+    const results = await response.json();
+    return results.map(result => ({ name: result.display_name, lat: parseFloat(result.lat), lng: parseFloat(result.lon) }));
+  }
+});
+
+// Picks the geocoder from REACT_APP_GEOCODER ('gazetteer' by default, or 'nominatim',
+// optionally with REACT_APP_GEOCODER_URL pointing at a self-hosted server)
+export const createGeocoder = (kind = process.env.REACT_APP_GEOCODER) => {
+  if (kind === 'nominatim') {
+    return createNominatimGeocoder(process.env.REACT_APP_GEOCODER_URL ? { baseUrl: process.env.REACT_APP_GEOCODER_URL } : {});
+  }
+  return createGazetteerGeocoder();
+};
@@ -0,0 +1,67 @@
+// Web Mercator maths for drawing places on a tiled map.
+// "World pixels" are pixel positions on the whole map at a zoom level: 256 x 2^zoom square,
+// with (0, 0) at the top-left corner (180°W, ~85°N). A view is { center, zoom }, and screen
+// positions are pixels from the top-left corner of a map of { width, height }.
+
+export const TILE_SIZE = 256;
+const MAX_LATITUDE = 85.0511; // Mercator's square world cuts off here
+
+const worldSize = (zoom) => TILE_SIZE * 2 ** zoom;
+
+export const toWorldPixels = ({ lat, lng }, zoom) => {
+  const sin = Math.sin(Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180);
+  return {
+    x: (lng + 180) / 360 * worldSize(zoom),
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * worldSize(zoom)
+  };
+};
+
+export const fromWorldPixels = ({ x, y }, zoom) => ({
+  lat: Math.atan(Math.sinh(Math.PI * (1 - 2 * y / worldSize(zoom)))) * 180 / Math.PI,
+  lng: x / worldSize(zoom) * 360 - 180
+});
+
+export const placeToScreen = (place, { center, zoom }, { width, height }) => {
+  const point = toWorldPixels(place, zoom);
+  const origin = toWorldPixels(center, zoom);
+  return { x: point.x - origin.x + width / 2, y: point.y - origin.y + height / 2 };
+};
+
+export const screenToPlace = ({ x, y }, { center, zoom }, { width, height }) => {
+  const origin = toWorldPixels(center, zoom);
+  return fromWorldPixels({ x: origin.x + x - width / 2, y: origin.y + y - height / 2 }, zoom);
+};
+
+// The closest whole zoom that shows every place with `padding` pixels to spare, centred on
+// them. A single place is shown at maxZoom; no places at all falls back to `fallback`.
+export const fitView = (places, { width, height }, { padding = 32, minZoom = 1, maxZoom = 16, fallback } = {}) => {
+  if (places.length === 0) return fallback;
+  for (let zoom = maxZoom; zoom > minZoom; zoom--) {
+    const points = places.map(place => toWorldPixels(place, zoom));
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    if (Math.max(...xs) - Math.min(...xs) <= width - 2 * padding && Math.max(...ys) - Math.min(...ys) <= height - 2 * padding) {
+      return { center: fromWorldPixels({ x: (Math.max(...xs) + Math.min(...xs)) / 2, y: (Math.max(...ys) + Math.min(...ys)) / 2 }, zoom), zoom };
+    }
+  }
+  const points = places.map(place => toWorldPixels(place, minZoom));
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  return { center: fromWorldPixels({ x: mean(points.map(p => p.x)), y: mean(points.map(p => p.y)) }, minZoom), zoom: minZoom };
+};
+
+// The tiles covering a view, each with its screen position. Tile x wraps around the
+// antimeridian; rows past the poles are left out.
+export const visibleTiles = (view, size) => {
+  const origin = toWorldPixels(view.center, view.zoom);
+  const left = origin.x - size.width / 2;
+  const top = origin.y - size.height / 2;
+  const count = 2 ** view.zoom;
+  const tiles = [];
+  for (let y = Math.floor(top / TILE_SIZE); y * TILE_SIZE < top + size.height; y++) {
+    if (y < 0 || y >= count) continue;
+    for (let x = Math.floor(left / TILE_SIZE); x * TILE_SIZE < left + size.width; x++) {
+      tiles.push({ x: ((x % count) + count) % count, y, z: view.zoom, left: x * TILE_SIZE - left, top: y * TILE_SIZE - top });
+    }
+  }
+  return tiles;
+};
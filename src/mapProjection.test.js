@@ -0,0 +1,77 @@
+import { TILE_SIZE, fitView, fromWorldPixels, placeToScreen, screenToPlace, toWorldPixels, visibleTiles } from './mapProjection';
+import { createBlankTileProvider, createOsrmRouter, createStraightLineRouter, createUrlTileProvider, withRouteCache } from './mapProviders';
+
+const unionStation = { name: 'Toronto Union Station', lat: 43.6453, lng: -79.3806 };
+const squareOne = { name: 'Square One, Mississauga', lat: 43.5931, lng: -79.6424 };
+const size = { width: 400, height: 300 };
+
+test('world pixels round-trip and put 0°, 0° in the middle of the map', () => {
+  expect(toWorldPixels({ lat: 0, lng: 0 }, 0)).toEqual({ x: TILE_SIZE / 2, y: TILE_SIZE / 2 });
+  const back = fromWorldPixels(toWorldPixels(unionStation, 12), 12);
+  expect(back.lat).toBeCloseTo(unionStation.lat, 6);
+  expect(back.lng).toBeCloseTo(unionStation.lng, 6);
+});
+
+test('the fitted view shows every place inside the padding at the closest zoom', () => {
+  const view = fitView([unionStation, squareOne], size, { padding: 20 });
+  [unionStation, squareOne].forEach(place => {
+    const { x, y } = placeToScreen(place, view, size);
+    expect(x).toBeGreaterThanOrEqual(20);
+    expect(x).toBeLessThanOrEqual(380);
+    expect(y).toBeGreaterThanOrEqual(20);
+    expect(y).toBeLessThanOrEqual(280);
+  });
+  // One zoom closer no longer fits
+  const closer = { ...view, zoom: view.zoom + 1 };
+  const spread = placeToScreen(unionStation, closer, size).x - placeToScreen(squareOne, closer, size).x;
+  expect(spread).toBeGreaterThan(360);
+
+  expect(fitView([unionStation], size, { maxZoom: 15 }).zoom).toBe(15);
+  expect(fitView([], size, { fallback: { center: unionStation, zoom: 10 } })).toEqual({ center: unionStation, zoom: 10 });
+});
+
+test('screen positions convert back to places, as when a route point is dragged', () => {
+  const view = { center: unionStation, zoom: 13 };
+  const dropped = screenToPlace({ x: 250, y: 100 }, view, size);
+  const { x, y } = placeToScreen(dropped, view, size);
+  expect(x).toBeCloseTo(250, 6);
+  expect(y).toBeCloseTo(100, 6);
+  expect(screenToPlace({ x: 200, y: 150 }, view, size).lat).toBeCloseTo(unionStation.lat, 6);
+});
+
+test('visible tiles cover the view and wrap around the antimeridian', () => {
+  const tiles = visibleTiles({ center: unionStation, zoom: 12 }, size);
+  expect(tiles.length).toBeGreaterThanOrEqual(4);
+  expect(Math.min(...tiles.map(tile => tile.left))).toBeLessThanOrEqual(0);
+  expect(Math.max(...tiles.map(tile => tile.left + TILE_SIZE))).toBeGreaterThanOrEqual(size.width);
+
+  const wrapped = visibleTiles({ center: { lat: 0, lng: 180 }, zoom: 1 }, size);
+  expect(wrapped.map(tile => tile.x).sort()).toEqual([0, 0, 1, 1]);
+});
+
+test('tile providers fill in the URL template or leave tiles blank', () => {
+  expect(createUrlTileProvider({ urlTemplate: 'http://localhost:8080/tiles/{z}/{x}/{y}.png' }).tileUrl({ x: 1143, y: 1493, z: 12 }))
+    .toBe('http://localhost:8080/tiles/12/1143/1493.png');
+  expect(createBlankTileProvider().tileUrl({ x: 0, y: 0, z: 0 })).toBeNull();
+});
+
+test('the straight-line router joins the stops that have coordinates', async () => {
+  const path = await createStraightLineRouter().route([unionStation, { name: 'Somewhere' }, squareOne]);
+  expect(path).toEqual([{ lat: 43.6453, lng: -79.3806 }, { lat: 43.5931, lng: -79.6424 }]);
+});
+
+test('the OSRM router reads the road geometry and routes are cached', async () => {
+  const fetchImpl = jest.fn(async () => ({
+    ok: true,
+    json: async () => ({ code: 'Ok', routes: [{ geometry: { coordinates: [[-79.3806, 43.6453], [-79.5, 43.62], [-79.6424, 43.5931]] } }] })
+  }));
+  const router = withRouteCache(createOsrmRouter({ baseUrl: 'http://localhost:5000', fetchImpl }));
+  const path = await router.route([unionStation, squareOne]);
+  expect(fetchImpl).toHaveBeenCalledWith('http://localhost:5000/route/v1/driving/-79.3806,43.6453;-79.6424,43.5931?overview=full&geometries=geojson');
+  expect(path).toEqual([{ lat: 43.6453, lng: -79.3806 }, { lat: 43.62, lng: -79.5 }, { lat: 43.5931, lng: -79.6424 }]);
+  await router.route([unionStation, squareOne]);
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+  const failing = createOsrmRouter({ fetchImpl: async () => ({ ok: true, json: async () => ({ code: 'NoRoute' }) }) });
+  await expect(failing.route([unionStation, squareOne])).rejects.toThrow('NoRoute');
+});
@@ -0,0 +1,77 @@
+// Pluggable map backends: where map tiles come from and how a route is drawn between stops.
+// Tile providers have
+//   tileUrl({ x, y, z }) -> URL, or null to leave the tile blank
+//   attribution, maxZoom
+// and routers have a single method:
+//   route(stops) -> Promise<{ lat, lng }[]>, the path to draw through the stops in order
+// The blank tiles and straight-line router need no network, for offline development and
+// tests; a local tile server or a folder of fixture tiles is just another URL template.
+import { hasCoordinates } from './geo';
+
+const OSM_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const OSM_ATTRIBUTION = '© OpenStreetMap contributors';
+
+export const createUrlTileProvider = ({ urlTemplate = OSM_TILE_URL, attribution = OSM_ATTRIBUTION, maxZoom = 19 } = {}) => ({
+  tileUrl: ({ x, y, z }) => urlTemplate.replace('{x}', x).replace('{y}', y).replace('{z}', z),
+  attribution,
+  maxZoom
+});
+
+export const createBlankTileProvider = () => ({ tileUrl: () => null, attribution: '', maxZoom: 19 });
+
+// Picks the tiles from REACT_APP_TILES ('url' by default, or 'blank'). The 'url' tiles are
+// OpenStreetMap's unless REACT_APP_TILE_URL gives another {z}/{x}/{y} template, such as a
+// local tile server or fixture tiles under public/; REACT_APP_TILE_ATTRIBUTION credits them.
+export const createTileProvider = (kind = process.env.REACT_APP_TILES) => {
+  if (kind === 'blank') return createBlankTileProvider();
+  return process.env.REACT_APP_TILE_URL
+    ? createUrlTileProvider({ urlTemplate: process.env.REACT_APP_TILE_URL, attribution: process.env.REACT_APP_TILE_ATTRIBUTION || '' })
+    : createUrlTileProvider();
+};
+
+const pointsOf = (stops) => stops.filter(hasCoordinates).map(({ lat, lng }) => ({ lat, lng }));
+
+export const createStraightLineRouter = () => ({
+  route: async (stops) => pointsOf(stops)
+});
+
+// Road geometry from an OSRM server's route service
+export const createOsrmRouter = ({ baseUrl = 'https://router.project-osrm.org', profile = 'driving', fetchImpl = (...args) => fetch(...args) } = {}) => ({
+  route: async (stops) => {
+    const points = pointsOf(stops);
+    if (points.length < 2) return points;
+    const coordinates = points.map(point => `${point.lng},${point.lat}`).join(';');
+    const response = await fetchImpl(`${baseUrl}/route/v1/${profile}/${coordinates}?overview=full&geometries=geojson`);
+    if (!response.ok) throw new Error(`Routing failed with status ${response.status}`);
+    const result = await response.json();
+    if (result.code !== 'Ok' || !result.routes?.length) throw new Error(`Routing failed: ${result.code}`);
+    return result.routes[0].geometry.coordinates.map(([lng, lat]) => ({ lat, lng }));
+  }
+});
+
+// Remembers the last `limit` routes, so redrawing a map does not ask the router again
+export const withRouteCache = (router, limit = 50) => {
+  const cache = new Map();
+  return {
+    route: async (stops) => {
+      const key = pointsOf(stops).map(point => `${point.lat},${point.lng}`).join(';');
+      if (!cache.has(key)) {
+        cache.set(key, router.route(stops).catch(error => {
+          cache.delete(key);
+          throw error;
+        }));
+        if (cache.size > limit) cache.delete(cache.keys().next().value);
+      }
+      return cache.get(key);
+    }
+  };
+};
+
+// Picks the router from REACT_APP_ROUTING ('straight' by default, or 'osrm', optionally with
+// REACT_APP_ROUTING_URL pointing at a self-hosted server)
+export const createRouter = (kind = process.env.REACT_APP_ROUTING) => {
+  if (kind === 'osrm') {
+    return withRouteCache(createOsrmRouter(process.env.REACT_APP_ROUTING_URL ? { baseUrl: process.env.REACT_APP_ROUTING_URL } : {}));
+  }
+  return createStraightLineRouter();
+};
@@ -0,0 +1,2 @@
+// Round currency amounts to cents so repeated float arithmetic does not drift
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
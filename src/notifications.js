@@ -0,0 +1,42 @@
+// In-app notifications.
+// Each user has a notifications collection under artifacts/{appId}/users/{uid}. The Cloud
+// Functions write the notification for the other side of every booking change, with the
+// text from functions/notifications.js. The sender of a chat message writes only its type
+// and ids for the recipient; the Cloud Functions check the chat and fill in the text. Senders cannot read the recipient's profile,
+// so notifications are always written and the recipient's preferences
+// (notificationPreferences on their profile) decide which ones they see.
+//
+// The Cloud Functions also send each new notification by push and email to users who opted
+// into those channels (notificationChannels on their profile, see functions/delivery.js).
+
+export const NOTIFICATION_TYPES = {
+  rideRequested: { label: 'New ride requests', description: 'A rider requests seats on one of your rides' },
+  requestAccepted: { label: 'Accepted requests', description: 'A driver accepts your ride request' },
+  requestRejected: { label: 'Declined requests', description: 'A driver declines your ride request' },
+  rideCancelled: { label: 'Cancellations', description: 'A booking or ride you are part of is cancelled' },
+  rideCompleted: { label: 'Completed rides', description: 'A ride you took is marked completed' },
+  rideDeparting: { label: 'Departure reminders', description: 'A ride you booked leaves in 30 minutes' },
+  newMessage: { label: 'New messages', description: 'Someone sends you a chat message' }
+};
+
+// Channels besides the bell, each off until the user opts in
+export const NOTIFICATION_CHANNELS = {
+  push: { label: 'Push notifications', description: 'Alerts in this browser, even when RideShare is closed' },
+  email: { label: 'Email', description: 'Sent to the email address on your profile' }
+};
+
+export const NOTIFICATION_LIMIT = 50;
+
+// Message notifications collapse to one per chat, replaced by each new message
+export const messageNotificationId = (chatId) => `chat-${chatId}`;
+
+// Every type is on until the user turns it off
+export const notificationEnabled = (preferences, type) => preferences?.[type] !== false;
+
+export const channelEnabled = (channels, channel) => channels?.[channel] === true;
+
+export const visibleNotifications = (notifications, preferences) =>
+  notifications.filter(notification => notificationEnabled(preferences, notification.type));
+
+export const unreadNotificationCount = (notifications, preferences) =>
+  visibleNotifications(notifications, preferences).filter(notification => !notification.read).length;
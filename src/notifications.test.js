@@ -0,0 +1,55 @@
+import {
+  NOTIFICATION_TYPES, channelEnabled, messageNotificationId, notificationEnabled, unreadNotificationCount, visibleNotifications
+} from './notifications';
+import { describeNotification } from '../functions/notifications';
+
+const ride = { from: 'Downtown', to: 'Airport' };
+
+test('every type has text and a view to open', () => {
+  const details = {
+    ...ride, riderName: 'Riley', driverName: 'Dana', seats: 2, cancelledByName: 'Riley', reason: 'Sick',
+    view: 'myRides', price: 20, minutes: 30, senderName: 'Dana', text: 'On my way'
+  };
+  Object.keys(NOTIFICATION_TYPES).forEach(type => {
+    const { title, body, view } = describeNotification(type, details);
+    expect(title).toBeTruthy();
+    expect(body).toBeTruthy();
+    expect(view).toBeTruthy();
+  });
+  expect(() => describeNotification('unknown', details)).toThrow('Unknown notification type');
+});
+
+test('request and completion texts name the people, seats and fare', () => {
+  expect(describeNotification('rideRequested', { ...ride, riderName: 'Riley', seats: 2 }).body)
+    .toBe('Riley requested 2 seats on your ride from Downtown to Airport.');
+  expect(describeNotification('rideRequested', { ...ride, riderName: 'Riley', seats: 1 }).body)
+    .toBe('Riley requested a seat on your ride from Downtown to Airport.');
+  expect(describeNotification('rideCompleted', { ...ride, driverName: 'Dana', price: 12.5 }).body)
+    .toContain('$12.50 was paid to Dana');
+});
+
+test('message notifications preview long messages and collapse per chat', () => {
+  const { body } = describeNotification('newMessage', { senderName: 'Dana', text: 'x'.repeat(200) });
+  expect(body).toHaveLength(80);
+  expect(body.endsWith('…')).toBe(true);
+  expect(messageNotificationId('ride-1-rider-2')).toBe('chat-ride-1-rider-2');
+});
+
+test('types are on unless turned off, and hidden types do not count as unread', () => {
+  const notifications = [
+    { id: 'a', type: 'newMessage', read: false },
+    { id: 'b', type: 'requestAccepted', read: false },
+    { id: 'c', type: 'requestAccepted', read: true }
+  ];
+  expect(notificationEnabled(undefined, 'newMessage')).toBe(true);
+  expect(notificationEnabled({ newMessage: false }, 'newMessage')).toBe(false);
+  expect(unreadNotificationCount(notifications, {})).toBe(2);
+  expect(unreadNotificationCount(notifications, { newMessage: false })).toBe(1);
+  expect(visibleNotifications(notifications, { requestAccepted: false }).map(n => n.id)).toEqual(['a']);
+});
+
+test('push and email stay off until the user opts in', () => {
+  expect(channelEnabled(undefined, 'push')).toBe(false);
+  expect(channelEnabled({ push: true }, 'push')).toBe(true);
+  expect(channelEnabled({ push: true }, 'email')).toBe(false);
+});
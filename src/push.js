@@ -0,0 +1,33 @@
+// Browser push through Firebase Cloud Messaging.
+// public/firebase-messaging-sw.js shows pushes while RideShare is closed. It cannot see the
+// app's Firebase config, so the config is passed in the worker's URL. The token from
+// enable() identifies this browser; the app stores it under the user's pushTokens so the
+// Cloud Functions can send to it (see functions/delivery.js).
+import { getMessaging, getToken, deleteToken, isSupported } from 'firebase/messaging';
+
+export const PUSH_SERVICE_WORKER_URL = '/firebase-messaging-sw.js';
+
+export const createPushMessaging = (app, { firebaseConfig, vapidKey }) => {
+  const registerWorker = () => navigator.serviceWorker.register(
+    `${PUSH_SERVICE_WORKER_URL}?config=${encodeURIComponent(JSON.stringify(firebaseConfig))}`
+  );
+
+  return {
+    isSupported: () => isSupported(),
+
+    // Asks for permission and resolves with this browser's token, or null if it was refused
+    enable: async () => {
+      if (await Notification.requestPermission() !== 'granted') return null;
+      const serviceWorkerRegistration = await registerWorker();
+      return getToken(getMessaging(app), { vapidKey, serviceWorkerRegistration });
+    },
+
+    // Stops pushes to this browser and resolves with the token that was dropped
+    disable: async () => {
+      const messaging = getMessaging(app);
+      const token = await getToken(messaging, { vapidKey, serviceWorkerRegistration: await registerWorker() });
+      await deleteToken(messaging);
+      return token;
+    }
+  };
+};
@@ -0,0 +1,25 @@
+// Blind two-sided reviews for completed rides.
+// After a ride request completes, the rider and the driver may each rate the other once,
+// 1-5 stars with an optional comment, until the review deadline. A review stays hidden
+// from the person it is about until both sides have rated or the deadline passes, so
+// neither side can retaliate. Only revealed reviews count towards a user's summary.
+// The Cloud Functions record, reveal and total the reviews with their own copy of the
+// helpers below (functions/ratings.js).
+
+export const REVIEW_WINDOW_DAYS = 7;
+
+export const reviewDeadlineFrom = (completedAt) =>
+  new Date(new Date(completedAt).getTime() + REVIEW_WINDOW_DAYS * 864e5).toISOString();
+
+// One review per side per request, so a second submission finds the first
+export const reviewId = (requestId, raterRole) => `${requestId}-${raterRole}`;
+
+export const otherRole = (role) => (role === 'rider' ? 'driver' : 'rider');
+
+export const isValidRating = (rating) => Number.isInteger(rating) && rating >= 1 && rating <= 5;
+
+// The rater always sees their own review; everyone else once it is revealed or overdue
+export const isReviewVisible = (review, viewerId, now = new Date()) =>
+  review.revealed || review.raterId === viewerId || new Date(review.revealAt) <= now;
+
+export const formatRating = (summary) => (summary && summary.count > 0 ? `${summary.average.toFixed(1)} ★ (${summary.count})` : 'No ratings yet');
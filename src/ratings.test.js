@@ -0,0 +1,56 @@
+import { addToSummary, isRevealDue, isValidRating, otherRole, reviewDeadlineFrom, reviewId } from '../functions/ratings';
+import {
+  formatRating, isReviewVisible, isValidRating as appIsValidRating, otherRole as appOtherRole, reviewDeadlineFrom as appReviewDeadlineFrom,
+  reviewId as appReviewId
+} from './ratings';
+
+const now = new Date('2026-03-10T12:00:00Z');
+const review = (overrides) => ({
+  raterId: 'rider1',
+  rateeId: 'driver1',
+  rating: 4,
+  revealed: false,
+  revealAt: '2026-03-15T12:00:00.000Z',
+  ...overrides
+});
+
+test('the review deadline is a week after completion', () => {
+  expect(reviewDeadlineFrom('2026-03-08T12:00:00.000Z')).toBe('2026-03-15T12:00:00.000Z');
+});
+
+test('each side gets a single review id per request', () => {
+  expect(reviewId('req1', 'rider')).toBe('req1-rider');
+  expect(reviewId('req1', 'driver')).not.toBe(reviewId('req1', 'rider'));
+});
+
+test('only whole stars from 1 to 5 are valid', () => {
+  expect([1, 3, 5].every(isValidRating)).toBe(true);
+  expect([0, 6, 4.5, '4', null].some(isValidRating)).toBe(false);
+});
+
+test('a hidden review is visible to its author only until revealed or overdue', () => {
+  expect(isReviewVisible(review(), 'rider1', now)).toBe(true);
+  expect(isReviewVisible(review(), 'driver1', now)).toBe(false);
+  expect(isReviewVisible(review({ revealed: true }), 'driver1', now)).toBe(true);
+  expect(isReviewVisible(review({ revealAt: '2026-03-09T12:00:00.000Z' }), 'driver1', now)).toBe(true);
+});
+
+test('reveal is due only for unrevealed reviews past the deadline', () => {
+  expect(isRevealDue(review(), now)).toBe(false);
+  expect(isRevealDue(review({ revealAt: '2026-03-09T12:00:00.000Z' }), now)).toBe(true);
+  expect(isRevealDue(review({ revealAt: '2026-03-09T12:00:00.000Z', revealed: true }), now)).toBe(false);
+});
+
+test('summaries keep a running average', () => {
+  const summary = addToSummary(addToSummary(undefined, 5), 4);
+  expect(summary).toEqual({ count: 2, total: 9, average: 4.5 });
+  expect(formatRating(summary)).toBe('4.5 ★ (2)');
+  expect(formatRating(undefined)).toBe('No ratings yet');
+});
+
+test('the app uses the same deadline, review ids and rating scale as the functions', () => {
+  expect(appReviewDeadlineFrom('2026-03-08T12:00:00.000Z')).toBe(reviewDeadlineFrom('2026-03-08T12:00:00.000Z'));
+  expect(appReviewId('req1', 'driver')).toBe(reviewId('req1', 'driver'));
+  expect(['rider', 'driver'].map(appOtherRole)).toEqual(['rider', 'driver'].map(otherRole));
+  [0, 1, 3, 5, 6, 4.5, '4', null].forEach(rating => expect(appIsValidRating(rating)).toBe(isValidRating(rating)));
+});
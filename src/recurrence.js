@@ -0,0 +1,17 @@
+// Weekly schedules for recurring (commute) rides.
+// A schedule is { daysOfWeek, time, startDate, endDate, skipDates }: daysOfWeek holds
+// Date#getDay() numbers (0 = Sunday), time is 'HH:mm' and dates are 'YYYY-MM-DD' strings in
+// the driver's local time, matching the datetime-local strings rides store as startTime.
+// The Cloud Functions work out the dates and create the rides (functions/recurrence.js).
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Occurrences get predictable ids, so the app finds the ride for a date (same as
+// functions/recurrence.js)
+export const occurrenceRideId = (seriesId, date) => `${seriesId}_${date}`;
+
+// e.g. "Mon, Wed, Fri at 08:15 from 2026-03-02 until 2026-06-30"
+export const describeSchedule = (schedule) => {
+  const days = [...schedule.daysOfWeek].sort((a, b) => a - b).map(day => WEEKDAY_LABELS[day]).join(', ');
+  return `${days} at ${schedule.time} from ${schedule.startDate}${schedule.endDate ? ` until ${schedule.endDate}` : ''}`;
+};
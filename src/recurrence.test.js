@@ -0,0 +1,40 @@
+import { addDays, occurrenceDates, occurrenceRideId, occurrenceStartTime } from '../functions/recurrence';
+import { describeSchedule, occurrenceRideId as appOccurrenceRideId } from './recurrence';
+
+// 2026-03-02 is a Monday
+const weekdays = { daysOfWeek: [1, 2, 3, 4, 5], time: '08:15', startDate: '2026-03-02', endDate: '2026-03-13', skipDates: [] };
+
+test('occurrences fall on the scheduled weekdays only', () => {
+  expect(occurrenceDates(weekdays, { from: '2026-03-01', until: '2026-03-08' })).toEqual([
+    '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06'
+  ]);
+});
+
+test('occurrences stay within the start and end dates', () => {
+  const dates = occurrenceDates(weekdays, { from: '2026-02-01', until: '2026-04-01' });
+  expect(dates[0]).toBe('2026-03-02');
+  expect(dates[dates.length - 1]).toBe('2026-03-13');
+  expect(dates).toHaveLength(10);
+});
+
+test('skip dates are left out', () => {
+  const schedule = { ...weekdays, skipDates: ['2026-03-04'] };
+  expect(occurrenceDates(schedule, { from: '2026-03-02', until: '2026-03-06' })).not.toContain('2026-03-04');
+});
+
+test('schedules without an end date run until the requested window ends', () => {
+  const schedule = { daysOfWeek: [0], time: '10:00', startDate: '2026-03-01' };
+  expect(occurrenceDates(schedule, { from: '2026-03-01', until: '2026-03-22' })).toEqual(['2026-03-01', '2026-03-08', '2026-03-15', '2026-03-22']);
+});
+
+test('days are counted correctly across a daylight-saving change', () => {
+  expect(addDays('2026-03-07', 2)).toBe('2026-03-09');
+  expect(addDays('2026-10-31', 1)).toBe('2026-11-01');
+});
+
+test('occurrence helpers build start times, ids and descriptions', () => {
+  expect(occurrenceStartTime(weekdays, '2026-03-02')).toBe('2026-03-02T08:15');
+  expect(occurrenceRideId('abc', '2026-03-02')).toBe('abc_2026-03-02');
+  expect(appOccurrenceRideId('abc', '2026-03-02')).toBe(occurrenceRideId('abc', '2026-03-02'));
+  expect(describeSchedule({ ...weekdays, daysOfWeek: [5, 1, 3] })).toBe('Mon, Wed, Fri at 08:15 from 2026-03-02 until 2026-03-13');
+});
@@ -0,0 +1,55 @@
+// Filtering and sorting for the rider's ride search.
+// Ride start times are datetime-local strings ('YYYY-MM-DDTHH:mm'), so the date and time of
+// day are compared as strings in the driver's local time.
+import { mostSeatsOnAnySegment } from './segments';
+
+export const DEFAULT_RIDE_FILTERS = {
+  date: '',          // 'YYYY-MM-DD', or '' for any day
+  earliestTime: '',  // 'HH:mm' window on the departure time of day
+  latestTime: '',
+  maxPrice: '',      // per seat
+  seatsNeeded: 1,
+  vehicleType: '',
+  minRating: 0       // 0 includes drivers who have not been rated yet
+};
+
+export const RIDE_SORT_OPTIONS = {
+  match: 'Best match',
+  departure: 'Departure time',
+  price: 'Price'
+};
+
+// Only rides that can still be booked: active and not yet departed
+export const isBookable = (ride, now = new Date()) =>
+  (ride.status || 'active') === 'active' && new Date(ride.startTime) > now;
+
+export const matchesFilters = (ride, filters, { driverRatings = {} } = {}) => {
+  const departureDate = ride.startTime.slice(0, 10);
+  const departureTime = ride.startTime.slice(11, 16);
+  const rating = driverRatings[ride.driverId];
+
+  if (filters.date && departureDate !== filters.date) return false;
+  if (filters.earliestTime && departureTime < filters.earliestTime) return false;
+  if (filters.latestTime && departureTime > filters.latestTime) return false;
+  if (filters.maxPrice !== '' && filters.maxPrice != null && ride.pricePerSeat > Number(filters.maxPrice)) return false;
+  // A ride full from the start may still have seats later on; the rider picks stops when booking
+  if (mostSeatsOnAnySegment(ride) < (Number(filters.seatsNeeded) || 1)) return false;
+  if (filters.vehicleType && ride.car?.type !== filters.vehicleType) return false;
+  if (filters.minRating > 0 && !(rating && rating.average >= filters.minRating)) return false;
+  return true;
+};
+
+// `matchScore` is the route match score (0-1) the caller attached to each ride, if any.
+// Ties fall back to the earliest departure.
+export const sortRides = (rides, sortBy = 'match') => {
+  const byDeparture = (a, b) => new Date(a.startTime) - new Date(b.startTime);
+  const comparators = {
+    departure: byDeparture,
+    price: (a, b) => a.pricePerSeat - b.pricePerSeat || byDeparture(a, b),
+    match: (a, b) => (b.matchScore ?? 0) - (a.matchScore ?? 0) || byDeparture(a, b)
+  };
+  return [...rides].sort(comparators[sortBy] || comparators.match);
+};
+
+export const filterAndSortRides = (rides, filters, { sortBy, driverRatings, now = new Date() } = {}) =>
+  sortRides(rides.filter(ride => isBookable(ride, now) && matchesFilters(ride, filters, { driverRatings })), sortBy);
@@ -0,0 +1,60 @@
+import { DEFAULT_RIDE_FILTERS, filterAndSortRides, isBookable, matchesFilters, sortRides } from './rideSearch';
+
+const now = new Date('2026-03-02T07:00:00');
+const ride = (overrides) => ({
+  id: 'r',
+  driverId: 'd1',
+  startTime: '2026-03-02T08:15',
+  pricePerSeat: 10,
+  availableSeats: 2,
+  status: 'active',
+  car: { type: 'Sedan' },
+  ...overrides
+});
+
+test('past, completed and cancelled rides are not bookable', () => {
+  expect(isBookable(ride(), now)).toBe(true);
+  expect(isBookable(ride({ startTime: '2026-03-02T06:00' }), now)).toBe(false);
+  expect(isBookable(ride({ status: 'completed' }), now)).toBe(false);
+  expect(isBookable(ride({ status: 'cancelled' }), now)).toBe(false);
+});
+
+test('date and time window filters use the departure time', () => {
+  const filters = { ...DEFAULT_RIDE_FILTERS, date: '2026-03-02', earliestTime: '08:00', latestTime: '09:00' };
+  expect(matchesFilters(ride(), filters)).toBe(true);
+  expect(matchesFilters(ride({ startTime: '2026-03-02T09:30' }), filters)).toBe(false);
+  expect(matchesFilters(ride({ startTime: '2026-03-03T08:15' }), filters)).toBe(false);
+});
+
+test('price, seats and vehicle type filters', () => {
+  expect(matchesFilters(ride(), { ...DEFAULT_RIDE_FILTERS, maxPrice: 8 })).toBe(false);
+  expect(matchesFilters(ride(), { ...DEFAULT_RIDE_FILTERS, maxPrice: 10 })).toBe(true);
+  expect(matchesFilters(ride(), { ...DEFAULT_RIDE_FILTERS, seatsNeeded: 3 })).toBe(false);
+  // Full at the start, but three seats free after the first stop
+  const partlyFull = ride({ route: ['A', 'B', 'C'], availableSeats: 0, segmentSeats: [0, 3] });
+  expect(matchesFilters(partlyFull, { ...DEFAULT_RIDE_FILTERS, seatsNeeded: 3 })).toBe(true);
+  expect(matchesFilters(ride(), { ...DEFAULT_RIDE_FILTERS, vehicleType: 'SUV' })).toBe(false);
+});
+
+test('minimum rating excludes unrated and lower rated drivers', () => {
+  const filters = { ...DEFAULT_RIDE_FILTERS, minRating: 4 };
+  expect(matchesFilters(ride(), filters)).toBe(false);
+  expect(matchesFilters(ride(), filters, { driverRatings: { d1: { average: 3.5, count: 2 } } })).toBe(false);
+  expect(matchesFilters(ride(), filters, { driverRatings: { d1: { average: 4.5, count: 2 } } })).toBe(true);
+});
+
+test('sorting by price, departure and match quality', () => {
+  const rides = [
+    ride({ id: 'a', pricePerSeat: 12, startTime: '2026-03-02T09:00', matchScore: 0.9 }),
+    ride({ id: 'b', pricePerSeat: 8, startTime: '2026-03-02T10:00', matchScore: 0.2 }),
+    ride({ id: 'c', pricePerSeat: 10, startTime: '2026-03-02T08:00', matchScore: 0.5 })
+  ];
+  expect(sortRides(rides, 'price').map(r => r.id)).toEqual(['b', 'c', 'a']);
+  expect(sortRides(rides, 'departure').map(r => r.id)).toEqual(['c', 'a', 'b']);
+  expect(sortRides(rides, 'match').map(r => r.id)).toEqual(['a', 'c', 'b']);
+});
+
+test('filterAndSortRides drops unbookable rides before sorting', () => {
+  const rides = [ride({ id: 'old', startTime: '2026-03-01T08:00' }), ride({ id: 'ok' })];
+  expect(filterAndSortRides(rides, DEFAULT_RIDE_FILTERS, { now }).map(r => r.id)).toEqual(['ok']);
+});
@@ -0,0 +1,76 @@
+// Stops, segments and seats along a ride's route.
+// A ride's stops are its route (from, via points, to); segment i runs from stop i to stop
+// i + 1. A booking boards at boardStop and alights at alightStop (indexes into the stops) and
+// holds its seats on every segment in between, so a seat freed at one stop can be sold
+// again for the rest of the trip. The ride keeps the free seats per segment in
+// segmentSeats, and availableSeats stays the number free along the whole route.
+// Rides from before segments existed have no segmentSeats; every segment then has
+// availableSeats free.
+//
+// pricePerSeat is the fare for the whole route. A booking pays its share of it by distance,
+// or by number of segments when the stops have no coordinates.
+import { haversineKm, hasCoordinates } from './geo';
+import { roundMoney } from './money';
+
+export const rideStops = (ride) =>
+  (Array.isArray(ride.route) && ride.route.length >= 2 ? ride.route : [ride.from, ride.to]);
+
+const segmentCount = (ride) => rideStops(ride).length - 1;
+
+export const segmentSeatsOf = (ride) =>
+  (Array.isArray(ride.segmentSeats) && ride.segmentSeats.length === segmentCount(ride)
+    ? ride.segmentSeats
+    : Array(segmentCount(ride)).fill(ride.availableSeats));
+
+export const wholeRoute = (ride) => ({ boardStop: 0, alightStop: segmentCount(ride) });
+
+// Bookings made before stops existed ride the whole route
+export const bookingStops = (request, ride) =>
+  (Number.isInteger(request.boardStop) && Number.isInteger(request.alightStop)
+    ? { boardStop: request.boardStop, alightStop: request.alightStop }
+    : wholeRoute(ride));
+
+export const isValidStopRange = (ride, { boardStop, alightStop }) =>
+  Number.isInteger(boardStop) && Number.isInteger(alightStop) && boardStop >= 0 && alightStop <= segmentCount(ride) && boardStop < alightStop;
+
+// Seats free on every segment between the two stops
+export const seatsAvailableBetween = (ride, { boardStop, alightStop }) =>
+  Math.min(...segmentSeatsOf(ride).slice(boardStop, alightStop));
+
+// The most seats free on any one segment; a ride with none is fully booked everywhere
+export const mostSeatsOnAnySegment = (ride) => Math.max(...segmentSeatsOf(ride));
+
+// The ride's new seat counts after taking (or, with a negative count, giving back) seats
+// between two stops
+export const adjustSegmentSeats = (ride, { boardStop, alightStop }, seats) => {
+  const segmentSeats = segmentSeatsOf(ride).map((free, index) =>
+    (index >= boardStop && index < alightStop ? free - seats : free));
+  return { segmentSeats, availableSeats: Math.min(...segmentSeats) };
+};
+
+// Share (0-1] of the whole route between the two stops
+export const routeShare = (ride, { boardStop, alightStop }) => {
+  const places = ride.routePlaces;
+  if (Array.isArray(places) && places.length === segmentCount(ride) + 1 && places.every(hasCoordinates)) {
+    const lengths = places.slice(1).map((place, index) => haversineKm(places[index], place));
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+    if (total > 0) return lengths.slice(boardStop, alightStop).reduce((sum, length) => sum + length, 0) / total;
+  }
+  return (alightStop - boardStop) / segmentCount(ride);
+};
+
+export const segmentFarePerSeat = (ride, stops) => roundMoney(ride.pricePerSeat * routeShare(ride, stops));
+
+// The stops nearest the rider's pickup and dropoff, keeping the pickup before the dropoff.
+// Without coordinates the whole route is suggested.
+export const suggestStops = (ride, pickup, dropoff) => {
+  const places = ride.routePlaces;
+  if (!Array.isArray(places) || places.length !== segmentCount(ride) + 1 || !places.every(hasCoordinates) ||
+    !hasCoordinates(pickup) || !hasCoordinates(dropoff)) return wholeRoute(ride);
+  const nearest = (target, candidates) => candidates.reduce((best, index) =>
+    (haversineKm(places[index], target) < haversineKm(places[best], target) ? index : best), candidates[0]);
+  const indexes = places.map((place, index) => index);
+  const boardStop = nearest(pickup, indexes.slice(0, -1));
+  const alightStop = nearest(dropoff, indexes.slice(boardStop + 1));
+  return { boardStop, alightStop };
+};
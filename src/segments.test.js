@@ -0,0 +1,73 @@
+import {
+  adjustSegmentSeats, bookingStops, isValidStopRange, mostSeatsOnAnySegment, rideStops, routeShare, seatsAvailableBetween,
+  segmentFarePerSeat, segmentSeatsOf, suggestStops
+} from './segments';
+
+// Four stops in a line, the middle segment twice as long as the others
+const places = [
+  { name: 'A', lat: 43.6, lng: -79.40 },
+  { name: 'B', lat: 43.6, lng: -79.39 },
+  { name: 'C', lat: 43.6, lng: -79.37 },
+  { name: 'D', lat: 43.6, lng: -79.36 }
+];
+const ride = (overrides) => ({
+  from: 'A',
+  to: 'D',
+  route: places.map(place => place.name),
+  routePlaces: places,
+  pricePerSeat: 20,
+  availableSeats: 3,
+  ...overrides
+});
+
+test('rides without segment seats have their available seats on every segment', () => {
+  expect(rideStops(ride())).toEqual(['A', 'B', 'C', 'D']);
+  expect(rideStops({ from: 'A', to: 'D' })).toEqual(['A', 'D']);
+  expect(segmentSeatsOf(ride())).toEqual([3, 3, 3]);
+  expect(segmentSeatsOf(ride({ segmentSeats: [1, 2, 3] }))).toEqual([1, 2, 3]);
+  expect(bookingStops({}, ride())).toEqual({ boardStop: 0, alightStop: 3 });
+  expect(bookingStops({ boardStop: 1, alightStop: 2 }, ride())).toEqual({ boardStop: 1, alightStop: 2 });
+});
+
+test('stop ranges must run forwards along the route', () => {
+  expect(isValidStopRange(ride(), { boardStop: 0, alightStop: 3 })).toBe(true);
+  expect(isValidStopRange(ride(), { boardStop: 2, alightStop: 2 })).toBe(false);
+  expect(isValidStopRange(ride(), { boardStop: 2, alightStop: 1 })).toBe(false);
+  expect(isValidStopRange(ride(), { boardStop: 0, alightStop: 4 })).toBe(false);
+});
+
+test('a seat freed at a stop can be sold again for the rest of the trip', () => {
+  const full = ride({ availableSeats: 1 });
+  const firstLeg = adjustSegmentSeats(full, { boardStop: 0, alightStop: 1 }, 1);
+  expect(firstLeg).toEqual({ segmentSeats: [0, 1, 1], availableSeats: 0 });
+
+  const afterFirstLeg = { ...full, ...firstLeg };
+  expect(seatsAvailableBetween(afterFirstLeg, { boardStop: 0, alightStop: 2 })).toBe(0);
+  expect(seatsAvailableBetween(afterFirstLeg, { boardStop: 1, alightStop: 3 })).toBe(1);
+  expect(mostSeatsOnAnySegment(afterFirstLeg)).toBe(1);
+
+  const rest = adjustSegmentSeats(afterFirstLeg, { boardStop: 1, alightStop: 3 }, 1);
+  expect(rest).toEqual({ segmentSeats: [0, 0, 0], availableSeats: 0 });
+
+  // Cancelling gives the seats back on the same segments
+  expect(adjustSegmentSeats({ ...full, ...rest }, { boardStop: 0, alightStop: 1 }, -1)).toEqual({ segmentSeats: [1, 0, 0], availableSeats: 0 });
+});
+
+test('fares are prorated by distance, or by segment without coordinates', () => {
+  expect(routeShare(ride(), { boardStop: 0, alightStop: 3 })).toBeCloseTo(1);
+  expect(routeShare(ride(), { boardStop: 1, alightStop: 2 })).toBeCloseTo(0.5);
+  expect(segmentFarePerSeat(ride(), { boardStop: 0, alightStop: 1 })).toBe(5);
+  expect(segmentFarePerSeat(ride(), { boardStop: 0, alightStop: 3 })).toBe(20);
+
+  const unplaced = ride({ routePlaces: places.map(place => ({ name: place.name })) });
+  expect(segmentFarePerSeat(unplaced, { boardStop: 1, alightStop: 2 })).toBe(6.67);
+});
+
+test('suggested stops are the nearest to the pickup and dropoff, in order', () => {
+  const nearB = { name: 'Near B', lat: 43.601, lng: -79.389 };
+  const nearC = { name: 'Near C', lat: 43.601, lng: -79.371 };
+  expect(suggestStops(ride(), nearB, nearC)).toEqual({ boardStop: 1, alightStop: 2 });
+  // A dropoff behind the pickup still gets a later stop
+  expect(suggestStops(ride(), nearC, nearB)).toEqual({ boardStop: 2, alightStop: 3 });
+  expect(suggestStops(ride(), { name: 'Somewhere' }, nearC)).toEqual({ boardStop: 0, alightStop: 3 });
+});
@@ -0,0 +1,141 @@
+// Live trips: the ride's trip state, the driver's published location and the rider's ETA.
+// A ride moves scheduled -> enRoute (driving to the pickups) -> pickedUp -> inProgress
+// (driving to the destination) -> completed; completion is the completeRide Cloud Function.
+// While a trip is live the driver's device reads positions from a location source and
+// publishes them, throttled, to the ride's trip document.
+//
+// Location sources have a single method:
+//   start(onPosition, onError) -> stop()
+// where a position is { lat, lng, accuracy, heading, speed (m/s), recordedAt (ISO) }. The
+// geolocation source uses the browser's GPS; the recorded source replays a track, so a
+// trip can be simulated end to end without moving.
+import { haversineKm, hasCoordinates } from './geo';
+import defaultTrack from './sampleTrack.json';
+
+export const TRIP_STATES = ['scheduled', 'enRoute', 'pickedUp', 'inProgress', 'completed'];
+
+export const TRIP_STATE_LABELS = {
+  scheduled: 'Scheduled',
+  enRoute: 'Driver en route',
+  pickedUp: 'Picked up',
+  inProgress: 'In progress',
+  completed: 'Completed'
+};
+
+// States in which the driver's location is shared
+export const LIVE_TRIP_STATES = ['enRoute', 'pickedUp', 'inProgress'];
+
+export const tripState = (ride) => (ride.status === 'completed' ? 'completed' : ride.tripStatus || 'scheduled');
+
+export const isTripLive = (ride) => ride.status === 'active' && LIVE_TRIP_STATES.includes(tripState(ride));
+
+// The driver advances the trip one state at a time; completing it is left to completeRide
+export const nextTripState = (state) => {
+  const next = TRIP_STATES[TRIP_STATES.indexOf(state) + 1];
+  return next && next !== 'completed' ? next : null;
+};
+
+// --- Location sources ---
+
+const fromGeolocation = ({ coords, timestamp }) => ({
+  lat: coords.latitude,
+  lng: coords.longitude,
+  accuracy: coords.accuracy ?? null,
+  heading: coords.heading ?? null,
+  speed: coords.speed ?? null,
+  recordedAt: new Date(timestamp).toISOString()
+});
+
+export const createGeolocationSource = (geolocation = navigator.geolocation) => ({
+  start: (onPosition, onError = () => {}) => {
+    const watchId = geolocation.watchPosition(
+      position => onPosition(fromGeolocation(position)),
+      error => onError(error),
+      { enableHighAccuracy: true, maximumAge: 5000 }
+    );
+    return () => geolocation.clearWatch(watchId);
+  }
+});
+
+// Replays a track of { lat, lng, offsetMs } points, offsetMs from the start of the recording.
+// speedUp > 1 replays faster than recorded.
+export const createRecordedTrackSource = (track = defaultTrack, { speedUp = 1, now = () => Date.now() } = {}) => ({
+  start: (onPosition) => {
+    const startedAt = now();
+    const timers = track.map((point, index) => setTimeout(() => {
+      const previous = track[index - 1];
+      const seconds = previous ? (point.offsetMs - previous.offsetMs) / 1000 : 0;
+      onPosition({
+        lat: point.lat,
+        lng: point.lng,
+        accuracy: point.accuracy ?? 10,
+        heading: null,
+        speed: previous && seconds > 0 ? haversineKm(previous, point) * 1000 / seconds : null,
+        recordedAt: new Date(startedAt + point.offsetMs).toISOString()
+      });
+    }, point.offsetMs / speedUp));
+    return () => timers.forEach(clearTimeout);
+  }
+});
+
+// Picks the source from REACT_APP_LOCATION_SOURCE ('geolocation' by default, or 'recorded'
+// to drive the bundled sample track, REACT_APP_TRACK_SPEEDUP times faster than recorded)
+export const createLocationSource = (kind = process.env.REACT_APP_LOCATION_SOURCE) => {
+  if (kind === 'recorded') {
+    return createRecordedTrackSource(defaultTrack, { speedUp: Number(process.env.REACT_APP_TRACK_SPEEDUP) || 1 });
+  }
+  return createGeolocationSource();
+};
+
+// --- Publishing ---
+
+// Positions are published at most every minIntervalMs, and a driver who has not moved
+// minDistanceKm is only re-published every maxIntervalMs so riders can tell the trip is
+// still live
+export const LOCATION_THROTTLE = { minIntervalMs: 10000, maxIntervalMs: 60000, minDistanceKm: 0.05 };
+
+export const createThrottle = ({ minIntervalMs, maxIntervalMs, minDistanceKm } = LOCATION_THROTTLE) => {
+  let last = null;
+  return (position, at) => {
+    if (last) {
+      const elapsed = at - last.at;
+      if (elapsed < minIntervalMs) return false;
+      if (elapsed < maxIntervalMs && haversineKm(last.position, position) < minDistanceKm) return false;
+    }
+    last = { position, at };
+    return true;
+  };
+};
+
+// Feeds positions from the source through the throttle to publish(position). Returns stop().
+export const startLocationSharing = ({ source, publish, onError = () => {}, throttle = createThrottle(), now = () => Date.now() }) =>
+  source.start(position => {
+    if (!throttle(position, now())) return;
+    Promise.resolve(publish(position)).catch(onError);
+  }, onError);
+
+// --- ETA ---
+
+// Straight-line distance stretched to typical road distance, and the speed assumed when
+// the driver is stopped or reports none
+const ROAD_DISTANCE_FACTOR = 1.3;
+const DEFAULT_SPEED_KMH = 40;
+const MIN_MOVING_SPEED_KMH = 10;
+
+// Where the driver picks this rider up: their own pickup when the booking came from a
+// ride request, otherwise the ride's first stop
+export const pickupPlaceOf = (request, ride) => {
+  if (hasCoordinates(request.fromPlace)) return request.fromPlace;
+  const first = Array.isArray(ride.routePlaces) ? ride.routePlaces[0] : null;
+  return hasCoordinates(first) ? first : null;
+};
+
+// { distanceKm, minutes } from the driver's position to the pickup, or null without
+// coordinates for both
+export const estimateEta = (position, pickup) => {
+  if (!hasCoordinates(position) || !hasCoordinates(pickup)) return null;
+  const distanceKm = haversineKm(position, pickup) * ROAD_DISTANCE_FACTOR;
+  const reportedKmh = Number.isFinite(position.speed) ? position.speed * 3.6 : 0;
+  const speedKmh = reportedKmh >= MIN_MOVING_SPEED_KMH ? reportedKmh : DEFAULT_SPEED_KMH;
+  return { distanceKm, minutes: Math.ceil(distanceKm / speedKmh * 60) };
+};
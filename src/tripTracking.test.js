@@ -0,0 +1,127 @@
+import {
+  createGeolocationSource, createRecordedTrackSource, createThrottle, estimateEta, isTripLive, nextTripState,
+  pickupPlaceOf, startLocationSharing, tripState
+} from './tripTracking';
+
+// Yonge & Dundas down to Union Station, one point every 15 seconds
+const track = [
+  { lat: 43.6561, lng: -79.3802, offsetMs: 0 },
+  { lat: 43.6534, lng: -79.3803, offsetMs: 15000 },
+  { lat: 43.6534, lng: -79.3803, offsetMs: 30000 },
+  { lat: 43.6507, lng: -79.3804, offsetMs: 45000 },
+  { lat: 43.6480, lng: -79.3805, offsetMs: 60000 },
+  { lat: 43.6453, lng: -79.3806, offsetMs: 75000 }
+];
+const unionStation = { name: 'Toronto Union Station', lat: 43.6453, lng: -79.3806 };
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('the trip advances one state at a time and completion is left to the driver\'s Complete button', () => {
+  expect(tripState({ status: 'active' })).toBe('scheduled');
+  expect(tripState({ status: 'completed', tripStatus: 'inProgress' })).toBe('completed');
+  expect(nextTripState('scheduled')).toBe('enRoute');
+  expect(nextTripState('enRoute')).toBe('pickedUp');
+  expect(nextTripState('pickedUp')).toBe('inProgress');
+  expect(nextTripState('inProgress')).toBeNull();
+  expect(isTripLive({ status: 'active', tripStatus: 'enRoute' })).toBe(true);
+  expect(isTripLive({ status: 'active' })).toBe(false);
+  expect(isTripLive({ status: 'cancelled', tripStatus: 'enRoute' })).toBe(false);
+});
+
+test('a recorded track replays its points on schedule and can be stopped', () => {
+  const positions = [];
+  const stop = createRecordedTrackSource(track, { now: () => Date.parse('2026-03-02T08:00:00.000Z') }).start(p => positions.push(p));
+  jest.advanceTimersByTime(30000);
+  expect(positions.map(p => p.recordedAt)).toEqual(['2026-03-02T08:00:00.000Z', '2026-03-02T08:00:15.000Z', '2026-03-02T08:00:30.000Z']);
+  expect(positions[0].speed).toBeNull();
+  expect(positions[1].speed).toBeGreaterThan(15); // about 300 m in 15 s
+  stop();
+  jest.advanceTimersByTime(60000);
+  expect(positions).toHaveLength(3);
+});
+
+test('a recorded track replays faster when sped up', () => {
+  const positions = [];
+  createRecordedTrackSource(track, { speedUp: 15 }).start(p => positions.push(p));
+  jest.advanceTimersByTime(5000);
+  expect(positions).toHaveLength(track.length);
+});
+
+test('the throttle drops updates that come too soon or without movement', () => {
+  const throttle = createThrottle({ minIntervalMs: 10000, maxIntervalMs: 60000, minDistanceKm: 0.05 });
+  const here = { lat: 43.6561, lng: -79.3802 };
+  const moved = { lat: 43.6534, lng: -79.3803 };
+  expect(throttle(here, 0)).toBe(true);
+  expect(throttle(moved, 5000)).toBe(false);
+  expect(throttle(here, 20000)).toBe(false); // not moved
+  expect(throttle(moved, 20000)).toBe(true);
+  expect(throttle(moved, 81000)).toBe(true); // heartbeat
+});
+
+test('a simulated trip publishes throttled positions with a falling ETA to the pickup', async () => {
+  const published = [];
+  let clock = 0;
+  const stop = startLocationSharing({
+    source: createRecordedTrackSource(track, { now: () => clock }),
+    publish: async (position) => { published.push(position); },
+    throttle: createThrottle({ minIntervalMs: 10000, maxIntervalMs: 60000, minDistanceKm: 0.05 }),
+    now: () => clock
+  });
+  for (let step = 0; step < track.length; step++) {
+    clock = track[step].offsetMs;
+    jest.advanceTimersByTime(step === 0 ? 0 : 15000);
+  }
+  stop();
+
+  // The stationary point at 30 s is not re-published
+  expect(published).toHaveLength(5);
+  const etas = published.map(position => estimateEta(position, unionStation));
+  etas.slice(1).forEach((eta, index) => expect(eta.distanceKm).toBeLessThan(etas[index].distanceKm));
+  expect(etas[etas.length - 1]).toEqual({ distanceKm: 0, minutes: 0 });
+});
+
+test('publish failures go to onError without stopping the stream', async () => {
+  const errors = [];
+  let clock = 0;
+  startLocationSharing({
+    source: createRecordedTrackSource(track.slice(0, 2), { now: () => clock }),
+    publish: () => Promise.reject(new Error('offline')),
+    onError: error => errors.push(error.message),
+    throttle: () => true,
+    now: () => clock
+  });
+  jest.advanceTimersByTime(15000);
+  await Promise.resolve();
+  await Promise.resolve();
+  expect(errors).toEqual(['offline', 'offline']);
+});
+
+test('geolocation positions are converted and the watch is cleared on stop', () => {
+  const geolocation = {
+    watchPosition: jest.fn((onSuccess) => {
+      onSuccess({ coords: { latitude: 43.65, longitude: -79.38, accuracy: 8, heading: 180, speed: 12 }, timestamp: Date.parse('2026-03-02T08:00:00.000Z') });
+      return 7;
+    }),
+    clearWatch: jest.fn()
+  };
+  const positions = [];
+  const stop = createGeolocationSource(geolocation).start(p => positions.push(p));
+  expect(positions).toEqual([{ lat: 43.65, lng: -79.38, accuracy: 8, heading: 180, speed: 12, recordedAt: '2026-03-02T08:00:00.000Z' }]);
+  stop();
+  expect(geolocation.clearWatch).toHaveBeenCalledWith(7);
+});
+
+test('ETA uses the driver\'s speed when moving and the rider\'s own pickup when there is one', () => {
+  const driver = { lat: 43.6561, lng: -79.3802 };
+  const slow = estimateEta({ ...driver, speed: 0 }, unionStation);
+  const fast = estimateEta({ ...driver, speed: 25 }, unionStation); // 90 km/h
+  expect(slow.minutes).toBeGreaterThan(fast.minutes);
+  expect(estimateEta(driver, { name: 'Somewhere' })).toBeNull();
+
+  const ride = { routePlaces: [unionStation, { name: 'Airport', lat: 43.6777, lng: -79.6248 }] };
+  expect(pickupPlaceOf({}, ride)).toBe(unionStation);
+  const ownPickup = { name: 'Home', lat: 43.66, lng: -79.39 };
+  expect(pickupPlaceOf({ fromPlace: ownPickup }, ride)).toBe(ownPickup);
+  expect(pickupPlaceOf({}, { routePlaces: [{ name: 'Unknown' }] })).toBeNull();
+});